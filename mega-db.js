@@ -2,7 +2,8 @@
 // Matches your schema columns exactly:
 // mega_customers: mg_pass_id, mg_shopify_customer_id, mg_user_id, mg_email, mg_mma_preferences,
 //                 mg_mma_preferences_updated_at, mg_created_at, mg_updated_at, mg_credits,
-//                 mg_admin_allowlist, mg_last_active, mg_disabled, mg_expires_at
+//                 mg_admin_allowlist, mg_last_active, mg_disabled, mg_expires_at,
+//                 mg_fingertips_pool_units
 // mega_generations: mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_parent_id, mg_step_no,
 //                   mg_step_type, mg_mma_mode, mg_mma_status, mg_status, mg_error, mg_mma_vars,
 //                   mg_prompt, mg_output_url, mg_meta, mg_payload, mg_event_at, mg_created_at,
@@ -49,15 +50,6 @@ function addDaysIso(baseIso, days) {
   return d.toISOString();
 }
 
-function maxIso(a, b) {
-  const ta = a ? Date.parse(a) : NaN;
-  const tb = b ? Date.parse(b) : NaN;
-  if (!Number.isFinite(ta) && !Number.isFinite(tb)) return null;
-  if (!Number.isFinite(ta)) return b || null;
-  if (!Number.isFinite(tb)) return a || null;
-  return ta >= tb ? a : b;
-}
-
 async function touchCustomer(supabase, passId) {
   const ts = nowIso();
   const { error } = await supabase
@@ -194,8 +186,31 @@ export async function megaEnsureCustomer({
   };
 }
 
+// ---------------------------
+// Active holds (mma_hold rows still "held" and not expired)
+// ---------------------------
+async function readHeldCredits(supabase, passId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_delta, mg_meta")
+    .eq("mg_record_type", "mma_hold")
+    .eq("mg_pass_id", passId)
+    .eq("mg_status", "held")
+    .limit(200);
+
+  if (error) throw error;
+
+  const now = Date.now();
+  return (data || []).reduce((sum, r) => {
+    const exp = Date.parse(r?.mg_meta?.expires_at || "");
+    if (Number.isFinite(exp) && exp <= now) return sum;
+    return sum + Math.max(0, -intOr(r?.mg_delta, 0));
+  }, 0);
+}
+
 // ---------------------------
 // Credits read
+// credits = balance, held = reserved by in-flight generations, available = credits - held
 // ---------------------------
 export async function megaGetCredits(passId) {
   const supabase = requireSupabase();
@@ -213,41 +228,32 @@ export async function megaGetCredits(passId) {
   const credits = intOr(data?.mg_credits, 0);
   const expiresAt = data?.mg_expires_at ?? null;
 
-  // If credits have expired, zero them out
+  // If credits have expired, zero them out (re-checked under a row lock in Postgres,
+  // so a grant landing at the same moment is never wiped)
   if (credits > 0 && expiresAt) {
     const now = Date.now();
     const expiry = Date.parse(expiresAt);
     if (Number.isFinite(expiry) && now > expiry) {
-      const ts = nowIso();
-      // Zero out credits in the database
-      await supabase
-        .from("mega_customers")
-        .update({ mg_credits: 0, mg_updated_at: ts })
-        .eq("mg_pass_id", pid);
-
-      // Log the expiration in the ledger
-      await supabase.from("mega_generations").insert({
-        mg_id: `credit_transaction:${crypto.randomUUID()}`,
-        mg_record_type: "credit_transaction",
-        mg_pass_id: pid,
-        mg_delta: -credits,
-        mg_reason: "expired",
-        mg_source: "system",
-        mg_ref_type: "expiration",
-        mg_ref_id: `exp_${pid}_${ts}`,
-        mg_status: "succeeded",
-        mg_meta: { credits_before: credits, credits_after: 0, expires_at: expiresAt },
-        mg_payload: null,
-        mg_event_at: ts,
-        mg_created_at: ts,
-        mg_updated_at: ts,
+      const { data: expData, error: expErr } = await supabase.rpc("mega_expire_credits", {
+        p_pass_id: pid,
       });
-
-      return { credits: 0, expiresAt };
+      if (expErr) throw expErr;
+
+      const out = Array.isArray(expData) ? expData[0] : expData;
+      const left = intOr(out?.credits, 0);
+      const heldNow = left > 0 ? await readHeldCredits(supabase, pid) : 0;
+      return {
+        credits: left,
+        expiresAt: out?.expires_at ?? expiresAt,
+        held: heldNow,
+        available: Math.max(0, left - heldNow),
+      };
     }
   }
 
-  return { credits, expiresAt };
+  const held = credits > 0 ? await readHeldCredits(supabase, pid) : 0;
+
+  return { credits, expiresAt, held, available: Math.max(0, credits - held) };
 }
 
 // ---------------------------
@@ -273,7 +279,10 @@ export async function megaHasCreditRef({ refType, refId } = {}) {
 
 // ---------------------------
 // Credits adjust + rolling expiry + ledger row
-// NOTE: not fully atomic under concurrency (OK for low traffic).
+// Atomic: runs as ONE Postgres function (supabase/mega_credits_atomic.sql).
+// - customer row is locked, so parallel charges/grants serialize
+// - unique (mg_ref_type, mg_ref_id) makes a ref apply at most once
+// - requireBalance: reject the debit instead of clamping at 0
 // ---------------------------
 export async function megaAdjustCredits({
   passId,
@@ -283,6 +292,7 @@ export async function megaAdjustCredits({
   refType = null,
   refId = null,
   grantedAt = null,
+  requireBalance = false,
 } = {}) {
   const supabase = requireSupabase();
   const pid = safeString(passId, "");
@@ -291,8 +301,7 @@ export async function megaAdjustCredits({
   const d = Number(delta ?? 0);
   if (!Number.isFinite(d) || d === 0) throw new Error("DELTA_INVALID");
 
-  const ts = nowIso();
-  const eventAt = grantedAt ? new Date(grantedAt).toISOString() : ts;
+  const eventAt = grantedAt ? new Date(grantedAt).toISOString() : nowIso();
 
   // Ensure customer exists
   await megaEnsureCustomer({ passId: pid });
@@ -302,148 +311,240 @@ export async function megaAdjustCredits({
   const rid = refId ? safeString(refId, "") : "";
   const hasRef = Boolean(rt && rid);
 
-  // If caller gave a ref, we make the operation idempotent:
-  // 1) try to INSERT the credit_transaction first
-  // 2) if it's a duplicate ref, RETURN without changing balance
-  const txId = `credit_transaction:${crypto.randomUUID()}`;
+  const { data, error } = await supabase.rpc("mega_adjust_credits", {
+    p_pass_id: pid,
+    p_delta: Math.trunc(d),
+    p_reason: safeString(reason, null),
+    p_source: safeString(source, null),
+    p_ref_type: hasRef ? rt : null,
+    p_ref_id: hasRef ? rid : null,
+    p_event_at: eventAt,
+    p_tx_id: `credit_transaction:${crypto.randomUUID()}`,
+    p_expire_days: intOr(process.env.DEFAULT_CREDITS_EXPIRE_DAYS, 30),
+    p_require_balance: !!requireBalance,
+  });
 
-  if (hasRef) {
-    const { error: txErr } = await supabase.from("mega_generations").insert({
-      mg_id: txId,
-      mg_record_type: "credit_transaction",
-      mg_pass_id: pid,
-      mg_delta: Math.trunc(d),
-      mg_reason: safeString(reason, null),
-      mg_source: safeString(source, null),
-      mg_ref_type: rt,
-      mg_ref_id: rid,
-      mg_status: "pending",
-      mg_meta: {},
-      mg_payload: null,
-      mg_event_at: eventAt,
-      mg_created_at: ts,
-      mg_updated_at: ts,
-    });
+  if (error) throw error;
 
-    // Postgres duplicate key violation
-    if (txErr) {
-      const code = String(txErr.code || "");
-      const msg = String(txErr.message || "");
-      const dup =
-        code === "23505" ||
-        msg.toLowerCase().includes("duplicate") ||
-        msg.toLowerCase().includes("unique");
-
-      if (dup) {
-        // Already applied earlier → DO NOT change balance again.
-        const cur = await megaGetCredits(pid);
-        return {
-          creditsBefore: cur.credits,
-          creditsAfter: cur.credits,
-          expiresAt: cur.expiresAt ?? null,
-          alreadyApplied: true,
-        };
-      }
-
-      throw txErr;
-    }
-  }
+  const out = Array.isArray(data) ? data[0] : data;
+  if (!out) throw new Error("CREDITS_UPDATE_FAILED");
+
+  return {
+    creditsBefore: intOr(out.credits_before, 0),
+    creditsAfter: intOr(out.credits_after, 0),
+    expiresAt: out.expires_at ?? null,
+    alreadyApplied: !!out.already_applied,
+    insufficient: !!out.insufficient,
+  };
+}
+
+// ---------------------------
+// Credit holds (reservation): hold -> capture | release
+// mg_id = mma_hold:<generationId>, mg_record_type = "mma_hold", mg_delta = -amount
+// A hold is not a ledger row: only capture writes a credit_transaction.
+// ---------------------------
+const DEFAULT_HOLD_TTL_SEC = intOr(process.env.CREDIT_HOLD_TTL_SEC, 3600);
+
+export async function megaHoldCredits({
+  passId,
+  holdId,
+  amount,
+  generationId = null,
+  reason = "hold",
+  ttlSeconds = DEFAULT_HOLD_TTL_SEC,
+} = {}) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+
+  const hid = safeString(holdId, "");
+  if (!hid) throw new Error("HOLD_ID_REQUIRED");
+
+  const n = Math.trunc(Number(amount ?? 0));
+  if (!Number.isFinite(n) || n <= 0) throw new Error("HOLD_AMOUNT_INVALID");
+
+  await megaEnsureCustomer({ passId: pid });
+
+  const { data, error } = await supabase.rpc("mega_place_credit_hold", {
+    p_pass_id: pid,
+    p_hold_id: hid,
+    p_amount: n,
+    p_generation_id: generationId ? safeString(generationId, null) : null,
+    p_reason: safeString(reason, null),
+    p_ttl_seconds: intOr(ttlSeconds, DEFAULT_HOLD_TTL_SEC),
+  });
+
+  if (error) throw error;
+
+  const out = Array.isArray(data) ? data[0] : data;
+  if (!out) throw new Error("CREDIT_HOLD_FAILED");
+
+  return {
+    holdId: hid,
+    amount: n,
+    credits: intOr(out.credits, 0),
+    held: intOr(out.held, 0),
+    available: intOr(out.available, 0),
+    alreadyHeld: !!out.already_held,
+    insufficient: !!out.insufficient,
+  };
+}
+
+export async function megaCaptureHold({
+  holdId,
+  passId,
+  amount,
+  reason = "capture",
+  source = "api",
+  refType = null,
+  refId = null,
+} = {}) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+
+  const n = Math.trunc(Number(amount ?? 0));
+  if (!Number.isFinite(n) || n <= 0) throw new Error("DELTA_INVALID");
+
+  const { data, error } = await supabase.rpc("mega_capture_credit_hold", {
+    p_hold_id: safeString(holdId, ""),
+    p_pass_id: pid,
+    p_amount: n,
+    p_reason: safeString(reason, null),
+    p_source: safeString(source, null),
+    p_ref_type: refType ? safeString(refType, null) : null,
+    p_ref_id: refId ? safeString(refId, null) : null,
+    p_tx_id: `credit_transaction:${crypto.randomUUID()}`,
+    p_expire_days: intOr(process.env.DEFAULT_CREDITS_EXPIRE_DAYS, 30),
+  });
+
+  if (error) throw error;
+
+  const out = Array.isArray(data) ? data[0] : data;
+  if (!out) throw new Error("CREDIT_CAPTURE_FAILED");
+
+  return {
+    creditsBefore: intOr(out.credits_before, 0),
+    creditsAfter: intOr(out.credits_after, 0),
+    expiresAt: out.expires_at ?? null,
+    alreadyApplied: !!out.already_applied,
+    insufficient: !!out.insufficient,
+    holdStatus: out.hold_status ?? null,
+  };
+}
+
+export async function megaReleaseHold({ holdId, reason = "released" } = {}) {
+  const supabase = requireSupabase();
+  const hid = safeString(holdId, "");
+  if (!hid) throw new Error("HOLD_ID_REQUIRED");
+
+  const { data, error } = await supabase.rpc("mega_release_credit_hold", {
+    p_hold_id: hid,
+    p_reason: safeString(reason, null),
+  });
+
+  if (error) throw error;
+
+  const out = Array.isArray(data) ? data[0] : data;
+  return { released: !!out?.released, holdStatus: out?.hold_status ?? null };
+}
+
+// ---------------------------
+// Fingertips pool (fractional matcha), supabase/mega_fingertips_pool.sql
+// Balance: mega_customers.mg_fingertips_pool_units, fixed point (1 matcha = 1000 units).
+// Every move is a fingertips_pool_tx row (mg_delta = units); draw / refund lock the customer row.
+// ---------------------------
+export const FINGERTIPS_POOL_UNITS_PER_MATCHA = 1000;
 
-  // Read current AFTER the tx reservation (prevents double-debit)
-  const { data: row, error: readErr } = await supabase
+export function matchaToPoolUnits(matcha) {
+  return Math.round(Number(matcha || 0) * FINGERTIPS_POOL_UNITS_PER_MATCHA);
+}
+
+export function poolUnitsToMatcha(units) {
+  return intOr(units, 0) / FINGERTIPS_POOL_UNITS_PER_MATCHA;
+}
+
+export async function megaGetFingertipsPool(passId) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+
+  const { data, error } = await supabase
     .from("mega_customers")
-    .select("mg_credits, mg_expires_at")
+    .select("mg_fingertips_pool_units")
     .eq("mg_pass_id", pid)
     .maybeSingle();
 
-  if (readErr) throw readErr;
+  if (error) throw error;
+  return Math.max(0, intOr(data?.mg_fingertips_pool_units, 0));
+}
 
-  const before = intOr(row?.mg_credits, 0);
-  const after = Math.max(0, before + d);
+// Refills 1 matcha (ledger debit, ref fingertips_charge) when the pool is short, then draws costUnits.
+export async function megaDrawFingertipsPool({ passId, refId, costUnits, generationId = null, modelKey = null } = {}) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
 
-  // Rolling expiry on positive grants
-  const expireDays = intOr(process.env.DEFAULT_CREDITS_EXPIRE_DAYS, 30);
-  const currentExpiry = row?.mg_expires_at ? new Date(row.mg_expires_at).toISOString() : null;
+  const rid = safeString(refId, "");
+  if (!rid) throw new Error("REF_ID_REQUIRED");
 
-  let nextExpiry = currentExpiry;
-  if (d > 0) {
-    const candidate = addDaysIso(eventAt, expireDays);
-    nextExpiry = maxIso(currentExpiry, candidate);
+  const units = Math.trunc(Number(costUnits ?? 0));
+  if (!Number.isFinite(units) || units <= 0 || units > FINGERTIPS_POOL_UNITS_PER_MATCHA) {
+    throw new Error("POOL_UNITS_INVALID");
   }
 
-  // Update customer balance
-  const { error: upErr } = await supabase
-    .from("mega_customers")
-    .update({
-      mg_credits: after,
-      mg_expires_at: nextExpiry,
-      mg_last_active: ts,
-      mg_updated_at: ts,
-    })
-    .eq("mg_pass_id", pid);
+  await megaEnsureCustomer({ passId: pid });
 
-  if (upErr) {
-    // If we inserted a pending tx row, mark it failed (best-effort)
-    if (hasRef) {
-      try {
-        await supabase
-          .from("mega_generations")
-          .update({
-            mg_status: "error",
-            mg_error: safeString(upErr.message || upErr, "CREDITS_UPDATE_FAILED"),
-            mg_updated_at: nowIso(),
-          })
-          .eq("mg_id", txId);
-      } catch {}
-    }
-    throw upErr;
-  }
+  const { data, error } = await supabase.rpc("mega_fingertips_pool_draw", {
+    p_pass_id: pid,
+    p_ref_id: rid,
+    p_cost_units: units,
+    p_generation_id: generationId ? safeString(generationId, null) : null,
+    p_model_key: modelKey ? safeString(modelKey, null) : null,
+    p_expire_days: intOr(process.env.DEFAULT_CREDITS_EXPIRE_DAYS, 30),
+  });
 
-  // If we reserved a tx row, finalize it with correct meta
-  if (hasRef) {
-    const { error: finErr } = await supabase
-      .from("mega_generations")
-      .update({
-        mg_status: "succeeded",
-        mg_meta: {
-          credits_before: before,
-          credits_after: after,
-          expires_at: nextExpiry,
-        },
-        mg_updated_at: nowIso(),
-      })
-      .eq("mg_id", txId);
-
-    if (finErr) throw finErr;
-  } else {
-    // No ref: still write a ledger row (not idempotent)
-    const { error: insErr } = await supabase.from("mega_generations").insert({
-      mg_id: txId,
-      mg_record_type: "credit_transaction",
-      mg_pass_id: pid,
-      mg_delta: Math.trunc(d),
-      mg_reason: safeString(reason, null),
-      mg_source: safeString(source, null),
-      mg_ref_type: null,
-      mg_ref_id: null,
-      mg_status: "succeeded",
-      mg_meta: {
-        credits_before: before,
-        credits_after: after,
-        expires_at: nextExpiry,
-      },
-      mg_payload: null,
-      mg_event_at: eventAt,
-      mg_created_at: ts,
-      mg_updated_at: ts,
-    });
+  if (error) throw error;
 
-    if (insErr) throw insErr;
-  }
+  const out = Array.isArray(data) ? data[0] : data;
+  if (!out) throw new Error("FINGERTIPS_POOL_DRAW_FAILED");
 
-  return { creditsBefore: before, creditsAfter: after, expiresAt: nextExpiry, alreadyApplied: false };
+  return {
+    poolBefore: intOr(out.pool_before, 0),
+    poolAfter: intOr(out.pool_after, 0),
+    matchasDeducted: intOr(out.matchas_deducted, 0),
+    alreadyApplied: !!out.already_applied,
+    insufficient: !!out.insufficient,
+    creditsAvailable: out.credits_available === null || out.credits_available === undefined ? null : intOr(out.credits_available, 0),
+  };
 }
 
+// legacyUnits: refunded for a charge made before the pool ledger (it has no draw row)
+export async function megaRefundFingertipsPool({ passId, refId, legacyUnits = 0, generationId = null, modelKey = null } = {}) {
+  const supabase = requireSupabase();
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+
+  const rid = safeString(refId, "");
+  if (!rid) throw new Error("REF_ID_REQUIRED");
+
+  const { data, error } = await supabase.rpc("mega_fingertips_pool_refund", {
+    p_pass_id: pid,
+    p_ref_id: rid,
+    p_legacy_units: Math.max(0, Math.trunc(Number(legacyUnits || 0))),
+    p_generation_id: generationId ? safeString(generationId, null) : null,
+    p_model_key: modelKey ? safeString(modelKey, null) : null,
+  });
+
+  if (error) throw error;
+
+  const out = Array.isArray(data) ? data[0] : data;
+  return {
+    refundedUnits: intOr(out?.refunded_units, 0),
+    poolAfter: intOr(out?.pool_after, 0),
+    alreadyApplied: !!out?.already_applied,
+  };
+}
 
 // ---------------------------
 // Session writer (mega_generations)
@@ -528,6 +629,12 @@ export default {
   megaGetCredits,
   megaAdjustCredits,
   megaHasCreditRef,
+  megaHoldCredits,
+  megaCaptureHold,
+  megaReleaseHold,
+  megaGetFingertipsPool,
+  megaDrawFingertipsPool,
+  megaRefundFingertipsPool,
   megaWriteSession,
   megaWriteFeedback,
 };
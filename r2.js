@@ -7,7 +7,15 @@
 "use strict";
 
 import crypto from "node:crypto";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
 
 // =======================
 // Env
@@ -24,6 +32,9 @@ const R2_ENDPOINT =
 // This should be your permanent public domain for assets, e.g. https://assets.faltastudio.com
 const R2_PUBLIC_BASE_URL = (process.env.R2_PUBLIC_BASE_URL || "").replace(/\/+$/, "");
 
+// Multipart part size (R2 / S3 minimum is 5 MB for every part but the last)
+const R2_MULTIPART_PART_BYTES = Math.max(5 * 1024 * 1024, Number(process.env.R2_MULTIPART_PART_BYTES || 8 * 1024 * 1024));
+
 // =======================
 // Client
 // =======================
@@ -102,6 +113,32 @@ export function isOurAssetUrl(u) {
   }
 }
 
+// Reverse of publicUrlForKey: public asset URL -> object key (null if not ours)
+export function keyForPublicUrl(u) {
+  if (!isOurAssetUrl(u)) return null;
+  try {
+    const url = new URL(String(u));
+    let path = url.pathname.replace(/^\/+/, "");
+
+    // Fallback domain shape: <account>.r2.cloudflarestorage.com/<bucket>/<key>
+    if (url.hostname.toLowerCase().endsWith("r2.cloudflarestorage.com") && R2_BUCKET) {
+      if (path.startsWith(`${R2_BUCKET}/`)) path = path.slice(R2_BUCKET.length + 1);
+    } else if (R2_PUBLIC_BASE_URL) {
+      // Custom domain may live under a path prefix
+      const basePath = new URL(R2_PUBLIC_BASE_URL).pathname.replace(/^\/+|\/+$/g, "");
+      if (basePath && path.startsWith(`${basePath}/`)) path = path.slice(basePath.length + 1);
+    }
+
+    const key = path
+      .split("/")
+      .map((p) => decodeURIComponent(p))
+      .join("/");
+    return key || null;
+  } catch {
+    return null;
+  }
+}
+
 export function makeKey({ kind = "uploads", customerId = "anon", filename = "", contentType = "" } = {}) {
   const folder = safeFolderName(kind);
   const cid = String(customerId || "anon");
@@ -141,6 +178,76 @@ export async function putBufferToR2({ key, buffer, contentType } = {}) {
   return { key, publicUrl, url: publicUrl };
 }
 
+// Streaming upload for large generated files (bulk ZIPs): write() buffers up to one part, then uploads it.
+// finish() completes the object, abort() drops the uploaded parts (call it on any failure).
+export async function createR2MultipartUpload({ key, contentType, contentDisposition = "attachment" } = {}) {
+  assertR2Configured();
+  if (!key) throw new Error("createR2MultipartUpload: key is required.");
+
+  const created = await r2.send(
+    new CreateMultipartUploadCommand({
+      Bucket: R2_BUCKET,
+      Key: key,
+      ContentType: contentType || "application/octet-stream",
+      CacheControl: "public, max-age=31536000, immutable",
+      ContentDisposition: contentDisposition,
+    })
+  );
+  const uploadId = created.UploadId;
+
+  const parts = [];
+  let pending = [];
+  let pendingBytes = 0;
+
+  const flush = async () => {
+    if (!pendingBytes) return;
+    const body = Buffer.concat(pending);
+    pending = [];
+    pendingBytes = 0;
+
+    const partNumber = parts.length + 1;
+    const out = await r2.send(
+      new UploadPartCommand({ Bucket: R2_BUCKET, Key: key, UploadId: uploadId, PartNumber: partNumber, Body: body })
+    );
+    parts.push({ ETag: out.ETag, PartNumber: partNumber });
+  };
+
+  return {
+    key,
+    async write(chunk) {
+      pending.push(chunk);
+      pendingBytes += chunk.length;
+      if (pendingBytes >= R2_MULTIPART_PART_BYTES) await flush();
+    },
+    async finish() {
+      await flush();
+      await r2.send(
+        new CompleteMultipartUploadCommand({
+          Bucket: R2_BUCKET,
+          Key: key,
+          UploadId: uploadId,
+          MultipartUpload: { Parts: parts },
+        })
+      );
+
+      const publicUrl = publicUrlForKey(key);
+      if (!publicUrl) {
+        throw new Error(
+          "Public URL could not be built. Set R2_PUBLIC_BASE_URL to a permanent public domain."
+        );
+      }
+      return { key, publicUrl, url: publicUrl };
+    },
+    async abort() {
+      pending = [];
+      pendingBytes = 0;
+      await r2
+        .send(new AbortMultipartUploadCommand({ Bucket: R2_BUCKET, Key: key, UploadId: uploadId }))
+        .catch(() => {});
+    },
+  };
+}
+
 export async function storeRemoteImageToR2({ url, kind = "generations", customerId = "anon" } = {}) {
   if (!url) throw new Error("storeRemoteImageToR2: url is required.");
 
@@ -161,6 +268,21 @@ export async function storeRemoteImageToR2({ url, kind = "generations", customer
   return putBufferToR2({ key, buffer: buf, contentType });
 }
 
+// ⚠️ Permanent: only used by the history trash purge (never for user-facing deletes).
+export async function deleteR2Object(key) {
+  assertR2Configured();
+  if (!key) throw new Error("deleteR2Object: key is required.");
+
+  await r2.send(
+    new DeleteObjectCommand({
+      Bucket: R2_BUCKET,
+      Key: key,
+    })
+  );
+
+  return { key, deleted: true };
+}
+
 // Backwards-compat shim: if any older code calls a "sign get" helper,
 // we still return a permanent public URL (NO expiry).
 export async function r2PutAndSignGet({ key, buffer, contentType } = {}) {
@@ -17,9 +17,36 @@ import { getSupabaseAdmin, sbEnabled, logAdminAction } from "./supabase.js";
 import { requireAdmin } from "./auth.js";
 
 import mmaRouter from "./server/mma/mma-router.js";
+import {
+  handleKlingCallback,
+  handleReplicateWebhook,
+  recoverGenerationTask,
+  startMmaJobs,
+} from "./server/mma/mma-controller.js";
+import { startSseBus } from "./server/mma/mma-sse.js";
 import fingertipsRouter from "./server/fingertips/fingertips-router.js";
 import mmaLogAdminRouter from "./src/routes/admin/mma-logadmin.js";
-import historyRouter from "./server/history-router.js";
+import historyRouter, { startHistoryTrashPurge } from "./server/history-router.js";
+import {
+  API_KEY_SCOPES,
+  apiKeyAuth,
+  createApiKey,
+  isApiKeyToken,
+  listApiKeys,
+  revokeApiKey,
+} from "./server/api-keys.js";
+import { rateLimit } from "./server/rate-limit.js";
+import { handlePublicDownload } from "./server/download-proxy.js";
+import { disableGlobalPreset, listGlobalPresets, publishGlobalPreset } from "./server/mma/mma-presets.js";
+import { buildCtxExperimentReport, getActiveCtxExperiment } from "./server/mma/mma-experiments.js";
+import {
+  PASS_IDENTITY_MODE,
+  isAnonPassId,
+  issuePassToken,
+  passIdentityGuard,
+  passTokensEnabled,
+  verifyPassToken,
+} from "./server/pass-identity.js";
 
 import {
   resolvePassId as megaResolvePassId,
@@ -127,8 +154,8 @@ const corsOptions = {
   },
   credentials: false,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-Mina-Pass-Id"],
-  exposedHeaders: ["X-Mina-Pass-Id"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Mina-Pass-Id", "X-Mina-Pass-Token", "X-Mina-Api-Key", "Range"],
+  exposedHeaders: ["X-Mina-Pass-Id", "Retry-After"],
   optionsSuccessStatus: 204,
 };
 
@@ -473,6 +500,11 @@ app.post("/api/credits/shopify-order", express.raw({ type: "application/json" })
       grantedAt,
     });
 
+    // Shopify retried the webhook while the first delivery was still running
+    if (out.alreadyApplied) {
+      return res.status(200).json({ ok: true, requestId, alreadyProcessed: true, orderId });
+    }
+
     if (shopifyCustomerId) {
       try {
         await addCustomerTag(shopifyCustomerId, SHOPIFY_MINA_TAG);
@@ -496,6 +528,96 @@ app.post("/api/credits/shopify-order", express.raw({ type: "application/json" })
   }
 });
 
+// ======================================================
+// Replicate webhook (RAW body + signature verify) — MMA completion
+// Standard Webhooks scheme: HMAC-SHA256 over "<webhook-id>.<webhook-timestamp>.<body>"
+// keyed with the base64 part of REPLICATE_WEBHOOK_SECRET ("whsec_...").
+// ======================================================
+const REPLICATE_WEBHOOK_SECRET = ENV.REPLICATE_WEBHOOK_SECRET || "";
+const REPLICATE_WEBHOOK_TOLERANCE_SEC = Number(ENV.REPLICATE_WEBHOOK_TOLERANCE_SEC || 300);
+
+function verifyReplicateWebhook({ secret, rawBody, webhookId, timestamp, signatureHeader }) {
+  if (!secret || !rawBody || !webhookId || !timestamp || !signatureHeader) return false;
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > REPLICATE_WEBHOOK_TOLERANCE_SEC) return false;
+
+  const key = Buffer.from(String(secret).replace(/^whsec_/, ""), "base64");
+  const digest = crypto.createHmac("sha256", key).update(`${webhookId}.${timestamp}.${rawBody}`, "utf8").digest("base64");
+  const a = Buffer.from(digest);
+
+  // header: space-separated "v1,<base64>" entries (several during secret rotation)
+  return String(signatureHeader)
+    .split(" ")
+    .some((entry) => {
+      const b = Buffer.from(entry.split(",")[1] || "");
+      return a.length === b.length && crypto.timingSafeEqual(a, b);
+    });
+}
+
+// RAW webhook MUST be before express.json()
+app.post("/webhooks/replicate", express.raw({ type: "application/json" }), async (req, res) => {
+  const requestId = `replicate_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    const rawBody = req.body?.toString("utf8") || "";
+
+    const ok = verifyReplicateWebhook({
+      secret: REPLICATE_WEBHOOK_SECRET,
+      rawBody,
+      webhookId: req.get("webhook-id") || "",
+      timestamp: req.get("webhook-timestamp") || "",
+      signatureHeader: req.get("webhook-signature") || "",
+    });
+    if (!ok) return res.status(401).json({ ok: false, error: "INVALID_SIGNATURE", requestId });
+
+    if (!sbEnabled()) return res.status(503).json({ ok: false, error: "NO_SUPABASE", requestId });
+
+    const prediction = rawBody ? JSON.parse(rawBody) : {};
+    const out = await handleReplicateWebhook(prediction);
+
+    // 200 for ignored deliveries too, otherwise Replicate keeps retrying
+    return res.status(200).json({ ok: true, requestId, ...out });
+  } catch (e) {
+    console.error("[replicate webhook] failed", e);
+    return res.status(500).json({ ok: false, error: "WEBHOOK_FAILED", requestId, message: e?.message || String(e) });
+  }
+});
+
+// ======================================================
+// Kling task callback — MMA video completion
+// Kling does not sign callbacks: callback_url carries ?token=KLING_CALLBACK_SECRET
+// and the controller re-queries the task before trusting anything.
+// ======================================================
+const KLING_CALLBACK_SECRET = ENV.KLING_CALLBACK_SECRET || "";
+
+function verifyKlingCallback({ secret, token }) {
+  if (!secret || !token) return false;
+  // hash both sides so timingSafeEqual gets equal lengths
+  const a = crypto.createHash("sha256").update(String(secret)).digest();
+  const b = crypto.createHash("sha256").update(String(token)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+app.post("/webhooks/kling", express.json({ limit: "1mb" }), async (req, res) => {
+  const requestId = `kling_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    const ok = verifyKlingCallback({ secret: KLING_CALLBACK_SECRET, token: String(req.query.token || "") });
+    if (!ok) return res.status(401).json({ ok: false, error: "INVALID_TOKEN", requestId });
+
+    if (!sbEnabled()) return res.status(503).json({ ok: false, error: "NO_SUPABASE", requestId });
+
+    const out = await handleKlingCallback(req.body || {});
+
+    // 200 for ignored deliveries too, otherwise Kling keeps retrying
+    return res.status(200).json({ ok: true, requestId, ...out });
+  } catch (e) {
+    console.error("[kling callback] failed", e);
+    return res.status(500).json({ ok: false, error: "CALLBACK_FAILED", requestId, message: e?.message || String(e) });
+  }
+});
+
 // ======================================================
 // Checkout return — Shopify thank-you page redirects here
 // ======================================================
@@ -513,29 +635,9 @@ app.use(express.urlencoded({ extended: true, limit: "30mb" }));
 
 // ======================================================
 // Public download proxy (avoids CORS on expired/third-party URLs)
+// Allowlisted hosts only, streamed, Range-aware (server/download-proxy.js)
 // ======================================================
-app.get("/public/download", async (req, res) => {
-  const url = String(req.query.url || "").trim();
-  if (!url) return res.status(400).json({ error: "Missing url param" });
-
-  try {
-    const upstream = await fetch(url, { redirect: "follow" });
-    if (!upstream.ok) return res.status(upstream.status).json({ error: `Upstream ${upstream.status}` });
-
-    const ct = upstream.headers.get("content-type") || "application/octet-stream";
-    const cl = upstream.headers.get("content-length");
-
-    res.setHeader("Content-Type", ct);
-    res.setHeader("Access-Control-Allow-Origin", "*");
-    if (cl) res.setHeader("Content-Length", cl);
-
-    const buf = Buffer.from(await upstream.arrayBuffer());
-    res.end(buf);
-  } catch (err) {
-    console.error("[download-proxy]", err?.message || err);
-    res.status(502).json({ error: "Failed to fetch upstream" });
-  }
-});
+app.get("/public/download", rateLimit("public_download"), handlePublicDownload);
 
 // ======================================================
 // Checkout: create a Shopify draft order with passId baked in
@@ -594,6 +696,27 @@ app.post("/api/checkout/create", async (req, res) => {
   }
 });
 
+// ======================================================
+// API keys (X-Mina-Api-Key / Bearer mina_sk_...): the key's pass wins
+// Requests without a key fall through to the passId / Supabase token flow.
+// ======================================================
+// reads need history:read; delete / restore need history:write
+app.use("/history", apiKeyAuth((req) => (req.method === "GET" || req.method === "HEAD" ? "history:read" : "history:write")));
+app.use("/mma", apiKeyAuth("mma:create"));
+app.use("/fingertips", apiKeyAuth("fingertips:run"));
+
+// ======================================================
+// Pass identity (PASS_IDENTITY_MODE=off|log|enforce, see server/pass-identity.js)
+// Spending + history routes only act as a pass the caller can prove.
+// ======================================================
+const mmaPassGuard = passIdentityGuard({ getAuthUser, label: "mma" });
+
+app.use("/history", passIdentityGuard({ getAuthUser, label: "history" }));
+app.use("/mma", (req, res, next) =>
+  req.method === "POST" || /^\/(generations\/[^/]+\/tree|brand-kits|presets)/.test(req.path) ? mmaPassGuard(req, res, next) : next()
+);
+app.use("/fingertips", passIdentityGuard({ getAuthUser, label: "fingertips" }));
+
 // ======================================================
 // History router (must be AFTER CORS + body parsers)
 // ======================================================
@@ -637,6 +760,15 @@ app.use("/mma", async (req, res, next) => {
   }
 });
 
+// ======================================================
+// MMA rate limits (creates per minute per pass/IP + in-flight generations per pass)
+// Runs after the passId middleware so limits key on the normalized pass.
+// ======================================================
+app.post(
+  ["/mma/still/create", "/mma/video/animate", "/mma/still/:generation_id/tweak", "/mma/video/:generation_id/tweak"],
+  rateLimit("mma_create")
+);
+
 // ======================================================
 // Auth helper (service role validates a user token)
 // ======================================================
@@ -653,7 +785,7 @@ function getBearerToken(req) {
 
 async function getAuthUser(req) {
   const token = getBearerToken(req);
-  if (!token) return null;
+  if (!token || isApiKeyToken(token)) return null;
 
   const supabase = getSupabaseAdmin();
   if (!supabase) return null;
@@ -724,6 +856,54 @@ app.post("/auth/shopify-sync", async (req, res) => {
   }
 });
 
+// ======================================================
+// Pass token: signed identity for anonymous passes
+// - signed-in users need none (pass:user:<id> is bound to the JWT)
+// - a valid token is re-issued as-is
+// - PASS_IDENTITY_MODE=log: an existing unsigned anon pass is signed once (migration)
+// - otherwise a fresh anon pass is minted
+// ======================================================
+app.post("/auth/pass-token", async (req, res) => {
+  const requestId = `passtok_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!passTokensEnabled()) return res.status(503).json({ ok: false, requestId, error: "PASS_TOKENS_DISABLED" });
+
+    const authUser = await getAuthUser(req);
+    if (authUser?.userId) {
+      const passId = normalizeIncomingPassId(`pass:user:${authUser.userId}`);
+      setPassIdHeader(res, passId);
+      return res.json({ ok: true, requestId, passId, passToken: null, via: "jwt", mode: PASS_IDENTITY_MODE });
+    }
+
+    const body = req.body || {};
+    const claimed = normalizeIncomingPassId(body.passId || body.pass_id || req.get("X-Mina-Pass-Id") || "");
+    const token = safeString(body.passToken || req.get("X-Mina-Pass-Token"), "");
+
+    let passId = "";
+    let via = "minted";
+
+    if (claimed && token && verifyPassToken(claimed, token)) {
+      passId = claimed;
+      via = "token";
+    } else if (claimed && !token && PASS_IDENTITY_MODE !== "enforce" && isAnonPassId(claimed)) {
+      passId = claimed;
+      via = "migrated";
+      console.warn("[pass-identity] signed existing anon pass (migration)", { passId, ip: req.ip });
+    } else {
+      passId = normalizeIncomingPassId(`pass:anon:${crypto.randomUUID()}`);
+    }
+
+    if (sbEnabled()) await megaEnsureCustomer({ passId });
+
+    setPassIdHeader(res, passId);
+    return res.json({ ok: true, requestId, passId, passToken: issuePassToken(passId), via, mode: PASS_IDENTITY_MODE });
+  } catch (e) {
+    console.error("POST /auth/pass-token failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "PASS_TOKEN_FAILED", message: e?.message || String(e) });
+  }
+});
+
 // ======================================================
 // Welcome matcha claim (5 free matchas for new users, 30-day expiry)
 // SKU: MINA-5, idempotent per passId
@@ -762,6 +942,10 @@ app.post("/api/welcome-matcha/claim", async (req, res) => {
       grantedAt: nowIso(),
     });
 
+    if (result.alreadyApplied) {
+      return res.json({ ok: true, requestId, passId, alreadyClaimed: true, balance: result.creditsAfter, expiresAt: result.expiresAt });
+    }
+
     return res.json({
       ok: true,
       requestId,
@@ -776,10 +960,80 @@ app.post("/api/welcome-matcha/claim", async (req, res) => {
   }
 });
 
+// ======================================================
+// API key management (signed-in owner: pass:user:<id>)
+// ======================================================
+function apiKeyErrorStatus(e) {
+  const code = String(e?.message || "");
+  if (code === "PASS_ID_REQUIRED" || code === "API_KEY_SCOPES_REQUIRED") return 400;
+  if (code === "API_KEY_LIMIT_REACHED") return 409;
+  return 500;
+}
+
+app.get("/api/keys", async (req, res) => {
+  const requestId = `apikeys_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const authUser = await getAuthUser(req);
+    if (!authUser?.userId) return res.status(401).json({ ok: false, requestId, error: "NOT_AUTHENTICATED" });
+
+    const passId = normalizeIncomingPassId(`pass:user:${authUser.userId}`);
+    const keys = await listApiKeys({ passId });
+    return res.json({ ok: true, requestId, passId, scopes: API_KEY_SCOPES, keys });
+  } catch (e) {
+    console.error("GET /api/keys failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "API_KEYS_FAILED", message: e?.message || String(e) });
+  }
+});
+
+app.post("/api/keys", async (req, res) => {
+  const requestId = `apikeys_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const authUser = await getAuthUser(req);
+    if (!authUser?.userId) return res.status(401).json({ ok: false, requestId, error: "NOT_AUTHENTICATED" });
+
+    const passId = normalizeIncomingPassId(`pass:user:${authUser.userId}`);
+    await megaEnsureCustomer({ passId, userId: authUser.userId, email: authUser.email || null });
+
+    const body = req.body || {};
+    const key = await createApiKey({ passId, name: body.name, scopes: body.scopes, createdBy: authUser.userId });
+    return res.json({ ok: true, requestId, passId, key });
+  } catch (e) {
+    const status = apiKeyErrorStatus(e);
+    if (status === 500) console.error("POST /api/keys failed", e);
+    return res.status(status).json({ ok: false, requestId, error: status === 500 ? "API_KEY_CREATE_FAILED" : e.message });
+  }
+});
+
+app.post("/api/keys/:key_id/revoke", async (req, res) => {
+  const requestId = `apikeys_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const authUser = await getAuthUser(req);
+    if (!authUser?.userId) return res.status(401).json({ ok: false, requestId, error: "NOT_AUTHENTICATED" });
+
+    const passId = normalizeIncomingPassId(`pass:user:${authUser.userId}`);
+    const key = await revokeApiKey({ keyId: req.params.key_id, passId, revokedBy: authUser.userId });
+    if (!key) return res.status(404).json({ ok: false, requestId, error: "NOT_FOUND" });
+
+    return res.json({ ok: true, requestId, passId, key });
+  } catch (e) {
+    console.error("POST /api/keys/:key_id/revoke failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "API_KEY_REVOKE_FAILED", message: e?.message || String(e) });
+  }
+});
+
 // ======================================================
 // Credits / Sessions / History / Feedback (MEGA)
 // ======================================================
-app.get("/credits/balance", async (req, res) => {
+app.get("/credits/balance", passIdentityGuard({ getAuthUser, label: "credits" }), async (req, res) => {
   const requestId = `credits_${Date.now()}_${crypto.randomUUID()}`;
 
   try {
@@ -792,8 +1046,17 @@ app.get("/credits/balance", async (req, res) => {
     const authUser = await getAuthUser(req);
     await megaEnsureCustomer({ passId, userId: authUser?.userId || null, email: authUser?.email || null });
 
-    const { credits, expiresAt } = await megaGetCredits(passId);
-    return res.json({ ok: true, requestId, passId, balance: credits, expiresAt, source: "mega_customers" });
+    const { credits, expiresAt, held, available } = await megaGetCredits(passId);
+    return res.json({
+      ok: true,
+      requestId,
+      passId,
+      balance: credits,
+      held,
+      available,
+      expiresAt,
+      source: "mega_customers",
+    });
   } catch (e) {
     console.error("GET /credits/balance failed", e);
     return res.status(500).json({ ok: false, requestId, error: "CREDITS_FAILED", message: e?.message || String(e) });
@@ -1032,6 +1295,9 @@ app.use("/fingertips", async (req, res, next) => {
     });
   }
 });
+app.post("/fingertips/generate", rateLimit("fingertips_generate"));
+app.post("/fingertips/recipes", rateLimit("fingertips_generate"));
+app.post("/fingertips/bulk", rateLimit("fingertips_generate"));
 app.use("/fingertips", fingertipsRouter);
 
 // ======================================================
@@ -1086,7 +1352,8 @@ app.post("/admin/credits/adjust", requireAdmin, async (req, res) => {
       reason: safeString(reason, "admin-adjust"),
       source: "admin",
       refType: "admin",
-      refId: req.user?.userId || requestId,
+      // unique per request: (mg_ref_type, mg_ref_id) is a unique key in the ledger
+      refId: `${req.user?.userId || "admin"}:${requestId}`,
       grantedAt: nowIso(),
     });
 
@@ -1104,6 +1371,223 @@ app.post("/admin/credits/adjust", requireAdmin, async (req, res) => {
   }
 });
 
+// API keys for any pass (agency / studio accounts without a Supabase login)
+app.get("/admin/api-keys", requireAdmin, async (req, res) => {
+  const requestId = `admapikeys_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const passId = normalizeIncomingPassId(req.query.passId || req.query.pass_id || "");
+    if (!passId) return res.status(400).json({ ok: false, requestId, error: "PASS_ID_REQUIRED" });
+
+    const keys = await listApiKeys({ passId });
+    return res.json({ ok: true, requestId, passId, scopes: API_KEY_SCOPES, keys });
+  } catch (e) {
+    console.error("GET /admin/api-keys failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ADMIN_API_KEYS_FAILED", message: e?.message || String(e) });
+  }
+});
+
+app.post("/admin/api-keys", requireAdmin, async (req, res) => {
+  const requestId = `admapikeys_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const body = req.body || {};
+    const passId = normalizeIncomingPassId(body.passId || body.pass_id || "");
+    if (!passId) return res.status(400).json({ ok: false, requestId, error: "PASS_ID_REQUIRED" });
+
+    await megaEnsureCustomer({ passId });
+    const key = await createApiKey({ passId, name: body.name, scopes: body.scopes, createdBy: req.user?.email || null });
+
+    void logAdminAction({
+      userId: req.user?.userId,
+      email: req.user?.email,
+      action: "admin.api_key.create",
+      status: 200,
+      route: "/admin/api-keys",
+      method: "POST",
+      detail: { passId, keyId: key.key_id, scopes: key.scopes },
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    return res.json({ ok: true, requestId, passId, key });
+  } catch (e) {
+    const status = apiKeyErrorStatus(e);
+    if (status === 500) console.error("POST /admin/api-keys failed", e);
+    return res.status(status).json({ ok: false, requestId, error: status === 500 ? "ADMIN_API_KEY_CREATE_FAILED" : e.message });
+  }
+});
+
+app.post("/admin/api-keys/:key_id/revoke", requireAdmin, async (req, res) => {
+  const requestId = `admapikeys_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const key = await revokeApiKey({ keyId: req.params.key_id, revokedBy: req.user?.email || null });
+    const status = key ? 200 : 404;
+
+    void logAdminAction({
+      userId: req.user?.userId,
+      email: req.user?.email,
+      action: "admin.api_key.revoke",
+      status,
+      route: "/admin/api-keys/:key_id/revoke",
+      method: "POST",
+      detail: { keyId: req.params.key_id, passId: key?.pass_id || null },
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    if (!key) return res.status(404).json({ ok: false, requestId, error: "NOT_FOUND" });
+    return res.json({ ok: true, requestId, key });
+  } catch (e) {
+    console.error("POST /admin/api-keys/:key_id/revoke failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ADMIN_API_KEY_REVOKE_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// Re-query a generation's provider task and finish it (renders that completed after we gave up)
+app.post("/admin/mma/generations/:generation_id/recover-task", requireAdmin, async (req, res) => {
+  const requestId = `admrecover_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const generationId = safeString(req.params.generation_id, "");
+    const { taskId, charge } = req.body || {};
+
+    const out = await recoverGenerationTask({
+      generationId,
+      taskId: safeString(taskId, ""),
+      charge: charge === true,
+    });
+    const status = out.ok ? 200 : out.error === "NOT_FOUND" ? 404 : 409;
+
+    void logAdminAction({
+      userId: req.user?.userId,
+      email: req.user?.email,
+      action: "admin.mma.recover_task",
+      status,
+      route: "/admin/mma/generations/:generation_id/recover-task",
+      method: "POST",
+      detail: { generationId, taskId: out.task?.id || taskId || null, recovered: !!out.recovered, charged: !!out.charged },
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    return res.status(status).json({ ...out, requestId });
+  } catch (e) {
+    console.error("POST /admin/mma/generations/:generation_id/recover-task failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ADMIN_RECOVER_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// ======================================================
+// Admin: global MMA presets (mega_admin app_config, one row per version)
+// ======================================================
+app.get("/admin/mma/presets", requireAdmin, async (req, res) => {
+  const requestId = `admpresets_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const presets = await listGlobalPresets({ includeDisabled: true });
+    return res.json({ ok: true, requestId, presets });
+  } catch (e) {
+    console.error("GET /admin/mma/presets failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ADMIN_PRESETS_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// publish = new version of <slug> (creates the preset on first publish)
+app.post("/admin/mma/presets/:slug", requireAdmin, async (req, res) => {
+  const requestId = `admpresets_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const preset = await publishGlobalPreset({ slug: req.params.slug, input: req.body || {} });
+
+    void logAdminAction({
+      userId: req.user?.userId,
+      email: req.user?.email,
+      action: "admin.mma.preset.publish",
+      status: 200,
+      route: "/admin/mma/presets/:slug",
+      method: "POST",
+      detail: { presetId: preset.preset_id, version: preset.version },
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    return res.json({ ok: true, requestId, preset });
+  } catch (e) {
+    if (e?.statusCode) return res.status(e.statusCode).json({ ok: false, requestId, error: e.message, field: e.field });
+    console.error("POST /admin/mma/presets/:slug failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ADMIN_PRESET_PUBLISH_FAILED", message: e?.message || String(e) });
+  }
+});
+
+app.post("/admin/mma/presets/:slug/disable", requireAdmin, async (req, res) => {
+  const requestId = `admpresets_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const out = await disableGlobalPreset({ slug: req.params.slug });
+    const status = out ? 200 : 404;
+
+    void logAdminAction({
+      userId: req.user?.userId,
+      email: req.user?.email,
+      action: "admin.mma.preset.disable",
+      status,
+      route: "/admin/mma/presets/:slug/disable",
+      method: "POST",
+      detail: { presetId: req.params.slug },
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    if (!out) return res.status(404).json({ ok: false, requestId, error: "NOT_FOUND" });
+    return res.json({ ok: true, requestId, ...out });
+  } catch (e) {
+    console.error("POST /admin/mma/presets/:slug/disable failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ADMIN_PRESET_DISABLE_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// ======================================================
+// Admin: mma_ctx A/B experiments
+// ======================================================
+// ?experiment_id= (defaults to the active experiment) &since=<ISO date>
+app.get("/admin/mma/experiments/report", requireAdmin, async (req, res) => {
+  const requestId = `admexp_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const active = await getActiveCtxExperiment(getSupabaseAdmin());
+    const experimentId = String(req.query.experiment_id || "").trim() || active?.experiment_id || "";
+    if (!experimentId) return res.status(400).json({ ok: false, requestId, error: "EXPERIMENT_ID_REQUIRED" });
+
+    const sinceRaw = String(req.query.since || "").trim();
+    const since = sinceRaw ? new Date(sinceRaw) : null;
+    if (since && Number.isNaN(since.getTime())) return res.status(400).json({ ok: false, requestId, error: "INVALID_SINCE" });
+
+    const report = await buildCtxExperimentReport({ experimentId, since: since ? since.toISOString() : null });
+    return res.json({ ok: true, requestId, active, ...report });
+  } catch (e) {
+    console.error("GET /admin/mma/experiments/report failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "ADMIN_EXPERIMENT_REPORT_FAILED", message: e?.message || String(e) });
+  }
+});
+
 // ======================================================
 // Error middleware + listen
 // ======================================================
@@ -1112,5 +1596,12 @@ app.use(errorMiddleware);
 app.listen(PORT, () => {
   console.log(`Mina MMA API (MMA+MEGA) listening on port ${PORT}`);
 
+  // Hard-delete history trash older than HISTORY_TRASH_DAYS (+ R2 outputs)
+  startHistoryTrashPurge();
+
+  // Cross-instance SSE fan-out (MMA_SSE_BUS=memory|postgres)
+  startSseBus().catch((e) => console.error("[mma-sse] bus start failed", e?.message || e));
 
+  // MMA job worker + recovery sweep for generations orphaned by a restart
+  startMmaJobs();
 });
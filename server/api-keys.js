@@ -0,0 +1,267 @@
+// ./server/api-keys.js
+// Per-account API keys (agencies, scripts, DAM integrations)
+// - key format: mina_sk_<key_id>_<secret>  (key_id is public, only sha256(secret) is stored)
+// - stored as mega_generations rows (mg_record_type = "api_key"), see supabase/mega_api_keys.sql
+// - a key acts as its owner's passId: client-supplied pass ids are overridden
+// - scopes gate which mounts a key may call (apiKeyAuth(scope) in server.js)
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../supabase.js";
+
+// =========================
+// Config (edit here)
+// =========================
+export const API_KEY_SCOPES = ["mma:create", "fingertips:run", "history:read", "history:write"];
+
+const KEY_PREFIX = "mina_sk_";
+const KEY_RE = /^mina_sk_([a-f0-9]{16})_([A-Za-z0-9_-]{32,128})$/;
+const MAX_KEYS_PER_PASS = Number(process.env.API_KEYS_MAX_PER_PASS || 20);
+
+// =========================
+// Helpers
+// =========================
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeString(v, fallback = "") {
+  if (v === null || v === undefined) return fallback;
+  const s = String(v).trim();
+  return s ? s : fallback;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret || ""), "utf8").digest("hex");
+}
+
+function sameHash(a, b) {
+  const x = Buffer.from(String(a || ""), "hex");
+  const y = Buffer.from(String(b || ""), "hex");
+  return x.length === 32 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function normalizeScopes(raw) {
+  const list = Array.isArray(raw) ? raw : safeString(raw, "").split(/[\s,]+/g);
+  const out = [];
+  for (const s of list) {
+    const scope = safeString(s, "");
+    if (scope && API_KEY_SCOPES.includes(scope) && !out.includes(scope)) out.push(scope);
+  }
+  return out;
+}
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+// JSON-safe view (never includes the hash)
+function publicKeyView(row) {
+  const meta = row?.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  return {
+    key_id: String(row?.mg_id || "").replace(/^api_key:/, ""),
+    pass_id: row?.mg_pass_id || null,
+    name: row?.mg_title || null,
+    prefix: meta.key_prefix || null,
+    scopes: Array.isArray(meta.scopes) ? meta.scopes : [],
+    status: row?.mg_status || null,
+    usage: meta.usage || { total: 0, scopes: {}, last_used_at: null },
+    created_at: row?.mg_created_at || null,
+    revoked_at: meta.revoked_at || null,
+  };
+}
+
+// Raw key from X-Mina-Api-Key or "Authorization: Bearer mina_sk_..."
+export function readApiKey(req) {
+  const header = safeString(req?.get?.("X-Mina-Api-Key") || req?.headers?.["x-mina-api-key"], "");
+  if (header) return header;
+
+  const auth = String(req?.headers?.authorization || "");
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  const token = m ? m[1].trim() : "";
+  return token.startsWith(KEY_PREFIX) ? token : "";
+}
+
+export function isApiKeyToken(token) {
+  return safeString(token, "").startsWith(KEY_PREFIX);
+}
+
+// =========================
+// Management
+// =========================
+export async function createApiKey({ passId, name = "", scopes = [], createdBy = null }) {
+  const supabase = requireSupabase();
+
+  const pid = safeString(passId, "");
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+
+  const cleanScopes = normalizeScopes(scopes);
+  if (!cleanScopes.length) throw new Error("API_KEY_SCOPES_REQUIRED");
+
+  const { count, error: countErr } = await supabase
+    .from("mega_generations")
+    .select("mg_id", { count: "exact", head: true })
+    .eq("mg_record_type", "api_key")
+    .eq("mg_pass_id", pid)
+    .eq("mg_status", "active");
+  if (countErr) throw countErr;
+  if ((count || 0) >= MAX_KEYS_PER_PASS) throw new Error("API_KEY_LIMIT_REACHED");
+
+  const keyId = crypto.randomBytes(8).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `${KEY_PREFIX}${keyId}_${secret}`;
+  const ts = nowIso();
+
+  const row = {
+    mg_id: `api_key:${keyId}`,
+    mg_record_type: "api_key",
+    mg_pass_id: pid,
+    mg_status: "active",
+    mg_title: safeString(name, "API key").slice(0, 120),
+    mg_meta: {
+      key_hash: hashSecret(secret),
+      key_prefix: `${KEY_PREFIX}${keyId}`,
+      scopes: cleanScopes,
+      created_by: createdBy || null,
+      usage: { total: 0, scopes: {}, last_used_at: null },
+    },
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  };
+
+  const { error } = await supabase.from("mega_generations").insert(row);
+  if (error) throw error;
+
+  // ✅ the only time the full key leaves the server
+  return { ...publicKeyView(row), key };
+}
+
+export async function listApiKeys({ passId }) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_title, mg_status, mg_meta, mg_created_at")
+    .eq("mg_record_type", "api_key")
+    .eq("mg_pass_id", safeString(passId, ""))
+    .order("mg_created_at", { ascending: false })
+    .limit(200);
+
+  if (error) throw error;
+  return (data || []).map(publicKeyView);
+}
+
+// passId scopes the revoke to the owner; admins pass null
+export async function revokeApiKey({ keyId, passId = null, revokedBy = null }) {
+  const supabase = requireSupabase();
+
+  let q = supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_title, mg_status, mg_meta, mg_created_at")
+    .eq("mg_id", `api_key:${safeString(keyId, "")}`)
+    .eq("mg_record_type", "api_key");
+  if (passId) q = q.eq("mg_pass_id", passId);
+
+  const { data: row, error } = await q.maybeSingle();
+  if (error) throw error;
+  if (!row) return null;
+  if (row.mg_status === "revoked") return publicKeyView(row);
+
+  const meta = { ...(row.mg_meta || {}), revoked_at: nowIso(), revoked_by: revokedBy || null };
+
+  const { error: upErr } = await supabase
+    .from("mega_generations")
+    .update({ mg_status: "revoked", mg_meta: meta, mg_updated_at: nowIso() })
+    .eq("mg_id", row.mg_id)
+    .eq("mg_record_type", "api_key");
+  if (upErr) throw upErr;
+
+  return publicKeyView({ ...row, mg_status: "revoked", mg_meta: meta });
+}
+
+// =========================
+// Verification + usage
+// =========================
+export async function verifyApiKey(rawKey) {
+  const m = safeString(rawKey, "").match(KEY_RE);
+  if (!m) return null;
+
+  const supabase = requireSupabase();
+  const { data: row, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_pass_id, mg_status, mg_meta")
+    .eq("mg_id", `api_key:${m[1]}`)
+    .eq("mg_record_type", "api_key")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row || row.mg_status !== "active") return null;
+  if (!sameHash(hashSecret(m[2]), row.mg_meta?.key_hash)) return null;
+
+  return {
+    keyId: m[1],
+    passId: row.mg_pass_id,
+    scopes: Array.isArray(row.mg_meta?.scopes) ? row.mg_meta.scopes : [],
+  };
+}
+
+export async function recordApiKeyUsage({ keyId, scope = null }) {
+  try {
+    const supabase = requireSupabase();
+    const { error } = await supabase.rpc("mega_touch_api_key", { p_key_id: keyId, p_scope: scope });
+    if (error) throw error;
+  } catch (e) {
+    console.warn("[api-keys] usage counter failed", keyId, e?.message || e);
+  }
+}
+
+/**
+ * Express middleware for a mount that accepts API keys.
+ * - no key => next() (pass id / Supabase token flow unchanged)
+ * - invalid / revoked key => 401, missing scope => 403
+ * - valid key => req.apiKey, and the key owner's passId replaces any client-supplied one
+ */
+// scope: a scope name, or (req) => scope name for mounts that split by method
+export function apiKeyAuth(scopeOrFn) {
+  return async (req, res, next) => {
+    const raw = readApiKey(req);
+    if (!raw) return next();
+
+    const scope = typeof scopeOrFn === "function" ? scopeOrFn(req) : scopeOrFn;
+
+    const requestId = `apikey_${Date.now()}_${crypto.randomUUID()}`;
+
+    try {
+      const key = await verifyApiKey(raw);
+      if (!key) return res.status(401).json({ ok: false, requestId, error: "INVALID_API_KEY" });
+      if (!key.scopes.includes(scope)) {
+        return res.status(403).json({ ok: false, requestId, error: "API_KEY_SCOPE_MISSING", scope });
+      }
+
+      // /history/pass/:passId names the pass in the path: it must be the key's own
+      const pathPass = String(req.path || "").match(/^\/pass\/([^/]+)/);
+      if (pathPass && decodeURIComponent(pathPass[1]) !== key.passId) {
+        return res.status(403).json({ ok: false, requestId, error: "API_KEY_PASS_MISMATCH" });
+      }
+
+      req.apiKey = key;
+      req.headers["x-mina-pass-id"] = key.passId;
+      if (req.query && typeof req.query === "object") {
+        if (req.query.passId) req.query.passId = key.passId;
+        if (req.query.customerId) req.query.customerId = key.passId;
+      }
+      if (req.body && typeof req.body === "object") {
+        req.body.passId = key.passId;
+        req.body.pass_id = key.passId;
+        if (req.body.customerId) req.body.customerId = key.passId;
+      }
+
+      void recordApiKeyUsage({ keyId: key.keyId, scope });
+      return next();
+    } catch (e) {
+      console.error("[api-keys] verify failed", e?.message || e);
+      return res.status(500).json({ ok: false, requestId, error: "API_KEY_CHECK_FAILED" });
+    }
+  };
+}
@@ -0,0 +1,301 @@
+// ./server/download-proxy.js
+// GET /public/download?url=...&filename=... (avoids CORS on provider / R2 URLs)
+// - https only, host allowlist (our R2 endpoint + public base, Replicate delivery, Kling CDN, + DOWNLOAD_PROXY_ALLOWED_HOSTS)
+// - every hop (redirects included) is re-checked; private / reserved IPs are refused at connect time
+//   (custom dns lookup, so a host can't resolve public for the check and private for the connect)
+// - streamed to the client with a byte cap, client disconnect aborts upstream
+// - single Range requests pass through (video scrubbing)
+// - always Content-Disposition: attachment (+ filename); only image/* and video/* types pass, the rest is octet-stream
+
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+
+// =========================
+// Config (edit here)
+// =========================
+const MAX_BYTES = Number(process.env.DOWNLOAD_PROXY_MAX_BYTES || 500 * 1024 * 1024);
+const TIMEOUT_MS = Number(process.env.DOWNLOAD_PROXY_TIMEOUT_MS || 30000);
+const MAX_REDIRECTS = 3;
+
+// exact host, or ".suffix" for any subdomain
+// (no ".r2.cloudflarestorage.com": any Cloudflare account's bucket would match, only ours is added below)
+const BUILTIN_HOSTS = [".replicate.delivery", "replicate.delivery", ".klingai.com"];
+
+const PASS_HEADERS = ["content-length", "content-range", "accept-ranges", "etag", "last-modified"];
+
+function allowedHosts() {
+  const out = [...BUILTIN_HOSTS];
+
+  // our R2 endpoint (same default as r2.js), path-style and bucket-subdomain presigned URLs
+  try {
+    const accountId = String(process.env.R2_ACCOUNT_ID || "").trim();
+    const endpoint = String(process.env.R2_ENDPOINT || "").trim() || (accountId ? `https://${accountId}.r2.cloudflarestorage.com` : "");
+    if (endpoint) {
+      const host = new URL(endpoint).hostname.toLowerCase();
+      const bucket = String(process.env.R2_BUCKET || "").trim().toLowerCase();
+      out.push(host);
+      if (bucket) out.push(`${bucket}.${host}`);
+    }
+  } catch {}
+
+  try {
+    const base = String(process.env.R2_PUBLIC_BASE_URL || "").trim();
+    if (base) out.push(new URL(base).hostname.toLowerCase());
+  } catch {}
+
+  for (const h of String(process.env.DOWNLOAD_PROXY_ALLOWED_HOSTS || "").split(",")) {
+    const v = h.trim().toLowerCase();
+    if (v) out.push(v);
+  }
+
+  return out;
+}
+
+// =========================
+// Helpers
+// =========================
+function isAllowedHost(hostname) {
+  const host = String(hostname || "").toLowerCase().replace(/\.$/, "");
+  if (!host || net.isIP(host)) return false;
+  return allowedHosts().some((h) => (h.startsWith(".") ? host.endsWith(h) : host === h));
+}
+
+function ipv4ToInt(ip) {
+  return ip.split(".").reduce((acc, p) => (acc << 8) + Number(p), 0) >>> 0;
+}
+
+const PRIVATE_V4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].map(([base, bits]) => [ipv4ToInt(base), (~0 << (32 - bits)) >>> 0]);
+
+// "2002:7f00:1::" / "::ffff:127.0.0.1" => eight 16-bit words (zone id dropped)
+function ipv6ToWords(ip) {
+  let addr = ip.split("%")[0];
+
+  const v4 = addr.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = ipv4ToInt(v4[1]);
+    addr = `${addr.slice(0, -v4[1].length)}${(n >>> 16).toString(16)}:${(n & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail] = addr.split("::");
+  const parse = (part) => (part ? part.split(":").map((w) => parseInt(w, 16)) : []);
+  const left = parse(head);
+  const right = tail === undefined ? [] : parse(tail);
+  return [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+}
+
+const wordsToIpv4 = (hi, lo) => [hi >>> 8, hi & 0xff, lo >>> 8, lo & 0xff].join(".");
+
+// IPv6 forms that carry an IPv4 address (checked as that address):
+// ::a.b.c.d (compatible, incl. :: and ::1), ::ffff:a.b.c.d (mapped), 64:ff9b::/96 (NAT64),
+// 2002::/16 (6to4, address in words 1-2), 2001::/32 (Teredo, client address inverted in words 6-7)
+function embeddedIpv4(w) {
+  const zeros = (from, to) => w.slice(from, to).every((x) => x === 0);
+
+  if (zeros(0, 5) && (w[5] === 0 || w[5] === 0xffff)) return wordsToIpv4(w[6], w[7]);
+  if (w[0] === 0x64 && w[1] === 0xff9b && zeros(2, 6)) return wordsToIpv4(w[6], w[7]);
+  if (w[0] === 0x2002) return wordsToIpv4(w[1], w[2]);
+  if (w[0] === 0x2001 && w[1] === 0) return wordsToIpv4(~w[6] & 0xffff, ~w[7] & 0xffff);
+  return null;
+}
+
+export function isPrivateIp(ip) {
+  const addr = String(ip || "").toLowerCase();
+
+  if (net.isIPv4(addr)) {
+    const n = ipv4ToInt(addr);
+    return PRIVATE_V4.some(([base, mask]) => ((n & mask) >>> 0) === base);
+  }
+
+  if (net.isIPv6(addr)) {
+    const w = ipv6ToWords(addr);
+    if (w.length !== 8 || w.some((x) => !Number.isInteger(x))) return true;
+
+    const v4 = embeddedIpv4(w);
+    if (v4) return isPrivateIp(v4);
+
+    if (w[0] === 0x64 && w[1] === 0xff9b && w[2] === 1) return true; // 64:ff9b:1::/48 local-use NAT64
+    if ((w[0] & 0xfe00) === 0xfc00) return true; // fc00::/7 unique local
+    if ((w[0] & 0xffc0) === 0xfe80) return true; // fe80::/10 link local
+    if ((w[0] & 0xff00) === 0xff00) return true; // multicast
+    return false;
+  }
+
+  return true;
+}
+
+// dns.lookup wrapper used by the socket itself: the address we connect to is the one we checked
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const list = Array.isArray(addresses) ? addresses : [];
+    const bad = list.find((a) => isPrivateIp(a.address));
+    if (!list.length || bad) {
+      const e = new Error("DOWNLOAD_PRIVATE_ADDRESS");
+      e.code = "DOWNLOAD_PRIVATE_ADDRESS";
+      return callback(e);
+    }
+
+    if (options?.all) return callback(null, list);
+    return callback(null, list[0].address, list[0].family);
+  });
+}
+
+function httpError(status, code) {
+  const err = new Error(code);
+  err.statusCode = status;
+  err.code = code;
+  return err;
+}
+
+function checkUrl(raw) {
+  let url;
+  try {
+    url = new URL(String(raw || ""));
+  } catch {
+    throw httpError(400, "INVALID_URL");
+  }
+  if (url.protocol !== "https:") throw httpError(400, "HTTPS_ONLY");
+  if (url.username || url.password) throw httpError(400, "INVALID_URL");
+  if (!isAllowedHost(url.hostname)) throw httpError(403, "HOST_NOT_ALLOWED");
+  return url;
+}
+
+// Only one "bytes=a-b" range is forwarded; anything else => full body
+function parseRange(raw) {
+  const s = String(raw || "").trim();
+  return /^bytes=\d*-\d*$/.test(s) && s !== "bytes=-" ? s : "";
+}
+
+// Served from our origin with ACAO *: nothing the browser could render as a page (html, svg, ...)
+export function downloadContentType(raw) {
+  const type = String(raw || "").split(";")[0].trim().toLowerCase();
+  if (/^(image|video)\/[a-z0-9.+-]+$/.test(type) && !type.includes("svg")) return type;
+  return "application/octet-stream";
+}
+
+function contentDisposition(filename) {
+  const clean = String(filename || "")
+    .replace(/[\r\n"\\/]/g, "")
+    .trim()
+    .slice(0, 180);
+  if (!clean) return "attachment";
+
+  const ascii = clean.replace(/[^\x20-\x7e]/g, "_");
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(clean)}`;
+}
+
+function requestUpstream(url, { range }) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(
+      url,
+      {
+        lookup: safeLookup,
+        timeout: TIMEOUT_MS,
+        headers: {
+          "User-Agent": "Mina-Download-Proxy/1.0",
+          Accept: "*/*",
+          ...(range ? { Range: range } : {}),
+        },
+      },
+      resolve
+    );
+    req.on("timeout", () => req.destroy(httpError(504, "UPSTREAM_TIMEOUT")));
+    req.on("error", reject);
+  });
+}
+
+// Follows redirects by hand so each hop goes through checkUrl + safeLookup
+async function openUpstream(rawUrl, { range }) {
+  let url = checkUrl(rawUrl);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const upstream = await requestUpstream(url, { range });
+    const status = upstream.statusCode || 0;
+
+    if (status >= 300 && status < 400 && upstream.headers.location) {
+      upstream.resume();
+      url = checkUrl(new URL(upstream.headers.location, url).toString());
+      continue;
+    }
+
+    return upstream;
+  }
+
+  throw httpError(502, "TOO_MANY_REDIRECTS");
+}
+
+// =========================
+// Route handler
+// =========================
+export async function handlePublicDownload(req, res) {
+  const rawUrl = String(req.query.url || "").trim();
+  if (!rawUrl) return res.status(400).json({ error: "Missing url param" });
+
+  let upstream = null;
+
+  try {
+    upstream = await openUpstream(rawUrl, { range: parseRange(req.get("range")) });
+    const status = upstream.statusCode || 502;
+
+    if (status !== 200 && status !== 206) {
+      upstream.resume();
+      return res.status(status === 416 ? 416 : status >= 500 ? 502 : status).json({ error: `Upstream ${status}` });
+    }
+
+    const declared = Number(upstream.headers["content-length"] || 0);
+    if (declared > MAX_BYTES) {
+      upstream.destroy();
+      return res.status(413).json({ error: "FILE_TOO_LARGE", maxBytes: MAX_BYTES });
+    }
+
+    res.status(status);
+    for (const h of PASS_HEADERS) {
+      if (upstream.headers[h]) res.setHeader(h, upstream.headers[h]);
+    }
+    res.setHeader("Content-Type", downloadContentType(upstream.headers["content-type"]));
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Expose-Headers", "Content-Length, Content-Range, Accept-Ranges, Content-Disposition");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+
+    res.setHeader("Content-Disposition", contentDisposition(req.query.filename));
+
+    let sent = 0;
+    upstream.on("data", (chunk) => {
+      sent += chunk.length;
+      if (sent > MAX_BYTES) {
+        console.warn("[download-proxy] size cap hit", { host: new URL(rawUrl).hostname, sent });
+        upstream.destroy();
+        res.destroy();
+      }
+    });
+    upstream.on("error", () => res.destroy());
+    res.on("close", () => upstream.destroy());
+
+    upstream.pipe(res);
+  } catch (err) {
+    upstream?.destroy?.();
+    const status = err?.code === "DOWNLOAD_PRIVATE_ADDRESS" ? 403 : err?.statusCode || 502;
+    const error = err?.code === "DOWNLOAD_PRIVATE_ADDRESS" ? "ADDRESS_NOT_ALLOWED" : err?.statusCode ? err.code : "Failed to fetch upstream";
+
+    if (status >= 500) console.error("[download-proxy]", err?.message || err);
+    if (!res.headersSent) res.status(status).json({ error });
+    else res.destroy();
+  }
+}
@@ -117,6 +117,97 @@ export const FINGERTIPS_MODELS = {
       image: { type: "uri", required: true, description: "Input raster image (PNG, JPG, WEBP) to convert to SVG" },
     },
   },
+
+  // ==========================================================================
+  // Local tools (sharp, in-process, see fingertips-local.js): free, no provider
+  // The output keeps the source format unless converted.
+  // ==========================================================================
+  crop: {
+    provider: "local",
+    replicateModel: null,
+    costPerGeneration: 0,
+    label: "Crop",
+    description: "Cut a rectangle out of the image (pixels, from the top-left corner)",
+    inputSchema: {
+      image: { type: "uri", required: true, description: "Source image (stored asset URL or data URL)" },
+      left: { type: "integer", required: false, default: 0, description: "Left edge of the box (px)" },
+      top: { type: "integer", required: false, default: 0, description: "Top edge of the box (px)" },
+      width: { type: "integer", required: true, description: "Box width (px)" },
+      height: { type: "integer", required: true, description: "Box height (px)" },
+    },
+  },
+
+  resize: {
+    provider: "local",
+    replicateModel: null,
+    costPerGeneration: 0,
+    label: "Resize",
+    description: "Scale the image to a width and/or height",
+    inputSchema: {
+      image: { type: "uri", required: true, description: "Source image (stored asset URL or data URL)" },
+      width: { type: "integer", required: false, description: "Target width (px, up to 8192). Width or height is required." },
+      height: { type: "integer", required: false, description: "Target height (px, up to 8192)" },
+      fit: { type: "string", required: false, default: "inside", description: "inside (keep ratio, fit in box), cover (crop to fill), contain (letterbox), fill (stretch)" },
+      color: { type: "string", required: false, description: "Letterbox colour for fit=contain (#rrggbb or transparent)" },
+      without_enlargement: { type: "boolean", required: false, default: false, description: "Never make the image larger" },
+    },
+  },
+
+  rotate: {
+    provider: "local",
+    replicateModel: null,
+    costPerGeneration: 0,
+    label: "Rotate / Flip",
+    description: "Rotate by any angle and/or mirror the image",
+    inputSchema: {
+      image: { type: "uri", required: true, description: "Source image (stored asset URL or data URL)" },
+      angle: { type: "number", required: false, default: 0, description: "Clockwise angle in degrees (-360 to 360)" },
+      flip: { type: "boolean", required: false, default: false, description: "Mirror top to bottom" },
+      flop: { type: "boolean", required: false, default: false, description: "Mirror left to right" },
+      color: { type: "string", required: false, description: "Fill for the corners of a non-right angle (#rrggbb or transparent)" },
+    },
+  },
+
+  convert: {
+    provider: "local",
+    replicateModel: null,
+    costPerGeneration: 0,
+    label: "Convert Format",
+    description: "Re-encode the image as PNG, JPEG, WebP or AVIF",
+    inputSchema: {
+      image: { type: "uri", required: true, description: "Source image (stored asset URL or data URL)" },
+      format: { type: "string", required: true, description: "png, jpeg, webp or avif" },
+      quality: { type: "integer", required: false, default: 90, description: "1-100 (jpeg, webp, avif)" },
+      color: { type: "string", required: false, description: "Background for transparent areas when converting to jpeg (default white)" },
+    },
+  },
+
+  pad: {
+    provider: "local",
+    replicateModel: null,
+    costPerGeneration: 0,
+    label: "Pad to Aspect Ratio",
+    description: "Add borders to reach an aspect ratio, image centred",
+    inputSchema: {
+      image: { type: "uri", required: true, description: "Source image (stored asset URL or data URL)" },
+      aspect_ratio: { type: "string", required: true, description: "Target ratio, e.g. 1:1, 4:5, 16:9" },
+      color: { type: "string", required: false, default: "#ffffff", description: "Border colour (#rrggbb, #rrggbbaa or transparent)" },
+    },
+  },
+
+  adjust: {
+    provider: "local",
+    replicateModel: null,
+    costPerGeneration: 0,
+    label: "Adjust",
+    description: "Brightness, contrast and saturation (1 = unchanged)",
+    inputSchema: {
+      image: { type: "uri", required: true, description: "Source image (stored asset URL or data URL)" },
+      brightness: { type: "number", required: false, default: 1, description: "0-3, 1 = unchanged" },
+      contrast: { type: "number", required: false, default: 1, description: "0-3, 1 = unchanged" },
+      saturation: { type: "number", required: false, default: 1, description: "0-3, 0 = greyscale, 1 = unchanged" },
+    },
+  },
 };
 
 // Quick lookups
@@ -126,6 +217,10 @@ export function getFingertipsModel(key) {
   return FINGERTIPS_MODELS[key] || null;
 }
 
+export function isLocalFingertipsModel(key) {
+  return FINGERTIPS_MODELS[key]?.provider === "local";
+}
+
 export function getFingertipsCost(key) {
   const m = FINGERTIPS_MODELS[key];
   return m ? m.costPerGeneration : null;
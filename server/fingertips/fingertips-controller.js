@@ -7,7 +7,8 @@
 //      the user's main balance and add 1.0 to their "fingertips pool".
 //   3. Each generation then subtracts its cost from the pool.
 //   4. When pool < model cost, another matcha is deducted.
-//   5. Pool state is stored in mega_customers.mg_mma_preferences.fingertips_pool.
+//   5. Pool state is a ledger: mega_customers.mg_fingertips_pool_units (fixed point,
+//      1 matcha = 1000 units) + one fingertips_pool_tx row per refill / draw / refund.
 //
 // This means the user always sees whole-matcha deductions but gets multiple
 // generations per matcha depending on the model used.
@@ -18,16 +19,34 @@ import OpenAI from "openai";
 import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 
 import {
-  megaEnsureCustomer,
   megaGetCredits,
-  megaAdjustCredits,
-  megaHasCreditRef,
+  megaGetFingertipsPool,
+  megaDrawFingertipsPool,
+  megaRefundFingertipsPool,
+  matchaToPoolUnits,
+  poolUnitsToMatcha,
 } from "../../mega-db.js";
 
 import { getSupabaseAdmin } from "../../supabase.js";
+import { createR2MultipartUpload, isOurAssetUrl, publicUrlForKey } from "../../r2.js";
 import { replicatePredictWithTimeout } from "../mma/replicate-poll.js";
-import { FINGERTIPS_MODELS, getFingertipsModel, FINGERTIPS_MODEL_KEYS } from "./fingertips-config.js";
+import {
+  enqueueMmaJob,
+  recordProviderTask,
+  registerMmaJobHandler,
+  retryMmaJobLater,
+  withMmaJobGeneration,
+} from "../mma/mma-jobs.js";
+import { sendDone, sendSseEvent, sendStatus } from "../mma/mma-sse.js";
+import {
+  FINGERTIPS_MODELS,
+  getFingertipsModel,
+  FINGERTIPS_MODEL_KEYS,
+  isLocalFingertipsModel,
+} from "./fingertips-config.js";
+import { runLocalFingertipsTool } from "./fingertips-local.js";
 import { estimateGenerationCost } from "../mma/mma-cost-calculator.js";
+import { createZipWriter } from "../zip-writer.js";
 
 // ============================================================================
 // Replicate client (shared singleton)
@@ -251,6 +270,30 @@ async function storeToR2(url, keyPrefix) {
   return `${publicBase.replace(/\/$/, "")}/${objKey}`;
 }
 
+// Local tool output (no provider URL to pass through, so R2 is required)
+async function storeBufferToR2(buf, contentType, objKey) {
+  const { enabled, client, bucket, publicBase } = getR2();
+  if (!enabled || !client) throw new Error("R2_NOT_CONFIGURED");
+
+  await client.send(
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: objKey,
+      Body: buf,
+      ContentType: contentType,
+    })
+  );
+
+  return `${publicBase.replace(/\/$/, "")}/${objKey}`;
+}
+
+// mg_provider / mg_model of a fingertips generation row
+function fingertipsRowModel(modelKey, model) {
+  return model?.provider === "local"
+    ? { mg_provider: "local", mg_model: `sharp/${modelKey}` }
+    : { mg_provider: "replicate", mg_model: model?.replicateModel || null };
+}
+
 // ============================================================================
 // Small helpers
 // ============================================================================
@@ -274,39 +317,22 @@ function makeHttpError(statusCode, code, extra = {}) {
 }
 
 // ============================================================================
-// Pool management (reads/writes mg_mma_preferences.fingertips_pool)
+// Pool management (ledger: mega_customers.mg_fingertips_pool_units + fingertips_pool_tx rows,
+// see supabase/mega_fingertips_pool.sql). Amounts are fixed-point units in the DB, matcha here.
 // ============================================================================
-async function readFingertipsPool(supabase, passId) {
-  const { data } = await supabase
-    .from("mega_customers")
-    .select("mg_mma_preferences")
-    .eq("mg_pass_id", passId)
-    .maybeSingle();
-
-  const prefs = data?.mg_mma_preferences;
-  const pool = Number(prefs?.fingertips_pool || 0);
-  return { pool: pool > 0 ? pool : 0, prefs: prefs || {} };
-}
-
-async function writeFingertipsPool(supabase, passId, prefs, newPool) {
-  await supabase
-    .from("mega_customers")
-    .update({
-      mg_mma_preferences: { ...prefs, fingertips_pool: newPool },
-      mg_mma_preferences_updated_at: nowIso(),
-      mg_updated_at: nowIso(),
-    })
-    .eq("mg_pass_id", passId);
+async function readFingertipsPool(passId) {
+  const units = await megaGetFingertipsPool(passId);
+  return { pool: poolUnitsToMatcha(units), units };
 }
 
 // ============================================================================
 // chargeFingertips — the core pool billing logic
 //
-// 1. Read current pool from preferences.
-// 2. If pool >= modelCost → deduct from pool, done.
-// 3. Else → deduct 1 whole matcha from main balance, add 1.0 to pool,
-//    then deduct modelCost from pool.
-// 4. Write updated pool back to preferences.
+// One Postgres call (mega_fingertips_pool_draw), under the customer row lock:
+// 1. Already drawn for this generation → nothing moves.
+// 2. Pool < modelCost → deduct 1 whole matcha from main balance (ledger ref
+//    fingertips_charge) and add 1.0 to the pool.
+// 3. Deduct modelCost from the pool.
 //
 // Returns { charged, matchasDeducted, poolBefore, poolAfter }
 // ============================================================================
@@ -315,142 +341,78 @@ export async function chargeFingertips({ passId, generationId, modelKey }) {
   if (!model) throw makeHttpError(400, "UNKNOWN_FINGERTIPS_MODEL", { modelKey });
 
   const cost = model.costPerGeneration;
-  const supabase = getSupabaseAdmin();
-  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
 
-  // Idempotency: check if this generation was already charged
-  const refType = "fingertips_charge";
-  const refId = `fingertips:${generationId}`;
-  const already = await megaHasCreditRef({ refType, refId });
-  if (already) return { charged: true, already: true, cost };
-
-  // Read pool
-  const { pool: currentPool, prefs } = await readFingertipsPool(supabase, passId);
-  let pool = currentPool;
-  let matchasDeducted = 0;
-
-  // If pool is insufficient, deduct 1 whole matcha
-  if (pool < cost) {
-    // Check user has at least 1 matcha
-    const { credits } = await megaGetCredits(passId);
-    if (credits < 1) {
-      throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
-        passId,
-        balance: credits,
-        needed: 1,
-        details: {
-          userMessage: `you've got ${credits} matcha left. fingertips needs at least 1 matcha to start. top up to keep going.`,
-          balance: credits,
-          needed: 1,
-          modelKey,
-          modelLabel: model.label,
-          costPerGeneration: cost,
-          generationsPerMatcha: Math.floor(1 / cost),
-          actions: [{ id: "buy_matcha", label: "Buy matcha", enabled: true }],
-        },
-      });
-    }
+  // Local tools are free: nothing to draw
+  if (!(cost > 0)) {
+    const { pool } = await readFingertipsPool(passId);
+    return { charged: false, free: true, already: false, cost: 0, matchasDeducted: 0, poolBefore: pool, poolAfter: pool, modelKey };
+  }
+
+  const draw = await megaDrawFingertipsPool({
+    passId,
+    refId: `fingertips:${generationId}`,
+    costUnits: matchaToPoolUnits(cost),
+    generationId,
+    modelKey,
+  });
 
-    // Deduct 1 matcha (idempotent via ref)
-    await megaAdjustCredits({
+  // A parallel request already charged this generation — don't touch the pool twice
+  if (draw.alreadyApplied) return { charged: true, already: true, cost };
+
+  // Credits reserved by in-flight MMA generations are not spendable here
+  if (draw.insufficient) {
+    const credits = draw.creditsAvailable ?? 0;
+    throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
       passId,
-      delta: -1,
-      reason: "fingertips_pool_refill",
-      source: "fingertips",
-      refType,
-      refId,
-      grantedAt: nowIso(),
+      balance: credits,
+      needed: 1,
+      details: {
+        userMessage: `you've got ${credits} matcha left. fingertips needs at least 1 matcha to start. top up to keep going.`,
+        balance: credits,
+        needed: 1,
+        modelKey,
+        modelLabel: model.label,
+        costPerGeneration: cost,
+        generationsPerMatcha: Math.floor(1 / cost),
+        actions: [{ id: "buy_matcha", label: "Buy matcha", enabled: true }],
+      },
     });
-
-    pool += 1.0;
-    matchasDeducted = 1;
-  } else {
-    // Pool has enough — write an idempotency marker directly (megaAdjustCredits rejects delta=0)
-    const supabaseAdmin = getSupabaseAdmin();
-    if (supabaseAdmin) {
-      const txTs = nowIso();
-      await supabaseAdmin.from("mega_generations").insert({
-        mg_id: `credit_transaction:${crypto.randomUUID()}`,
-        mg_record_type: "credit_transaction",
-        mg_pass_id: passId,
-        mg_delta: 0,
-        mg_reason: "fingertips_pool_draw",
-        mg_source: "fingertips",
-        mg_ref_type: refType,
-        mg_ref_id: refId,
-        mg_status: "succeeded",
-        mg_meta: { pool_before: pool, pool_cost: cost },
-        mg_payload: null,
-        mg_event_at: txTs,
-        mg_created_at: txTs,
-        mg_updated_at: txTs,
-      });
-    }
   }
 
-  // Deduct model cost from pool
-  const poolBefore = pool;
-  pool = Math.round((pool - cost) * 100) / 100; // avoid floating-point drift
-  if (pool < 0) pool = 0;
-
-  // Persist updated pool
-  await writeFingertipsPool(supabase, passId, prefs, pool);
-
   return {
     charged: true,
     already: false,
     cost,
-    matchasDeducted,
-    poolBefore,
-    poolAfter: pool,
+    matchasDeducted: draw.matchasDeducted,
+    poolBefore: poolUnitsToMatcha(draw.poolBefore),
+    poolAfter: poolUnitsToMatcha(draw.poolAfter),
     modelKey,
   };
 }
 
 // ============================================================================
-// refundFingertips — on failure, restore pool (and matcha if pool was just refilled)
+// refundFingertips — on failure, give the drawn cost back to the pool
+// (the matcha of a refill stays in the pool, it is not returned to the balance)
 // ============================================================================
 export async function refundFingertips({ passId, generationId, modelKey }) {
   const model = getFingertipsModel(modelKey);
-  if (!model) return { refunded: false };
-
-  const cost = model.costPerGeneration;
-  const refType = "fingertips_refund";
-  const refId = `fingertips:${generationId}`;
-
-  const already = await megaHasCreditRef({ refType, refId });
-  if (already) return { refunded: false, already: true };
+  if (!model || !(model.costPerGeneration > 0)) return { refunded: false };
 
   const supabase = getSupabaseAdmin();
   if (!supabase) return { refunded: false };
 
-  // Add cost back to pool
-  const { pool: currentPool, prefs } = await readFingertipsPool(supabase, passId);
-  const newPool = Math.round((currentPool + cost) * 100) / 100;
-  await writeFingertipsPool(supabase, passId, prefs, newPool);
-
-  // Record refund in ledger (idempotent marker — delta=0 so write directly)
-  if (supabase) {
-    const txTs = nowIso();
-    await supabase.from("mega_generations").insert({
-      mg_id: `credit_transaction:${crypto.randomUUID()}`,
-      mg_record_type: "credit_transaction",
-      mg_pass_id: passId,
-      mg_delta: 0,
-      mg_reason: "fingertips_pool_refund",
-      mg_source: "fingertips",
-      mg_ref_type: refType,
-      mg_ref_id: refId,
-      mg_status: "succeeded",
-      mg_meta: { pool_refunded: cost, pool_after: newPool },
-      mg_payload: null,
-      mg_event_at: txTs,
-      mg_created_at: txTs,
-      mg_updated_at: txTs,
-    });
-  }
+  const out = await megaRefundFingertipsPool({
+    passId,
+    refId: `fingertips:${generationId}`,
+    legacyUnits: matchaToPoolUnits(model.costPerGeneration),
+    generationId,
+    modelKey,
+  });
+
+  if (out.alreadyApplied) return { refunded: false, already: true };
+  if (!out.refundedUnits) return { refunded: false };
 
-  return { refunded: true, cost, poolAfter: newPool };
+  return { refunded: true, cost: poolUnitsToMatcha(out.refundedUnits), poolAfter: poolUnitsToMatcha(out.poolAfter) };
 }
 
 // ============================================================================
@@ -538,6 +500,14 @@ async function validateInputs(modelKey, userInputs, generationId) {
     });
   }
 
+  // Local tools fetch the source themselves: our assets only (recipe steps get it later)
+  if (model.provider === "local" && cleaned.image !== RECIPE_PREVIOUS_OUTPUT && !isOurAssetUrl(cleaned.image)) {
+    throw makeHttpError(400, "LOCAL_TOOL_SOURCE_NOT_ALLOWED", {
+      modelKey,
+      message: `${model.label} only accepts images stored on our assets domain (or a data URL).`,
+    });
+  }
+
   return cleaned;
 }
 
@@ -578,8 +548,9 @@ async function runFingertipsModel({ modelKey, input }) {
     replicate,
     version: model.replicateModel,
     input: replicateInput,
-    timeoutMs: 180000, // 3 min for image tools
+    timeoutMs: 180000, // 3 min for image tools, then the job keeps polling the prediction
     pollMs: 2000,
+    onCreated: (id) => recordProviderTask({ provider: "replicate", id }),
   });
 
   return {
@@ -593,97 +564,55 @@ async function runFingertipsModel({ modelKey, input }) {
 }
 
 // ============================================================================
-// handleFingertipsGenerate — main entry point
-//
-// Expects: { passId, modelKey, inputs }
-// Returns: { generation_id, status, output, model, credits_cost, pool }
+// Input preparation — GPT prompt helpers + provider-specific defaults
 // ============================================================================
-export async function handleFingertipsGenerate({ passId, modelKey, inputs }) {
-  if (!passId) throw makeHttpError(400, "PASS_ID_REQUIRED");
-  if (!modelKey || !getFingertipsModel(modelKey)) {
-    throw makeHttpError(400, "UNKNOWN_FINGERTIPS_MODEL", {
-      modelKey,
-      availableModels: FINGERTIPS_MODEL_KEYS,
-    });
-  }
-
-  const model = getFingertipsModel(modelKey);
-  const generationId = crypto.randomUUID();
-  const supabase = getSupabaseAdmin();
-
-  // 1. Validate inputs (async — uploads data URL masks to R2)
-  const cleanedInputs = await validateInputs(modelKey, inputs || {}, generationId);
-
-  // 2. Charge (pool-based)
-  const chargeResult = await chargeFingertips({ passId, generationId, modelKey });
-
-  // 3. Write generation record
-  const ts = nowIso();
-  if (supabase) {
-    await supabase.from("mega_generations").insert({
-      mg_id: `generation:${generationId}`,
-      mg_record_type: "generation",
-      mg_generation_id: generationId,
-      mg_pass_id: passId,
-      mg_mma_mode: "fingertips",
-      mg_mma_status: "generating",
-      mg_status: "pending",
-      mg_provider: "replicate",
-      mg_model: model.replicateModel,
-      mg_mma_vars: {
-        modelKey,
-        inputs: cleanedInputs,
-        charge: chargeResult,
-      },
-      mg_created_at: ts,
-      mg_updated_at: ts,
-    });
-  }
+async function prepareFingertipsInputs(modelKey, model, cleanedInputs) {
+  const inputs = { ...(cleanedInputs || {}) };
 
-  // 3b. Upscaler GPT vision: auto-describe image for prompt-based upscalers
+  // Upscaler GPT vision: auto-describe image for prompt-based upscalers
   if (modelKey === "upscale" && (model.variant === "clarity" || model.variant === "magic")) {
     try {
-      const gptDescription = await describeImageForUpscale(cleanedInputs.image);
+      const gptDescription = await describeImageForUpscale(inputs.image);
       const suffix = model.defaultSuffix || "";
-      cleanedInputs.prompt = gptDescription + (suffix ? ", " + suffix : "");
+      inputs.prompt = gptDescription + (suffix ? ", " + suffix : "");
     } catch (err) {
       // Fallback: use suffix only if GPT fails
-      cleanedInputs.prompt = model.defaultSuffix || "high quality, detailed";
+      inputs.prompt = model.defaultSuffix || "high quality, detailed";
     }
-    cleanedInputs.negative_prompt = cleanedInputs.negative_prompt || model.defaultNegative || "";
+    inputs.negative_prompt = inputs.negative_prompt || model.defaultNegative || "";
 
     // Avoid OOM on very large source images by defaulting magic upscale to 2048.
-    if (model.variant === "magic" && !cleanedInputs.resolution) {
-      cleanedInputs.resolution = "2048";
+    if (model.variant === "magic" && !inputs.resolution) {
+      inputs.resolution = "2048";
     }
   }
 
-  // 3c. Bria GenFill (flux_fill key): rewrite user prompt via GPT and generate negative_prompt.
-  if (modelKey === "flux_fill" && cleanedInputs.prompt) {
+  // Bria GenFill (flux_fill key): rewrite user prompt via GPT and generate negative_prompt.
+  if (modelKey === "flux_fill" && inputs.prompt) {
     try {
-      const { prompt, negative_prompt } = await rewriteGenfillPrompt(cleanedInputs.prompt);
-      if (prompt) cleanedInputs.prompt = prompt;
-      if (negative_prompt) cleanedInputs.negative_prompt = negative_prompt;
+      const { prompt, negative_prompt } = await rewriteGenfillPrompt(inputs.prompt);
+      if (prompt) inputs.prompt = prompt;
+      if (negative_prompt) inputs.negative_prompt = negative_prompt;
     } catch (err) {
       // Fallback: keep original user prompt if GPT rewriting fails.
     }
   }
 
-  // 3d. Bria Expand: GPT-describe image for expansion prompt + force 4K canvas + negative prompt.
+  // Bria Expand: GPT-describe image for expansion prompt + force 4K canvas + negative prompt.
   if (modelKey === "expand") {
     // Generate GPT context prompt describing how the expansion should look
     try {
-      const { prompt, negative_prompt } = await rewriteExpandPrompt(cleanedInputs.image);
-      if (prompt) cleanedInputs.prompt = prompt;
-      if (negative_prompt) cleanedInputs.negative_prompt = negative_prompt;
+      const { prompt, negative_prompt } = await rewriteExpandPrompt(inputs.image);
+      if (prompt) inputs.prompt = prompt;
+      if (negative_prompt) inputs.negative_prompt = negative_prompt;
     } catch (err) {
       // Fallback: generic expansion prompt + quality negative
-      cleanedInputs.prompt = cleanedInputs.prompt || "seamless continuation of the scene with consistent lighting, textures, and atmosphere";
-      cleanedInputs.negative_prompt = "blur, distortion, artifacts, text, watermark, low quality, bad anatomy, inconsistent lighting, seams, visible borders, mismatched textures";
+      inputs.prompt = inputs.prompt || "seamless continuation of the scene with consistent lighting, textures, and atmosphere";
+      inputs.negative_prompt = "blur, distortion, artifacts, text, watermark, low quality, bad anatomy, inconsistent lighting, seams, visible borders, mismatched textures";
     }
 
     // Force 4K output: convert aspect_ratio to explicit 4K canvas_size
-    if (cleanedInputs.aspect_ratio && !cleanedInputs.canvas_size) {
+    if (inputs.aspect_ratio && !inputs.canvas_size) {
       const FOUR_K_MAP = {
         "1:1":   [3840, 3840],
         "16:9":  [3840, 2160],
@@ -695,15 +624,166 @@ export async function handleFingertipsGenerate({ passId, modelKey, inputs }) {
         "4:5":   [3072, 3840],
         "5:4":   [3840, 3072],
       };
-      const mapped = FOUR_K_MAP[cleanedInputs.aspect_ratio];
+      const mapped = FOUR_K_MAP[inputs.aspect_ratio];
       if (mapped) {
-        cleanedInputs.canvas_size = mapped;
-        delete cleanedInputs.aspect_ratio;
+        inputs.canvas_size = mapped;
+        delete inputs.aspect_ratio;
       }
     }
   }
 
-  // 4. Call Replicate
+  return inputs;
+}
+
+// ============================================================================
+// Generation row + SSE helpers (same hub as MMA: /fingertips/stream/:id)
+// ============================================================================
+const FINGERTIPS_TERMINAL_STATUSES = new Set(["done", "error"]);
+
+async function loadFingertipsRow(supabase, generationId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_generation_id, mg_pass_id, mg_mma_status, mg_mma_vars, mg_meta, mg_output_url, mg_error")
+    .eq("mg_id", `generation:${generationId}`)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function setFingertipsStatus(supabase, generationId, status) {
+  await supabase
+    .from("mega_generations")
+    .update({ mg_mma_status: status, mg_updated_at: nowIso() })
+    .eq("mg_id", `generation:${generationId}`);
+  sendStatus(generationId, status);
+}
+
+// Terminal failure: refund the pool, mark the row, close the stream
+async function failFingertips({ supabase, row, code, message, provider = null, inputsUsed }) {
+  const generationId = row.mg_generation_id;
+  const vars = row.mg_mma_vars || {};
+  const refundResult = await refundFingertips({ passId: row.mg_pass_id, generationId, modelKey: vars.modelKey });
+
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "error",
+      mg_status: "failed",
+      mg_error: { code, message, provider },
+      mg_mma_vars: { ...vars, inputs: inputsUsed || vars.inputs, refund: refundResult },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", `generation:${generationId}`);
+
+  sendStatus(generationId, "error");
+  sendDone(generationId, "error");
+  return refundResult;
+}
+
+// Prediction settled: store the output to R2 (NEVER expose provider URLs) and close the stream
+async function finishFingertipsPrediction({ supabase, row, prediction, elapsedMs, inputsUsed }) {
+  const generationId = row.mg_generation_id;
+  const vars = row.mg_mma_vars || {};
+  const modelKey = vars.modelKey;
+  const status = String(prediction?.status || "");
+
+  if (status === "failed" || status === "canceled") {
+    return failFingertips({
+      supabase,
+      row,
+      code: status === "canceled" ? "REPLICATE_CANCELED" : "REPLICATE_FAILED",
+      message: String(prediction?.error || status),
+      inputsUsed,
+    });
+  }
+
+  const rawOutputUrl = extractOutputUrl(prediction?.output);
+
+  if (!rawOutputUrl) {
+    console.error("[fingertips] extractOutputUrl returned null for model", modelKey,
+      "| prediction:", prediction?.id,
+      "| output type:", typeof prediction?.output,
+      "| output:", JSON.stringify(prediction?.output)?.slice(0, 500));
+
+    // Refund — no usable output
+    return failFingertips({ supabase, row, code: "NO_OUTPUT_URL", message: "Provider returned no usable image.", inputsUsed });
+  }
+
+  // Always persist to our own R2 — never return provider URLs to the client
+  let outputUrl;
+  try {
+    outputUrl = await storeToR2(rawOutputUrl, `fingertips/${modelKey}/${generationId}`);
+  } catch (e) {
+    console.error("[fingertips] storeToR2 failed for model", modelKey, ":", e?.message || e);
+
+    // Refund — we can't serve a provider URL
+    return failFingertips({ supabase, row, code: "R2_STORE_FAILED", message: "Failed to store generated image.", inputsUsed });
+  }
+
+  return completeFingertips({ supabase, row, outputUrl, elapsedMs, inputsUsed, meta: { predictionId: prediction?.id || null } });
+}
+
+// Output stored on R2: mark the row done and close the stream
+async function completeFingertips({ supabase, row, outputUrl, elapsedMs, inputsUsed, meta = {} }) {
+  const generationId = row.mg_generation_id;
+  const vars = row.mg_mma_vars || {};
+  const modelKey = vars.modelKey;
+
+  let costData = null;
+  try {
+    costData = estimateGenerationCost({
+      mode: "fingertips",
+      fingertipsKey: modelKey,
+      matchasCharged: vars.charge?.cost || 0,
+    });
+  } catch {}
+
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "done",
+      mg_status: "succeeded",
+      mg_output_url: outputUrl,
+      mg_latency_ms: elapsedMs ?? null,
+      mg_mma_vars: { ...vars, inputs: inputsUsed || vars.inputs },
+      mg_meta: { ...(row.mg_meta || {}), ...meta },
+      ...(costData ? { mg_cost_data: costData } : {}),
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", `generation:${generationId}`);
+
+  sendStatus(generationId, "done");
+  sendDone(generationId, "done");
+  return { outputUrl };
+}
+
+// ============================================================================
+// Background job ("fingertips" kind on the MMA job queue, see mma-jobs.js)
+// ============================================================================
+async function runFingertipsJob(job) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const row = await loadFingertipsRow(supabase, job.generationId);
+  if (!row || FINGERTIPS_TERMINAL_STATUSES.has(row.mg_mma_status)) return;
+  if (row.mg_mma_status !== "queued") return recoverFingertipsJob(job);
+
+  const modelKey = row.mg_mma_vars?.modelKey;
+  const model = getFingertipsModel(modelKey);
+  if (!model) {
+    await failFingertips({ supabase, row, code: "UNKNOWN_FINGERTIPS_MODEL", message: String(modelKey || "") });
+    return;
+  }
+
+  if (model.provider === "local") return runLocalFingertipsJob({ supabase, job, row, modelKey });
+
+  await setFingertipsStatus(supabase, job.generationId, "prompting");
+  const cleanedInputs = await prepareFingertipsInputs(modelKey, model, row.mg_mma_vars?.inputs || {});
+
+  await setFingertipsStatus(supabase, job.generationId, "generating");
+
+  // Call Replicate
   let result;
   let finalInputsUsed = cleanedInputs;
   try {
@@ -720,211 +800,1126 @@ export async function handleFingertipsGenerate({ passId, modelKey, inputs }) {
       }
     }
 
-    if (result) {
-      // Retry succeeded.
-    } else {
-      // Refund on failure
-      const refundResult = await refundFingertips({ passId, generationId, modelKey });
-
-    // Update generation record
-    if (supabase) {
-      await supabase
-        .from("mega_generations")
-        .update({
-          mg_mma_status: "error",
-          mg_status: "failed",
-          mg_error: {
-            code: err?.code || "REPLICATE_ERROR",
-            message: err?.message || String(err),
-            provider: err?.provider || null,
-          },
-          mg_mma_vars: {
-            modelKey,
-            inputs: finalInputsUsed,
-            charge: chargeResult,
-            refund: refundResult,
-          },
-          mg_updated_at: nowIso(),
-        })
-        .eq("mg_id", `generation:${generationId}`);
-    }
-
-      throw makeHttpError(502, "FINGERTIPS_GENERATION_FAILED", {
-        generationId,
-        modelKey,
-        refunded: refundResult.refunded,
+    if (!result) {
+      await failFingertips({
+        supabase,
+        row,
+        code: err?.code || "REPLICATE_ERROR",
         message: err?.message || String(err),
+        provider: err?.provider || null,
+        inputsUsed: finalInputsUsed,
       });
+      return;
     }
   }
 
-  // 5. Handle timeout
+  // Still rendering: keep the inputs, the job polls the recorded prediction
   if (result.timedOut) {
-    if (supabase) {
-      await supabase
-        .from("mega_generations")
-        .update({
-          mg_mma_status: "generating",
-          mg_status: "pending",
-          mg_meta: { predictionId: result.predictionId, timedOut: true, elapsedMs: result.elapsedMs },
-          mg_updated_at: nowIso(),
-        })
-        .eq("mg_id", `generation:${generationId}`);
-    }
-
-    return {
-      generation_id: generationId,
-      status: "processing",
-      model: model.replicateModel,
-      model_key: modelKey,
-      prediction_id: result.predictionId,
-      credits_cost: chargeResult.cost,
-      matchas_deducted: chargeResult.matchasDeducted,
-      pool_remaining: chargeResult.poolAfter,
-      message: "Generation is still processing. Poll /fingertips/generations/:id for result.",
-    };
+    await supabase
+      .from("mega_generations")
+      .update({
+        mg_mma_vars: { ...(row.mg_mma_vars || {}), inputs: finalInputsUsed },
+        mg_meta: { ...(row.mg_meta || {}), predictionId: result.predictionId, timedOut: true },
+        mg_updated_at: nowIso(),
+      })
+      .eq("mg_id", `generation:${job.generationId}`);
+    throw retryMmaJobLater();
   }
 
-  // 6. Success — extract output URL, store to R2 (NEVER expose provider URLs)
-  const rawOutputUrl = extractOutputUrl(result.output);
+  await finishFingertipsPrediction({
+    supabase,
+    row,
+    prediction: result.prediction,
+    elapsedMs: result.elapsedMs,
+    inputsUsed: finalInputsUsed,
+  });
+}
 
-  if (!rawOutputUrl) {
-    console.error("[fingertips] extractOutputUrl returned null for model", modelKey,
-      "| prediction:", result.predictionId,
-      "| output type:", typeof result.output,
-      "| output:", JSON.stringify(result.output)?.slice(0, 500));
+// Local tools run in-process: nothing to resume, a transient error (R2 read / write) retries the job
+async function runLocalFingertipsJob({ supabase, job, row, modelKey }) {
+  await setFingertipsStatus(supabase, job.generationId, "generating");
 
-    // Refund — no usable output
-    const refundResult = await refundFingertips({ passId, generationId, modelKey });
-    if (supabase) {
-      await supabase
-        .from("mega_generations")
-        .update({
-          mg_mma_status: "error",
-          mg_status: "failed",
-          mg_error: { code: "NO_OUTPUT_URL", message: "Provider returned no usable image." },
-          mg_mma_vars: { modelKey, inputs: finalInputsUsed, charge: chargeResult, refund: refundResult },
-          mg_updated_at: nowIso(),
-        })
-        .eq("mg_id", `generation:${generationId}`);
-    }
-    throw makeHttpError(502, "FINGERTIPS_GENERATION_FAILED", {
-      generationId, modelKey, refunded: refundResult.refunded,
-      message: "Generation produced no image. You were not charged.",
-    });
+  const inputs = row.mg_mma_vars?.inputs || {};
+  const t0 = Date.now();
+
+  let out;
+  try {
+    out = await runLocalFingertipsTool(modelKey, inputs);
+  } catch (err) {
+    if (!String(err?.code || "").startsWith("LOCAL_TOOL_")) {
+      await setFingertipsStatus(supabase, job.generationId, "queued");
+      throw err;
+    }
+    await failFingertips({ supabase, row, code: err.code, message: err?.message || String(err), provider: "local" });
+    return;
   }
 
-  // Always persist to our own R2 — never return provider URLs to the client
   let outputUrl;
   try {
-    outputUrl = await storeToR2(rawOutputUrl, `fingertips/${modelKey}/${generationId}`);
+    outputUrl = await storeBufferToR2(out.buffer, out.contentType, `fingertips/${modelKey}/${job.generationId}${out.ext}`);
   } catch (e) {
-    console.error("[fingertips] storeToR2 failed for model", modelKey, ":", e?.message || e);
-
-    // Refund — we can't serve a provider URL
-    const refundResult = await refundFingertips({ passId, generationId, modelKey });
-    if (supabase) {
-      await supabase
-        .from("mega_generations")
-        .update({
-          mg_mma_status: "error",
-          mg_status: "failed",
-          mg_error: { code: "R2_STORE_FAILED", message: "Failed to store generated image." },
-          mg_mma_vars: { modelKey, inputs: finalInputsUsed, charge: chargeResult, refund: refundResult },
-          mg_updated_at: nowIso(),
-        })
-        .eq("mg_id", `generation:${generationId}`);
-    }
-    throw makeHttpError(502, "FINGERTIPS_GENERATION_FAILED", {
-      generationId, modelKey, refunded: refundResult.refunded,
-      message: "Could not save generated image. You were not charged.",
-    });
+    console.error("[fingertips] local output store failed for", modelKey, ":", e?.message || e);
+    await setFingertipsStatus(supabase, job.generationId, "queued");
+    throw e;
   }
 
-  if (supabase) {
-    let costData = null;
-    try {
-      costData = estimateGenerationCost({
-        mode: "fingertips",
-        fingertipsKey: modelKey,
-        matchasCharged: chargeResult.cost || 0,
-      });
-    } catch {}
+  await completeFingertips({
+    supabase,
+    row,
+    outputUrl,
+    elapsedMs: Date.now() - t0,
+    inputsUsed: inputs,
+    meta: { local: { format: out.format, width: out.width, height: out.height } },
+  });
+}
 
-    await supabase
-      .from("mega_generations")
-      .update({
-        mg_mma_status: "done",
-        mg_status: "succeeded",
-        mg_output_url: outputUrl,
-        mg_latency_ms: result.elapsedMs,
-        mg_meta: { predictionId: result.predictionId },
-        ...(costData ? { mg_cost_data: costData } : {}),
-        mg_updated_at: nowIso(),
-      })
-      .eq("mg_id", `generation:${generationId}`);
+// Restart / timeout: resume the recorded prediction, or run again if none was created
+async function recoverFingertipsJob(job) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const row = await loadFingertipsRow(supabase, job.generationId);
+  if (!row || FINGERTIPS_TERMINAL_STATUSES.has(row.mg_mma_status)) return;
+
+  // rows from before the queue only have mg_meta.predictionId
+  const predictionId = job.meta?.providers?.[job.generationId]?.id || row.mg_meta?.predictionId || "";
+
+  if (!predictionId) {
+    if (row.mg_mma_status !== "queued") await setFingertipsStatus(supabase, job.generationId, "queued");
+    return runFingertipsJob(job);
   }
 
-  return {
-    generation_id: generationId,
-    status: "done",
-    model_key: modelKey,
-    output_url: outputUrl,
-    prediction_id: result.predictionId,
-    elapsed_ms: result.elapsedMs,
-    credits_cost: chargeResult.cost,
-    matchas_deducted: chargeResult.matchasDeducted,
-    pool_remaining: chargeResult.poolAfter,
-  };
+  const prediction = await getReplicate().predictions.get(predictionId);
+  const status = String(prediction?.status || "");
+  if (status !== "succeeded" && status !== "failed" && status !== "canceled") throw retryMmaJobLater();
+
+  await finishFingertipsPrediction({ supabase, row, prediction, elapsedMs: null, inputsUsed: row.mg_mma_vars?.inputs });
 }
 
-// ============================================================================
-// fetchFingertipsGeneration — get status of a fingertips generation
-// ============================================================================
-export async function fetchFingertipsGeneration(generationId) {
+async function giveUpFingertipsJob(job, err) {
   const supabase = getSupabaseAdmin();
-  if (!supabase) return null;
-
-  const { data, error } = await supabase
-    .from("mega_generations")
-    .select("*")
-    .eq("mg_generation_id", generationId)
-    .eq("mg_record_type", "generation")
-    .maybeSingle();
+  if (!supabase) return;
 
-  if (error || !data) return null;
+  const row = await loadFingertipsRow(supabase, job.generationId);
+  if (!row || FINGERTIPS_TERMINAL_STATUSES.has(row.mg_mma_status)) return;
 
-  return {
-    generation_id: data.mg_generation_id,
-    status: data.mg_mma_status,
-    mode: data.mg_mma_mode,
-    model: data.mg_model,
-    model_key: data.mg_mma_vars?.modelKey || null,
-    output_url: data.mg_output_url || null,
-    error: data.mg_error || null,
-    latency_ms: data.mg_latency_ms || null,
-    created_at: data.mg_created_at,
-    updated_at: data.mg_updated_at,
-  };
+  await failFingertips({ supabase, row, code: err?.code || "FINGERTIPS_JOB_FAILED", message: err?.message || String(err) });
 }
 
+registerMmaJobHandler("fingertips", { run: runFingertipsJob, recover: recoverFingertipsJob, giveUp: giveUpFingertipsJob });
+
+// ============================================================================
+// handleFingertipsGenerate — main entry point
+//
+// Expects: { passId, modelKey, inputs, apiKeyId?, parentGenerationId? }
+// parentGenerationId = the MMA / fingertips generation being edited (lineage tree)
+// Validates + charges + writes the row, then the model runs as a background job.
+// Returns: { generation_id, status: "queued", sse_url, model_key, credits_cost, matchas_deducted, pool_remaining }
+// ============================================================================
+export async function handleFingertipsGenerate({ passId, modelKey, inputs, apiKeyId = null, parentGenerationId = null }) {
+  if (!passId) throw makeHttpError(400, "PASS_ID_REQUIRED");
+  if (!modelKey || !getFingertipsModel(modelKey)) {
+    throw makeHttpError(400, "UNKNOWN_FINGERTIPS_MODEL", {
+      modelKey,
+      availableModels: FINGERTIPS_MODEL_KEYS,
+    });
+  }
+
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const model = getFingertipsModel(modelKey);
+  const generationId = crypto.randomUUID();
+
+  // 1. Validate inputs (async — uploads data URL masks to R2)
+  const cleanedInputs = await validateInputs(modelKey, inputs || {}, generationId);
+
+  // 2. Charge (pool-based)
+  const chargeResult = await chargeFingertips({ passId, generationId, modelKey });
+
+  // 3. Write generation record (no row => no job will ever refund the draw: refund it here)
+  const ts = nowIso();
+  const { error } = await supabase.from("mega_generations").insert({
+    mg_id: `generation:${generationId}`,
+    mg_record_type: "generation",
+    mg_generation_id: generationId,
+    mg_parent_id: parentGenerationId ? `generation:${parentGenerationId}` : null,
+    mg_pass_id: passId,
+    mg_mma_mode: "fingertips",
+    mg_mma_status: "queued",
+    mg_status: "pending",
+    ...fingertipsRowModel(modelKey, model),
+    mg_mma_vars: {
+      modelKey,
+      inputs: cleanedInputs,
+      charge: chargeResult,
+    },
+    mg_meta: apiKeyId ? { api_key_id: apiKeyId } : null,
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  });
+
+  if (error) {
+    console.error("[fingertips] generation insert failed", generationId, error?.message || error);
+    await refundFingertips({ passId, generationId, modelKey }).catch((e) =>
+      console.error("[fingertips] refund after failed insert failed", generationId, e?.message || e)
+    );
+    throw error;
+  }
+
+  // 4. Queue the render
+  try {
+    await enqueueMmaJob({ supabase, generationId, passId, kind: "fingertips" });
+  } catch (err) {
+    console.error("[fingertips] job enqueue failed", generationId, err?.message || err);
+    const refundResult = await failFingertips({
+      supabase,
+      row: { mg_generation_id: generationId, mg_pass_id: passId, mg_mma_vars: { modelKey, inputs: cleanedInputs, charge: chargeResult } },
+      code: "FINGERTIPS_ENQUEUE_FAILED",
+      message: err?.message || String(err),
+    });
+    throw makeHttpError(503, "FINGERTIPS_ENQUEUE_FAILED", { generationId, modelKey, refunded: refundResult.refunded });
+  }
+
+  return {
+    generation_id: generationId,
+    status: "queued",
+    sse_url: `/fingertips/stream/${generationId}`,
+    model: fingertipsRowModel(modelKey, model).mg_model,
+    model_key: modelKey,
+    credits_cost: chargeResult.cost,
+    matchas_deducted: chargeResult.matchasDeducted,
+    pool_remaining: chargeResult.poolAfter,
+  };
+}
+
+// ============================================================================
+// Recipes — ordered fingertips steps, each step's output feeds the next `image`
+//
+// The recipe is a container generation (mg_mma_vars.recipe.steps), every step is a
+// child fingertips generation (mg_mma_vars.recipe_step) rendered by the normal
+// fingertips job code. A step is charged when it starts; a failed step is refunded
+// and the steps after it are skipped (never charged).
+// ============================================================================
+const RECIPE_MAX_STEPS = Number(process.env.FINGERTIPS_RECIPE_MAX_STEPS || 6);
+const RECIPE_PREVIOUS_OUTPUT = "recipe:previous_output"; // placeholder until the previous step is done
+
+// SVG output can't feed a raster model
+const RECIPE_FINAL_ONLY = new Set(["vectorize"]);
+
+// Same pool rules as chargeFingertips: whole matchas needed to run every cost in order
+function poolMatchasNeeded(pool, costs) {
+  let p = pool;
+  let matchas = 0;
+  for (const cost of costs) {
+    if (p < cost) {
+      p += 1.0;
+      matchas += 1;
+    }
+    p = Math.round((p - cost) * 100) / 100;
+  }
+  return matchas;
+}
+
+async function saveRecipeSteps(supabase, recipeId, vars, steps, index) {
+  const next = { ...vars, recipe: { ...(vars.recipe || {}), steps } };
+  await supabase
+    .from("mega_generations")
+    .update({ mg_mma_vars: next, mg_updated_at: nowIso() })
+    .eq("mg_id", `generation:${recipeId}`);
+
+  sendSseEvent(recipeId, "step", steps.find((s) => s.index === index) || {});
+  return next;
+}
+
+async function skipRecipeStep(supabase, generationId) {
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "error",
+      mg_status: "skipped",
+      mg_error: { code: "RECIPE_STEP_SKIPPED", message: "A previous step failed." },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", `generation:${generationId}`);
+}
+
+async function runFingertipsRecipeJob(job) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const recipe = await loadFingertipsRow(supabase, job.generationId);
+  if (!recipe || FINGERTIPS_TERMINAL_STATUSES.has(recipe.mg_mma_status)) return;
+  if (recipe.mg_mma_status !== "generating") await setFingertipsStatus(supabase, job.generationId, "generating");
+
+  let vars = recipe.mg_mma_vars || {};
+  let steps = Array.isArray(vars.recipe?.steps) ? vars.recipe.steps : [];
+  let previousUrl = "";
+  let failedAt = null;
+
+  const updateStep = async (index, patch) => {
+    steps = steps.map((s) => (s.index === index ? { ...s, ...patch } : s));
+    vars = await saveRecipeSteps(supabase, job.generationId, vars, steps, index);
+  };
+
+  for (const step of steps) {
+    let row = await loadFingertipsRow(supabase, step.generation_id);
+    if (!row) {
+      failedAt = step.index;
+      await updateStep(step.index, { status: "error", error: "STEP_NOT_FOUND" });
+      break;
+    }
+
+    if (row.mg_mma_status === "queued") {
+      const stepVars = { ...(row.mg_mma_vars || {}) };
+      if (step.index > 0) stepVars.inputs = { ...(stepVars.inputs || {}), image: previousUrl };
+
+      try {
+        stepVars.charge = await chargeFingertips({ passId: row.mg_pass_id, generationId: step.generation_id, modelKey: step.model_key });
+      } catch (err) {
+        if (err?.statusCode !== 402) throw err; // transient => job retry
+
+        // nothing was charged for this step: no refund
+        await supabase
+          .from("mega_generations")
+          .update({
+            mg_mma_status: "error",
+            mg_status: "failed",
+            mg_error: { code: "INSUFFICIENT_CREDITS", message: "Not enough matcha for this step." },
+            mg_mma_vars: stepVars,
+            mg_updated_at: nowIso(),
+          })
+          .eq("mg_id", `generation:${step.generation_id}`);
+
+        failedAt = step.index;
+        await updateStep(step.index, { status: "error", error: "INSUFFICIENT_CREDITS" });
+        break;
+      }
+
+      await supabase
+        .from("mega_generations")
+        .update({ mg_mma_vars: stepVars, mg_updated_at: nowIso() })
+        .eq("mg_id", `generation:${step.generation_id}`);
+    }
+
+    if (!FINGERTIPS_TERMINAL_STATUSES.has(row.mg_mma_status)) {
+      if (step.status !== "generating") await updateStep(step.index, { status: "generating" });
+
+      // provider tasks are recorded under the step, so a restart resumes the right prediction
+      await withMmaJobGeneration(step.generation_id, () => runFingertipsJob({ ...job, generationId: step.generation_id }));
+      row = await loadFingertipsRow(supabase, step.generation_id);
+    }
+
+    if (row?.mg_mma_status === "done") {
+      previousUrl = row.mg_output_url;
+      if (step.status !== "done") await updateStep(step.index, { status: "done", output_url: row.mg_output_url });
+      continue;
+    }
+
+    failedAt = step.index;
+    await updateStep(step.index, { status: "error", error: row?.mg_error?.code || "FINGERTIPS_GENERATION_FAILED" });
+    break;
+  }
+
+  if (failedAt === null) {
+    await supabase
+      .from("mega_generations")
+      .update({ mg_mma_status: "done", mg_status: "succeeded", mg_output_url: previousUrl, mg_updated_at: nowIso() })
+      .eq("mg_id", `generation:${job.generationId}`);
+
+    sendStatus(job.generationId, "done");
+    sendDone(job.generationId, "done");
+    return;
+  }
+
+  for (const step of steps.filter((s) => s.index > failedAt)) {
+    await skipRecipeStep(supabase, step.generation_id);
+    await updateStep(step.index, { status: "skipped" });
+  }
+
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "error",
+      mg_status: "failed",
+      mg_output_url: previousUrl || null, // last good intermediate result
+      mg_error: { code: "RECIPE_STEP_FAILED", message: `Step ${failedAt + 1} failed.`, step: failedAt },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", `generation:${job.generationId}`);
+
+  sendStatus(job.generationId, "error");
+  sendDone(job.generationId, "error");
+}
+
+async function giveUpFingertipsRecipeJob(job, err) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return;
+
+  const recipe = await loadFingertipsRow(supabase, job.generationId);
+  if (!recipe || FINGERTIPS_TERMINAL_STATUSES.has(recipe.mg_mma_status)) return;
+
+  for (const step of recipe.mg_mma_vars?.recipe?.steps || []) {
+    const row = await loadFingertipsRow(supabase, step.generation_id);
+    if (!row || FINGERTIPS_TERMINAL_STATUSES.has(row.mg_mma_status)) continue;
+
+    // charged steps are refunded, the others were never charged
+    if (row.mg_mma_vars?.charge) {
+      await failFingertips({ supabase, row, code: err?.code || "FINGERTIPS_JOB_FAILED", message: err?.message || String(err) });
+    } else {
+      await skipRecipeStep(supabase, step.generation_id);
+    }
+  }
+
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "error",
+      mg_status: "failed",
+      mg_error: { code: err?.code || "FINGERTIPS_JOB_FAILED", message: err?.message || String(err) },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", `generation:${job.generationId}`);
+
+  sendStatus(job.generationId, "error");
+  sendDone(job.generationId, "error");
+}
+
+// finished steps are kept, so a recovered recipe just picks up where it stopped
+registerMmaJobHandler("fingertips_recipe", {
+  run: runFingertipsRecipeJob,
+  recover: runFingertipsRecipeJob,
+  giveUp: giveUpFingertipsRecipeJob,
+});
+
+// ============================================================================
+// handleFingertipsRecipe — recipe entry point
+//
+// Expects: { passId, steps: [{ modelKey, inputs }], apiKeyId?, parentGenerationId? }
+// steps[0].inputs.image is the source; later steps get the previous output as `image`.
+// Returns: { generation_id, status: "queued", sse_url, steps: [{ index, model_key, generation_id, cost }], estimated_cost }
+// ============================================================================
+export async function handleFingertipsRecipe({ passId, steps, apiKeyId = null, parentGenerationId = null }) {
+  if (!passId) throw makeHttpError(400, "PASS_ID_REQUIRED");
+
+  const list = Array.isArray(steps) ? steps : [];
+  if (list.length < 2 || list.length > RECIPE_MAX_STEPS) {
+    throw makeHttpError(400, "INVALID_RECIPE", {
+      message: `A recipe needs 2 to ${RECIPE_MAX_STEPS} steps.`,
+      max: RECIPE_MAX_STEPS,
+    });
+  }
+
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const recipeId = crypto.randomUUID();
+
+  // 1. Validate every step up front (masks are uploaded now, sources chained later)
+  const plan = [];
+  for (const [index, step] of list.entries()) {
+    const modelKey = safeStr(step?.modelKey || step?.model_key || step?.model, "");
+    const model = getFingertipsModel(modelKey);
+    if (!model) {
+      throw makeHttpError(400, "UNKNOWN_FINGERTIPS_MODEL", { modelKey, step: index, availableModels: FINGERTIPS_MODEL_KEYS });
+    }
+    if (RECIPE_FINAL_ONLY.has(modelKey) && index < list.length - 1) {
+      throw makeHttpError(400, "RECIPE_STEP_NOT_CHAINABLE", { modelKey, step: index });
+    }
+
+    const generationId = crypto.randomUUID();
+    const rawInputs = { ...(step?.inputs && typeof step.inputs === "object" ? step.inputs : {}) };
+    if (index > 0) {
+      delete rawInputs.image_url;
+      rawInputs.image = RECIPE_PREVIOUS_OUTPUT;
+    }
+
+    let inputs;
+    try {
+      inputs = await validateInputs(modelKey, rawInputs, generationId);
+    } catch (err) {
+      err.step = index;
+      throw err;
+    }
+
+    plan.push({ index, modelKey, model, generationId, inputs, cost: model.costPerGeneration });
+  }
+
+  // 2. Credits for the whole recipe must be there now (each step is still charged when it starts)
+  const { pool } = await readFingertipsPool(passId);
+  const estimatedCost = Math.round(plan.reduce((sum, p) => sum + p.cost, 0) * 100) / 100;
+  const matchasNeeded = poolMatchasNeeded(pool, plan.map((p) => p.cost));
+
+  if (matchasNeeded > 0) {
+    const { credits: balance, available } = await megaGetCredits(passId);
+    const credits = Number(available ?? balance ?? 0);
+    if (credits < matchasNeeded) {
+      throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
+        passId,
+        balance: credits,
+        needed: matchasNeeded,
+        details: {
+          userMessage: `you've got ${credits} matcha left. this recipe needs ${matchasNeeded}. top up to keep going.`,
+          balance: credits,
+          needed: matchasNeeded,
+          estimatedCost,
+          actions: [{ id: "buy_matcha", label: "Buy matcha", enabled: true }],
+        },
+      });
+    }
+  }
+
+  // 3. Container + one child generation per step
+  const ts = nowIso();
+  const stepViews = plan.map((p) => ({
+    index: p.index,
+    model_key: p.modelKey,
+    generation_id: p.generationId,
+    cost: p.cost,
+    status: "queued",
+    output_url: null,
+  }));
+
+  const meta = apiKeyId ? { api_key_id: apiKeyId } : null;
+  const rows = [
+    {
+      mg_id: `generation:${recipeId}`,
+      mg_record_type: "generation",
+      mg_generation_id: recipeId,
+      mg_parent_id: parentGenerationId ? `generation:${parentGenerationId}` : null,
+      mg_pass_id: passId,
+      mg_mma_mode: "fingertips",
+      mg_mma_status: "queued",
+      mg_status: "pending",
+      mg_provider: "replicate",
+      mg_model: "recipe",
+      mg_mma_vars: { modelKey: "recipe", meta: { flow: "fingertips_recipe" }, recipe: { steps: stepViews } },
+      mg_meta: meta,
+      mg_created_at: ts,
+      mg_updated_at: ts,
+    },
+    ...plan.map((p) => ({
+      mg_id: `generation:${p.generationId}`,
+      mg_record_type: "generation",
+      mg_generation_id: p.generationId,
+      mg_parent_id: `generation:${recipeId}`,
+      mg_pass_id: passId,
+      mg_mma_mode: "fingertips",
+      mg_mma_status: "queued",
+      mg_status: "pending",
+      ...fingertipsRowModel(p.modelKey, p.model),
+      mg_mma_vars: { modelKey: p.modelKey, inputs: p.inputs, recipe_step: { recipe_id: recipeId, index: p.index } },
+      mg_meta: meta,
+      mg_created_at: ts,
+      mg_updated_at: ts,
+    })),
+  ];
+
+  const { error } = await supabase.from("mega_generations").insert(rows);
+  if (error) throw error;
+
+  // 4. Queue the recipe (nothing is charged yet, so a failed enqueue just closes the rows)
+  try {
+    await enqueueMmaJob({
+      supabase,
+      generationId: recipeId,
+      passId,
+      kind: "fingertips_recipe",
+      payload: { steps: plan.map((p) => ({ generation_id: p.generationId, index: p.index })) },
+    });
+  } catch (err) {
+    console.error("[fingertips] recipe enqueue failed", recipeId, err?.message || err);
+    for (const row of rows) await skipRecipeStep(supabase, row.mg_generation_id).catch(() => {});
+    throw makeHttpError(503, "FINGERTIPS_ENQUEUE_FAILED", { generationId: recipeId });
+  }
+
+  return {
+    generation_id: recipeId,
+    status: "queued",
+    sse_url: `/fingertips/stream/${recipeId}`,
+    steps: stepViews.map(({ index, model_key, generation_id, cost }) => ({ index, model_key, generation_id, cost })),
+    estimated_cost: estimatedCost,
+  };
+}
+
+// ============================================================================
+// Bulk — one model + shared inputs over a set of source images, outputs zipped
+//
+// The bulk run is a container generation (mg_mma_vars.bulk.items), every image is a
+// child fingertips generation (mg_mma_vars.bulk_item) rendered by the normal
+// fingertips job code, FINGERTIPS_BULK_CONCURRENCY at a time. An item is charged
+// when it starts; a failed item is refunded and the others keep going. Once every
+// item is settled, the outputs are zipped (STORE, streamed to R2) and the ZIP URL
+// becomes the container's mg_output_url.
+// ============================================================================
+const BULK_MAX_ITEMS = Number(process.env.FINGERTIPS_BULK_MAX_ITEMS || 200);
+const BULK_CONCURRENCY = Math.max(1, Number(process.env.FINGERTIPS_BULK_CONCURRENCY || 4));
+
+// http(s) URL as is, anything else is an R2 object key of our assets bucket
+function bulkSourceUrl(value) {
+  const s = safeStr(value, "");
+  if (/^https?:\/\//i.test(s)) return s;
+  if (!s || s.startsWith("/") || s.includes("..") || !/^[a-zA-Z0-9/_.=-]+$/.test(s)) return "";
+  return publicUrlForKey(s);
+}
+
+function bulkEntryName(item) {
+  let base = "image";
+  try {
+    const last = decodeURIComponent(new URL(item.source).pathname.split("/").pop() || "");
+    base = last.replace(/\.[a-z0-9]+$/i, "").replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 60) || base;
+  } catch {}
+  return `${String(item.index + 1).padStart(3, "0")}-${base}${guessExt(item.output_url, ".png")}`;
+}
+
+async function skipBulkItem(supabase, generationId) {
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "error",
+      mg_status: "skipped",
+      mg_error: { code: "BULK_ITEM_SKIPPED", message: "The bulk run was stopped." },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", `generation:${generationId}`);
+}
+
+// Done items in index order => <bulkId>.zip on R2 (one output in memory at a time)
+async function buildBulkZip(bulkId, items) {
+  const upload = await createR2MultipartUpload({
+    key: `fingertips/bulk/${bulkId}.zip`,
+    contentType: "application/zip",
+    contentDisposition: `attachment; filename="fingertips-${bulkId.slice(0, 8)}.zip"`,
+  });
+
+  try {
+    const zip = createZipWriter((chunk) => upload.write(chunk));
+    for (const item of items) {
+      const res = await fetch(item.output_url);
+      if (!res.ok) throw new Error(`BULK_ZIP_FETCH_FAILED_${res.status}`);
+      await zip.addFile(bulkEntryName(item), Buffer.from(await res.arrayBuffer()));
+    }
+
+    const { bytes, files } = await zip.finish();
+    const stored = await upload.finish();
+    return { url: stored.publicUrl, key: stored.key, bytes, files };
+  } catch (err) {
+    await upload.abort();
+    throw err;
+  }
+}
+
+async function runFingertipsBulkJob(job) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const bulk = await loadFingertipsRow(supabase, job.generationId);
+  if (!bulk || FINGERTIPS_TERMINAL_STATUSES.has(bulk.mg_mma_status)) return;
+  if (bulk.mg_mma_status !== "generating") await setFingertipsStatus(supabase, job.generationId, "generating");
+
+  let vars = bulk.mg_mma_vars || {};
+  let items = Array.isArray(vars.bulk?.items) ? vars.bulk.items : [];
+
+  // items settle in parallel: keep container writes ordered
+  let containerWrite = Promise.resolve();
+  const updateItem = (index, patch) => {
+    items = items.map((it) => (it.index === index ? { ...it, ...patch } : it));
+    vars = { ...vars, bulk: { ...(vars.bulk || {}), items } };
+    const snapshot = vars;
+    containerWrite = containerWrite
+      .then(() =>
+        supabase
+          .from("mega_generations")
+          .update({ mg_mma_vars: snapshot, mg_updated_at: nowIso() })
+          .eq("mg_id", `generation:${job.generationId}`)
+      )
+      .catch((e) => console.warn("[fingertips] bulk progress save failed", job.generationId, e?.message || e));
+
+    sendSseEvent(job.generationId, "item", items.find((it) => it.index === index) || {});
+    return containerWrite;
+  };
+
+  let retryLater = false;
+  let firstError = null;
+
+  const runItem = async (item) => {
+    let row = await loadFingertipsRow(supabase, item.generation_id);
+    if (!row) return updateItem(item.index, { status: "error", error: "ITEM_NOT_FOUND" });
+
+    if (row.mg_mma_status === "queued" && !row.mg_mma_vars?.charge) {
+      let charge;
+      try {
+        charge = await chargeFingertips({ passId: row.mg_pass_id, generationId: item.generation_id, modelKey: row.mg_mma_vars?.modelKey });
+      } catch (err) {
+        if (err?.statusCode !== 402) throw err; // transient => job retry
+
+        // nothing was charged for this item: no refund
+        await supabase
+          .from("mega_generations")
+          .update({
+            mg_mma_status: "error",
+            mg_status: "failed",
+            mg_error: { code: "INSUFFICIENT_CREDITS", message: "Not enough matcha for this image." },
+            mg_updated_at: nowIso(),
+          })
+          .eq("mg_id", `generation:${item.generation_id}`);
+        return updateItem(item.index, { status: "error", error: "INSUFFICIENT_CREDITS" });
+      }
+
+      await supabase
+        .from("mega_generations")
+        .update({ mg_mma_vars: { ...(row.mg_mma_vars || {}), charge }, mg_updated_at: nowIso() })
+        .eq("mg_id", `generation:${item.generation_id}`);
+    }
+
+    if (!FINGERTIPS_TERMINAL_STATUSES.has(row.mg_mma_status)) {
+      if (item.status !== "generating") await updateItem(item.index, { status: "generating" });
+
+      // provider tasks are recorded under the item, so a restart resumes the right prediction
+      await withMmaJobGeneration(item.generation_id, () => runFingertipsJob({ ...job, generationId: item.generation_id }));
+      row = await loadFingertipsRow(supabase, item.generation_id);
+    }
+
+    if (row?.mg_mma_status === "done") {
+      if (item.status !== "done") await updateItem(item.index, { status: "done", output_url: row.mg_output_url });
+      return;
+    }
+    if (row?.mg_mma_status === "error") {
+      if (item.status !== "error") await updateItem(item.index, { status: "error", error: row?.mg_error?.code || "FINGERTIPS_GENERATION_FAILED" });
+      return;
+    }
+    retryLater = true; // prediction still running
+  };
+
+  const pending = items.filter((it) => it.status !== "done" && it.status !== "error");
+  let next = 0;
+  const worker = async () => {
+    while (next < pending.length) {
+      const item = pending[next++];
+      try {
+        await runItem(item);
+      } catch (err) {
+        if (err?.code === "JOB_RETRY_LATER") retryLater = true;
+        else firstError = firstError || err;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BULK_CONCURRENCY, pending.length) }, worker));
+  await containerWrite;
+
+  // settled items are kept, the next attempt only picks up the rest
+  if (firstError) throw firstError;
+  if (retryLater) throw retryMmaJobLater();
+
+  const done = items.filter((it) => it.status === "done" && it.output_url);
+  if (!done.length) {
+    await supabase
+      .from("mega_generations")
+      .update({
+        mg_mma_status: "error",
+        mg_status: "failed",
+        mg_error: { code: "BULK_ALL_FAILED", message: "No image could be processed." },
+        mg_updated_at: nowIso(),
+      })
+      .eq("mg_id", `generation:${job.generationId}`);
+
+    sendStatus(job.generationId, "error");
+    sendDone(job.generationId, "error");
+    return;
+  }
+
+  let zip = vars.bulk?.zip?.url ? vars.bulk.zip : null;
+  if (!zip) {
+    try {
+      zip = await buildBulkZip(job.generationId, done);
+    } catch (err) {
+      if (err?.code !== "ZIP_TOO_LARGE") throw err; // transient => job retry
+      zip = { url: null, error: "ZIP_TOO_LARGE" }; // outputs stay downloadable one by one
+    }
+  }
+
+  const failed = items.length - done.length;
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "done",
+      mg_status: "succeeded",
+      mg_output_url: zip.url,
+      mg_mma_vars: { ...vars, bulk: { ...(vars.bulk || {}), items, zip, summary: { total: items.length, done: done.length, failed } } },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", `generation:${job.generationId}`);
+
+  sendSseEvent(job.generationId, "zip", zip);
+  sendStatus(job.generationId, "done");
+  sendDone(job.generationId, "done");
+}
+
+async function giveUpFingertipsBulkJob(job, err) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return;
+
+  const bulk = await loadFingertipsRow(supabase, job.generationId);
+  if (!bulk || FINGERTIPS_TERMINAL_STATUSES.has(bulk.mg_mma_status)) return;
+
+  for (const item of bulk.mg_mma_vars?.bulk?.items || []) {
+    const row = await loadFingertipsRow(supabase, item.generation_id);
+    if (!row || FINGERTIPS_TERMINAL_STATUSES.has(row.mg_mma_status)) continue;
+
+    // charged items are refunded, the others were never charged
+    if (row.mg_mma_vars?.charge) {
+      await failFingertips({ supabase, row, code: err?.code || "FINGERTIPS_JOB_FAILED", message: err?.message || String(err) });
+    } else {
+      await skipBulkItem(supabase, item.generation_id);
+    }
+  }
+
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_mma_status: "error",
+      mg_status: "failed",
+      mg_error: { code: err?.code || "FINGERTIPS_JOB_FAILED", message: err?.message || String(err) },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_id", `generation:${job.generationId}`);
+
+  sendStatus(job.generationId, "error");
+  sendDone(job.generationId, "error");
+}
+
+registerMmaJobHandler("fingertips_bulk", {
+  run: runFingertipsBulkJob,
+  recover: runFingertipsBulkJob,
+  giveUp: giveUpFingertipsBulkJob,
+});
+
+// ============================================================================
+// handleFingertipsBulk — bulk entry point
+//
+// Expects: { passId, modelKey, images: [url | r2 key], inputs, apiKeyId?, parentGenerationId? }
+// inputs are shared by every image (each item gets its own `image`).
+// Returns: { generation_id, status: "queued", sse_url, model_key, items: [{ index, source, generation_id }], estimated_cost }
+// ============================================================================
+export async function handleFingertipsBulk({ passId, modelKey, images, inputs, apiKeyId = null, parentGenerationId = null }) {
+  if (!passId) throw makeHttpError(400, "PASS_ID_REQUIRED");
+
+  const model = getFingertipsModel(modelKey);
+  if (!modelKey || !model) {
+    throw makeHttpError(400, "UNKNOWN_FINGERTIPS_MODEL", { modelKey, availableModels: FINGERTIPS_MODEL_KEYS });
+  }
+
+  const list = Array.isArray(images) ? images : [];
+  if (!list.length || list.length > BULK_MAX_ITEMS) {
+    throw makeHttpError(400, "INVALID_BULK", {
+      message: `A bulk run needs 1 to ${BULK_MAX_ITEMS} images.`,
+      max: BULK_MAX_ITEMS,
+    });
+  }
+
+  const sources = list.map(bulkSourceUrl);
+  const invalid = sources.map((url, index) => (url ? null : index)).filter((i) => i !== null);
+  if (invalid.length) {
+    throw makeHttpError(400, "INVALID_BULK_IMAGES", { invalid, message: "images must be http(s) URLs or asset keys." });
+  }
+
+  if (model.provider === "local") {
+    const foreign = sources.map((url, index) => (isOurAssetUrl(url) ? null : index)).filter((i) => i !== null);
+    if (foreign.length) {
+      throw makeHttpError(400, "LOCAL_TOOL_SOURCE_NOT_ALLOWED", {
+        modelKey,
+        invalid: foreign,
+        message: `${model.label} only accepts images stored on our assets domain.`,
+      });
+    }
+  }
+
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const bulkId = crypto.randomUUID();
+
+  // 1. Validate the shared inputs once (masks are uploaded once for every item)
+  const rawInputs = { ...(inputs && typeof inputs === "object" ? inputs : {}) };
+  delete rawInputs.image_url;
+  rawInputs.image = sources[0];
+  const sharedInputs = await validateInputs(modelKey, rawInputs, bulkId);
+
+  // 2. Credits for every image must be there now (each item is still charged when it starts)
+  const cost = model.costPerGeneration;
+  const { pool } = await readFingertipsPool(passId);
+  const estimatedCost = Math.round(cost * sources.length * 100) / 100;
+  const matchasNeeded = poolMatchasNeeded(pool, sources.map(() => cost));
+
+  if (matchasNeeded > 0) {
+    const { credits: balance, available } = await megaGetCredits(passId);
+    const credits = Number(available ?? balance ?? 0);
+    if (credits < matchasNeeded) {
+      throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
+        passId,
+        balance: credits,
+        needed: matchasNeeded,
+        details: {
+          userMessage: `you've got ${credits} matcha left. these ${sources.length} images need ${matchasNeeded}. top up to keep going.`,
+          balance: credits,
+          needed: matchasNeeded,
+          estimatedCost,
+          actions: [{ id: "buy_matcha", label: "Buy matcha", enabled: true }],
+        },
+      });
+    }
+  }
+
+  // 3. Container + one child generation per image
+  const ts = nowIso();
+  const itemViews = sources.map((source, index) => ({
+    index,
+    source,
+    generation_id: crypto.randomUUID(),
+    status: "queued",
+    output_url: null,
+  }));
+
+  const meta = apiKeyId ? { api_key_id: apiKeyId } : null;
+  const rows = [
+    {
+      mg_id: `generation:${bulkId}`,
+      mg_record_type: "generation",
+      mg_generation_id: bulkId,
+      mg_parent_id: parentGenerationId ? `generation:${parentGenerationId}` : null,
+      mg_pass_id: passId,
+      mg_mma_mode: "fingertips",
+      mg_mma_status: "queued",
+      mg_status: "pending",
+      mg_provider: "replicate",
+      mg_model: "bulk",
+      mg_mma_vars: {
+        modelKey: "bulk",
+        meta: { flow: "fingertips_bulk" },
+        bulk: { model_key: modelKey, cost, items: itemViews, zip: null },
+      },
+      mg_meta: meta,
+      mg_created_at: ts,
+      mg_updated_at: ts,
+    },
+    ...itemViews.map((it) => ({
+      mg_id: `generation:${it.generation_id}`,
+      mg_record_type: "generation",
+      mg_generation_id: it.generation_id,
+      mg_parent_id: `generation:${bulkId}`,
+      mg_pass_id: passId,
+      mg_mma_mode: "fingertips",
+      mg_mma_status: "queued",
+      mg_status: "pending",
+      ...fingertipsRowModel(modelKey, model),
+      mg_mma_vars: {
+        modelKey,
+        inputs: { ...sharedInputs, image: it.source },
+        bulk_item: { bulk_id: bulkId, index: it.index },
+      },
+      mg_meta: meta,
+      mg_created_at: ts,
+      mg_updated_at: ts,
+    })),
+  ];
+
+  const { error } = await supabase.from("mega_generations").insert(rows);
+  if (error) throw error;
+
+  // 4. Queue the run (nothing is charged yet, so a failed enqueue just closes the rows)
+  try {
+    await enqueueMmaJob({ supabase, generationId: bulkId, passId, kind: "fingertips_bulk" });
+  } catch (err) {
+    console.error("[fingertips] bulk enqueue failed", bulkId, err?.message || err);
+    for (const row of rows) await skipBulkItem(supabase, row.mg_generation_id).catch(() => {});
+    throw makeHttpError(503, "FINGERTIPS_ENQUEUE_FAILED", { generationId: bulkId });
+  }
+
+  return {
+    generation_id: bulkId,
+    status: "queued",
+    sse_url: `/fingertips/stream/${bulkId}`,
+    model_key: modelKey,
+    items: itemViews.map(({ index, source, generation_id }) => ({ index, source, generation_id })),
+    estimated_cost: estimatedCost,
+  };
+}
+
+// ============================================================================
+// fetchFingertipsGeneration — get status of a fingertips generation
+// ============================================================================
+export async function fetchFingertipsGeneration(generationId) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("*")
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation")
+    .maybeSingle();
+
+  if (error || !data) return null;
+
+  return {
+    generation_id: data.mg_generation_id,
+    status: data.mg_mma_status,
+    mode: data.mg_mma_mode,
+    model: data.mg_model,
+    model_key: data.mg_mma_vars?.modelKey || null,
+    output_url: data.mg_output_url || null,
+    error: data.mg_error || null,
+    steps: data.mg_mma_vars?.recipe?.steps || undefined,
+    recipe_step: data.mg_mma_vars?.recipe_step || undefined,
+    items: data.mg_mma_vars?.bulk?.items || undefined,
+    zip: data.mg_mma_vars?.bulk?.zip || undefined,
+    bulk_item: data.mg_mma_vars?.bulk_item || undefined,
+    latency_ms: data.mg_latency_ms || null,
+    created_at: data.mg_created_at,
+    updated_at: data.mg_updated_at,
+  };
+}
+
+// ============================================================================
+// getPoolStatus — return current pool balance for a user
 // ============================================================================
-// getPoolStatus — return current pool balance for a user
-// ============================================================================
 export async function getPoolStatus(passId) {
   const supabase = getSupabaseAdmin();
   if (!supabase) return { pool: 0 };
 
-  const { pool } = await readFingertipsPool(supabase, passId);
-  const { credits, expiresAt } = await megaGetCredits(passId);
+  const { pool } = await readFingertipsPool(passId);
+  const { credits, expiresAt, held, available } = await megaGetCredits(passId);
 
   return {
     pool,
     matchaBalance: credits,
+    matchaHeld: held,
+    matchaAvailable: available,
     expiresAt,
   };
 }
 
+// ============================================================================
+// getPoolHistory — where each 1-matcha refill went
+//
+// Replays the pass's fingertips_pool_tx rows oldest first: every refill (or the
+// balance migrated from mg_mma_preferences) is a lot, draws consume the oldest
+// lot first (a draw can span two lots), a refund goes back to the lots its draw
+// came from. Returns the newest `limit` lots with their draws.
+// ============================================================================
+const POOL_HISTORY_MAX_TX = Number(process.env.FINGERTIPS_POOL_HISTORY_MAX_TX || 5000);
+const POOL_HISTORY_PAGE = 1000;
+
+async function loadPoolTransactions(supabase, passId) {
+  const rows = [];
+  for (let from = 0; from < POOL_HISTORY_MAX_TX; from += POOL_HISTORY_PAGE) {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_id, mg_generation_id, mg_delta, mg_reason, mg_ref_id, mg_meta, mg_created_at")
+      .eq("mg_record_type", "fingertips_pool_tx")
+      .eq("mg_pass_id", passId)
+      .order("mg_created_at", { ascending: false })
+      .order("mg_id", { ascending: false })
+      .range(from, from + POOL_HISTORY_PAGE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < POOL_HISTORY_PAGE) break;
+  }
+  return rows.reverse();
+}
+
+export async function getPoolHistory(passId, { limit = 20 } = {}) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const max = Math.min(100, Math.max(1, Number(limit) || 20));
+  const [{ pool, units: poolUnits }, txs] = await Promise.all([readFingertipsPool(passId), loadPoolTransactions(supabase, passId)]);
+
+  const lots = [];
+  const drawnFrom = new Map(); // generation ref => [{ lot, draw }]
+  const unattributed = [];
+
+  for (const tx of txs) {
+    const units = Number(tx.mg_delta || 0);
+    const generationId = tx.mg_generation_id || String(tx.mg_ref_id || "").replace(/^fingertips:/, "") || null;
+
+    if (tx.mg_reason === "fingertips_pool_refill" || tx.mg_reason === "fingertips_pool_migrated") {
+      lots.push({
+        id: tx.mg_id,
+        kind: tx.mg_reason === "fingertips_pool_refill" ? "refill" : "migrated",
+        at: tx.mg_created_at,
+        generation_id: tx.mg_reason === "fingertips_pool_refill" ? generationId : null,
+        units,
+        used: 0,
+        refunded: 0,
+        draws: [],
+      });
+      continue;
+    }
+
+    if (tx.mg_reason === "fingertips_pool_draw") {
+      let left = -units;
+      const parts = [];
+      for (const lot of lots) {
+        if (left <= 0) break;
+        const free = lot.units - lot.used + lot.refunded;
+        if (free <= 0) continue;
+
+        const take = Math.min(free, left);
+        const draw = { generation_id: generationId, model_key: tx.mg_meta?.model_key || null, units: take, at: tx.mg_created_at, refunded: false };
+        lot.used += take;
+        lot.draws.push(draw);
+        parts.push({ lot, draw });
+        left -= take;
+      }
+      // older lots fell outside the scanned window
+      if (left > 0) unattributed.push({ generation_id: generationId, model_key: tx.mg_meta?.model_key || null, units: left, at: tx.mg_created_at });
+      drawnFrom.set(tx.mg_ref_id, parts);
+      continue;
+    }
+
+    if (tx.mg_reason === "fingertips_pool_refund") {
+      const parts = drawnFrom.get(tx.mg_ref_id) || [];
+      for (const { lot, draw } of parts) {
+        lot.refunded += draw.units;
+        draw.refunded = true;
+      }
+      // refund of a charge from before the ledger: its units just come back as a lot
+      if (!parts.length) {
+        lots.push({ id: tx.mg_id, kind: "refund", at: tx.mg_created_at, generation_id: generationId, units, used: 0, refunded: 0, draws: [] });
+      }
+    }
+  }
+
+  const view = (lot) => ({
+    id: lot.id,
+    kind: lot.kind, // refill = 1 matcha from the balance, migrated = opening pool, refund = pre-ledger refund
+    at: lot.at,
+    generation_id: lot.generation_id,
+    amount: poolUnitsToMatcha(lot.units),
+    used: poolUnitsToMatcha(lot.used - lot.refunded),
+    refunded: poolUnitsToMatcha(lot.refunded),
+    remaining: poolUnitsToMatcha(lot.units - lot.used + lot.refunded),
+    draws: lot.draws.map((d) => ({
+      generation_id: d.generation_id,
+      model_key: d.model_key,
+      cost: poolUnitsToMatcha(d.units),
+      at: d.at,
+      refunded: d.refunded,
+    })),
+  });
+
+  return {
+    pool,
+    pool_units: poolUnits,
+    refills: lots.slice(-max).reverse().map(view),
+    unattributed: unattributed.map(({ units, ...d }) => ({ ...d, cost: poolUnitsToMatcha(units) })),
+    transactions_scanned: txs.length,
+    truncated: txs.length >= POOL_HISTORY_MAX_TX,
+  };
+}
+
 // ============================================================================
 // listModels — return available models + their costs and schemas
 // ============================================================================
@@ -933,9 +1928,10 @@ export function listFingertipsModels() {
     key,
     label: model.label,
     description: model.description,
+    provider: model.provider || "replicate",
     replicateModel: model.replicateModel,
     costPerGeneration: model.costPerGeneration,
-    generationsPerMatcha: Math.floor(1 / model.costPerGeneration),
+    generationsPerMatcha: model.costPerGeneration > 0 ? Math.floor(1 / model.costPerGeneration) : null,
     inputSchema: model.inputSchema,
   }));
 }
@@ -0,0 +1,250 @@
+// ./server/fingertips/fingertips-local.js
+// Local (non-AI) fingertips tools: sharp, in-process, no provider call, no matcha.
+// - crop, resize, rotate (+ flip / flop), convert (png / jpeg / webp / avif), pad (aspect ratio + colour), adjust
+// - sources must be our R2 assets (data URLs are uploaded to R2 by validateInputs first), so the server
+//   never fetches an arbitrary URL
+// - the output keeps the source format (png / jpeg / webp / avif, anything else => png), except `convert`
+// - errors with a LOCAL_TOOL_* code are final (bad input, unreadable image); anything else is transient
+
+import sharp from "sharp";
+import { isOurAssetUrl } from "../../r2.js";
+
+// =========================
+// Config (edit here)
+// =========================
+const MAX_SOURCE_BYTES = Number(process.env.FINGERTIPS_LOCAL_MAX_BYTES || 50 * 1024 * 1024);
+const MAX_DIMENSION = Number(process.env.FINGERTIPS_LOCAL_MAX_DIMENSION || 8192);
+const FETCH_TIMEOUT_MS = Number(process.env.FINGERTIPS_LOCAL_FETCH_TIMEOUT_MS || 30000);
+
+const OUTPUT_FORMATS = {
+  png: { contentType: "image/png", ext: ".png" },
+  jpeg: { contentType: "image/jpeg", ext: ".jpg" },
+  webp: { contentType: "image/webp", ext: ".webp" },
+  avif: { contentType: "image/avif", ext: ".avif" },
+};
+
+// =========================
+// Helpers
+// =========================
+function toolError(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  err.statusCode = 400;
+  return err;
+}
+
+function invalid(message) {
+  return toolError("LOCAL_TOOL_INVALID_INPUT", message);
+}
+
+function num(value, name, { min = -Infinity, max = Infinity, integer = false, fallback } = {}) {
+  if (value === undefined || value === null || value === "") {
+    if (fallback !== undefined) return fallback;
+    throw invalid(`${name} is required`);
+  }
+
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    const range = [Number.isFinite(min) ? `>= ${min}` : "", Number.isFinite(max) ? `<= ${max}` : ""].filter(Boolean).join(" and ");
+    throw invalid(`${name} must be ${integer ? "an integer" : "a number"}${range ? ` ${range}` : ""}`);
+  }
+  return n;
+}
+
+function bool(value) {
+  return value === true || value === "true" || value === 1 || value === "1";
+}
+
+// "#rgb" | "#rrggbb" | "#rrggbbaa" | "transparent"
+function parseColor(value, fallback) {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s) return fallback;
+  if (s === "transparent") return { r: 0, g: 0, b: 0, alpha: 0 };
+
+  const m = s.match(/^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (!m) throw invalid("color must be a hex colour (#rrggbb) or transparent");
+
+  const hex = m[1].length === 3 ? m[1].split("").map((c) => c + c).join("") : m[1];
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16),
+    alpha: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+  };
+}
+
+// "4:5" | "1.25" => width / height
+function parseAspectRatio(value) {
+  const s = String(value ?? "").trim();
+  const m = s.match(/^(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)$/);
+  const ratio = m ? Number(m[1]) / Number(m[2]) : Number(s);
+  if (!Number.isFinite(ratio) || ratio < 0.1 || ratio > 10) throw invalid("aspect_ratio must look like 4:5 (0.1 to 10)");
+  return ratio;
+}
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+async function fetchSource(url) {
+  if (!isOurAssetUrl(url)) {
+    throw toolError("LOCAL_TOOL_SOURCE_NOT_ALLOWED", "Local tools only read images stored on our assets domain.");
+  }
+
+  const res = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), redirect: "error" });
+  if (res.status >= 400 && res.status < 500) throw toolError("LOCAL_TOOL_SOURCE_NOT_FOUND", `Source image returned ${res.status}.`);
+  if (!res.ok) throw new Error(`LOCAL_TOOL_FETCH_FAILED_${res.status}`);
+
+  const tooLarge = () => toolError("LOCAL_TOOL_SOURCE_TOO_LARGE", `Source image is over ${MAX_SOURCE_BYTES} bytes.`);
+  if (Number(res.headers.get("content-length") || 0) > MAX_SOURCE_BYTES) throw tooLarge();
+
+  const buf = Buffer.from(await res.arrayBuffer());
+  if (buf.length > MAX_SOURCE_BYTES) throw tooLarge();
+  return buf;
+}
+
+// EXIF-rotated photos are turned upright first, so crop / pad coordinates match what the user sees
+async function loadSource(buf) {
+  let meta;
+  try {
+    meta = await sharp(buf).metadata();
+  } catch {
+    throw toolError("LOCAL_TOOL_UNREADABLE_IMAGE", "The source is not a readable image.");
+  }
+
+  const format = OUTPUT_FORMATS[meta.format] ? meta.format : "png";
+  if (meta.orientation && meta.orientation !== 1) {
+    const { data, info } = await sharp(buf).autoOrient().png().toBuffer({ resolveWithObject: true });
+    return { buf: data, width: info.width, height: info.height, format, hasAlpha: !!meta.hasAlpha };
+  }
+  return { buf, width: meta.width, height: meta.height, format, hasAlpha: !!meta.hasAlpha };
+}
+
+// =========================
+// Tools: (src, inputs) => { pipeline, format?, quality? }
+// =========================
+const TOOLS = {
+  crop(src, inputs) {
+    const left = num(inputs.left, "left", { min: 0, integer: true, fallback: 0 });
+    const top = num(inputs.top, "top", { min: 0, integer: true, fallback: 0 });
+    const width = num(inputs.width, "width", { min: 1, integer: true });
+    const height = num(inputs.height, "height", { min: 1, integer: true });
+    if (left + width > src.width || top + height > src.height) {
+      throw invalid(`crop box is outside the ${src.width}x${src.height} image`);
+    }
+    return { pipeline: sharp(src.buf).extract({ left, top, width, height }) };
+  },
+
+  resize(src, inputs) {
+    const width = num(inputs.width, "width", { min: 1, max: MAX_DIMENSION, integer: true, fallback: null });
+    const height = num(inputs.height, "height", { min: 1, max: MAX_DIMENSION, integer: true, fallback: null });
+    if (!width && !height) throw invalid("width or height is required");
+
+    const fit = String(inputs.fit || "inside");
+    if (!["inside", "cover", "contain", "fill"].includes(fit)) throw invalid("fit must be inside, cover, contain or fill");
+
+    return {
+      pipeline: sharp(src.buf).resize({
+        width: width || undefined,
+        height: height || undefined,
+        fit,
+        background: parseColor(inputs.color, src.format === "jpeg" ? WHITE : TRANSPARENT),
+        withoutEnlargement: bool(inputs.without_enlargement),
+      }),
+    };
+  },
+
+  rotate(src, inputs) {
+    const angle = num(inputs.angle, "angle", { min: -360, max: 360, fallback: 0 });
+    const flip = bool(inputs.flip);
+    const flop = bool(inputs.flop);
+    if (!angle && !flip && !flop) throw invalid("angle, flip or flop is required");
+
+    let pipeline = sharp(src.buf);
+    if (angle) pipeline = pipeline.rotate(angle, { background: parseColor(inputs.color, src.format === "jpeg" ? WHITE : TRANSPARENT) });
+    if (flip) pipeline = pipeline.flip();
+    if (flop) pipeline = pipeline.flop();
+    return { pipeline };
+  },
+
+  convert(src, inputs) {
+    const format = String(inputs.format || "").trim().toLowerCase().replace(/^jpg$/, "jpeg");
+    if (!OUTPUT_FORMATS[format]) throw invalid("format must be png, jpeg, webp or avif");
+
+    const quality = num(inputs.quality, "quality", { min: 1, max: 100, integer: true, fallback: 90 });
+    let pipeline = sharp(src.buf);
+    if (format === "jpeg" && src.hasAlpha) pipeline = pipeline.flatten({ background: parseColor(inputs.color, WHITE) });
+    return { pipeline, format, quality };
+  },
+
+  pad(src, inputs) {
+    const ratio = parseAspectRatio(inputs.aspect_ratio);
+    const color = parseColor(inputs.color, WHITE);
+
+    let targetW = src.width;
+    let targetH = src.height;
+    if (src.width / src.height < ratio) targetW = Math.round(src.height * ratio);
+    else targetH = Math.round(src.width / ratio);
+    if (targetW > MAX_DIMENSION || targetH > MAX_DIMENSION) throw invalid(`padded image would exceed ${MAX_DIMENSION}px`);
+
+    const left = Math.floor((targetW - src.width) / 2);
+    const top = Math.floor((targetH - src.height) / 2);
+    return {
+      pipeline: sharp(src.buf).extend({
+        left,
+        right: targetW - src.width - left,
+        top,
+        bottom: targetH - src.height - top,
+        background: color,
+      }),
+    };
+  },
+
+  adjust(src, inputs) {
+    const brightness = num(inputs.brightness, "brightness", { min: 0, max: 3, fallback: 1 });
+    const contrast = num(inputs.contrast, "contrast", { min: 0, max: 3, fallback: 1 });
+    const saturation = num(inputs.saturation, "saturation", { min: 0, max: 3, fallback: 1 });
+    if (brightness === 1 && contrast === 1 && saturation === 1) throw invalid("brightness, contrast or saturation is required");
+
+    let pipeline = sharp(src.buf).modulate({ brightness, saturation });
+    // contrast around mid-grey: out = c * in + 128 * (1 - c)
+    if (contrast !== 1) pipeline = pipeline.linear(contrast, 128 * (1 - contrast));
+    return { pipeline };
+  },
+};
+
+export const LOCAL_TOOL_KEYS = Object.keys(TOOLS);
+
+// =========================
+// Runner
+// =========================
+/**
+ * Runs one local tool on inputs.image (an R2 asset URL).
+ * Returns { buffer, contentType, ext, format, width, height }.
+ */
+export async function runLocalFingertipsTool(toolKey, inputs = {}) {
+  const tool = TOOLS[toolKey];
+  if (!tool) throw toolError("LOCAL_TOOL_UNKNOWN", `Unknown local tool: ${toolKey}`);
+
+  const src = await loadSource(await fetchSource(inputs.image));
+  const { pipeline, format = src.format, quality } = tool(src, inputs);
+
+  let out;
+  try {
+    out = await pipeline.toFormat(format, quality ? { quality } : {}).toBuffer({ resolveWithObject: true });
+  } catch (e) {
+    throw toolError("LOCAL_TOOL_FAILED", e?.message || String(e));
+  }
+
+  if (out.info.width > MAX_DIMENSION || out.info.height > MAX_DIMENSION) {
+    throw invalid(`output would exceed ${MAX_DIMENSION}px`);
+  }
+
+  return {
+    buffer: out.data,
+    contentType: OUTPUT_FORMATS[format].contentType,
+    ext: OUTPUT_FORMATS[format].ext,
+    format,
+    width: out.info.width,
+    height: out.info.height,
+  };
+}
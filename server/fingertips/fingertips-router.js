@@ -3,10 +3,16 @@
 
 import express from "express";
 import { resolvePassId as megaResolvePassId } from "../../mega-db.js";
+import { getSupabaseAdmin } from "../../supabase.js";
+import { verifiedPassIdOf } from "../pass-identity.js";
+import { addSseClient } from "../mma/mma-sse.js";
 import {
   handleFingertipsGenerate,
+  handleFingertipsRecipe,
+  handleFingertipsBulk,
   fetchFingertipsGeneration,
   getPoolStatus,
+  getPoolHistory,
   listFingertipsModels,
 } from "./fingertips-controller.js";
 
@@ -23,7 +29,8 @@ function withPassId(req, rawBody) {
 
 // ======================================================
 // POST /fingertips/generate
-// Body: { modelKey, inputs: { ... } }
+// Body: { modelKey, inputs: { ... }, parent_generation_id? }
+// Returns { generation_id, status: "queued", sse_url } right away; the model runs as a job
 // ======================================================
 router.post("/generate", async (req, res) => {
   const { passId, body } = withPassId(req, req.body);
@@ -35,6 +42,8 @@ router.post("/generate", async (req, res) => {
       passId,
       modelKey: body.modelKey || body.model_key || body.model,
       inputs: body.inputs || {},
+      apiKeyId: req.apiKey?.keyId || null,
+      parentGenerationId: String(body.parent_generation_id || body.parentGenerationId || "").trim() || null,
     });
 
     res.json(result);
@@ -66,7 +75,7 @@ router.post("/generate", async (req, res) => {
 
 // ======================================================
 // GET /fingertips/generations/:generation_id
-// Poll for result of a fingertips generation
+// Poll for result of a fingertips generation (fallback when SSE is not available)
 // ======================================================
 router.get("/generations/:generation_id", async (req, res) => {
   try {
@@ -79,13 +88,141 @@ router.get("/generations/:generation_id", async (req, res) => {
   }
 });
 
+// ======================================================
+// POST /fingertips/recipes
+// Body: { steps: [{ modelKey, inputs }], parent_generation_id? }
+// steps[0].inputs.image = source; each later step gets the previous output as `image`
+// ======================================================
+router.post("/recipes", async (req, res) => {
+  const { passId, body } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+
+    const result = await handleFingertipsRecipe({
+      passId,
+      steps: body.steps,
+      apiKeyId: req.apiKey?.keyId || null,
+      parentGenerationId: String(body.parent_generation_id || body.parentGenerationId || "").trim() || null,
+    });
+
+    res.json(result);
+  } catch (err) {
+    console.error("[fingertips] recipe error", err);
+    res.status(err?.statusCode || 500).json({
+      error: err?.code || "FINGERTIPS_RECIPE_FAILED",
+      message: err?.statusCode ? err?.message : "Something went wrong. Please try again.",
+      step: err?.step ?? undefined,
+      modelKey: err?.modelKey || undefined,
+      missing: err?.missing || undefined,
+      availableModels: err?.availableModels || undefined,
+      details: err?.details || undefined,
+    });
+  }
+});
+
+// ======================================================
+// POST /fingertips/bulk
+// Body: { modelKey, images: [url | r2 key], inputs, parent_generation_id? }
+// inputs are shared by every image; outputs are zipped once every image is settled
+// ======================================================
+router.post("/bulk", async (req, res) => {
+  const { passId, body } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+
+    const result = await handleFingertipsBulk({
+      passId,
+      modelKey: body.modelKey || body.model_key || body.model,
+      images: body.images,
+      inputs: body.inputs || {},
+      apiKeyId: req.apiKey?.keyId || null,
+      parentGenerationId: String(body.parent_generation_id || body.parentGenerationId || "").trim() || null,
+    });
+
+    res.json(result);
+  } catch (err) {
+    console.error("[fingertips] bulk error", err);
+    res.status(err?.statusCode || 500).json({
+      error: err?.code || "FINGERTIPS_BULK_FAILED",
+      message: err?.statusCode ? err?.message : "Something went wrong. Please try again.",
+      modelKey: err?.modelKey || undefined,
+      missing: err?.missing || undefined,
+      invalid: err?.invalid || undefined,
+      max: err?.max || undefined,
+      availableModels: err?.availableModels || undefined,
+      details: err?.details || undefined,
+    });
+  }
+});
+
+// ======================================================
+// GET /fingertips/stream/:generation_id
+// SSE: status (queued | prompting | generating | done | error) then done
+// recipes also send `step` events ({ index, model_key, generation_id, status, output_url })
+// bulk runs send `item` events ({ index, source, generation_id, status, output_url }) and `zip` ({ url, bytes, files })
+// ======================================================
+router.get("/stream/:generation_id", async (req, res) => {
+  try {
+    const supabase = getSupabaseAdmin();
+    if (!supabase) return res.status(500).end();
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders?.();
+
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_mma_status")
+      .eq("mg_generation_id", req.params.generation_id)
+      .eq("mg_record_type", "generation")
+      .eq("mg_mma_mode", "fingertips")
+      .maybeSingle();
+
+    if (error || !data) {
+      try {
+        res.write(`event: error\ndata: ${JSON.stringify({ error: "SSE_BOOTSTRAP_FAILED" })}\n\n`);
+      } catch {}
+      return res.end();
+    }
+
+    const status = String(data.mg_mma_status || "queued");
+    const terminal = status === "done" || status === "error";
+    const lastEventId = String(req.get("last-event-id") || req.query?.lastEventId || "");
+
+    addSseClient(req.params.generation_id, res, { status, lastEventId, terminal });
+
+    if (terminal) {
+      try {
+        res.end();
+      } catch {}
+    }
+  } catch (err) {
+    console.error("[fingertips] stream error", err);
+    try {
+      res.status(500).end();
+    } catch {}
+  }
+});
+
+// Pool reads: the pass the identity guard proved (server/pass-identity.js), never a raw
+// ?pass_id= / header; the resolver only runs when nothing was proved (mode off / log).
+function poolPassId(req) {
+  return verifiedPassIdOf(req) || megaResolvePassId(req, req.query || {});
+}
+
 // ======================================================
 // GET /fingertips/pool
 // Returns current fingertips pool balance for the user
 // ======================================================
 router.get("/pool", async (req, res) => {
   try {
-    const passId = megaResolvePassId(req, req.query || {});
+    const passId = poolPassId(req);
     res.set("X-Mina-Pass-Id", passId);
 
     const status = await getPoolStatus(passId);
@@ -96,6 +233,23 @@ router.get("/pool", async (req, res) => {
   }
 });
 
+// ======================================================
+// GET /fingertips/pool/history?limit=20
+// Newest refills first, each with the draws (and refunds) it paid for
+// ======================================================
+router.get("/pool/history", async (req, res) => {
+  try {
+    const passId = poolPassId(req);
+    res.set("X-Mina-Pass-Id", passId);
+
+    const history = await getPoolHistory(passId, { limit: req.query?.limit });
+    res.json({ ok: true, ...history });
+  } catch (err) {
+    console.error("[fingertips] pool history error", err);
+    res.status(500).json({ error: "FINGERTIPS_POOL_HISTORY_FAILED", message: err?.message });
+  }
+});
+
 // ======================================================
 // GET /fingertips/models
 // Returns all available fingertips models with costs and input schemas
@@ -8,6 +8,7 @@ import crypto from "node:crypto";
 
 import { getSupabaseAdmin, sbEnabled } from "../supabase.js";
 import { megaEnsureCustomer, megaGetCredits } from "../mega-db.js";
+import { keyForPublicUrl, deleteR2Object } from "../r2.js";
 
 const router = express.Router();
 
@@ -18,6 +19,15 @@ const HISTORY_MAX_ROWS = Number(process.env.HISTORY_MAX_ROWS || 500);
 const HISTORY_PAGE_DEFAULT = Number(process.env.HISTORY_PAGE_DEFAULT || 200);
 const HISTORY_PAGE_MAX = Number(process.env.HISTORY_PAGE_MAX || HISTORY_MAX_ROWS);
 
+// Trash: soft-deleted rows are purged (with their R2 outputs) after N days
+const HISTORY_TRASH_DAYS = Number(process.env.HISTORY_TRASH_DAYS || 30);
+const HISTORY_TRASH_PURGE_EVERY_MS = Number(process.env.HISTORY_TRASH_PURGE_EVERY_MS || 6 * 60 * 60 * 1000);
+const HISTORY_TRASH_PURGE_BATCH = Number(process.env.HISTORY_TRASH_PURGE_BATCH || 200);
+
+// Only these record types can be deleted/restored through history.
+// credit_transaction (ledger) and mma_hold rows are NEVER deletable here.
+const HISTORY_DELETABLE_TYPES = ["generation", "feedback", "session"];
+
 // =========================
 // Helpers
 // =========================
@@ -162,6 +172,143 @@ async function buildPassCandidates({ primaryPassId, authUser, supabase }) {
   return Array.from(set).filter(Boolean).slice(0, 20);
 }
 
+// Caller pass for write routes: X-Mina-Pass-Id header, then ?passId / body.passId
+function resolveCallerPassId(req) {
+  return normalizePassId(
+    req.get("X-Mina-Pass-Id") ||
+      req.get("x-mina-pass-id") ||
+      req.query?.passId ||
+      req.body?.passId ||
+      req.body?.pass_id ||
+      ""
+  );
+}
+
+// Rows owned by the caller, matched by mg_id first, then by mg_generation_id
+async function findOwnedRows({ supabase, id, passIds, deleted }) {
+  const base = () => {
+    let q = supabase
+      .from("mega_generations")
+      .select("mg_id, mg_record_type, mg_generation_id, mg_pass_id, mg_deleted_at")
+      .in("mg_pass_id", passIds)
+      .in("mg_record_type", HISTORY_DELETABLE_TYPES)
+      .limit(50);
+    q = deleted ? q.not("mg_deleted_at", "is", null) : q.is("mg_deleted_at", null);
+    return q;
+  };
+
+  const byId = await base().eq("mg_id", id);
+  if (byId.error) throw byId.error;
+  if (Array.isArray(byId.data) && byId.data.length) return byId.data;
+
+  // Fallback: if frontend sends generationId instead of mg_id
+  const byGen = await base().eq("mg_generation_id", id);
+  if (byGen.error) throw byGen.error;
+  return Array.isArray(byGen.data) ? byGen.data : [];
+}
+
+// Resolve the caller into their candidate passIds (same logic as GET /history/pass/:passId)
+async function resolveCallerPassIds(req, supabase) {
+  const authUser = await getAuthUser(req);
+  const primaryPassId = resolveCallerPassId(req) || (authUser?.userId ? `pass:user:${authUser.userId}` : "");
+  if (!primaryPassId) return { primaryPassId: "", passIds: [] };
+
+  const passIds = await buildPassCandidates({ primaryPassId, authUser, supabase });
+  return { primaryPassId, passIds };
+}
+
+// Our R2 objects produced by a generation row (outputs only — inputs may be reused elsewhere)
+function collectOutputKeys(row) {
+  const urls = new Set();
+  if (row?.mg_output_url) urls.add(String(row.mg_output_url));
+
+  const vars = tryParseJson(row?.mg_mma_vars) ?? row?.mg_mma_vars;
+  const outputs = vars?.outputs && typeof vars.outputs === "object" ? vars.outputs : {};
+  for (const v of Object.values(outputs)) {
+    if (typeof v === "string" && v.startsWith("http")) urls.add(v);
+  }
+
+  return Array.from(urls)
+    .map((u) => keyForPublicUrl(u))
+    .filter(Boolean);
+}
+
+// =========================
+// Trash purge (hard delete after HISTORY_TRASH_DAYS)
+// =========================
+export async function purgeHistoryTrash({ olderThanDays = HISTORY_TRASH_DAYS, limit = HISTORY_TRASH_PURGE_BATCH } = {}) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return { ok: false, purged: 0, error: "NO_SUPABASE_CLIENT" };
+
+  const cutoff = new Date(Date.now() - Number(olderThanDays || 0) * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id, mg_record_type, mg_generation_id, mg_output_url, mg_mma_vars")
+    .in("mg_record_type", HISTORY_DELETABLE_TYPES)
+    .not("mg_deleted_at", "is", null)
+    .lt("mg_deleted_at", cutoff)
+    .limit(limit);
+
+  if (error) throw error;
+
+  let purged = 0;
+  let objectsDeleted = 0;
+
+  for (const row of data || []) {
+    try {
+      if (row.mg_record_type === "generation") {
+        for (const key of collectOutputKeys(row)) {
+          try {
+            await deleteR2Object(key);
+            objectsDeleted += 1;
+          } catch (e) {
+            console.warn("[history] trash purge: R2 delete failed", key, e?.message || e);
+          }
+        }
+
+        // Audit rows of the generation (never ledger / holds)
+        if (row.mg_generation_id) {
+          await supabase
+            .from("mega_generations")
+            .delete()
+            .eq("mg_generation_id", row.mg_generation_id)
+            .in("mg_record_type", ["mma_step", "mma_event"]);
+        }
+      }
+
+      const { error: delErr } = await supabase
+        .from("mega_generations")
+        .delete()
+        .eq("mg_id", row.mg_id)
+        .in("mg_record_type", HISTORY_DELETABLE_TYPES)
+        .not("mg_deleted_at", "is", null);
+
+      if (delErr) throw delErr;
+      purged += 1;
+    } catch (e) {
+      console.warn("[history] trash purge failed for", row.mg_id, e?.message || e);
+    }
+  }
+
+  return { ok: true, purged, objectsDeleted, cutoff };
+}
+
+let purgeTimer = null;
+
+export function startHistoryTrashPurge() {
+  if (purgeTimer || !sbEnabled() || !(HISTORY_TRASH_PURGE_EVERY_MS > 0)) return;
+
+  const run = () =>
+    purgeHistoryTrash()
+      .then((r) => r?.purged && console.log(`[history] trash purge: ${r.purged} rows, ${r.objectsDeleted} objects`))
+      .catch((e) => console.error("[history] trash purge failed", e?.message || e));
+
+  purgeTimer = setInterval(run, HISTORY_TRASH_PURGE_EVERY_MS);
+  purgeTimer.unref?.();
+  run();
+}
+
 // =========================
 // Routes
 // =========================
@@ -189,7 +336,7 @@ router.get("/history/pass/:passId", async (req, res) => {
     });
 
     // Credits for the primary passId
-    const { credits, expiresAt } = await megaGetCredits(primaryPassId);
+    const { credits, expiresAt, held, available } = await megaGetCredits(primaryPassId);
 
     // Pull history across candidate passIds so it never “looks empty” due to legacy/passId mismatches
     const passIds = await buildPassCandidates({ primaryPassId, authUser, supabase });
@@ -204,6 +351,7 @@ router.get("/history/pass/:passId", async (req, res) => {
       )
       .in("mg_pass_id", passIds)
       .in("mg_record_type", ["generation", "feedback", "session"])
+      .is("mg_deleted_at", null)
       .order("mg_created_at", { ascending: false })
       .limit(limit);
 
@@ -272,7 +420,7 @@ router.get("/history/pass/:passId", async (req, res) => {
       requestId,
       passId: primaryPassId,
       passIdsChecked: passIds,
-      credits: { balance: credits, expiresAt },
+      credits: { balance: credits, held, available, expiresAt },
       page: {
         limit,
         cursor: cursor || null,
@@ -290,7 +438,58 @@ router.get("/history/pass/:passId", async (req, res) => {
   }
 });
 
-// DELETE /history/:id
+// GET /history/trash — caller's soft-deleted rows (restorable until purged)
+router.get("/history/trash", async (req, res) => {
+  const requestId = `trash_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE_CLIENT" });
+
+    const { primaryPassId, passIds } = await resolveCallerPassIds(req, supabase);
+    if (!passIds.length) return res.status(401).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
+    res.set("X-Mina-Pass-Id", primaryPassId);
+
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_id, mg_record_type, mg_generation_id, mg_prompt, mg_output_url, mg_mma_mode, mg_deleted_at, mg_created_at")
+      .in("mg_pass_id", passIds)
+      .in("mg_record_type", HISTORY_DELETABLE_TYPES)
+      .not("mg_deleted_at", "is", null)
+      .order("mg_deleted_at", { ascending: false })
+      .limit(clampInt(req.query.limit ?? HISTORY_PAGE_DEFAULT, 1, HISTORY_PAGE_MAX));
+
+    if (error) throw error;
+
+    const items = (data || []).map((r) => {
+      const deletedAt = String(r.mg_deleted_at || "");
+      const purgeAt = deletedAt
+        ? new Date(Date.parse(deletedAt) + HISTORY_TRASH_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+
+      return {
+        id: String(r.mg_id || ""),
+        recordType: String(r.mg_record_type || ""),
+        generationId: String(r.mg_generation_id || ""),
+        mode: String(r.mg_mma_mode || ""),
+        prompt: String(r.mg_prompt || ""),
+        outputUrl: String(r.mg_output_url || ""),
+        createdAt: String(r.mg_created_at || ""),
+        deletedAt,
+        purgeAt,
+      };
+    });
+
+    return res.json({ ok: true, requestId, passId: primaryPassId, trashDays: HISTORY_TRASH_DAYS, items });
+  } catch (e) {
+    console.error("GET /history/trash failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "TRASH_FAILED", message: e?.message || String(e) });
+  }
+});
+
+// DELETE /history/:id — soft delete (moves to trash), scoped to the caller's passIds
 router.delete("/history/:id", async (req, res) => {
   const requestId = `del_${Date.now()}_${crypto.randomUUID()}`;
 
@@ -303,21 +502,73 @@ router.delete("/history/:id", async (req, res) => {
     const id = safeString(req.params.id, "");
     if (!id) return res.status(400).json({ ok: false, requestId, error: "MISSING_ID" });
 
-    // Try delete by mg_id first
-    const del1 = await supabase.from("mega_generations").delete().eq("mg_id", id).select("mg_id");
-    let deleted = Array.isArray(del1.data) ? del1.data.length : 0;
+    const { primaryPassId, passIds } = await resolveCallerPassIds(req, supabase);
+    if (!passIds.length) return res.status(401).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
+    res.set("X-Mina-Pass-Id", primaryPassId);
+
+    const rows = await findOwnedRows({ supabase, id, passIds, deleted: false });
 
-    // Fallback: if frontend sends generationId instead of mg_id
-    if (deleted === 0) {
-      const del2 = await supabase.from("mega_generations").delete().eq("mg_generation_id", id).select("mg_id");
-      deleted = Array.isArray(del2.data) ? del2.data.length : 0;
-    }
+    // Not yours, a ledger row, or unknown: same answer (don't reveal which)
+    if (!rows.length) return res.status(404).json({ ok: false, requestId, error: "NOT_FOUND" });
+
+    const ts = nowIso();
+    const ids = rows.map((r) => r.mg_id);
+
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .update({ mg_deleted_at: ts, mg_updated_at: ts })
+      .in("mg_id", ids)
+      .in("mg_pass_id", passIds)
+      .in("mg_record_type", HISTORY_DELETABLE_TYPES)
+      .select("mg_id");
+
+    if (error) throw error;
 
-    return res.json({ ok: true, requestId, deleted: deleted > 0, deletedCount: deleted });
+    const deleted = Array.isArray(data) ? data.length : 0;
+    const purgeAt = new Date(Date.parse(ts) + HISTORY_TRASH_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    return res.json({ ok: true, requestId, deleted: deleted > 0, deletedCount: deleted, trashed: true, purgeAt });
   } catch (e) {
     console.error("DELETE /history/:id failed", e);
     return res.status(500).json({ ok: false, requestId, error: "DELETE_FAILED", message: e?.message || String(e) });
   }
 });
 
+// POST /history/:id/restore — undo a soft delete (until the purge job runs)
+router.post("/history/:id/restore", async (req, res) => {
+  const requestId = `restore_${Date.now()}_${crypto.randomUUID()}`;
+
+  try {
+    if (!sbEnabled()) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE" });
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) return res.status(503).json({ ok: false, requestId, error: "NO_SUPABASE_CLIENT" });
+
+    const id = safeString(req.params.id, "");
+    if (!id) return res.status(400).json({ ok: false, requestId, error: "MISSING_ID" });
+
+    const { primaryPassId, passIds } = await resolveCallerPassIds(req, supabase);
+    if (!passIds.length) return res.status(401).json({ ok: false, requestId, error: "MISSING_PASS_ID" });
+    res.set("X-Mina-Pass-Id", primaryPassId);
+
+    const rows = await findOwnedRows({ supabase, id, passIds, deleted: true });
+    if (!rows.length) return res.status(404).json({ ok: false, requestId, error: "NOT_IN_TRASH" });
+
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .update({ mg_deleted_at: null, mg_updated_at: nowIso() })
+      .in("mg_id", rows.map((r) => r.mg_id))
+      .in("mg_pass_id", passIds)
+      .select("mg_id");
+
+    if (error) throw error;
+
+    const restored = Array.isArray(data) ? data.length : 0;
+    return res.json({ ok: true, requestId, restored: restored > 0, restoredCount: restored });
+  } catch (e) {
+    console.error("POST /history/:id/restore failed", e);
+    return res.status(500).json({ ok: false, requestId, error: "RESTORE_FAILED", message: e?.message || String(e) });
+  }
+});
+
 export default router;
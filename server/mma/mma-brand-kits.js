@@ -0,0 +1,267 @@
+// ./server/mma/mma-brand-kits.js
+// Brand kits: saved logos, product shots, style references, palette, tone of voice and banned elements per pass.
+// - stored as mega_generations rows (mg_record_type = "brand_kit"), see supabase/mega_brand_kits.sql
+// - create/still calls send inputs.brand_kit_id instead of re-sending every asset (makeInitialVars expands it)
+// - images are plain https URLs (upload first via /api/r2/upload-dataurl)
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../../supabase.js";
+
+// =========================
+// Config (edit here)
+// =========================
+const MAX_KITS_PER_PASS = Number(process.env.MMA_BRAND_KITS_MAX_PER_PASS || 25);
+
+const LIMITS = {
+  name: 120,
+  logo_urls: 5,
+  product_image_urls: 10,
+  style_image_urls: 10,
+  palette: 12,
+  tone_of_voice: 1000,
+  banned_elements: 30,
+  banned_element: 80,
+};
+
+// =========================
+// Helpers
+// =========================
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeString(v, fallback = "") {
+  if (v === null || v === undefined) return fallback;
+  const s = String(v).trim();
+  return s ? s : fallback;
+}
+
+function makeHttpError(statusCode, code, extra = {}) {
+  const err = new Error(code);
+  err.statusCode = statusCode;
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+function cleanUrls(raw, field) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) throw makeHttpError(400, "INVALID_BRAND_KIT", { field });
+
+  const out = [];
+  for (const v of raw) {
+    const s = safeString(v, "");
+    let ok = false;
+    try {
+      ok = new URL(s).protocol === "https:";
+    } catch {}
+    if (!ok) throw makeHttpError(400, "INVALID_BRAND_KIT", { field });
+    if (!out.includes(s)) out.push(s);
+  }
+
+  if (out.length > LIMITS[field]) throw makeHttpError(400, "BRAND_KIT_TOO_MANY", { field, max: LIMITS[field] });
+  return out;
+}
+
+function cleanPalette(raw) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) throw makeHttpError(400, "INVALID_BRAND_KIT", { field: "palette" });
+
+  const out = [];
+  for (const v of raw) {
+    const m = safeString(v, "").match(/^#?([0-9a-fA-F]{6}|[0-9a-fA-F]{3})$/);
+    if (!m) throw makeHttpError(400, "INVALID_BRAND_KIT", { field: "palette" });
+
+    const hex = m[1].length === 3 ? m[1].replace(/./g, (c) => c + c) : m[1];
+    const color = `#${hex.toLowerCase()}`;
+    if (!out.includes(color)) out.push(color);
+  }
+
+  if (out.length > LIMITS.palette) throw makeHttpError(400, "BRAND_KIT_TOO_MANY", { field: "palette", max: LIMITS.palette });
+  return out;
+}
+
+function cleanBanned(raw) {
+  if (raw === undefined || raw === null) return [];
+  const list = Array.isArray(raw) ? raw : safeString(raw, "").split(",");
+
+  const out = [];
+  for (const v of list) {
+    const s = safeString(v, "").slice(0, LIMITS.banned_element);
+    if (s && !out.includes(s)) out.push(s);
+  }
+
+  if (out.length > LIMITS.banned_elements) {
+    throw makeHttpError(400, "BRAND_KIT_TOO_MANY", { field: "banned_elements", max: LIMITS.banned_elements });
+  }
+  return out;
+}
+
+// Only the fields present in `input` are returned (PATCH semantics for update)
+function cleanKitFields(input) {
+  const src = input && typeof input === "object" ? input : {};
+  const out = {};
+
+  if ("logo_urls" in src) out.logo_urls = cleanUrls(src.logo_urls, "logo_urls");
+  if ("product_image_urls" in src) out.product_image_urls = cleanUrls(src.product_image_urls, "product_image_urls");
+  if ("style_image_urls" in src) out.style_image_urls = cleanUrls(src.style_image_urls, "style_image_urls");
+  if ("palette" in src) out.palette = cleanPalette(src.palette);
+  if ("tone_of_voice" in src) out.tone_of_voice = safeString(src.tone_of_voice, "").slice(0, LIMITS.tone_of_voice);
+  if ("banned_elements" in src) out.banned_elements = cleanBanned(src.banned_elements);
+
+  return out;
+}
+
+const EMPTY_KIT = {
+  logo_urls: [],
+  product_image_urls: [],
+  style_image_urls: [],
+  palette: [],
+  tone_of_voice: "",
+  banned_elements: [],
+};
+
+function kitView(row) {
+  const meta = row?.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  return {
+    kit_id: String(row?.mg_id || "").replace(/^brand_kit:/, ""),
+    name: row?.mg_title || null,
+    logo_urls: Array.isArray(meta.logo_urls) ? meta.logo_urls : [],
+    product_image_urls: Array.isArray(meta.product_image_urls) ? meta.product_image_urls : [],
+    style_image_urls: Array.isArray(meta.style_image_urls) ? meta.style_image_urls : [],
+    palette: Array.isArray(meta.palette) ? meta.palette : [],
+    tone_of_voice: meta.tone_of_voice || "",
+    banned_elements: Array.isArray(meta.banned_elements) ? meta.banned_elements : [],
+    created_at: row?.mg_created_at || null,
+    updated_at: row?.mg_updated_at || null,
+  };
+}
+
+const KIT_COLUMNS = "mg_id, mg_pass_id, mg_title, mg_status, mg_meta, mg_created_at, mg_updated_at";
+
+async function loadKitRow(supabase, { passId, kitId }) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select(KIT_COLUMNS)
+    .eq("mg_id", `brand_kit:${safeString(kitId, "")}`)
+    .eq("mg_record_type", "brand_kit")
+    .eq("mg_pass_id", safeString(passId, ""))
+    .eq("mg_status", "active")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+// =========================
+// CRUD
+// =========================
+export async function listBrandKits({ passId }) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select(KIT_COLUMNS)
+    .eq("mg_record_type", "brand_kit")
+    .eq("mg_pass_id", safeString(passId, ""))
+    .eq("mg_status", "active")
+    .order("mg_created_at", { ascending: false })
+    .limit(MAX_KITS_PER_PASS);
+
+  if (error) throw error;
+  return (data || []).map(kitView);
+}
+
+// null when the kit doesn't exist, belongs to another pass or was deleted
+export async function getBrandKit({ passId, kitId }) {
+  const supabase = requireSupabase();
+  const row = await loadKitRow(supabase, { passId, kitId });
+  return row ? kitView(row) : null;
+}
+
+export async function createBrandKit({ passId, input }) {
+  const supabase = requireSupabase();
+
+  const pid = safeString(passId, "");
+  if (!pid) throw makeHttpError(400, "PASS_ID_REQUIRED");
+
+  const name = safeString(input?.name, "").slice(0, LIMITS.name);
+  if (!name) throw makeHttpError(400, "BRAND_KIT_NAME_REQUIRED");
+
+  const fields = { ...EMPTY_KIT, ...cleanKitFields(input) };
+
+  const { count, error: countErr } = await supabase
+    .from("mega_generations")
+    .select("mg_id", { count: "exact", head: true })
+    .eq("mg_record_type", "brand_kit")
+    .eq("mg_pass_id", pid)
+    .eq("mg_status", "active");
+  if (countErr) throw countErr;
+  if ((count || 0) >= MAX_KITS_PER_PASS) throw makeHttpError(409, "BRAND_KIT_LIMIT_REACHED", { max: MAX_KITS_PER_PASS });
+
+  const ts = nowIso();
+  const row = {
+    mg_id: `brand_kit:${crypto.randomUUID()}`,
+    mg_record_type: "brand_kit",
+    mg_pass_id: pid,
+    mg_status: "active",
+    mg_title: name,
+    mg_meta: fields,
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  };
+
+  const { error } = await supabase.from("mega_generations").insert(row);
+  if (error) throw error;
+
+  return kitView(row);
+}
+
+export async function updateBrandKit({ passId, kitId, input }) {
+  const supabase = requireSupabase();
+
+  const row = await loadKitRow(supabase, { passId, kitId });
+  if (!row) throw makeHttpError(404, "BRAND_KIT_NOT_FOUND");
+
+  const patch = cleanKitFields(input);
+  const name = "name" in (input || {}) ? safeString(input.name, "").slice(0, LIMITS.name) : row.mg_title;
+  if (!name) throw makeHttpError(400, "BRAND_KIT_NAME_REQUIRED");
+
+  const next = {
+    mg_title: name,
+    mg_meta: { ...(row.mg_meta || {}), ...patch },
+    mg_updated_at: nowIso(),
+  };
+
+  const { error } = await supabase
+    .from("mega_generations")
+    .update(next)
+    .eq("mg_id", row.mg_id)
+    .eq("mg_record_type", "brand_kit");
+  if (error) throw error;
+
+  return kitView({ ...row, ...next });
+}
+
+// soft delete: generations keep their brand snapshot in mg_mma_vars.brand
+export async function deleteBrandKit({ passId, kitId }) {
+  const supabase = requireSupabase();
+
+  const row = await loadKitRow(supabase, { passId, kitId });
+  if (!row) throw makeHttpError(404, "BRAND_KIT_NOT_FOUND");
+
+  const { error } = await supabase
+    .from("mega_generations")
+    .update({ mg_status: "deleted", mg_meta: { ...(row.mg_meta || {}), deleted_at: nowIso() }, mg_updated_at: nowIso() })
+    .eq("mg_id", row.mg_id)
+    .eq("mg_record_type", "brand_kit");
+  if (error) throw error;
+
+  return { kit_id: kitView(row).kit_id, deleted: true };
+}
@@ -109,6 +109,53 @@ const parseUrlListFromEnvKeys = (keys) => {
   return dedupe(all);
 };
 
+// Extra engines (provider registry, ./mma-providers.js):
+// MMA_PROVIDERS_JSON='[{"id":"flux","kind":"still","model":"black-forest-labs/flux-1.1-pro",
+//   "lanes":["main"],"cost":1,"capabilities":{"maxReferenceImages":1,"aspectRatios":["1:1","4:5","16:9"]},
+//   "input":{"prompt":"{{prompt}}","aspect_ratio":"{{aspectRatio}}","image_prompt":"{{imageInputs.0}}"}}]'
+const parseProviderEntries = (raw) => {
+  const s = asStr(raw).trim();
+  if (!s) return [];
+
+  try {
+    const arr = JSON.parse(s);
+    if (!Array.isArray(arr)) return [];
+
+    return arr.filter(
+      (e) =>
+        e &&
+        typeof e === "object" &&
+        asStr(e.id).trim() &&
+        (e.kind === "still" || e.kind === "video") &&
+        asStr(e.model).trim()
+    );
+  } catch {
+    return [];
+  }
+};
+
+// MMA_STILL_FALLBACK_MAIN="nanobanana2,nanobanana" (ordered engine ids, CSV or JSON array)
+const parseIdList = (raw) => {
+  const s = asStr(raw).trim();
+  if (!s) return [];
+
+  if (s.startsWith("[")) {
+    try {
+      const j = JSON.parse(s);
+      if (Array.isArray(j)) return dedupe(j.map((x) => asStr(x).trim()).filter(Boolean));
+    } catch {
+      // fall through
+    }
+  }
+
+  return dedupe(
+    s
+      .split(/[\n,]+/g)
+      .map((x) => x.trim())
+      .filter(Boolean)
+  );
+};
+
 export function getMmaConfig() {
   const enabled = parseBool(pickEnv(["MMA_ENABLED"], "1"), true);
 
@@ -219,5 +266,32 @@ export function getMmaConfig() {
       duration: klingDuration,
       negativePrompt: negativeKling,
     },
+
+    // -----------------------------
+    // Provider registry
+    // -----------------------------
+    providers: {
+      // configured Replicate engines (registered next to the built-ins)
+      entries: parseProviderEntries(process.env.MMA_PROVIDERS_JSON || ""),
+
+      // pin an engine per still lane (empty = highest priority enabled engine)
+      still: {
+        main: pickEnv(["MMA_STILL_ENGINE_MAIN"], ""),
+        niche: pickEnv(["MMA_STILL_ENGINE_NICHE"], ""),
+      },
+
+      // still failover chain per lane, tried in order when the picked engine errors / returns no url
+      stillFallbacks: {
+        main: parseIdList(pickEnv(["MMA_STILL_FALLBACK_MAIN"], "")),
+        niche: parseIdList(pickEnv(["MMA_STILL_FALLBACK_NICHE"], "")),
+      },
+
+      // pin an engine per video flow
+      video: {
+        kling: pickEnv(["MMA_VIDEO_ENGINE_KLING"], ""),
+        kling_motion_control: pickEnv(["MMA_VIDEO_ENGINE_MOTION_CONTROL"], ""),
+        fabric_audio: pickEnv(["MMA_VIDEO_ENGINE_FABRIC_AUDIO"], ""),
+      },
+    },
   };
 }
@@ -13,6 +13,9 @@ import {
   megaGetCredits,
   megaAdjustCredits,
   megaHasCreditRef,
+  megaHoldCredits,
+  megaCaptureHold,
+  megaReleaseHold,
 } from "../../mega-db.js";
 
 import { getSupabaseAdmin } from "../../supabase.js";
@@ -27,10 +30,33 @@ import {
   stepIdentifiers,
 } from "./mma-utils.js";
 
-import { addSseClient, sendDone, sendScanLine, sendStatus } from "./mma-sse.js";
+import { addSseClient, sendDone, sendScanLine, sendStatus, sendVariant } from "./mma-sse.js";
 import { getMmaConfig } from "./mma-config.js";
 import { replicatePredictWithTimeout } from "./replicate-poll.js";
+import {
+  enqueueMmaJob,
+  inMmaJob,
+  recordProviderTask,
+  registerMmaJobHandler,
+  retryMmaJobLater,
+  startMmaJobWorker,
+  withMmaJobGeneration,
+} from "./mma-jobs.js";
+import {
+  describeMmaProviders,
+  fitProviderRequest,
+  getMmaProvider,
+  mapProviderInput,
+  pickMmaProvider,
+  registerMmaProvider,
+} from "./mma-providers.js";
 import { estimateGenerationCost, costParamsFromVars } from "./mma-cost-calculator.js";
+import { getFingertipsModel } from "../fingertips/fingertips-config.js";
+import { getBrandKit } from "./mma-brand-kits.js";
+import { resolvePreset } from "./mma-presets.js";
+import { applyCtxExperiment, stampCtxExperiment } from "./mma-experiments.js";
+import { moderationInputsFromBody, runModerationCheck } from "./mma-moderation.js";
+import { makeKey, parseDataUrl, putBufferToR2 } from "../../r2.js";
 
 // ============================================================================
 // USER-FACING TEXT (EDIT THESE)
@@ -600,6 +626,14 @@ async function getMmaCtxConfig(supabase) {
   }
 }
 
+// mma_ctx + the pass's A/B arm (mma-experiments.js); the arm is stamped on mg_meta.ctx_experiment
+async function getMmaCtxForGeneration({ supabase, passId, generationIds }) {
+  const base = await getMmaCtxConfig(supabase);
+  const { ctx, assignment } = await applyCtxExperiment(supabase, base, passId);
+  await stampCtxExperiment(supabase, generationIds, assignment);
+  return ctx;
+}
+
 // ============================================================================
 // OpenAI vision JSON helper (Responses API preferred, Chat Completions fallback)
 // ============================================================================
@@ -960,12 +994,8 @@ function mainUsesGemini() {
 }
 
 function resolveStillEngine(vars) {
-  const lane = resolveStillLane(vars);
-
-  if (lane === "niche" && nanoBananaEnabled()) return "nanobanana";
-  if (lane === "main" && mainUsesGemini()) return "nanobanana2";
-
-  return "seedream";
+  // lane defaults (nanobanana for niche, nanobanana2 for main, else seedream) live in the registry
+  return resolveStillProvider(vars).id;
 }
 
 
@@ -1070,13 +1100,12 @@ async function runNanoBananaReplicate({
 
   const t0 = Date.now();
 
-  const pred = await replicatePredictWithTimeout({
+  const pred = await predictOnReplicate({
     replicate,
     version,
     input,
     // ✅ Nano Banana can take 7–10 minutes. Default hard timeout is 15 min unless overridden.
     timeoutMs: REPLICATE_MAX_MS_NANOBANANA,
-    pollMs: REPLICATE_POLL_MS,
     callTimeoutMs: REPLICATE_CALL_TIMEOUT_MS,
     cancelOnTimeout: REPLICATE_CANCEL_ON_TIMEOUT,
   });
@@ -1397,6 +1426,42 @@ const REPLICATE_CALL_TIMEOUT_MS = Number(process.env.MMA_REPLICATE_CALL_TIMEOUT_
 const REPLICATE_CANCEL_ON_TIMEOUT =
   String(process.env.MMA_REPLICATE_CANCEL_ON_TIMEOUT || "false").toLowerCase() === "true";
 
+// ✅ Optional completion webhook (public URL of POST /webhooks/replicate).
+// When set, a job does not wait for the render: once the prediction id is saved on the job it is
+// parked (retryMmaJobLater), and the webhook finishes the generation (R2 -> finalize -> capture -> SSE).
+// The job's recover() polls every MMA_REPLICATE_WEBHOOK_FALLBACK_POLL_MS as the fallback.
+// Outside a job (nothing to park), polling just slows down to the fallback interval.
+const REPLICATE_WEBHOOK_URL = String(process.env.MMA_REPLICATE_WEBHOOK_URL || "").trim();
+const REPLICATE_WEBHOOK_FALLBACK_POLL_MS =
+  Number(process.env.MMA_REPLICATE_WEBHOOK_FALLBACK_POLL_MS || 15000) || 15000;
+
+function replicatePollOptions() {
+  if (!REPLICATE_WEBHOOK_URL) return { pollMs: REPLICATE_POLL_MS };
+  return {
+    pollMs: Math.max(REPLICATE_POLL_MS, REPLICATE_WEBHOOK_FALLBACK_POLL_MS),
+    webhook: REPLICATE_WEBHOOK_URL,
+    webhookEventsFilter: ["completed"],
+    detach: inMmaJob(),
+  };
+}
+
+// The job-tracked Replicate call (prediction id recorded on the job, webhook when configured)
+async function predictOnReplicate(opts) {
+  const pred = await replicatePredictWithTimeout({
+    ...opts,
+    ...replicatePollOptions(),
+    onCreated: (id) => recordProviderTask({ provider: "replicate", id }),
+  });
+
+  if (pred.detached) throw retryMmaJobLater(REPLICATE_WEBHOOK_FALLBACK_POLL_MS);
+  return pred;
+}
+
+// Pipelines let a parked job through untouched: the generation is still rendering, not failed
+function isJobParked(err) {
+  return err?.code === "JOB_RETRY_LATER";
+}
+
 async function runSeedream({ prompt, aspectRatio, imageInputs = [], size, enhancePrompt, input: forcedInput }) {
   const replicate = getReplicate();
   const cfg = getMmaConfig();
@@ -1450,12 +1515,11 @@ async function runSeedream({ prompt, aspectRatio, imageInputs = [], size, enhanc
   const t0 = Date.now();
 
   // ✅ Use predictions + poll (prevents “never stops”)
-  const pred = await replicatePredictWithTimeout({
+  const pred = await predictOnReplicate({
     replicate,
     version,
     input,
     timeoutMs: REPLICATE_MAX_MS,
-    pollMs: REPLICATE_POLL_MS,
     callTimeoutMs: REPLICATE_CALL_TIMEOUT_MS,
     cancelOnTimeout: REPLICATE_CANCEL_ON_TIMEOUT,
   });
@@ -1591,6 +1655,21 @@ function sleepMs(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// ✅ Optional task callback (public URL of POST /webhooks/kling).
+// Kling does not sign callbacks: the shared token rides in the URL and the
+// receiver re-queries the task instead of trusting the body.
+const KLING_CALLBACK_URL = String(process.env.MMA_KLING_CALLBACK_URL || "").trim();
+const KLING_CALLBACK_SECRET = String(process.env.KLING_CALLBACK_SECRET || "").trim();
+const KLING_CALLBACK_FALLBACK_POLL_MS =
+  Number(process.env.MMA_KLING_CALLBACK_FALLBACK_POLL_MS || 15000) || 15000;
+
+function klingCallbackUrl() {
+  if (!KLING_CALLBACK_URL || !KLING_CALLBACK_SECRET) return "";
+  const url = new URL(KLING_CALLBACK_URL);
+  url.searchParams.set("token", KLING_CALLBACK_SECRET);
+  return url.toString();
+}
+
 async function klingRequestJson(path, { method = "GET", body, timeoutMs } = {}) {
   const { baseUrl, accessKey, secretKey } = getKlingHttpConfig();
 
@@ -1672,10 +1751,14 @@ async function submitAndPollKlingTask({
   body,
   timeoutMs,
   pollMs,
+  onTaskCreated = null,
 }) {
+  // callback_url only goes to Kling, never into the returned input (steps stay token-free)
+  const callbackUrl = klingCallbackUrl();
+
   const created = await klingRequestJson(createPath, {
     method: "POST",
-    body,
+    body: callbackUrl ? { ...body, callback_url: callbackUrl } : body,
     timeoutMs: REPLICATE_CALL_TIMEOUT_MS,
   });
 
@@ -1687,10 +1770,22 @@ async function submitAndPollKlingTask({
     throw err;
   }
 
+  // persist the task id before polling so a restart can resume this task
+  await recordProviderTask({ provider: "kling", id: taskId, query_path: queryPathFromTaskId(taskId) });
+
+  if (typeof onTaskCreated === "function") {
+    try {
+      await onTaskCreated({ taskId, queryPath: queryPathFromTaskId(taskId) });
+    } catch {
+      // never fail the render because the id could not be saved
+    }
+  }
+
   let final = created;
   const startedAt = Date.now();
   const maxMs = Math.max(5000, Number(timeoutMs || 900000) || 900000);
-  const waitMs = Math.max(1000, Number(pollMs || 2500) || 2500);
+  const basePollMs = Number(pollMs || 2500) || 2500;
+  const waitMs = Math.max(1000, callbackUrl ? Math.max(basePollMs, KLING_CALLBACK_FALLBACK_POLL_MS) : basePollMs);
 
   while (true) {
     const status = extractKlingTaskStatus(final);
@@ -1729,6 +1824,7 @@ async function runKling({
   generateAudio,
   aspectRatio,
   input: forcedInput,
+  onTaskCreated,
 }) {
   const cfg = getMmaConfig();
 
@@ -1804,6 +1900,7 @@ async function runKling({
     body: input,
     timeoutMs: Number(process.env.MMA_REPLICATE_MAX_MS_KLING || process.env.MMA_REPLICATE_MAX_MS || 900000) || 900000,
     pollMs: REPLICATE_POLL_MS,
+    onTaskCreated,
   });
 
   const finalStatus = extractKlingTaskStatus(polled.final);
@@ -1864,12 +1961,11 @@ async function runFabricAudio({ image, audio, resolution, input: forcedInput })
 
   const t0 = Date.now();
 
-  const pred = await replicatePredictWithTimeout({
+  const pred = await predictOnReplicate({
     replicate,
     version,
     input,
     timeoutMs: REPLICATE_MAX_MS_FABRIC,
-    pollMs: REPLICATE_POLL_MS,
     callTimeoutMs: REPLICATE_CALL_TIMEOUT_MS,
     cancelOnTimeout: REPLICATE_CANCEL_ON_TIMEOUT,
   });
@@ -1901,6 +1997,7 @@ async function runKlingMotionControl({
   characterOrientation,
   duration,
   input: forcedInput,
+  onTaskCreated,
 }) {
   const cfg = getMmaConfig();
 
@@ -1959,6 +2056,7 @@ async function runKlingMotionControl({
       Number(process.env.MMA_REPLICATE_MAX_MS_KLING_MOTION_CONTROL || process.env.MMA_REPLICATE_MAX_MS || 900000) ||
       900000,
     pollMs: REPLICATE_POLL_MS,
+    onTaskCreated,
   });
 
   const finalStatus = extractKlingTaskStatus(polled.final);
@@ -2225,7 +2323,7 @@ function getStillCost(varsOrInputs) {
       ? varsOrInputs
       : { inputs: varsOrInputs && typeof varsOrInputs === "object" ? varsOrInputs : {} };
 
-  return stillCostForLane(resolveStillLane(v));
+  return stillCostForInputs(v.inputs);
 }
 
 function utcDayKey() {
@@ -2241,8 +2339,8 @@ function makeHttpError(statusCode, code, extra = {}) {
 }
 
 async function ensureEnoughCredits(passId, needed, opts = {}) {
-  const { credits } = await megaGetCredits(passId);
-  const bal = Number(credits || 0);
+  const { credits, available } = await megaGetCredits(passId);
+  const bal = Number(available ?? credits ?? 0);
   const need = Number(needed || 0);
 
   if (bal < need) {
@@ -2263,6 +2361,53 @@ async function ensureEnoughCredits(passId, needed, opts = {}) {
   return { balance: bal };
 }
 
+// inputs.brand_kit_id => kit of this pass (404 before anything is charged)
+async function resolveBrandKit(passId, inputs) {
+  const kitId = safeStr(inputs?.brand_kit_id || inputs?.brandKitId, "");
+  if (!kitId) return null;
+
+  const kit = await getBrandKit({ passId, kitId });
+  if (!kit) throw makeHttpError(404, "BRAND_KIT_NOT_FOUND", { brand_kit_id: kitId });
+  return kit;
+}
+
+// inputs.preset_id (+ preset_version) => global or personal preset (404 before anything is charged)
+async function resolveStillPreset(passId, inputs) {
+  const presetId = safeStr(inputs?.preset_id || inputs?.presetId, "");
+  if (!presetId) return null;
+
+  const version = inputs?.preset_version ?? inputs?.presetVersion ?? null;
+  const preset = await resolvePreset({ passId, presetId, version });
+  if (!preset) throw makeHttpError(404, "PRESET_NOT_FOUND", { preset_id: presetId, preset_version: version });
+  return preset;
+}
+
+// Preset values are pinned: they replace the request's aspect ratio / lane / resolution.
+// The negative prompt is merged (preset first).
+function withPresetInputs(inputs, preset) {
+  const out = { ...(inputs || {}) };
+
+  if (preset.aspect_ratio) out.aspect_ratio = preset.aspect_ratio;
+  if (preset.still_lane) out.still_lane = preset.still_lane;
+  if (preset.still_resolution) {
+    out.still_resolution = preset.still_resolution;
+    out.resolution = preset.still_resolution;
+  }
+  if (preset.negative_prompt) {
+    const own = safeStr(out.negative_prompt || out.negativePrompt, "");
+    out.negative_prompt = own ? `${preset.negative_prompt}, ${own}` : preset.negative_prompt;
+  }
+
+  return out;
+}
+
+// vars.preset (snapshot) => extra system instructions appended to the still one-shot ctx
+function withPresetCtx(ctx, working) {
+  const extra = safeStr(working?.preset?.system_instructions, "");
+  if (!extra) return ctx;
+  return { ...ctx, still_one_shot: `${ctx.still_one_shot}\n\nPRESET INSTRUCTIONS (${working.preset.name || "preset"}):\n${extra}` };
+}
+
 async function readMmaPreferences(supabase, passId) {
   try {
     const { data } = await supabase
@@ -2304,6 +2449,144 @@ function isSafetyBlockError(err) {
   );
 }
 
+// Provider hiccups worth another attempt: call timeouts, network errors, 5xx, 429.
+// A provider "failed" result, bad input, safety blocks and the hard render timeout are final.
+const TRANSIENT_NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+function isTransientProviderError(err) {
+  if (!err || isSafetyBlockError(err)) return false;
+
+  // OpenAI: err.status, Replicate: err.response.status, Kling: err.provider.kling.status
+  const status = Number(err.status || err.response?.status || err.provider?.kling?.status || 0);
+  if (status === 408 || status === 429 || status >= 500) return true;
+
+  const code = String(err.code || err.cause?.code || "");
+  if (/_TIMEOUT$/.test(code) || TRANSIENT_NETWORK_CODES.has(code)) return true;
+
+  return err.name === "APIConnectionError" || err.name === "APIConnectionTimeoutError";
+}
+
+// Inside a job a transient error is not the pipeline's to finalize: it goes back to the
+// queue (retry with backoff, see runMmaJob) and only the last attempt fails + releases, in giveUp.
+function handBackToQueue(err) {
+  return inMmaJob() && isTransientProviderError(err);
+}
+
+// ----------------------------------------------------------------------------
+// Moderation pre-check: before any hold, so a refused request costs nothing.
+// The decision is logged as step 0 ("moderation") of the would-be generation.
+// ----------------------------------------------------------------------------
+async function moderateRequest({ supabase, generationId, passId, body, flow, brandKit = null, preset = null }) {
+  const startedAt = nowIso();
+  const decision = await runModerationCheck(moderationInputsFromBody(body, { brandKit, preset }));
+
+  if (!decision.skipped) {
+    try {
+      await writeStep({
+        supabase,
+        generationId,
+        passId,
+        stepNo: 0,
+        stepType: "moderation",
+        payload: {
+          flow,
+          decision,
+          timing: { started_at: startedAt, ended_at: nowIso(), duration_ms: decision.duration_ms },
+        },
+      });
+    } catch (e) {
+      console.warn("[mma] moderation step write failed", e?.message || e);
+    }
+  }
+
+  if (decision.allowed) return decision;
+
+  if (decision.error) {
+    throw makeHttpError(503, "MODERATION_UNAVAILABLE", {
+      details: { reason_code: "MODERATION_UNAVAILABLE", provider: decision.provider },
+    });
+  }
+
+  throw makeHttpError(422, "MODERATION_BLOCKED", {
+    details: {
+      reason_code: "MODERATION_BLOCKED",
+      categories: decision.categories,
+      flagged_inputs: decision.checks.filter((c) => c.flagged).map((c) => ({ kind: c.kind, index: c.index, url: c.url })),
+      provider: decision.provider,
+    },
+  });
+}
+
+// ----------------------------------------------------------------------------
+// Credit holds: hold at request time -> capture after finalizeGeneration
+// -> release on error/timeout. Hold id is per generation.
+// ----------------------------------------------------------------------------
+function holdIdFor(generationId) {
+  return `mma_hold:${generationId}`;
+}
+
+async function holdGenerationCredits({ passId, generationId, cost, reason, lane }) {
+  const c = Number(cost || 0);
+  if (c <= 0) return { held: false, cost: 0 };
+
+  const out = await megaHoldCredits({
+    passId,
+    holdId: holdIdFor(generationId),
+    amount: c,
+    generationId,
+    reason: reason || "mma_hold",
+  });
+
+  if (out.insufficient) {
+    const l = safeStr(lane, "");
+    throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
+      passId,
+      balance: out.available,
+      needed: c,
+      held: out.held,
+      details: buildInsufficientCreditsDetails({ balance: out.available, needed: c, lane: l }),
+    });
+  }
+
+  return { held: true, cost: c, alreadyHeld: out.alreadyHeld, available: out.available };
+}
+
+// Batch still: one hold per variant; all-or-nothing so a partial batch never starts.
+async function holdBatchCredits({ passId, generationIds, cost, reason, lane }) {
+  const placed = [];
+  try {
+    for (const generationId of generationIds) {
+      await holdGenerationCredits({ passId, generationId, cost, reason, lane });
+      placed.push(generationId);
+    }
+  } catch (err) {
+    for (const generationId of placed) {
+      await megaReleaseHold({ holdId: holdIdFor(generationId), reason: "mma_batch_aborted" }).catch(() => {});
+    }
+
+    if (err?.statusCode === 402) {
+      const needed = Number(cost || 0) * generationIds.length;
+      const balance = Number(err.balance || 0) + Number(cost || 0) * placed.length; // holds just released
+      throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
+        passId,
+        balance,
+        needed,
+        details: buildInsufficientCreditsDetails({ balance, needed, lane: safeStr(lane, "") }),
+      });
+    }
+    throw err;
+  }
+}
+
+// Capture the hold (or debit directly if no hold was placed) — idempotent via mma_charge ref.
 async function chargeGeneration({ passId, generationId, cost, reason, lane }) {
   const c = Number(cost || 0);
   if (c <= 0) return { charged: false, cost: 0 };
@@ -2314,50 +2597,95 @@ async function chargeGeneration({ passId, generationId, cost, reason, lane }) {
   const already = await megaHasCreditRef({ refType, refId });
   if (already) return { charged: true, already: true, cost: c };
 
-  await ensureEnoughCredits(passId, c, { lane });
-
-  await megaAdjustCredits({
+  const out = await megaCaptureHold({
+    holdId: holdIdFor(generationId),
     passId,
-    delta: -c,
+    amount: c,
     reason: reason || "mma_charge",
     source: "mma",
     refType,
     refId,
-    grantedAt: nowIso(),
   });
 
+  if (out.alreadyApplied) return { charged: true, already: true, cost: c };
+
+  if (out.insufficient) {
+    throw makeHttpError(402, "INSUFFICIENT_CREDITS", {
+      passId,
+      balance: out.creditsBefore,
+      needed: c,
+      details: buildInsufficientCreditsDetails({ balance: out.creditsBefore, needed: c, lane: safeStr(lane, "") }),
+    });
+  }
+
   return { charged: true, cost: c };
 }
 
-async function refundOnFailure({ supabase, passId, generationId, cost, err }) {
-  const c = Number(cost || 0);
-  if (c <= 0) return { refunded: false, cost: 0 };
+// Safety courtesy: one free release per UTC day. true = granted (and used up for today).
+async function takeSafetyCourtesy({ supabase, passId }) {
+  const today = utcDayKey();
+  const prefs = await readMmaPreferences(supabase, passId);
+  if (prefs?.courtesy_safety_refund_day === today) return false;
 
-  const refType = "mma_refund";
-  const refId = `mma:${generationId}`;
+  await writeMmaPreferences(supabase, passId, {
+    ...prefs,
+    courtesy_safety_refund_day: today,
+  });
+  return true;
+}
 
-  const already = await megaHasCreditRef({ refType, refId });
-  if (already) return { refunded: false, already: true, cost: c };
+// A batch is one request: the courtesy is decided once and that answer applies to every child
+function batchSafetyCourtesy({ supabase, passId }) {
+  let decision = null;
+  return () => (decision ||= takeSafetyCourtesy({ supabase, passId }));
+}
+
+// On failure: release the hold (no ledger noise).
+// Safety blocks keep the old policy: one courtesy release per UTC day, after that we capture.
+// courtesy: () => Promise<boolean> shared by the children of a batch (default: decide for this generation)
+async function releaseOnFailure({ supabase, passId, generationId, cost, err, reason, courtesy = null }) {
+  const c = Number(cost || 0);
+  if (c <= 0) return { released: false, cost: 0 };
 
   const safety = isSafetyBlockError(err);
 
   if (safety) {
-    const today = utcDayKey();
-    const prefs = await readMmaPreferences(supabase, passId);
+    const granted = await (courtesy ? courtesy() : takeSafetyCourtesy({ supabase, passId }));
 
-    if (prefs?.courtesy_safety_refund_day === today) {
-      return { refunded: false, blockedByDailyLimit: true, safety: true, cost: c };
+    if (!granted) {
+      const charged = await chargeGeneration({ passId, generationId, cost: c, reason: reason || "mma_safety_block" });
+      return { released: false, blockedByDailyLimit: true, safety: true, cost: c, charged };
     }
+  }
 
-    await writeMmaPreferences(supabase, passId, {
-      ...prefs,
-      courtesy_safety_refund_day: today,
-    });
+  const out = await megaReleaseHold({
+    holdId: holdIdFor(generationId),
+    reason: safety ? "mma_safety_block" : "mma_failed",
+  });
+
+  // Already captured (failure after finalize) → compensate like before,
+  // unless the output was delivered meanwhile (webhook / poller won the race)
+  if (!out.released && out.holdStatus === "captured") {
+    const delivery = await readGenerationDelivery(supabase, generationId);
+    if (delivery.outputUrl) return { released: false, delivered: true, safety, cost: c };
+
+    const refunded = await refundCaptured({ passId, generationId, cost: c, safety });
+    return { released: false, safety, cost: c, ...refunded };
   }
 
+  return { released: out.released, safety, cost: c };
+}
+
+async function refundCaptured({ passId, generationId, cost, safety }) {
+  const refType = "mma_refund";
+  const refId = `mma:${generationId}`;
+
+  const already = await megaHasCreditRef({ refType, refId });
+  if (already) return { refunded: false, already: true };
+
   await megaAdjustCredits({
     passId,
-    delta: +c,
+    delta: +cost,
     reason: safety ? "mma_safety_refund" : "mma_refund",
     source: "mma",
     refType,
@@ -2365,7 +2693,17 @@ async function refundOnFailure({ supabase, passId, generationId, cost, err }) {
     grantedAt: nowIso(),
   });
 
-  return { refunded: true, safety, cost: c };
+  return { refunded: true };
+}
+
+// Output is already delivered at this point: never fail the generation on a capture error.
+async function captureOnSuccess({ passId, generationId, cost, reason, lane }) {
+  try {
+    return await chargeGeneration({ passId, generationId, cost, reason, lane });
+  } catch (e) {
+    console.error("[mma] hold capture failed", generationId, e?.message || e);
+    return { charged: false, error: e?.code || e?.message || "CAPTURE_FAILED" };
+  }
 }
 
 async function preflightTypeForMe({ supabase, passId }) {
@@ -2443,7 +2781,7 @@ async function ensureSessionForHistory({ passId, sessionId, platform, title, met
 // ============================================================================
 // DB helpers
 // ============================================================================
-async function writeGeneration({ supabase, generationId, parentId, passId, vars, mode }) {
+async function writeGeneration({ supabase, generationId, parentId, passId, vars, mode, apiKeyId = null }) {
   const identifiers = generationIdentifiers(generationId);
 
   const inputs = vars?.inputs || {};
@@ -2453,7 +2791,7 @@ async function writeGeneration({ supabase, generationId, parentId, passId, vars,
 
   const contentType = mode === "video" ? "video" : "image";
 
-  await supabase.from("mega_generations").insert({
+  const { error } = await supabase.from("mega_generations").insert({
     ...identifiers,
     mg_parent_id: parentId ? `generation:${parentId}` : null,
     mg_pass_id: passId,
@@ -2468,11 +2806,13 @@ async function writeGeneration({ supabase, generationId, parentId, passId, vars,
     mg_mma_status: "queued",
     mg_mma_mode: mode,
     mg_mma_vars: vars,
+    mg_meta: apiKeyId ? { api_key_id: apiKeyId } : null,
     mg_prompt: null,
     mg_output_url: null,
     mg_created_at: nowIso(),
     mg_updated_at: nowIso(),
   });
+  if (error) throw error;
 }
 
 async function writeStep({ supabase, generationId, passId, stepNo, stepType, payload }) {
@@ -2530,6 +2870,24 @@ async function updateStatus({ supabase, generationId, status }) {
     .eq("mg_record_type", "generation");
 }
 
+// The webhook / poller can deliver a generation while this process is still failing it
+// (completeOnce is per process): re-read before flipping it to error or releasing its hold.
+async function readGenerationDelivery(supabase, generationId) {
+  try {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select("mg_mma_status, mg_output_url")
+      .eq("mg_generation_id", generationId)
+      .eq("mg_record_type", "generation")
+      .maybeSingle();
+    if (error) throw error;
+    return { done: data?.mg_mma_status === "done", outputUrl: data?.mg_output_url || null };
+  } catch (e) {
+    console.warn("[mma] delivery check failed", generationId, e?.message || e);
+    return { done: false, outputUrl: null };
+  }
+}
+
 async function fetchParentGenerationRow(supabase, parentGenerationId) {
   const { data, error } = await supabase
     .from("mega_generations")
@@ -2545,404 +2903,595 @@ async function fetchParentGenerationRow(supabase, parentGenerationId) {
 }
 
 // ============================================================================
-// STILL CREATE PIPELINE
+// PROVIDER ADAPTERS (./mma-providers.js registry)
+// Built-ins wrap the run* helpers above; MMA_PROVIDERS_JSON entries become generic
+// Replicate adapters. Pipelines only talk to adapters: run / outputUrl / outputKeys.
 // ============================================================================
-async function runStillCreatePipeline({ supabase, generationId, passId, vars, preferences }) {
-  const cfg = getMmaConfig();
-  if (!cfg.enabled) throw new Error("MMA_DISABLED");
+let mmaProvidersReady = false;
 
-  let working = vars;
+function getEngine(id) {
+  ensureMmaProviders();
+  return getMmaProvider(id);
+}
 
-  const stillLane = resolveStillLane(working);
-  const stillCost = stillCostForLane(stillLane); // ✅ niche => 2, main => 1
-  await chargeGeneration({
-    passId,
-    generationId,
-    cost: stillCost,
-    reason: stillLane === "niche" ? "mma_still_niche" : "mma_still",
-    lane: stillLane,
+function geminiMainOptions(resolution) {
+  return {
+    resolution,
+    imageSize: process.env.MMA_MAIN_GEMINI_IMAGE_SIZE || resolution,
+    model: process.env.MMA_MAIN_GEMINI_MODEL || "gemini-3.1-flash-image-preview",
+    thinkingLevel: process.env.MMA_MAIN_GEMINI_THINKING_LEVEL || "High",
+    includeThoughts: parseOptionalBool(process.env.MMA_MAIN_GEMINI_INCLUDE_THOUGHTS),
+    useGoogleSearch: parseOptionalBool(process.env.MMA_MAIN_GEMINI_USE_GOOGLE_SEARCH),
+    useImageSearch: parseOptionalBool(process.env.MMA_MAIN_GEMINI_USE_IMAGE_SEARCH),
+    responseModalities: ["IMAGE"],
+    compressToJpeg: true,
+  };
+}
+
+function nanoBananaAspectRatio(cfg) {
+  return {
+    default: process.env.MMA_NANOBANANA_ASPECT_RATIO || cfg?.nanobanana?.aspectRatio,
+    fallback: process.env.MMA_NANOBANANA_FALLBACK_ASPECT_RATIO || cfg?.nanobanana?.fallbackAspectRatio || "1:1",
+  };
+}
+
+function registerBuiltinProviders() {
+  // ---------------- still ----------------
+  registerMmaProvider({
+    id: "seedream",
+    kind: "still",
+    provider: "replicate",
+    lanes: ["main", "niche"],
+    priority: 0,
+    capabilities: { maxReferenceImages: 10, resolutions: ["1K", "2K", "4K"] },
+    cost: ({ lane }) => stillCostForLane(lane),
+    referenceImages: buildSeedreamImageInputs,
+    aspectRatio: (cfg) => ({
+      default: cfg?.seadream?.aspectRatio || process.env.MMA_SEADREAM_ASPECT_RATIO,
+      fallback: cfg?.seadream?.fallbackAspectRatio || process.env.MMA_SEADREAM_FALLBACK_ASPECT_RATIO || "1:1",
+    }),
+    run: ({ cfg, prompt, aspectRatio, imageInputs, resolution, tweak }) =>
+      tweak
+        ? runSeedream({
+            prompt,
+            aspectRatio,
+            imageInputs,
+            size: cfg?.seadream?.size,
+            enhancePrompt: cfg?.seadream?.enhancePrompt,
+            input: {
+              prompt,
+              size: resolution,
+              aspect_ratio: aspectRatio,
+              enhance_prompt: !!cfg?.seadream?.enhancePrompt,
+              sequential_image_generation: "disabled",
+              max_images: 1,
+              image_input: imageInputs,
+            },
+          })
+        : runSeedream({ prompt, aspectRatio, imageInputs, size: resolution, enhancePrompt: cfg?.seadream?.enhancePrompt }),
+    outputUrl: (genRes) => pickFirstUrl(genRes?.out),
+    outputKeys: { predictionId: "seedream_prediction_id", urls: ["seedream_image_url"] },
+    stepType: "seedream_generate",
+    noUrlCode: "SEADREAM_NO_URL",
   });
 
-  const ctx = await getMmaCtxConfig(supabase);
-  let chatter = null;
+  registerMmaProvider({
+    id: "nanobanana",
+    kind: "still",
+    provider: nanoBananaUseGemini() ? "gemini" : "replicate",
+    lanes: ["niche"],
+    priority: 10,
+    capabilities: { maxReferenceImages: 14, resolutions: ["1K", "2K", "4K"] },
+    enabled: nanoBananaEnabled,
+    cost: ({ lane }) => stillCostForLane(lane),
+    referenceImages: buildNanoBananaImageInputs,
+    aspectRatio: nanoBananaAspectRatio,
+    run: ({ cfg, prompt, aspectRatio, imageInputs, resolution, tweak }) =>
+      tweak
+        ? runNanoBanana({
+            prompt,
+            aspectRatio,
+            imageInputs,
+            input: {
+              prompt,
+              resolution,
+              aspect_ratio: aspectRatio,
+              output_format: cfg?.nanobanana?.outputFormat || process.env.MMA_NANOBANANA_OUTPUT_FORMAT || "jpg",
+              safety_filter_level:
+                cfg?.nanobanana?.safetyFilterLevel || process.env.MMA_NANOBANANA_SAFETY_FILTER_LEVEL || "block_only_high",
+              image_input: imageInputs,
+            },
+          })
+        : runNanoBanana({
+            prompt,
+            aspectRatio,
+            imageInputs,
+            resolution,
+            outputFormat: cfg?.nanobanana?.outputFormat,
+            safetyFilterLevel: cfg?.nanobanana?.safetyFilterLevel,
+          }),
+    outputUrl: (genRes) => pickFirstUrl(genRes?.out),
+    outputKeys: { predictionId: "nanobanana_prediction_id", urls: ["nanobanana_image_url"] },
+    stepType: "nanobanana_generate",
+    noUrlCode: "NANOBANANA_NO_URL",
+  });
 
-  try {
-    await updateStatus({ supabase, generationId, status: "prompting" });
-    emitStatus(generationId, "prompting");
+  registerMmaProvider({
+    id: "nanobanana2",
+    kind: "still",
+    provider: "gemini",
+    lanes: ["main"],
+    priority: 10,
+    capabilities: { maxReferenceImages: 14, resolutions: ["1K", "2K", "4K"] },
+    enabled: mainUsesGemini,
+    cost: ({ lane }) => stillCostForLane(lane),
+    referenceImages: buildNanoBananaImageInputs,
+    aspectRatio: nanoBananaAspectRatio,
+    run: ({ prompt, aspectRatio, imageInputs, resolution, tweak }) =>
+      runNanoBananaGemini({
+        prompt,
+        aspectRatio,
+        imageInputs,
+        ...(tweak ? { input: { prompt, resolution, aspect_ratio: aspectRatio, image_input: imageInputs } } : {}),
+        ...geminiMainOptions(resolution),
+      }),
+    outputUrl: (genRes) => pickFirstUrl(genRes?.out),
+    outputKeys: { predictionId: null, urls: ["nanobanana2_image_url", "nanobanana_image_url"] }, // compatibility
+    stepType: "nanobanana2_generate",
+    noUrlCode: "NANOBANANA2_NO_URL",
+  });
 
-    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.still_create_start));
-    await updateVars({ supabase, generationId, vars: working });
-    emitLine(generationId, working);
+  // ---------------- video ----------------
+  registerMmaProvider({
+    id: "kling",
+    kind: "video",
+    provider: "kling",
+    flows: ["kling"],
+    capabilities: { maxReferenceImages: 2, audio: true, durations: { min: 3, max: 15 } },
+    cost: ({ inputs, assets }) => videoCostFromInputs(inputs, assets),
+    run: (req) =>
+      runKling({
+        prompt: req.prompt,
+        startImage: req.startImage,
+        endImage: req.endImage,
+        duration: req.duration,
+        mode: req.mode,
+        negativePrompt: req.negativePrompt,
+        generateAudio: req.generateAudio,
+        onTaskCreated: req.onTaskCreated,
+      }),
+    outputUrl: (genRes) => pickFirstUrl(genRes?.out),
+    outputKeys: { predictionId: "kling_prediction_id", urls: ["kling_video_url"] },
+    stepType: "kling_generate",
+    noUrlCode: "VIDEO_NO_URL",
+  });
 
-    let stepNo = 1;
+  registerMmaProvider({
+    id: "kling_motion_control",
+    kind: "video",
+    provider: "kling",
+    flows: ["kling_motion_control"],
+    capabilities: { maxReferenceImages: 1, audio: true, referenceVideo: true, durations: { min: 3, max: 10 } },
+    cost: ({ inputs, assets }) => videoCostFromInputs(inputs, assets),
+    run: (req) => {
+      if (!req.referenceUrl) throw new Error("MISSING_FRAME2_VIDEO_URL");
+      const inputs = req.inputs || {};
+
+      return runKlingMotionControl({
+        prompt: req.prompt,
+        image: req.startImage,
+        video: req.referenceUrl,
+        mode: safeStr(inputs.mode || inputs.kmc_mode, "") || "std",
+        keepOriginalSound: inputs.keep_original_sound ?? inputs.keepOriginalSound ?? req.generateAudio,
+        characterOrientation: safeStr(inputs.character_orientation || inputs.characterOrientation, "") || "video",
+        duration: req.referenceDurationSec || req.duration,
+        onTaskCreated: req.onTaskCreated,
+      });
+    },
+    outputUrl: (genRes) => pickFirstUrl(genRes?.out),
+    outputKeys: {
+      predictionId: "kling_motion_control_prediction_id",
+      urls: ["kling_video_url", "kling_motion_control_video_url"],
+    },
+    stepType: "kling_motion_control_generate",
+    noUrlCode: "VIDEO_NO_URL",
+  });
 
-    // Collect assets
-    const assets = working?.assets || {};
-    const productUrl = asHttpUrl(assets.product_image_url || assets.productImageUrl);
-    const logoUrl = asHttpUrl(assets.logo_image_url || assets.logoImageUrl);
-
-    const explicitHero =
-      asHttpUrl(
-        assets.style_hero_image_url ||
-          assets.styleHeroImageUrl ||
-          assets.style_hero_url ||
-          assets.styleHeroUrl
-      ) || "";
-
-    const inspUrlsRaw = safeArray(
-      assets.inspiration_image_urls ||
-        assets.inspirationImageUrls ||
-        assets.style_image_urls ||
-        assets.styleImageUrls
-    )
-      .map(asHttpUrl)
-      .filter(Boolean);
+  registerMmaProvider({
+    id: "fabric_audio",
+    kind: "video",
+    provider: "replicate",
+    flows: ["fabric_audio"],
+    capabilities: { maxReferenceImages: 1, audio: true, referenceAudio: true, resolutions: ["480p", "720p"] },
+    cost: ({ inputs, assets }) => videoCostFromInputs(inputs, assets),
+    run: (req) => {
+      if (!req.referenceUrl) throw new Error("MISSING_FRAME2_AUDIO_URL");
+      const inputs = req.inputs || {};
+
+      return runFabricAudio({
+        image: req.startImage,
+        audio: req.referenceUrl,
+        resolution: safeStr(inputs.resolution || inputs.fabric_resolution, "") || "720p",
+      });
+    },
+    outputUrl: (genRes) => pickFirstUrl(genRes?.out),
+    outputKeys: { predictionId: "fabric_prediction_id", urls: ["kling_video_url", "fabric_video_url"] },
+    stepType: "fabric_generate",
+    noUrlCode: "VIDEO_NO_URL",
+  });
+}
+
+// MMA_PROVIDERS_JSON entry -> generic Replicate adapter (input mapped through entry.input)
+function configuredReplicateAdapter(entry) {
+  const id = safeStr(entry.id, "");
+  const fixedCost = Number(entry.cost);
+
+  return {
+    id,
+    kind: entry.kind,
+    provider: "replicate",
+    lanes: safeArray(entry.lanes).length ? entry.lanes : entry.kind === "still" ? ["main"] : [],
+    flows: safeArray(entry.flows).length ? entry.flows : entry.kind === "video" ? ["kling"] : [],
+    priority: Number(entry.priority || 0) || 0,
+    capabilities: entry.capabilities && typeof entry.capabilities === "object" ? entry.capabilities : {},
+    enabled: () => entry.enabled !== false && !!process.env.REPLICATE_API_TOKEN,
+    cost:
+      entry.kind === "video"
+        ? ({ inputs, assets }) => (Number.isFinite(fixedCost) ? fixedCost : videoCostFromInputs(inputs, assets))
+        : ({ lane }) => (Number.isFinite(fixedCost) ? fixedCost : stillCostForLane(lane)),
+    referenceImages: buildNanoBananaImageInputs,
+    aspectRatio: () => ({ default: entry.aspect_ratio || "1:1", fallback: entry.fallback_aspect_ratio || "1:1" }),
+    run: (req) => runConfiguredReplicate(entry, req),
+    outputUrl: (genRes) => pickFirstUrl(genRes?.out),
+  };
+}
+
+async function runConfiguredReplicate(entry, req) {
+  const replicate = getReplicate();
+  const input = mapProviderInput(entry.input || { prompt: "{{prompt}}" }, req);
+  if (!input.prompt && req.prompt && !entry.input) input.prompt = req.prompt;
+
+  const t0 = Date.now();
+
+  const pred = await predictOnReplicate({
+    replicate,
+    version: safeStr(entry.model, ""),
+    input,
+    timeoutMs: Number(entry.timeout_ms || REPLICATE_MAX_MS) || REPLICATE_MAX_MS,
+    callTimeoutMs: REPLICATE_CALL_TIMEOUT_MS,
+    cancelOnTimeout: REPLICATE_CANCEL_ON_TIMEOUT,
+  });
 
-    const heroCandidates = []
-      .concat(explicitHero ? [explicitHero] : [])
-      .concat(safeArray(assets.style_hero_image_urls || assets.styleHeroImageUrls).map(asHttpUrl))
-      .concat(safeArray(cfg?.seadream?.styleHeroUrls || cfg?.styleHeroUrls).map(asHttpUrl))
-      .filter(Boolean);
+  const prediction = pred.prediction || {};
 
-    const heroKeySet = new Set(heroCandidates.map((u) => normalizeUrlForKey(u)).filter(Boolean));
+  return {
+    input,
+    out: prediction.output,
+    prediction_id: pred.predictionId,
+    prediction_status: prediction.status || null,
+    timed_out: !!pred.timedOut,
+    timing: {
+      started_at: new Date(t0).toISOString(),
+      ended_at: nowIso(),
+      duration_ms: Date.now() - t0,
+    },
+    provider: { prediction },
+  };
+}
 
-    const heroFromInsp = !explicitHero
-      ? (inspUrlsRaw.find((u) => heroKeySet.has(normalizeUrlForKey(u))) || "")
-      : "";
+function ensureMmaProviders() {
+  if (mmaProvidersReady) return;
+  mmaProvidersReady = true;
 
-    const heroUrl = explicitHero || heroFromInsp || "";
+  registerBuiltinProviders();
 
-    if (heroUrl) {
-      working.assets = { ...(working.assets || {}), style_hero_image_url: heroUrl };
+  for (const entry of getMmaConfig()?.providers?.entries || []) {
+    if (getMmaProvider(entry.id)) {
+      console.warn("[mma] provider id already registered, config entry ignored", entry.id);
+      continue;
+    }
+    try {
+      registerMmaProvider(configuredReplicateAdapter(entry));
+    } catch (e) {
+      console.warn("[mma] provider config entry rejected", entry?.id, e?.message || e);
     }
+  }
+}
 
-    const heroKey = heroUrl ? normalizeUrlForKey(heroUrl) : "";
-    const inspUrlsForGpt = inspUrlsRaw
-      .filter((u) => {
-        const k = normalizeUrlForKey(u);
-        if (!k) return false;
-        if (heroKey && k === heroKey) return false;
-        if (heroKeySet.size && heroKeySet.has(k)) return false;
-        return true;
-      })
-      .slice(0, 8);
+function resolveStillProvider(vars) {
+  ensureMmaProviders();
+  const lane = resolveStillLane(vars);
+  const pinned = getMmaConfig()?.providers?.still?.[lane] || "";
+  return pickMmaProvider({ kind: "still", lane, pinned }) || getMmaProvider("seedream");
+}
 
-    const labeledImages = []
-      // Product pill -> Scene / Composition reference
-      .concat(productUrl ? [{ role: "SCENE / COMPOSITION / ASTHETIC / VIBE / STYLE", url: productUrl }] : [])
+function resolveVideoProvider(flow) {
+  ensureMmaProviders();
+  const pinned = getMmaConfig()?.providers?.video?.[flow] || "";
+  return pickMmaProvider({ kind: "video", flow, pinned }) || getMmaProvider(flow) || getMmaProvider("kling");
+}
 
-      // Logo pill -> Logo / Label / Icon / Text reference
-      .concat(logoUrl ? [{ role: "LOGO / LABEL / ICON / TEXT / DESIGN", url: logoUrl }] : [])
+// Costs go through the engine so holds (request time) and charges (pipeline) agree
+function stillCostForInputs(inputsLike) {
+  const vars = { inputs: inputsLike && typeof inputsLike === "object" ? inputsLike : {} };
+  const lane = resolveStillLane(vars);
+  const cost = Number(resolveStillProvider(vars).cost({ lane, inputs: vars.inputs }));
+  return Number.isFinite(cost) ? cost : stillCostForLane(lane);
+}
 
-      // Inspiration pill -> Product / Element / Texture / Material references
-      .concat(
-        inspUrlsForGpt.map((u, i) => ({
-          role: `PRODUCT / ELEMENT / TEXTURE / MATERIAL ${i + 1}`,
-          url: u,
-        }))
-      )
-      .slice(0, 10);
+function videoCostFor(inputsLike, assetsLike) {
+  const inputs = inputsLike && typeof inputsLike === "object" ? inputsLike : {};
+  const { flow } = resolveVideoPricing(inputs, assetsLike);
+  const cost = Number(resolveVideoProvider(flow).cost({ inputs, assets: assetsLike || {} }));
+  return Number.isFinite(cost) ? cost : videoCostFromInputs(inputs, assetsLike);
+}
 
+export function listMmaEngines() {
+  ensureMmaProviders();
+  return describeMmaProviders();
+}
 
-    const oneShotInput = {
-      user_brief: safeStr(working?.inputs?.brief || working?.inputs?.userBrief, ""),
-      style: safeStr(working?.inputs?.style, ""),
-      preferences: preferences || {},
-      hard_blocks: safeArray(preferences?.hard_blocks),
-      notes: "Write a clean image prompt using the labeled images as references.",
-    };
+// ============================================================================
+// STILL CREATE HELPERS (shared by still create + still batch)
+// ============================================================================
+// Brand kit snapshot (vars.brand) => GPT one-shot fields; banned elements join the pass hard_blocks
+function brandOneShotFields(working, preferences) {
+  const brand = working?.brand && typeof working.brand === "object" ? working.brand : null;
+  const hardBlocks = safeArray(preferences?.hard_blocks);
+  if (!brand) return { hard_blocks: hardBlocks };
 
-    const t0 = Date.now();
-    const one = await gptStillOneShotCreate({ cfg, ctx, input: oneShotInput, labeledImages });
+  return {
+    brand: {
+      name: brand.name || null,
+      palette: safeArray(brand.palette),
+      tone_of_voice: safeStr(brand.tone_of_voice, ""),
+    },
+    hard_blocks: Array.from(new Set(hardBlocks.concat(safeArray(brand.banned_elements)))),
+  };
+}
 
-    await writeStep({
-      supabase,
-      generationId,
-      passId,
-      stepNo: stepNo++,
-      stepType: "gpt_still_one_shot",
-      payload: {
-        ctx: ctx.still_one_shot,
-        input: oneShotInput,
-        labeledImages,
-        request: one.request,
-        raw: one.raw,
-        output: { clean_prompt: one.clean_prompt, debug: one.debug, parsed_ok: one.parsed_ok },
-        timing: { started_at: new Date(t0).toISOString(), ended_at: nowIso(), duration_ms: Date.now() - t0 },
-        error: null,
-      },
-    });
+function prepareStillOneShot({ cfg, working, preferences }) {
+  // Collect assets
+  const assets = working?.assets || {};
+  const productUrl = asHttpUrl(assets.product_image_url || assets.productImageUrl);
+  const logoUrl = asHttpUrl(assets.logo_image_url || assets.logoImageUrl);
+
+  const explicitHero =
+    asHttpUrl(
+      assets.style_hero_image_url ||
+        assets.styleHeroImageUrl ||
+        assets.style_hero_url ||
+        assets.styleHeroUrl
+    ) || "";
+
+  const inspUrlsRaw = safeArray(
+    assets.inspiration_image_urls ||
+      assets.inspirationImageUrls ||
+      assets.style_image_urls ||
+      assets.styleImageUrls
+  )
+    .map(asHttpUrl)
+    .filter(Boolean);
 
-    const usedPrompt =
-      safeStr(one.clean_prompt, "") ||
-      safeStr(working?.inputs?.prompt, "") ||
-      safeStr(working?.prompts?.clean_prompt, "");
+  const heroCandidates = []
+    .concat(explicitHero ? [explicitHero] : [])
+    .concat(safeArray(assets.style_hero_image_urls || assets.styleHeroImageUrls).map(asHttpUrl))
+    .concat(safeArray(cfg?.seadream?.styleHeroUrls || cfg?.styleHeroUrls).map(asHttpUrl))
+    .filter(Boolean);
 
-    if (!usedPrompt) throw new Error("EMPTY_PROMPT_ONE_SHOT");
+  const heroKeySet = new Set(heroCandidates.map((u) => normalizeUrlForKey(u)).filter(Boolean));
 
-    working.prompts = { ...(working.prompts || {}), clean_prompt: usedPrompt };
-    await updateVars({ supabase, generationId, vars: working });
+  const heroFromInsp = !explicitHero
+    ? (inspUrlsRaw.find((u) => heroKeySet.has(normalizeUrlForKey(u))) || "")
+    : "";
 
-    await updateStatus({ supabase, generationId, status: "generating" });
-    emitStatus(generationId, "generating");
+  const heroUrl = explicitHero || heroFromInsp || "";
 
-    chatter = startMinaChatter({
-      supabase,
-      generationId,
-      getVars: () => working,
-      setVars: (v) => {
-        working = v;
-      },
-      stage: "generating",
-      intervalMs: 2600,
-    });
+  if (heroUrl) {
+    working.assets = { ...(working.assets || {}), style_hero_image_url: heroUrl };
+  }
 
-    // lane routing:
-    // - niche => existing Nano Banana behavior
-    // - main  => Gemini 3.1 Flash Image if MMA_MAIN_GEMINI_MODEL is set
-    // - else  => Seedream
-    const stillLane = resolveStillLane(working);
-    const stillEngine = resolveStillEngine(working); // seedream | nanobanana | nanobanana2
-    const appliedResolution = resolveAppliedStillResolution(working?.inputs || {});
+  const heroKey = heroUrl ? normalizeUrlForKey(heroUrl) : "";
+  const inspUrlsForGpt = inspUrlsRaw
+    .filter((u) => {
+      const k = normalizeUrlForKey(u);
+      if (!k) return false;
+      if (heroKey && k === heroKey) return false;
+      if (heroKeySet.size && heroKeySet.has(k)) return false;
+      return true;
+    })
+    .slice(0, 8);
 
-    working.inputs = { ...(working.inputs || {}), ...stillResolutionMeta(appliedResolution) };
-    working.meta = {
-      ...(working.meta || {}),
-      still_lane: stillLane,
-      still_engine: stillEngine,
-      ...stillResolutionMeta(appliedResolution),
-    };
-    await updateVars({ supabase, generationId, vars: working });
+  const labeledImages = []
+    // Product pill -> Scene / Composition reference
+    .concat(productUrl ? [{ role: "SCENE / COMPOSITION / ASTHETIC / VIBE / STYLE", url: productUrl }] : [])
 
-    const useNanoLike = stillEngine === "nanobanana" || stillEngine === "nanobanana2";
-    const imageInputs = useNanoLike
-      ? buildNanoBananaImageInputs(working)
-      : buildSeedreamImageInputs(working);
-
-    let aspectRatio =
-      safeStr(working?.inputs?.aspect_ratio, "") ||
-      (useNanoLike
-        ? process.env.MMA_NANOBANANA_ASPECT_RATIO || cfg?.nanobanana?.aspectRatio
-        : cfg?.seadream?.aspectRatio || process.env.MMA_SEADREAM_ASPECT_RATIO) ||
-      "match_input_image";
-
-    if (!imageInputs.length && String(aspectRatio).toLowerCase().includes("match")) {
-      aspectRatio = useNanoLike
-        ? process.env.MMA_NANOBANANA_FALLBACK_ASPECT_RATIO || cfg?.nanobanana?.fallbackAspectRatio || "1:1"
-        : cfg?.seadream?.fallbackAspectRatio || process.env.MMA_SEADREAM_FALLBACK_ASPECT_RATIO || "1:1";
-    }
+    // Logo pill -> Logo / Label / Icon / Text reference
+    .concat(logoUrl ? [{ role: "LOGO / LABEL / ICON / TEXT / DESIGN", url: logoUrl }] : [])
 
-    let genRes;
-    try {
-      genRes =
-        stillEngine === "nanobanana2"
-          ? await runNanoBananaGemini({
-              prompt: usedPrompt,
-              aspectRatio,
-              imageInputs,
-              resolution: appliedResolution,
-              imageSize: process.env.MMA_MAIN_GEMINI_IMAGE_SIZE || appliedResolution,
-              model: process.env.MMA_MAIN_GEMINI_MODEL || "gemini-3.1-flash-image-preview",
-              thinkingLevel: process.env.MMA_MAIN_GEMINI_THINKING_LEVEL || "High",
-              includeThoughts: parseOptionalBool(process.env.MMA_MAIN_GEMINI_INCLUDE_THOUGHTS),
-              useGoogleSearch: parseOptionalBool(process.env.MMA_MAIN_GEMINI_USE_GOOGLE_SEARCH),
-              useImageSearch: parseOptionalBool(process.env.MMA_MAIN_GEMINI_USE_IMAGE_SEARCH),
-              responseModalities: ["IMAGE"],
-              compressToJpeg: true,
-            })
-          : stillEngine === "nanobanana"
-            ? await runNanoBanana({
-                prompt: usedPrompt,
-                aspectRatio,
-                imageInputs,
-                resolution: appliedResolution,
-                outputFormat: cfg?.nanobanana?.outputFormat,
-                safetyFilterLevel: cfg?.nanobanana?.safetyFilterLevel,
-              })
-            : await runSeedream({
-                prompt: usedPrompt,
-                aspectRatio,
-                imageInputs,
-                size: appliedResolution,
-                enhancePrompt: cfg?.seadream?.enhancePrompt,
-              });
-
-      working.outputs = { ...(working.outputs || {}) };
-      if (stillEngine === "nanobanana") {
-        working.outputs.nanobanana_prediction_id = genRes.prediction_id || null;
-      } else if (stillEngine === "seedream") {
-        working.outputs.seedream_prediction_id = genRes.prediction_id || null;
-      }
+    // Inspiration pill -> Product / Element / Texture / Material references
+    .concat(
+      inspUrlsForGpt.map((u, i) => ({
+        role: `PRODUCT / ELEMENT / TEXTURE / MATERIAL ${i + 1}`,
+        url: u,
+      }))
+    )
+    .slice(0, 10);
 
-      await updateVars({ supabase, generationId, vars: working });
-    } finally {
-      try {
-        chatter?.stop?.();
-      } catch {}
-      chatter = null;
-    }
+  const oneShotInput = {
+    user_brief: safeStr(working?.inputs?.brief || working?.inputs?.userBrief, ""),
+    style: safeStr(working?.inputs?.style, ""),
+    preferences: preferences || {},
+    ...brandOneShotFields(working, preferences),
+    ...(safeStr(working?.inputs?.negative_prompt, "") ? { avoid: safeStr(working.inputs.negative_prompt, "") } : {}),
+    notes: "Write a clean image prompt using the labeled images as references.",
+  };
 
-    const { input, out, timing } = genRes;
+  return { working, labeledImages, oneShotInput };
+}
 
-    await writeStep({
-      supabase,
-      generationId,
-      passId,
-      stepNo: stepNo++,
-      stepType:
-        stillEngine === "nanobanana2"
-          ? "nanobanana2_generate"
-          : stillEngine === "nanobanana"
-            ? "nanobanana_generate"
-            : "seedream_generate",
-      payload: { input, output: out, timing, error: null },
-    });
+function stillEngineStepType(stillEngine) {
+  return getEngine(stillEngine)?.stepType || "seedream_generate";
+}
 
-    const url = pickFirstUrl(out);
-    if (!url) {
-      throw new Error(
-        stillEngine === "nanobanana2"
-          ? "NANOBANANA2_NO_URL"
-          : stillEngine === "nanobanana"
-            ? "NANOBANANA_NO_URL"
-            : "SEADREAM_NO_URL"
-      );
-    }
+function stillEngineNoUrlCode(stillEngine) {
+  return getEngine(stillEngine)?.noUrlCode || "SEADREAM_NO_URL";
+}
 
-    const remoteUrl = await storeRemoteToR2Public(url, `mma/still/${generationId}`);
-    working.outputs = { ...(working.outputs || {}) };
-    if (stillEngine === "nanobanana2") {
-      working.outputs.nanobanana2_image_url = remoteUrl;
-      working.outputs.nanobanana_image_url = remoteUrl; // compatibility
-    } else if (stillEngine === "nanobanana") {
-      working.outputs.nanobanana_image_url = remoteUrl;
-    } else {
-      working.outputs.seedream_image_url = remoteUrl;
-    }
+function withStillPredictionId(working, stillEngine, genRes) {
+  const next = { ...working, outputs: { ...(working?.outputs || {}) } };
+  const key = getEngine(stillEngine)?.outputKeys?.predictionId;
+  if (key) next.outputs[key] = genRes?.prediction_id || null;
+  return next;
+}
 
-    working.mg_output_url = remoteUrl;
+function withStillOutputUrl(working, stillEngine, remoteUrl) {
+  const next = { ...working, outputs: { ...(working?.outputs || {}) } };
+  const keys = getEngine(stillEngine)?.outputKeys?.urls || ["seedream_image_url"];
+  for (const key of keys) next.outputs[key] = remoteUrl;
+  next.mg_output_url = remoteUrl;
+  return next;
+}
 
-    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.saved_image));
-    await updateVars({ supabase, generationId, vars: working });
-    emitLine(generationId, working);
+function stillAspectRatio(provider, { cfg, working, hasImages }) {
+  const preset = provider.aspectRatio?.(cfg) || {};
+  const aspectRatio = safeStr(working?.inputs?.aspect_ratio, "") || preset.default || "match_input_image";
 
-    await finalizeGeneration({ supabase, generationId, url: remoteUrl, prompt: usedPrompt, vars: working, mode: "still", matchasCharged: stillCost });
+  if (!hasImages && String(aspectRatio).toLowerCase().includes("match")) return preset.fallback || "1:1";
+  return aspectRatio;
+}
 
-    await updateStatus({ supabase, generationId, status: "done" });
-    emitStatus(generationId, "done");
-    sendDone(generationId, "done");
-  } catch (err) {
+async function runStillEngine({ cfg, working, prompt, stillEngine, appliedResolution }) {
+  const provider = getEngine(stillEngine) || getEngine("seedream");
+  const imageInputs = provider.referenceImages ? provider.referenceImages(working) : buildSeedreamImageInputs(working);
+  const aspectRatio = stillAspectRatio(provider, { cfg, working, hasImages: imageInputs.length > 0 });
+
+  return provider.run(
+    fitProviderRequest(provider, { cfg, prompt, aspectRatio, imageInputs, resolution: appliedResolution })
+  );
+}
+
+// Failover chain for a lane: picked engine first, then MMA_STILL_FALLBACK_<LANE> (enabled, deduped)
+function stillEngineChain(lane, stillEngine) {
+  ensureMmaProviders();
+  const fallbacks = getMmaConfig()?.providers?.stillFallbacks?.[lane] || [];
+  const chain = [stillEngine];
+
+  for (const id of fallbacks) {
+    const provider = getMmaProvider(id);
+    if (!provider || provider.kind !== "still" || chain.includes(provider.id)) continue;
+
+    let enabled = false;
     try {
-      chatter?.stop?.();
+      enabled = !!provider.enabled();
     } catch {}
-    chatter = null;
+    if (enabled) chain.push(provider.id);
+  }
 
-    console.error("[mma] still create pipeline error", err);
+  return chain;
+}
 
-    await updateStatus({ supabase, generationId, status: "error" });
-    await supabase
-      .from("mega_generations")
-      .update({
-        mg_error: {
-          code: "PIPELINE_ERROR",
-          message: err?.message || String(err || ""),
-          provider: err?.provider || null,
-        },
-        mg_updated_at: nowIso(),
-      })
-      .eq("mg_generation_id", generationId)
-      .eq("mg_record_type", "generation");
+/**
+ * Run the still engine, failing over to the lane's fallback engines on error / missing url.
+ * - same prompt + reference images for every attempt (each engine clamps them to its capabilities)
+ * - safety blocks are final: no fallback
+ * - onFailedAttempt({ engine, attempt, error, genRes }) lets the caller write the step row
+ * Returns { genRes, engine, url, chain }.
+ */
+async function runStillEngineWithFailover({ cfg, working, prompt, stillEngine, appliedResolution, onFailedAttempt }) {
+  const chain = stillEngineChain(resolveStillLane(working), stillEngine);
+  const tried = [];
+  let lastErr = null;
+
+  for (let attempt = 0; attempt < chain.length; attempt++) {
+    const engine = chain[attempt];
+    let genRes = null;
 
     try {
-      await refundOnFailure({ supabase, passId, generationId, cost: stillCost, err });
-    } catch (e) {
-      console.warn("[mma] refund failed (still create)", e?.message || e);
-    }
+      genRes = await runStillEngine({ cfg, working, prompt, stillEngine: engine, appliedResolution });
+      const url = pickFirstUrl(genRes?.out);
+      if (!url) throw new Error(stillEngineNoUrlCode(engine));
 
-    emitStatus(generationId, "error");
-    sendDone(generationId, "error");
+      tried.push({ engine, ok: true });
+      return { genRes, engine, url, chain: tried };
+    } catch (err) {
+      if (isJobParked(err)) throw err; // rendering, not failed: no failover
+
+      lastErr = err;
+      tried.push({ engine, ok: false, error: err?.message || String(err || "") });
+
+      try {
+        await onFailedAttempt?.({ engine, attempt, error: err, genRes, chain: tried });
+      } catch {}
+
+      if (isSafetyBlockError(err)) break;
+      if (attempt < chain.length - 1) {
+        console.warn("[mma] still engine failed, failing over", engine, "->", chain[attempt + 1], err?.message || err);
+      }
+    }
   }
+
+  if (lastErr && typeof lastErr === "object") lastErr.failoverChain = tried;
+  throw lastErr || new Error("STILL_ENGINE_FAILED");
 }
 
 // ============================================================================
-// STILL TWEAK PIPELINE
+// STILL CREATE PIPELINE
 // ============================================================================
-async function runStillTweakPipeline({ supabase, generationId, passId, parent, vars, preferences }) {
+async function runStillCreatePipeline({ supabase, generationId, passId, vars, preferences }) {
   const cfg = getMmaConfig();
   if (!cfg.enabled) throw new Error("MMA_DISABLED");
 
   let working = vars;
 
   const stillLane = resolveStillLane(working);
-  const stillCost = stillCostForLane(stillLane); // ✅ niche => 2, main => 1
-  await chargeGeneration({
-    passId,
-    generationId,
-    cost: stillCost,
-    reason: stillLane === "niche" ? "mma_still_niche" : "mma_still",
-    lane: stillLane,
-  });
+  const stillCost = stillCostForInputs(working?.inputs); // ✅ niche => 2, main => 1 (via the engine)
+  const stillReason = stillLane === "niche" ? "mma_still_niche" : "mma_still";
 
-  const ctx = await getMmaCtxConfig(supabase);
+  const ctx = withPresetCtx(await getMmaCtxForGeneration({ supabase, passId, generationIds: [generationId] }), working);
   let chatter = null;
 
   try {
     await updateStatus({ supabase, generationId, status: "prompting" });
     emitStatus(generationId, "prompting");
 
-    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.still_tweak_start));
+    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.still_create_start));
     await updateVars({ supabase, generationId, vars: working });
     emitLine(generationId, working);
 
-    const parentUrl = asHttpUrl(parent?.mg_output_url);
-    if (!parentUrl) throw new Error("PARENT_OUTPUT_URL_MISSING");
-
-    const feedbackText =
-      safeStr(working?.feedback?.still_feedback, "") ||
-      safeStr(working?.feedback?.feedback_still, "") ||
-      safeStr(working?.feedback?.text, "") ||
-      safeStr(working?.inputs?.feedback_still, "") ||
-      safeStr(working?.inputs?.feedback, "") ||
-      safeStr(working?.inputs?.comment, "");
-
-    if (!feedbackText) throw new Error("MISSING_STILL_FEEDBACK");
-
     let stepNo = 1;
 
-    const oneShotInput = {
-      parent_image_url: parentUrl,
-      feedback: feedbackText,
-      previous_prompt: safeStr(parent?.mg_prompt, ""),
-      preferences: preferences || {},
-      hard_blocks: safeArray(preferences?.hard_blocks),
-      notes: "Keep the main subject consistent. Apply feedback precisely.",
-    };
-
-    const labeledImages = [{ role: "PARENT_IMAGE", url: parentUrl }];
+    const prep = prepareStillOneShot({ cfg, working, preferences });
+    working = prep.working;
+    const { labeledImages, oneShotInput } = prep;
 
     const t0 = Date.now();
-    const one = await gptStillOneShotTweak({ cfg, ctx, input: oneShotInput, labeledImages });
+    const one = await gptStillOneShotCreate({ cfg, ctx, input: oneShotInput, labeledImages });
 
     await writeStep({
       supabase,
       generationId,
       passId,
       stepNo: stepNo++,
-      stepType: "gpt_still_tweak_one_shot",
+      stepType: "gpt_still_one_shot",
       payload: {
-        ctx: ctx.still_tweak_one_shot,
+        ctx: ctx.still_one_shot,
         input: oneShotInput,
         labeledImages,
         request: one.request,
         raw: one.raw,
-        output: { clean_prompt: one.clean_prompt, parsed_ok: one.parsed_ok },
+        output: { clean_prompt: one.clean_prompt, debug: one.debug, parsed_ok: one.parsed_ok },
         timing: { started_at: new Date(t0).toISOString(), ended_at: nowIso(), duration_ms: Date.now() - t0 },
         error: null,
       },
     });
 
-    const usedPrompt = safeStr(one.clean_prompt, "");
-    if (!usedPrompt) throw new Error("EMPTY_TWEAK_PROMPT_ONE_SHOT");
+    const usedPrompt =
+      safeStr(one.clean_prompt, "") ||
+      safeStr(working?.inputs?.prompt, "") ||
+      safeStr(working?.prompts?.clean_prompt, "");
+
+    if (!usedPrompt) throw new Error("EMPTY_PROMPT_ONE_SHOT");
 
     working.prompts = { ...(working.prompts || {}), clean_prompt: usedPrompt };
     await updateVars({ supabase, generationId, vars: working });
@@ -2961,6 +3510,10 @@ async function runStillTweakPipeline({ supabase, generationId, passId, parent, v
       intervalMs: 2600,
     });
 
+    // lane routing:
+    // - niche => existing Nano Banana behavior
+    // - main  => Gemini 3.1 Flash Image if MMA_MAIN_GEMINI_MODEL is set
+    // - else  => Seedream
     const stillLane = resolveStillLane(working);
     const stillEngine = resolveStillEngine(working); // seedream | nanobanana | nanobanana2
     const appliedResolution = resolveAppliedStillResolution(working?.inputs || {});
@@ -2974,81 +3527,41 @@ async function runStillTweakPipeline({ supabase, generationId, passId, parent, v
     };
     await updateVars({ supabase, generationId, vars: working });
 
-    const useNanoLike = stillEngine === "nanobanana" || stillEngine === "nanobanana2";
-
-    let aspectRatio =
-      safeStr(working?.inputs?.aspect_ratio, "") ||
-      (useNanoLike
-        ? process.env.MMA_NANOBANANA_ASPECT_RATIO || cfg?.nanobanana?.aspectRatio
-        : cfg?.seadream?.aspectRatio || process.env.MMA_SEADREAM_ASPECT_RATIO) ||
-      "match_input_image";
-
-    if (String(aspectRatio).toLowerCase().includes("match") && !parentUrl) {
-      aspectRatio = "1:1";
-    }
-
-    const forcedInput =
-      stillEngine === "nanobanana2"
-        ? {
-            prompt: usedPrompt,
-            resolution: appliedResolution,
-            aspect_ratio: aspectRatio,
-            image_input: [parentUrl],
-          }
-        : stillEngine === "nanobanana"
-          ? {
-              prompt: usedPrompt,
-              resolution: appliedResolution,
-              aspect_ratio: aspectRatio,
-              output_format: cfg?.nanobanana?.outputFormat || process.env.MMA_NANOBANANA_OUTPUT_FORMAT || "jpg",
-              safety_filter_level:
-                cfg?.nanobanana?.safetyFilterLevel || process.env.MMA_NANOBANANA_SAFETY_FILTER_LEVEL || "block_only_high",
-              image_input: [parentUrl],
-            }
-          : {
-              prompt: usedPrompt,
-              size: appliedResolution,
-              aspect_ratio: aspectRatio,
-              enhance_prompt: !!cfg?.seadream?.enhancePrompt,
-              sequential_image_generation: "disabled",
-              max_images: 1,
-              image_input: [parentUrl],
-            };
-
-    let genRes;
+    // ✅ failover: every failed attempt gets its own step row, the user is charged once (stillCost)
+    let run;
     try {
-      genRes =
-        stillEngine === "nanobanana2"
-          ? await runNanoBananaGemini({
-              prompt: usedPrompt,
-              aspectRatio,
-              imageInputs: [parentUrl],
-              input: forcedInput,
-              resolution: appliedResolution,
-              imageSize: process.env.MMA_MAIN_GEMINI_IMAGE_SIZE || appliedResolution,
-              model: process.env.MMA_MAIN_GEMINI_MODEL || "gemini-3.1-flash-image-preview",
-              thinkingLevel: process.env.MMA_MAIN_GEMINI_THINKING_LEVEL || "High",
-              includeThoughts: parseOptionalBool(process.env.MMA_MAIN_GEMINI_INCLUDE_THOUGHTS),
-              useGoogleSearch: parseOptionalBool(process.env.MMA_MAIN_GEMINI_USE_GOOGLE_SEARCH),
-              useImageSearch: parseOptionalBool(process.env.MMA_MAIN_GEMINI_USE_IMAGE_SEARCH),
-              responseModalities: ["IMAGE"],
-              compressToJpeg: true,
-            })
-          : stillEngine === "nanobanana"
-            ? await runNanoBanana({
-                prompt: usedPrompt,
-                aspectRatio,
-                imageInputs: [parentUrl],
-                input: forcedInput,
-              })
-            : await runSeedream({
-                prompt: usedPrompt,
-                aspectRatio,
-                imageInputs: [parentUrl],
-                size: cfg?.seadream?.size,
-                enhancePrompt: cfg?.seadream?.enhancePrompt,
-                input: forcedInput,
-              });
+      run = await runStillEngineWithFailover({
+        cfg,
+        working,
+        prompt: usedPrompt,
+        stillEngine,
+        appliedResolution,
+        onFailedAttempt: ({ engine, attempt, error, genRes: failed, chain }) =>
+          writeStep({
+            supabase,
+            generationId,
+            passId,
+            stepNo: stepNo++,
+            stepType: stillEngineStepType(engine),
+            payload: {
+              input: failed?.input || null,
+              output: failed?.out || null,
+              timing: failed?.timing || null,
+              error: { message: error?.message || String(error || ""), provider: error?.provider || null },
+              failover: { attempt, chain, safety_block: isSafetyBlockError(error) },
+            },
+          }),
+      });
+      working = withStillPredictionId(working, run.engine, run.genRes);
+      if (run.engine !== stillEngine) {
+        working.meta = {
+          ...(working.meta || {}),
+          still_engine: run.engine,
+          still_engine_primary: stillEngine,
+          still_failover: run.chain,
+        };
+      }
+      await updateVars({ supabase, generationId, vars: working });
     } finally {
       try {
         chatter?.stop?.();
@@ -3056,52 +3569,26 @@ async function runStillTweakPipeline({ supabase, generationId, passId, parent, v
       chatter = null;
     }
 
-    const { input, out, timing } = genRes;
+    const { input, out, timing } = run.genRes;
 
     await writeStep({
       supabase,
       generationId,
       passId,
       stepNo: stepNo++,
-      stepType:
-        stillEngine === "nanobanana2"
-          ? "nanobanana2_generate_tweak"
-          : stillEngine === "nanobanana"
-            ? "nanobanana_generate_tweak"
-            : "seedream_generate_tweak",
-      payload: { input, output: out, timing, error: null },
+      stepType: stillEngineStepType(run.engine),
+      payload: { input, output: out, timing, error: null, failover: run.chain.length > 1 ? { chain: run.chain } : null },
     });
 
-    const genUrl = pickFirstUrl(out);
-    if (!genUrl) {
-      throw new Error(
-        stillEngine === "nanobanana2"
-          ? "NANOBANANA2_NO_URL_TWEAK"
-          : stillEngine === "nanobanana"
-            ? "NANOBANANA_NO_URL_TWEAK"
-            : "SEADREAM_NO_URL_TWEAK"
-      );
-    }
-
-    const remoteUrl = await storeRemoteToR2Public(genUrl, `mma/still/${generationId}`);
-
-    working.outputs = { ...(working.outputs || {}) };
-    if (stillEngine === "nanobanana2") {
-      working.outputs.nanobanana2_image_url = remoteUrl;
-      working.outputs.nanobanana_image_url = remoteUrl; // compatibility
-    } else if (stillEngine === "nanobanana") {
-      working.outputs.nanobanana_image_url = remoteUrl;
-    } else {
-      working.outputs.seedream_image_url = remoteUrl;
-    }
-
-    working.mg_output_url = remoteUrl;
+    const remoteUrl = await storeRemoteToR2Public(run.url, `mma/still/${generationId}`);
+    working = withStillOutputUrl(working, run.engine, remoteUrl);
 
     working = pushUserMessageLine(working, pick(MMA_UI.quickLines.saved_image));
     await updateVars({ supabase, generationId, vars: working });
     emitLine(generationId, working);
 
     await finalizeGeneration({ supabase, generationId, url: remoteUrl, prompt: usedPrompt, vars: working, mode: "still", matchasCharged: stillCost });
+    await captureOnSuccess({ passId, generationId, cost: stillCost, reason: stillReason, lane: stillLane });
 
     await updateStatus({ supabase, generationId, status: "done" });
     emitStatus(generationId, "done");
@@ -3112,8 +3599,15 @@ async function runStillTweakPipeline({ supabase, generationId, passId, parent, v
     } catch {}
     chatter = null;
 
-    console.error("[mma] still tweak pipeline error", err);
+    if (isJobParked(err)) throw err; // rendering, finished by the webhook / recover()
 
+    console.error("[mma] still create pipeline error", err);
+
+    if ((await readGenerationDelivery(supabase, generationId)).done) {
+      console.warn("[mma] still create failed after delivery, keeping it done", generationId);
+      return;
+    }
+    if (handBackToQueue(err)) throw err;
     await updateStatus({ supabase, generationId, status: "error" });
     await supabase
       .from("mega_generations")
@@ -3122,6 +3616,7 @@ async function runStillTweakPipeline({ supabase, generationId, passId, parent, v
           code: "PIPELINE_ERROR",
           message: err?.message || String(err || ""),
           provider: err?.provider || null,
+          failover_chain: err?.failoverChain || null,
         },
         mg_updated_at: nowIso(),
       })
@@ -3129,9 +3624,9 @@ async function runStillTweakPipeline({ supabase, generationId, passId, parent, v
       .eq("mg_record_type", "generation");
 
     try {
-      await refundOnFailure({ supabase, passId, generationId, cost: stillCost, err });
+      await releaseOnFailure({ supabase, passId, generationId, cost: stillCost, err, reason: stillReason });
     } catch (e) {
-      console.warn("[mma] refund failed (still tweak)", e?.message || e);
+      console.warn("[mma] hold release failed (still create)", e?.message || e);
     }
 
     emitStatus(generationId, "error");
@@ -3140,159 +3635,1195 @@ async function runStillTweakPipeline({ supabase, generationId, passId, parent, v
 }
 
 // ============================================================================
-// VIDEO ANIMATE PIPELINE (Kling)
+// STILL BATCH PIPELINE (still create with count > 1)
+// Parent generation = batch container (no output url), one child generation
+// per variant. Each child holds/captures/releases its own matcha.
 // ============================================================================
-async function runVideoAnimatePipeline({ supabase, generationId, passId, parent, vars }) {
+const MMA_MAX_VARIANTS = Math.max(1, Number(process.env.MMA_MAX_VARIANTS || 4) || 4);
+
+function resolveVariantCount(inputs) {
+  const n = Math.floor(
+    Number(inputs?.variant_count ?? inputs?.variantCount ?? inputs?.count ?? inputs?.variants ?? 1)
+  );
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(n, MMA_MAX_VARIANTS);
+}
+
+function resolveVariantPromptMode(inputs) {
+  const m = safeStr(inputs?.variant_prompt_mode || inputs?.variantPromptMode, "").toLowerCase();
+  return m === "diverse" ? "diverse" : "same";
+}
+
+function variantNote(index, total) {
+  return (
+    `Write a clean image prompt using the labeled images as references. ` +
+    `This is variant ${index + 1} of ${total}: keep the brief, but pick a composition, ` +
+    `camera angle and lighting clearly different from the other variants.`
+  );
+}
+
+async function runStillBatchPipeline({ supabase, generationId, passId, vars, preferences, children }) {
   const cfg = getMmaConfig();
-  
   if (!cfg.enabled) throw new Error("MMA_DISABLED");
 
   let working = vars;
-  let videoCost = 5;
-  const ctx = await getMmaCtxConfig(supabase);
 
-    // ✅ keep suggestOnly visible in catch/refund
-  let suggestOnly = false;
-  let chatter = null;
+  const stillLane = resolveStillLane(working);
+  const stillCost = stillCostForInputs(working?.inputs); // per variant
+  const stillReason = stillLane === "niche" ? "mma_still_niche" : "mma_still";
+  const promptMode = resolveVariantPromptMode(working?.inputs);
 
-  try {
-    const inputs0 = (working?.inputs && typeof working.inputs === "object") ? working.inputs : {};
-    suggestOnly = inputs0.suggest_only === true || inputs0.suggestOnly === true;
+  const ctx = withPresetCtx(
+    await getMmaCtxForGeneration({ supabase, passId, generationIds: [generationId, ...children.map((c) => c.generationId)] }),
+    working
+  );
 
-    const typeForMe =
-      inputs0.type_for_me === true ||
-      inputs0.typeForMe === true ||
-      inputs0.use_suggestion === true ||
-      inputs0.useSuggestion === true;
+  let variants = children.map((c) => ({
+    index: c.index,
+    generation_id: c.generationId,
+    status: "queued",
+    url: null,
+    error: null,
+  }));
+
+  // Variants finish in parallel: serialize parent var writes so a slow write never clobbers a newer one.
+  let saveChain = Promise.resolve();
+  const saveParent = () => {
+    const snapshot = { ...working, outputs: { ...(working.outputs || {}), variants } };
+    working = snapshot;
+    saveChain = saveChain
+      .then(() => updateVars({ supabase, generationId, vars: snapshot }))
+      .catch((e) => console.warn("[mma] batch parent vars save failed", e?.message || e));
+    return saveChain;
+  };
 
-    let frame2 = resolveFrame2Reference(inputs0, working?.assets);
+  const setVariant = async (index, patch) => {
+    variants = variants.map((v) => (v.index === index ? { ...v, ...patch } : v));
+    const v = variants.find((x) => x.index === index);
+    await saveParent();
+    sendVariant(generationId, v);
+  };
 
-    // ✅ If ref duration is missing, try to use real seconds from inputs.duration (NOT 5/10)
-    if ((frame2.kind === "ref_video" || frame2.kind === "ref_audio") && !frame2.rawDurationSec) {
-      const dur =
-        Number(inputs0.frame2_duration_sec || inputs0.frame2DurationSec || 0) ||
-        Number(inputs0.duration || inputs0.duration_seconds || inputs0.durationSeconds || 0) ||
-        0;
+  const courtesy = batchSafetyCourtesy({ supabase, passId });
+
+  // Returns the delivered url instead when the webhook / poller finished the child meanwhile.
+  // shared = the step every variant depends on (prompting) failed: nothing was rendered for any
+  // child, so every hold is released (a safety block there still uses up the batch's courtesy).
+  const failChild = async (child, err, { shared = false } = {}) => {
+    const delivery = await readGenerationDelivery(supabase, child.generationId);
+    if (delivery.done) {
+      console.warn("[mma] still batch variant failed after delivery, keeping it done", child.generationId);
+      return delivery.outputUrl;
+    }
+
+    await updateStatus({ supabase, generationId: child.generationId, status: "error" });
+    await supabase
+      .from("mega_generations")
+      .update({
+        mg_error: {
+          code: "PIPELINE_ERROR",
+          message: err?.message || String(err || ""),
+          provider: err?.provider || null,
+        },
+        mg_updated_at: nowIso(),
+      })
+      .eq("mg_generation_id", child.generationId)
+      .eq("mg_record_type", "generation");
+
+    try {
+      await releaseOnFailure({
+        supabase,
+        passId,
+        generationId: child.generationId,
+        cost: stillCost,
+        err,
+        reason: stillReason,
+        courtesy: shared ? () => courtesy().then(() => true) : courtesy,
+      });
+    } catch (e) {
+      console.warn("[mma] hold release failed (still batch)", e?.message || e);
+    }
+
+    emitStatus(child.generationId, "error");
+    sendDone(child.generationId, "error");
+    return null;
+  };
+
+  try {
+    await updateStatus({ supabase, generationId, status: "prompting" });
+    emitStatus(generationId, "prompting");
+
+    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.still_create_start));
+    await saveParent();
+    emitLine(generationId, working);
+
+    let stepNo = 1;
+
+    const prep = prepareStillOneShot({ cfg, working, preferences });
+    working = prep.working;
+    const { labeledImages, oneShotInput } = prep;
+
+    // "same" => one prompt for every variant, "diverse" => one prompt per variant
+    const promptCount = promptMode === "diverse" ? children.length : 1;
+    const prompts = [];
+
+    for (let i = 0; i < promptCount; i++) {
+      const input =
+        promptMode === "diverse" ? { ...oneShotInput, notes: variantNote(i, children.length) } : oneShotInput;
+
+      const t0 = Date.now();
+      const one = await gptStillOneShotCreate({ cfg, ctx, input, labeledImages });
+
+      await writeStep({
+        supabase,
+        generationId,
+        passId,
+        stepNo: stepNo++,
+        stepType: "gpt_still_one_shot",
+        payload: {
+          ctx: ctx.still_one_shot,
+          input,
+          labeledImages,
+          request: one.request,
+          raw: one.raw,
+          output: { clean_prompt: one.clean_prompt, debug: one.debug, parsed_ok: one.parsed_ok },
+          timing: { started_at: new Date(t0).toISOString(), ended_at: nowIso(), duration_ms: Date.now() - t0 },
+          error: null,
+        },
+      });
+
+      const p =
+        safeStr(one.clean_prompt, "") ||
+        safeStr(working?.inputs?.prompt, "") ||
+        safeStr(working?.prompts?.clean_prompt, "");
+
+      if (!p) throw new Error("EMPTY_PROMPT_ONE_SHOT");
+      prompts.push(p);
+    }
+
+    const stillEngine = resolveStillEngine(working); // seedream | nanobanana | nanobanana2
+    const appliedResolution = resolveAppliedStillResolution(working?.inputs || {});
+
+    working.prompts = { ...(working.prompts || {}), clean_prompt: prompts[0], variant_prompts: prompts };
+    working.inputs = { ...(working.inputs || {}), ...stillResolutionMeta(appliedResolution) };
+    working.meta = {
+      ...(working.meta || {}),
+      still_lane: stillLane,
+      still_engine: stillEngine,
+      variant_prompt_mode: promptMode,
+      ...stillResolutionMeta(appliedResolution),
+    };
+
+    await updateStatus({ supabase, generationId, status: "generating" });
+    emitStatus(generationId, "generating");
+    await saveParent();
+
+    const runVariant = async (child) => {
+      const prompt = prompts[child.index] || prompts[0];
+
+      let cw = {
+        ...child.vars,
+        assets: working.assets,
+        inputs: working.inputs,
+        prompts: { ...(child.vars?.prompts || {}), clean_prompt: prompt },
+        meta: { ...(child.vars?.meta || {}), ...working.meta },
+      };
+
+      try {
+        await updateStatus({ supabase, generationId: child.generationId, status: "generating" });
+        emitStatus(child.generationId, "generating");
+        await setVariant(child.index, { status: "generating" });
+
+        let stepNo = 1;
+        const run = await runStillEngineWithFailover({
+          cfg,
+          working: cw,
+          prompt,
+          stillEngine,
+          appliedResolution,
+          onFailedAttempt: ({ engine, attempt, error, genRes: failed, chain }) =>
+            writeStep({
+              supabase,
+              generationId: child.generationId,
+              passId,
+              stepNo: stepNo++,
+              stepType: stillEngineStepType(engine),
+              payload: {
+                input: failed?.input || null,
+                output: failed?.out || null,
+                timing: failed?.timing || null,
+                error: { message: error?.message || String(error || ""), provider: error?.provider || null },
+                failover: { attempt, chain, safety_block: isSafetyBlockError(error) },
+              },
+            }),
+        });
+        cw = withStillPredictionId(cw, run.engine, run.genRes);
+        if (run.engine !== stillEngine) {
+          cw.meta = { ...(cw.meta || {}), still_engine: run.engine, still_engine_primary: stillEngine, still_failover: run.chain };
+        }
+
+        const { input, out, timing } = run.genRes;
+
+        await writeStep({
+          supabase,
+          generationId: child.generationId,
+          passId,
+          stepNo: stepNo++,
+          stepType: stillEngineStepType(run.engine),
+          payload: { input, output: out, timing, error: null, failover: run.chain.length > 1 ? { chain: run.chain } : null },
+        });
+
+        const remoteUrl = await storeRemoteToR2Public(run.url, `mma/still/${child.generationId}`);
+        cw = withStillOutputUrl(cw, run.engine, remoteUrl);
+
+        await finalizeGeneration({
+          supabase,
+          generationId: child.generationId,
+          url: remoteUrl,
+          prompt,
+          vars: cw,
+          mode: "still",
+          matchasCharged: stillCost,
+        });
+        await updateVars({ supabase, generationId: child.generationId, vars: cw });
+        await captureOnSuccess({
+          passId,
+          generationId: child.generationId,
+          cost: stillCost,
+          reason: stillReason,
+          lane: stillLane,
+        });
+
+        emitStatus(child.generationId, "done");
+        sendDone(child.generationId, "done");
+        await setVariant(child.index, { status: "done", url: remoteUrl });
+
+        return remoteUrl;
+      } catch (err) {
+        if (isJobParked(err)) throw err;
+        console.error("[mma] still batch variant error", child.generationId, err);
+        const deliveredUrl = await failChild(child, err);
+        if (deliveredUrl) {
+          await setVariant(child.index, { status: "done", url: deliveredUrl });
+          return deliveredUrl;
+        }
+        await setVariant(child.index, { status: "error", error: err?.message || "PIPELINE_ERROR" });
+        throw err;
+      }
+    };
+
+    const results = await Promise.allSettled(
+      children.map((child) => withMmaJobGeneration(child.generationId, () => runVariant(child)))
+    );
+
+    // variants still rendering on Replicate: the job parks, recoverBatchJob settles them and the batch
+    if (results.some((r) => r.status === "rejected" && isJobParked(r.reason))) {
+      await saveParent();
+      throw retryMmaJobLater(REPLICATE_WEBHOOK_FALLBACK_POLL_MS);
+    }
+
+    const doneCount = results.filter((r) => r.status === "fulfilled").length;
+
+    if (!doneCount) throw new Error("ALL_VARIANTS_FAILED");
+
+    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.saved_image));
+    working.meta = { ...(working.meta || {}), variants_done: doneCount, variants_failed: children.length - doneCount };
+    await saveParent();
+    emitLine(generationId, working);
+
+    await updateStatus({ supabase, generationId, status: "done" });
+    emitStatus(generationId, "done");
+    sendDone(generationId, "done");
+  } catch (err) {
+    if (isJobParked(err)) throw err;
+    console.error("[mma] still batch pipeline error", err);
+
+    // the shared prompt step hit a transient error before any variant started: retry the batch
+    if (handBackToQueue(err) && variants.every((v) => v.status === "queued")) throw err;
+
+    // Prompting failed before any variant started: nothing was rendered, release every hold.
+    for (const child of children) {
+      const v = variants.find((x) => x.index === child.index);
+      if (v?.status !== "queued") continue;
+      await failChild(child, err, { shared: true });
+      variants = variants.map((x) => (x.index === child.index ? { ...x, status: "error", error: "PIPELINE_ERROR" } : x));
+    }
+
+    await saveParent();
+    await updateStatus({ supabase, generationId, status: "error" });
+    await supabase
+      .from("mega_generations")
+      .update({
+        mg_error: {
+          code: "PIPELINE_ERROR",
+          message: err?.message || String(err || ""),
+          provider: err?.provider || null,
+        },
+        mg_updated_at: nowIso(),
+      })
+      .eq("mg_generation_id", generationId)
+      .eq("mg_record_type", "generation");
+
+    emitStatus(generationId, "error");
+    sendDone(generationId, "error");
+  }
+}
+
+// ============================================================================
+// MASKED STILL TWEAK (region inpainting)
+// - mask: white = area to change, black = keep (same convention as fingertips)
+// - the region goes to the fingertips inpainting model (flux_fill = Bria GenFill)
+// - the result is composited over the parent with the mask as alpha, so pixels
+//   outside the mask stay identical to the parent
+// - the inpaint prediction is NOT recorded on the job: a crash mid-inpaint is
+//   failed + refunded by recovery instead of delivering an uncomposited image
+// ============================================================================
+const TWEAK_INPAINT_MODEL_KEY = String(process.env.MMA_TWEAK_INPAINT_MODEL || "flux_fill").trim();
+const TWEAK_MASK_MAX_BYTES = Number(process.env.MMA_TWEAK_MASK_MAX_BYTES || 8 * 1024 * 1024);
+const TWEAK_MASK_TYPES = ["image/png", "image/jpeg", "image/webp"];
+
+function tweakMaskInput(inputs) {
+  return safeStr(inputs?.mask_url || inputs?.mask || inputs?.mask_image || inputs?.mask_data_url, "");
+}
+
+// data: URL => R2 (same path as /api/r2/upload-dataurl), https URL => as-is
+async function storeTweakMask({ passId, raw }) {
+  if (asHttpUrl(raw)) return raw;
+
+  if (!raw.startsWith("data:")) throw makeHttpError(400, "INVALID_TWEAK_MASK");
+
+  let parsed;
+  try {
+    parsed = parseDataUrl(raw);
+  } catch {
+    throw makeHttpError(400, "INVALID_TWEAK_MASK");
+  }
+  if (!TWEAK_MASK_TYPES.includes(parsed.contentType)) throw makeHttpError(400, "INVALID_TWEAK_MASK_TYPE");
+  if (!parsed.buffer.length || parsed.buffer.length > TWEAK_MASK_MAX_BYTES) {
+    throw makeHttpError(400, "TWEAK_MASK_TOO_LARGE", { maxBytes: TWEAK_MASK_MAX_BYTES });
+  }
+
+  const key = makeKey({ kind: "mma/masks", customerId: passId, filename: "mask", contentType: parsed.contentType });
+  const out = await putBufferToR2({ key, buffer: parsed.buffer, contentType: parsed.contentType });
+  return out.publicUrl;
+}
+
+async function runMaskedInpaint({ imageUrl, maskUrl, prompt }) {
+  const model = getFingertipsModel(TWEAK_INPAINT_MODEL_KEY);
+  if (!model?.replicateModel) throw new Error(`TWEAK_INPAINT_MODEL_UNKNOWN: ${TWEAK_INPAINT_MODEL_KEY}`);
+
+  const input = {
+    image: imageUrl,
+    mask: maskUrl,
+    prompt,
+    mask_type: "manual",
+    sync: true,
+    preserve_alpha: true,
+  };
+
+  const t0 = Date.now();
+  const pred = await replicatePredictWithTimeout({
+    replicate: getReplicate(),
+    version: model.replicateModel,
+    input,
+    timeoutMs: REPLICATE_MAX_MS,
+    pollMs: REPLICATE_POLL_MS,
+    callTimeoutMs: REPLICATE_CALL_TIMEOUT_MS,
+    cancelOnTimeout: REPLICATE_CANCEL_ON_TIMEOUT,
+  });
+
+  const prediction = pred.prediction || {};
+  return {
+    input,
+    out: prediction.output,
+    model: model.replicateModel,
+    prediction_id: pred.predictionId,
+    prediction_status: prediction.status || null,
+    timed_out: !!pred.timedOut,
+    timing: { started_at: new Date(t0).toISOString(), ended_at: nowIso(), duration_ms: Date.now() - t0 },
+  };
+}
+
+async function fetchImageBuffer(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`MASK_COMPOSITE_FETCH_FAILED_${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+// parent outside the mask, edit inside it (mask greys = soft edge)
+async function compositeMaskedEdit({ baseUrl, editUrl, maskUrl }) {
+  const [baseBuf, editBuf, maskBuf] = await Promise.all([
+    fetchImageBuffer(baseUrl),
+    fetchImageBuffer(editUrl),
+    fetchImageBuffer(maskUrl),
+  ]);
+
+  const { width, height } = await sharp(baseBuf).metadata();
+  if (!width || !height) throw new Error("MASK_COMPOSITE_BASE_INVALID");
+
+  const alpha = await sharp(maskBuf).resize(width, height, { fit: "fill" }).greyscale().raw().toBuffer();
+
+  // separate pass: sharp runs removeAlpha after joinChannel, which would drop the mask again
+  const editRgb = await sharp(editBuf)
+    .resize(width, height, { fit: "fill" })
+    .removeAlpha()
+    .toColourspace("srgb")
+    .raw()
+    .toBuffer();
+
+  const editLayer = await sharp(editRgb, { raw: { width, height, channels: 3 } })
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  return sharp(baseBuf).composite([{ input: editLayer }]).png().toBuffer();
+}
+
+// ============================================================================
+// STILL TWEAK PIPELINE
+// ============================================================================
+async function runStillTweakPipeline({ supabase, generationId, passId, parent, vars, preferences }) {
+  const cfg = getMmaConfig();
+  if (!cfg.enabled) throw new Error("MMA_DISABLED");
+
+  let working = vars;
+
+  const stillLane = resolveStillLane(working);
+  const stillCost = stillCostForInputs(working?.inputs); // ✅ niche => 2, main => 1 (via the engine)
+  const stillReason = stillLane === "niche" ? "mma_still_niche" : "mma_still";
+
+  const ctx = await getMmaCtxForGeneration({ supabase, passId, generationIds: [generationId] });
+  let chatter = null;
+
+  try {
+    await updateStatus({ supabase, generationId, status: "prompting" });
+    emitStatus(generationId, "prompting");
+
+    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.still_tweak_start));
+    await updateVars({ supabase, generationId, vars: working });
+    emitLine(generationId, working);
+
+    const parentUrl = asHttpUrl(parent?.mg_output_url);
+    if (!parentUrl) throw new Error("PARENT_OUTPUT_URL_MISSING");
+
+    const feedbackText =
+      safeStr(working?.feedback?.still_feedback, "") ||
+      safeStr(working?.feedback?.feedback_still, "") ||
+      safeStr(working?.feedback?.text, "") ||
+      safeStr(working?.inputs?.feedback_still, "") ||
+      safeStr(working?.inputs?.feedback, "") ||
+      safeStr(working?.inputs?.comment, "");
+
+    if (!feedbackText) throw new Error("MISSING_STILL_FEEDBACK");
+
+    // painted region => inpaint only that area (see MASKED STILL TWEAK)
+    const maskUrl = asHttpUrl(working?.inputs?.mask_url);
+
+    let stepNo = 1;
+
+    const oneShotInput = {
+      parent_image_url: parentUrl,
+      feedback: feedbackText,
+      previous_prompt: safeStr(parent?.mg_prompt, ""),
+      preferences: preferences || {},
+      ...brandOneShotFields(working, preferences),
+      notes: maskUrl
+        ? "Only the white area of the mask is regenerated. Describe what should appear inside that region, not the whole image."
+        : "Keep the main subject consistent. Apply feedback precisely.",
+      ...(maskUrl ? { mask_image_url: maskUrl } : {}),
+    };
+
+    const labeledImages = [{ role: "PARENT_IMAGE", url: parentUrl }];
+    if (maskUrl) labeledImages.push({ role: "MASK", url: maskUrl });
+
+    const t0 = Date.now();
+    const one = await gptStillOneShotTweak({ cfg, ctx, input: oneShotInput, labeledImages });
+
+    await writeStep({
+      supabase,
+      generationId,
+      passId,
+      stepNo: stepNo++,
+      stepType: "gpt_still_tweak_one_shot",
+      payload: {
+        ctx: ctx.still_tweak_one_shot,
+        input: oneShotInput,
+        labeledImages,
+        request: one.request,
+        raw: one.raw,
+        output: { clean_prompt: one.clean_prompt, parsed_ok: one.parsed_ok },
+        timing: { started_at: new Date(t0).toISOString(), ended_at: nowIso(), duration_ms: Date.now() - t0 },
+        error: null,
+      },
+    });
+
+    const usedPrompt = safeStr(one.clean_prompt, "");
+    if (!usedPrompt) throw new Error("EMPTY_TWEAK_PROMPT_ONE_SHOT");
+
+    working.prompts = { ...(working.prompts || {}), clean_prompt: usedPrompt };
+    await updateVars({ supabase, generationId, vars: working });
+
+    await updateStatus({ supabase, generationId, status: "generating" });
+    emitStatus(generationId, "generating");
+
+    chatter = startMinaChatter({
+      supabase,
+      generationId,
+      getVars: () => working,
+      setVars: (v) => {
+        working = v;
+      },
+      stage: "generating",
+      intervalMs: 2600,
+    });
+
+    if (maskUrl) {
+      let inpaint;
+      try {
+        inpaint = await runMaskedInpaint({ imageUrl: parentUrl, maskUrl, prompt: usedPrompt });
+      } finally {
+        try {
+          chatter?.stop?.();
+        } catch {}
+        chatter = null;
+      }
+
+      await writeStep({
+        supabase,
+        generationId,
+        passId,
+        stepNo: stepNo++,
+        stepType: "mask_inpaint",
+        payload: { input: inpaint.input, output: inpaint.out, timing: inpaint.timing, error: null, mask_url: maskUrl },
+      });
+
+      const editUrl = pickFirstUrl(inpaint.out);
+      if (!editUrl) throw new Error("INPAINT_NO_URL");
+
+      const composite = await compositeMaskedEdit({ baseUrl: parentUrl, editUrl, maskUrl });
+      const { publicUrl: remoteUrl } = await putBufferToR2({
+        key: `mma/still/${generationId}.png`,
+        buffer: composite,
+        contentType: "image/png",
+      });
+
+      working.outputs = {
+        ...(working.outputs || {}),
+        inpaint_prediction_id: inpaint.prediction_id || null,
+        inpaint_image_url: editUrl,
+      };
+      working.mg_output_url = remoteUrl;
+      working.meta = { ...(working.meta || {}), still_lane: stillLane, tweak_mode: "masked", inpaint_model: inpaint.model };
+
+      working = pushUserMessageLine(working, pick(MMA_UI.quickLines.saved_image));
+      await updateVars({ supabase, generationId, vars: working });
+      emitLine(generationId, working);
+
+      await finalizeGeneration({ supabase, generationId, url: remoteUrl, prompt: usedPrompt, vars: working, mode: "still", matchasCharged: stillCost });
+      await captureOnSuccess({ passId, generationId, cost: stillCost, reason: stillReason, lane: stillLane });
+
+      await updateStatus({ supabase, generationId, status: "done" });
+      emitStatus(generationId, "done");
+      sendDone(generationId, "done");
+      return;
+    }
+
+    const stillEngine = resolveStillEngine(working); // seedream | nanobanana | nanobanana2
+    const appliedResolution = resolveAppliedStillResolution(working?.inputs || {});
+
+    working.inputs = { ...(working.inputs || {}), ...stillResolutionMeta(appliedResolution) };
+    working.meta = {
+      ...(working.meta || {}),
+      still_lane: stillLane,
+      still_engine: stillEngine,
+      ...stillResolutionMeta(appliedResolution),
+    };
+    await updateVars({ supabase, generationId, vars: working });
+
+    const stillProvider = getEngine(stillEngine) || getEngine("seedream");
+    const aspectRatio = stillAspectRatio(stillProvider, { cfg, working, hasImages: !!parentUrl });
+
+    let genRes;
+    try {
+      genRes = await stillProvider.run(
+        fitProviderRequest(stillProvider, {
+          cfg,
+          prompt: usedPrompt,
+          aspectRatio,
+          imageInputs: [parentUrl],
+          resolution: appliedResolution,
+          tweak: true,
+        })
+      );
+    } finally {
+      try {
+        chatter?.stop?.();
+      } catch {}
+      chatter = null;
+    }
+
+    const { input, out, timing } = genRes;
+
+    await writeStep({
+      supabase,
+      generationId,
+      passId,
+      stepNo: stepNo++,
+      stepType: `${stillProvider.stepType}_tweak`,
+      payload: { input, output: out, timing, error: null },
+    });
+
+    const genUrl = stillProvider.outputUrl(genRes);
+    if (!genUrl) throw new Error(`${stillProvider.noUrlCode}_TWEAK`);
+
+    const remoteUrl = await storeRemoteToR2Public(genUrl, `mma/still/${generationId}`);
+
+    working = withStillOutputUrl(working, stillEngine, remoteUrl);
+
+    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.saved_image));
+    await updateVars({ supabase, generationId, vars: working });
+    emitLine(generationId, working);
+
+    await finalizeGeneration({ supabase, generationId, url: remoteUrl, prompt: usedPrompt, vars: working, mode: "still", matchasCharged: stillCost });
+    await captureOnSuccess({ passId, generationId, cost: stillCost, reason: stillReason, lane: stillLane });
+
+    await updateStatus({ supabase, generationId, status: "done" });
+    emitStatus(generationId, "done");
+    sendDone(generationId, "done");
+  } catch (err) {
+    try {
+      chatter?.stop?.();
+    } catch {}
+    chatter = null;
+
+    if (isJobParked(err)) throw err; // rendering, finished by the webhook / recover()
+
+    console.error("[mma] still tweak pipeline error", err);
+
+    if ((await readGenerationDelivery(supabase, generationId)).done) {
+      console.warn("[mma] still tweak failed after delivery, keeping it done", generationId);
+      return;
+    }
+    if (handBackToQueue(err)) throw err;
+    await updateStatus({ supabase, generationId, status: "error" });
+    await supabase
+      .from("mega_generations")
+      .update({
+        mg_error: {
+          code: "PIPELINE_ERROR",
+          message: err?.message || String(err || ""),
+          provider: err?.provider || null,
+        },
+        mg_updated_at: nowIso(),
+      })
+      .eq("mg_generation_id", generationId)
+      .eq("mg_record_type", "generation");
+
+    try {
+      await releaseOnFailure({ supabase, passId, generationId, cost: stillCost, err, reason: stillReason });
+    } catch (e) {
+      console.warn("[mma] hold release failed (still tweak)", e?.message || e);
+    }
+
+    emitStatus(generationId, "error");
+    sendDone(generationId, "error");
+  }
+}
+
+// Save the Kling task id on the generation as soon as Kling returns it:
+// /webhooks/kling and the admin "recover task" action match on it.
+// (Replicate engines are tracked through the job's provider tasks instead.)
+function videoTaskSaver({ supabase, generationId, videoProvider, getVars, setVars }) {
+  const idKey = videoProvider?.outputKeys?.predictionId;
+  if (videoProvider?.provider !== "kling" || !idKey) return undefined;
+
+  return async ({ taskId, queryPath }) => {
+    const v = getVars() || {};
+    const next = { ...v, outputs: { ...(v.outputs || {}), [idKey]: taskId, kling_query_path: queryPath } };
+    setVars(next);
+    await updateVars({ supabase, generationId, vars: next });
+  };
+}
+
+// ============================================================================
+// VIDEO ANIMATE PIPELINE (Kling)
+// ============================================================================
+async function runVideoAnimatePipeline({ supabase, generationId, passId, parent, vars }) {
+  const cfg = getMmaConfig();
+  
+  if (!cfg.enabled) throw new Error("MMA_DISABLED");
+
+  let working = vars;
+  let videoCost = 5;
+  const ctx = await getMmaCtxForGeneration({ supabase, passId, generationIds: [generationId] });
+
+    // ✅ keep suggestOnly visible in catch/refund
+  let suggestOnly = false;
+  let chatter = null;
+
+  try {
+    const inputs0 = (working?.inputs && typeof working.inputs === "object") ? working.inputs : {};
+    suggestOnly = inputs0.suggest_only === true || inputs0.suggestOnly === true;
+
+    const typeForMe =
+      inputs0.type_for_me === true ||
+      inputs0.typeForMe === true ||
+      inputs0.use_suggestion === true ||
+      inputs0.useSuggestion === true;
+
+    let frame2 = resolveFrame2Reference(inputs0, working?.assets);
+
+    // ✅ If ref duration is missing, try to use real seconds from inputs.duration (NOT 5/10)
+    if ((frame2.kind === "ref_video" || frame2.kind === "ref_audio") && !frame2.rawDurationSec) {
+      const dur =
+        Number(inputs0.frame2_duration_sec || inputs0.frame2DurationSec || 0) ||
+        Number(inputs0.duration || inputs0.duration_seconds || inputs0.durationSeconds || 0) ||
+        0;
 
       if (dur > 0) inputs0.frame2_duration_sec = dur;
       frame2 = resolveFrame2Reference(inputs0, working?.assets);
     }
 
     if (!suggestOnly) {
-      videoCost = videoCostFromInputs(inputs0, working?.assets);
-      await chargeGeneration({ passId, generationId, cost: videoCost, reason: "mma_video", lane: "video" });
+      videoCost = videoCostFor(inputs0, working?.assets);
+    }
+
+    await updateStatus({ supabase, generationId, status: "prompting" });
+    emitStatus(generationId, "prompting");
+
+    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.video_animate_start));
+    await updateVars({ supabase, generationId, vars: working });
+    emitLine(generationId, working);
+
+    let stepNo = 1;
+
+    const startImage = pickKlingStartImage(working, parent);
+    const endImage = pickKlingEndImage(working, parent);
+    if (!startImage) throw new Error("MISSING_START_IMAGE_FOR_VIDEO");
+
+  const pricing = resolveVideoPricing(inputs0, working?.assets);
+  const flow = pricing.flow; // "kling" | "kling_motion_control" | "fabric_audio"
+  
+  working.inputs = { ...(working.inputs || {}), start_image_url: startImage };
+  if (endImage) working.inputs.end_image_url = endImage;
+  
+  let finalMotionPrompt = "";
+  const motionBrief =
+  safeStr(
+    inputs0.motion_user_brief ||
+      inputs0.motionUserBrief ||
+      inputs0.brief ||
+      inputs0.user_brief ||
+      inputs0.userBrief,
+    ""
+  );
+
+const movementStyle =
+  safeStr(
+    inputs0.selected_movement_style ||
+      inputs0.selectedMovementStyle ||
+      inputs0.movement_style ||
+      inputs0.movementStyle,
+    ""
+  );
+
+const promptOverride =
+  safeStr(
+    inputs0.motion_prompt_override ||
+      inputs0.motionPromptOverride ||
+      inputs0.prompt_override ||
+      inputs0.promptOverride,
+    ""
+  );
+
+const usePromptOverride = !!promptOverride;
+
+  // 1) Optional manual override (same behavior as before)
+  if (usePromptOverride) {
+    await writeStep({
+      supabase,
+      generationId,
+      passId,
+      stepNo: stepNo++,
+      stepType: "motion_prompt_override",
+      payload: {
+        source: "frontend",
+        flow,
+        frame2_kind: frame2?.kind || null,
+        frame2_url: frame2?.url || null,
+        frame2_duration_sec: frame2?.rawDurationSec || null,
+        prompt_override: promptOverride,
+        start_image_url: startImage,
+        end_image_url: asHttpUrl(endImage) || null,
+        motion_user_brief: motionBrief,
+        selected_movement_style: movementStyle,
+        timing: { started_at: nowIso(), ended_at: nowIso(), duration_ms: 0 },
+        error: null,
+      },
+    });
+  
+    finalMotionPrompt = promptOverride;
+  } else {
+    // 2) Always run GPT (even for fabric_audio + motion control)
+    const oneShotInput = {
+      flow,
+      frame2_kind: frame2?.kind || null, // "ref_audio" | "ref_video" | null
+      frame2_url: frame2?.url || null,
+      frame2_duration_sec: frame2?.rawDurationSec || null,
+  
+      start_image_url: startImage,
+      end_image_url: asHttpUrl(endImage) || null,
+      motion_user_brief: motionBrief,
+      selected_movement_style: movementStyle,
+  
+      notes:
+        "Write ONE clean motion prompt. If audio reference exists, sync motion to beats/phrases. " +
+        "If video reference exists, sync motion of the reference while keeping subject consistent. " +
+        "Plain English. No emojis. No questions.",
+    };
+  
+    const labeledImages = []
+      .concat([{ role: "START_IMAGE", url: startImage }])
+      .concat(endImage ? [{ role: "END_IMAGE", url: endImage }] : [])
+      .slice(0, 6);
+  
+    const t0 = Date.now();
+    const one = await gptMotionOneShotAnimate({ cfg, ctx, input: oneShotInput, labeledImages });
+  
+    await writeStep({
+      supabase,
+      generationId,
+      passId,
+      stepNo: stepNo++,
+      stepType: "gpt_motion_one_shot",
+      payload: {
+        ctx: ctx.motion_one_shot,
+        input: oneShotInput,
+        labeledImages,
+        request: one.request,
+        raw: one.raw,
+        output: { motion_prompt: one.motion_prompt, parsed_ok: one.parsed_ok },
+        timing: { started_at: new Date(t0).toISOString(), ended_at: nowIso(), duration_ms: Date.now() - t0 },
+        error: null,
+      },
+    });
+  
+    finalMotionPrompt =
+      safeStr(one.motion_prompt, "") ||
+      safeStr(working?.inputs?.motion_prompt, "") ||
+      safeStr(working?.inputs?.prompt, "") ||
+      safeStr(working?.prompts?.motion_prompt, "");
+
+    // Carry GPT-suggested negative_prompt and duration into working vars
+    if (one.negative_prompt) working.prompts = { ...(working.prompts || {}), gpt_negative_prompt: one.negative_prompt };
+    if (one.duration) working.prompts = { ...(working.prompts || {}), gpt_duration: one.duration };
+  }
+
+  // If GPT returns empty, do a safe fallback so Fabric never fails because of prompt
+  if (!finalMotionPrompt) {
+    finalMotionPrompt =
+      safeStr(motionBrief, "") ||
+      safeStr(working?.inputs?.brief, "") ||
+      safeStr(working?.inputs?.prompt, "");
+  }
+
+  // Only REQUIRE prompt for Kling and motion-control (Fabric doesn’t need it)
+  if (!finalMotionPrompt && flow !== "fabric_audio") {
+    throw new Error("EMPTY_MOTION_PROMPT");
+  }
+
+  working.prompts = { ...(working.prompts || {}), motion_prompt: finalMotionPrompt };
+  await updateVars({ supabase, generationId, vars: working });
+
+
+    if (suggestOnly) {
+      await supabase
+        .from("mega_generations")
+        .update({
+          mg_status: "suggested",
+          mg_mma_status: "suggested",
+          mg_prompt: finalMotionPrompt,
+          mg_updated_at: nowIso(),
+        })
+        .eq("mg_generation_id", generationId)
+        .eq("mg_record_type", "generation");
+
+      if (typeForMe) {
+        try {
+          await commitTypeForMeSuccessAndMaybeCharge({ supabase, passId });
+        } catch (e) {
+          console.warn("[mma] type-for-me charge failed:", e?.message || e);
+        }
+      }
+
+      emitStatus(generationId, "suggested");
+      sendDone(generationId, "suggested");
+      return;
+    }
+
+    await updateStatus({ supabase, generationId, status: "generating" });
+    emitStatus(generationId, "generating");
+
+    chatter = startMinaChatter({
+      supabase,
+      generationId,
+      getVars: () => working,
+      setVars: (v) => {
+        working = v;
+      },
+      stage: "generating",
+      intervalMs: 2600,
+    });
+
+    const duration =
+      Number(working?.inputs?.duration ?? working?.prompts?.gpt_duration ?? cfg?.kling?.duration ?? process.env.MMA_KLING_DURATION ?? 5) || 5;
+
+    const mode =
+      safeStr(working?.inputs?.kling_mode || working?.inputs?.mode, "") ||
+      cfg?.kling?.mode ||
+      process.env.MMA_KLING_MODE ||
+      "standard";
+
+    const neg =
+      safeStr(working?.inputs?.negative_prompt || working?.inputs?.negativePrompt, "") ||
+      safeStr(working?.prompts?.gpt_negative_prompt, "") ||
+      cfg?.kling?.negativePrompt ||
+      process.env.NEGATIVE_PROMPT_KLING ||
+      process.env.MMA_NEGATIVE_PROMPT_KLING ||
+      "";
+
+    const generateAudioRaw =
+      working?.inputs?.generate_audio ??
+      working?.inputs?.generateAudio ??
+      working?.inputs?.audio_enabled ??
+      working?.inputs?.audioEnabled ??
+      working?.inputs?.with_audio ??
+      working?.inputs?.withAudio;
+
+    const muteRaw =
+      working?.inputs?.mute ??
+      working?.inputs?.muted ??
+      working?.inputs?.audio_muted ??
+      working?.inputs?.audioMuted;
+
+    const generateAudioParsed = parseOptionalBool(generateAudioRaw);
+    const muteParsed = parseOptionalBool(muteRaw);
+
+    // HARD RULE: mute wins
+    let generateAudio = true;
+
+    if (muteParsed === true) {
+      generateAudio = false;
+    } else if (generateAudioParsed !== undefined) {
+      generateAudio = generateAudioParsed;
+    } else if (muteParsed === false) {
+      generateAudio = true;
+    }
+
+    // 2-frame video stays muted
+    if (asHttpUrl(endImage)) generateAudio = false;
+
+    const videoProvider = resolveVideoProvider(pricing.flow);
+
+    let genRes;
+    try {
+      working.meta = { ...(working.meta || {}), video_engine: videoProvider.id };
+      await updateVars({ supabase, generationId, vars: working });
+
+      genRes = await videoProvider.run(
+        fitProviderRequest(videoProvider, {
+          prompt: finalMotionPrompt,
+          startImage,
+          endImage,
+          duration,
+          mode,
+          negativePrompt: neg,
+          generateAudio,
+          referenceUrl: frame2?.url || "",
+          referenceDurationSec: frame2?.rawDurationSec || 0,
+          inputs: working?.inputs || {},
+          onTaskCreated: videoTaskSaver({
+            supabase,
+            generationId,
+            videoProvider,
+            getVars: () => working,
+            setVars: (v) => {
+              working = v;
+            },
+          }),
+        })
+      );
+
+      const predictionKey = videoProvider.outputKeys?.predictionId;
+      if (predictionKey) working.outputs = { ...(working.outputs || {}), [predictionKey]: genRes.prediction_id || null };
+      await updateVars({ supabase, generationId, vars: working });
+    } finally {
+      try {
+        chatter?.stop?.();
+      } catch {}
+      chatter = null;
+    }
+
+    const { input, out, timing } = genRes;
+
+    await writeStep({
+      supabase,
+      generationId,
+      passId,
+      stepNo: stepNo++,
+      stepType: videoProvider.stepType,
+      payload: { input, output: out, timing, error: null },
+    });
+
+    const remote = videoProvider.outputUrl(genRes);
+    if (!remote) throw new Error(videoProvider.noUrlCode || "VIDEO_NO_URL");
+
+    const remoteUrl = await storeRemoteToR2Public(remote, `mma/video/${generationId}`);
+
+    working = withVideoOutputUrl(working, remoteUrl);
+
+    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.saved_video));
+    await updateVars({ supabase, generationId, vars: working });
+    emitLine(generationId, working);
+
+    await finalizeGeneration({ supabase, generationId, url: remoteUrl, prompt: finalMotionPrompt, vars: working, mode: "video", matchasCharged: videoCost });
+    await captureOnSuccess({ passId, generationId, cost: videoCost, reason: "mma_video", lane: "video" });
+
+    await updateStatus({ supabase, generationId, status: "done" });
+    emitStatus(generationId, "done");
+    sendDone(generationId, "done");
+  } catch (err) {
+    try {
+      chatter?.stop?.();
+    } catch {}
+    chatter = null;
+
+    if (isJobParked(err)) throw err; // rendering, finished by the webhook / recover()
+
+    console.error("[mma] video animate pipeline error", err);
+
+    if ((await readGenerationDelivery(supabase, generationId)).done) {
+      console.warn("[mma] video animate failed after delivery, keeping it done", generationId);
+      return;
+    }
+    if (handBackToQueue(err)) throw err;
+    await updateStatus({ supabase, generationId, status: "error" });
+    await supabase
+      .from("mega_generations")
+      .update({
+        mg_error: {
+          code: "PIPELINE_ERROR",
+          message: err?.message || String(err || ""),
+          provider: err?.provider || null,
+        },
+        mg_updated_at: nowIso(),
+      })
+      .eq("mg_generation_id", generationId)
+      .eq("mg_record_type", "generation");
+
+    if (!suggestOnly) {
+      try {
+        await releaseOnFailure({ supabase, passId, generationId, cost: videoCost, err, reason: "mma_video" });
+      } catch (e) {
+        console.warn("[mma] hold release failed (video animate)", e?.message || e);
+      }
     }
 
+    emitStatus(generationId, "error");
+    sendDone(generationId, "error");
+  }
+}
+
+// ============================================================================
+// VIDEO TWEAK PIPELINE (Kling)
+// ============================================================================
+async function runVideoTweakPipeline({ supabase, generationId, passId, parent, vars }) {
+  const cfg = getMmaConfig();
+  if (!cfg.enabled) throw new Error("MMA_DISABLED");
+
+  let working = vars;
+  const ctx = await getMmaCtxForGeneration({ supabase, passId, generationIds: [generationId] });
+
+  // ✅ compute real cost 5 or 10 (use parent inputs as fallback)
+  const parentVars = parent?.mg_mma_vars && typeof parent.mg_mma_vars === "object" ? parent.mg_mma_vars : {};
+  const mergedInputs0 = { ...(parentVars?.inputs || {}), ...(working?.inputs || {}) };
+  const mergedAssets0 = { ...(parentVars?.assets || {}), ...(working?.assets || {}) };
+  const pricing = resolveVideoPricing(mergedInputs0, mergedAssets0);
+  let frame2 = resolveFrame2Reference(mergedInputs0, mergedAssets0);
+  const videoCost = videoCostFor(mergedInputs0, mergedAssets0);
+
+  // ✅ If ref duration is missing, try to use real seconds from inputs.duration (NOT 5/10)
+  if ((frame2.kind === "ref_video" || frame2.kind === "ref_audio") && !frame2.rawDurationSec) {
+    const dur =
+      Number(mergedInputs0.frame2_duration_sec || mergedInputs0.frame2DurationSec || 0) ||
+      Number(mergedInputs0.duration || mergedInputs0.duration_seconds || mergedInputs0.durationSeconds || 0) ||
+      0;
+
+    if (dur > 0) mergedInputs0.frame2_duration_sec = dur;
+    frame2 = resolveFrame2Reference(mergedInputs0, mergedAssets0);
+  }
+
+  let chatter = null;
+
+  try {
     await updateStatus({ supabase, generationId, status: "prompting" });
     emitStatus(generationId, "prompting");
 
-    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.video_animate_start));
+    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.video_tweak_start));
     await updateVars({ supabase, generationId, vars: working });
     emitLine(generationId, working);
 
     let stepNo = 1;
 
-    const startImage = pickKlingStartImage(working, parent);
-    const endImage = pickKlingEndImage(working, parent);
-    if (!startImage) throw new Error("MISSING_START_IMAGE_FOR_VIDEO");
+    const startImage =
+      asHttpUrl(working?.inputs?.start_image_url || working?.inputs?.startImageUrl) ||
+      asHttpUrl(parentVars?.inputs?.start_image_url || parentVars?.inputs?.startImageUrl) ||
+      asHttpUrl(parent?.mg_output_url) ||
+      "";
 
-  const pricing = resolveVideoPricing(inputs0, working?.assets);
-  const flow = pricing.flow; // "kling" | "kling_motion_control" | "fabric_audio"
-  
-  working.inputs = { ...(working.inputs || {}), start_image_url: startImage };
-  if (endImage) working.inputs.end_image_url = endImage;
-  
-  let finalMotionPrompt = "";
-  const motionBrief =
-  safeStr(
-    inputs0.motion_user_brief ||
-      inputs0.motionUserBrief ||
-      inputs0.brief ||
-      inputs0.user_brief ||
-      inputs0.userBrief,
-    ""
-  );
+    const endImage =
+      asHttpUrl(working?.inputs?.end_image_url || working?.inputs?.endImageUrl) ||
+      asHttpUrl(parentVars?.inputs?.end_image_url || parentVars?.inputs?.endImageUrl) ||
+      "";
 
-const movementStyle =
-  safeStr(
-    inputs0.selected_movement_style ||
-      inputs0.selectedMovementStyle ||
-      inputs0.movement_style ||
-      inputs0.movementStyle,
-    ""
-  );
+    if (!startImage) throw new Error("MISSING_START_IMAGE_FOR_VIDEO_TWEAK");
 
-const promptOverride =
-  safeStr(
-    inputs0.motion_prompt_override ||
-      inputs0.motionPromptOverride ||
-      inputs0.prompt_override ||
-      inputs0.promptOverride,
-    ""
-  );
+    const feedbackMotion =
+      safeStr(working?.feedback?.motion_feedback, "") ||
+      safeStr(working?.feedback?.feedback_motion, "") ||
+      safeStr(working?.inputs?.feedback_motion, "") ||
+      safeStr(working?.inputs?.feedback, "") ||
+      safeStr(working?.inputs?.comment, "");
 
-const usePromptOverride = !!promptOverride;
+    if (!feedbackMotion) throw new Error("MISSING_MOTION_FEEDBACK");
+
+    const prevMotionPrompt =
+      safeStr(parentVars?.prompts?.motion_prompt, "") || safeStr(parent?.mg_prompt, "");
 
-  // 1) Optional manual override (same behavior as before)
-  if (usePromptOverride) {
-    await writeStep({
-      supabase,
-      generationId,
-      passId,
-      stepNo: stepNo++,
-      stepType: "motion_prompt_override",
-      payload: {
-        source: "frontend",
-        flow,
-        frame2_kind: frame2?.kind || null,
-        frame2_url: frame2?.url || null,
-        frame2_duration_sec: frame2?.rawDurationSec || null,
-        prompt_override: promptOverride,
-        start_image_url: startImage,
-        end_image_url: asHttpUrl(endImage) || null,
-        motion_user_brief: motionBrief,
-        selected_movement_style: movementStyle,
-        timing: { started_at: nowIso(), ended_at: nowIso(), duration_ms: 0 },
-        error: null,
-      },
-    });
-  
-    finalMotionPrompt = promptOverride;
-  } else {
-    // 2) Always run GPT (even for fabric_audio + motion control)
     const oneShotInput = {
-      flow,
-      frame2_kind: frame2?.kind || null, // "ref_audio" | "ref_video" | null
-      frame2_url: frame2?.url || null,
-      frame2_duration_sec: frame2?.rawDurationSec || null,
-  
       start_image_url: startImage,
       end_image_url: asHttpUrl(endImage) || null,
-      motion_user_brief: motionBrief,
-      selected_movement_style: movementStyle,
-  
-      notes:
-        "Write ONE clean motion prompt. If audio reference exists, sync motion to beats/phrases. " +
-        "If video reference exists, sync motion of the reference while keeping subject consistent. " +
-        "Plain English. No emojis. No questions.",
+      feedback_motion: feedbackMotion,
+      previous_motion_prompt: prevMotionPrompt,
+      notes: "Keep what works. Apply feedback precisely. Plain English. No emojis. No questions.",
     };
-  
+
     const labeledImages = []
       .concat([{ role: "START_IMAGE", url: startImage }])
       .concat(endImage ? [{ role: "END_IMAGE", url: endImage }] : [])
       .slice(0, 6);
-  
+
     const t0 = Date.now();
-    const one = await gptMotionOneShotAnimate({ cfg, ctx, input: oneShotInput, labeledImages });
-  
+    const one = await gptMotionOneShotTweak({ cfg, ctx, input: oneShotInput, labeledImages });
+
     await writeStep({
       supabase,
       generationId,
       passId,
       stepNo: stepNo++,
-      stepType: "gpt_motion_one_shot",
+      stepType: "gpt_motion_tweak_one_shot",
       payload: {
-        ctx: ctx.motion_one_shot,
+        ctx: ctx.motion_tweak_one_shot,
         input: oneShotInput,
         labeledImages,
         request: one.request,
@@ -3302,59 +4833,27 @@ const usePromptOverride = !!promptOverride;
         error: null,
       },
     });
-  
-    finalMotionPrompt =
-      safeStr(one.motion_prompt, "") ||
-      safeStr(working?.inputs?.motion_prompt, "") ||
-      safeStr(working?.inputs?.prompt, "") ||
-      safeStr(working?.prompts?.motion_prompt, "");
-
-    // Carry GPT-suggested negative_prompt and duration into working vars
-    if (one.negative_prompt) working.prompts = { ...(working.prompts || {}), gpt_negative_prompt: one.negative_prompt };
-    if (one.duration) working.prompts = { ...(working.prompts || {}), gpt_duration: one.duration };
-  }
-
-  // If GPT returns empty, do a safe fallback so Fabric never fails because of prompt
-  if (!finalMotionPrompt) {
-    finalMotionPrompt =
-      safeStr(motionBrief, "") ||
-      safeStr(working?.inputs?.brief, "") ||
-      safeStr(working?.inputs?.prompt, "");
-  }
 
-  // Only REQUIRE prompt for Kling and motion-control (Fabric doesn’t need it)
-  if (!finalMotionPrompt && flow !== "fabric_audio") {
-    throw new Error("EMPTY_MOTION_PROMPT");
-  }
+    let finalMotionPrompt = safeStr(one.motion_prompt, "");
 
-  working.prompts = { ...(working.prompts || {}), motion_prompt: finalMotionPrompt };
-  await updateVars({ supabase, generationId, vars: working });
+    if (!finalMotionPrompt) {
+      // safe fallback (so Fabric tweak won’t fail just because GPT output is empty)
+      finalMotionPrompt = safeStr(feedbackMotion, "") || safeStr(prevMotionPrompt, "");
+    }
 
+    if (!finalMotionPrompt && pricing.flow !== "fabric_audio") {
+      throw new Error("EMPTY_MOTION_TWEAK_PROMPT_ONE_SHOT");
+    }
 
-    if (suggestOnly) {
-      await supabase
-        .from("mega_generations")
-        .update({
-          mg_status: "suggested",
-          mg_mma_status: "suggested",
-          mg_prompt: finalMotionPrompt,
-          mg_updated_at: nowIso(),
-        })
-        .eq("mg_generation_id", generationId)
-        .eq("mg_record_type", "generation");
+    // Carry GPT-suggested negative_prompt and duration into working vars
+    if (one.negative_prompt) working.prompts = { ...(working.prompts || {}), gpt_negative_prompt: one.negative_prompt };
+    if (one.duration) working.prompts = { ...(working.prompts || {}), gpt_duration: one.duration };
 
-      if (typeForMe) {
-        try {
-          await commitTypeForMeSuccessAndMaybeCharge({ supabase, passId });
-        } catch (e) {
-          console.warn("[mma] type-for-me charge failed:", e?.message || e);
-        }
-      }
+    working.prompts = { ...(working.prompts || {}), motion_prompt: finalMotionPrompt };
+    working.inputs = { ...(working.inputs || {}), start_image_url: startImage };
+    if (endImage) working.inputs.end_image_url = endImage;
 
-      emitStatus(generationId, "suggested");
-      sendDone(generationId, "suggested");
-      return;
-    }
+    await updateVars({ supabase, generationId, vars: working });
 
     await updateStatus({ supabase, generationId, status: "generating" });
     emitStatus(generationId, "generating");
@@ -3371,10 +4870,18 @@ const usePromptOverride = !!promptOverride;
     });
 
     const duration =
-      Number(working?.inputs?.duration ?? working?.prompts?.gpt_duration ?? cfg?.kling?.duration ?? process.env.MMA_KLING_DURATION ?? 5) || 5;
+      Number(
+        working?.inputs?.duration ??
+          working?.prompts?.gpt_duration ??
+          parentVars?.inputs?.duration ??
+          cfg?.kling?.duration ??
+          process.env.MMA_KLING_DURATION ??
+          5
+      ) || 5;
 
     const mode =
       safeStr(working?.inputs?.kling_mode || working?.inputs?.mode, "") ||
+      safeStr(parentVars?.inputs?.kling_mode || parentVars?.inputs?.mode, "") ||
       cfg?.kling?.mode ||
       process.env.MMA_KLING_MODE ||
       "standard";
@@ -3382,95 +4889,45 @@ const usePromptOverride = !!promptOverride;
     const neg =
       safeStr(working?.inputs?.negative_prompt || working?.inputs?.negativePrompt, "") ||
       safeStr(working?.prompts?.gpt_negative_prompt, "") ||
+      safeStr(parentVars?.inputs?.negative_prompt || parentVars?.inputs?.negativePrompt, "") ||
       cfg?.kling?.negativePrompt ||
       process.env.NEGATIVE_PROMPT_KLING ||
       process.env.MMA_NEGATIVE_PROMPT_KLING ||
       "";
 
+    const mergedInputsAudio = { ...(parentVars?.inputs || {}), ...(working?.inputs || {}) };
+
     const generateAudioRaw =
-      working?.inputs?.generate_audio ??
-      working?.inputs?.generateAudio ??
-      working?.inputs?.audio_enabled ??
-      working?.inputs?.audioEnabled ??
-      working?.inputs?.with_audio ??
-      working?.inputs?.withAudio;
+      mergedInputsAudio?.generate_audio ??
+      mergedInputsAudio?.generateAudio ??
+      mergedInputsAudio?.audio_enabled ??
+      mergedInputsAudio?.audioEnabled ??
+      mergedInputsAudio?.with_audio ??
+      mergedInputsAudio?.withAudio;
 
     const muteRaw =
-      working?.inputs?.mute ??
-      working?.inputs?.muted ??
-      working?.inputs?.audio_muted ??
-      working?.inputs?.audioMuted;
+      mergedInputsAudio?.mute ??
+      mergedInputsAudio?.muted;
 
     const generateAudioParsed = parseOptionalBool(generateAudioRaw);
     const muteParsed = parseOptionalBool(muteRaw);
 
-    // HARD RULE: mute wins
-    let generateAudio = true;
-
-    if (muteParsed === true) {
-      generateAudio = false;
-    } else if (generateAudioParsed !== undefined) {
-      generateAudio = generateAudioParsed;
-    } else if (muteParsed === false) {
-      generateAudio = true;
-    }
+    // ✅ default ON unless explicitly disabled
+    let generateAudio =
+      generateAudioParsed !== undefined ? generateAudioParsed :
+      muteParsed !== undefined ? !muteParsed :
+      true;
 
-    // 2-frame video stays muted
+    // ✅ 2 frames => force mute
     if (asHttpUrl(endImage)) generateAudio = false;
 
-    let genRes;
-    let stepType = "kling_generate";
+    const videoProvider = resolveVideoProvider(pricing.flow);
+    working.meta = { ...(working.meta || {}), video_engine: videoProvider.id };
 
+    let genRes;
     try {
-      if (pricing.flow === "kling_motion_control") {
-        if (!frame2?.url) throw new Error("MISSING_FRAME2_VIDEO_URL");
-
-        // sensible defaults for motion control
-        const kmcMode = safeStr(working?.inputs?.mode || working?.inputs?.kmc_mode, "") || "std";
-        const kmcOrientation =
-          safeStr(working?.inputs?.character_orientation || working?.inputs?.characterOrientation, "") || "video";
-        const keepOriginalSound =
-          working?.inputs?.keep_original_sound ?? working?.inputs?.keepOriginalSound ?? generateAudio;
-
-        working.meta = { ...(working.meta || {}), video_engine: "kling_motion_control" };
-        await updateVars({ supabase, generationId, vars: working });
-
-        genRes = await runKlingMotionControl({
-          prompt: finalMotionPrompt,
-          image: startImage,
-          video: frame2.url,
-          mode: kmcMode,
-          keepOriginalSound,
-          characterOrientation: kmcOrientation,
-          duration: frame2?.rawDurationSec || duration, // ✅ NEW
-        });
-
-        working.outputs = { ...(working.outputs || {}), kling_motion_control_prediction_id: genRes.prediction_id || null };
-        stepType = "kling_motion_control_generate";
-        await updateVars({ supabase, generationId, vars: working });
-      } else if (pricing.flow === "fabric_audio") {
-        if (!frame2?.url) throw new Error("MISSING_FRAME2_AUDIO_URL");
-
-        const resolution =
-          safeStr(working?.inputs?.resolution || working?.inputs?.fabric_resolution, "") || "720p";
-
-        working.meta = { ...(working.meta || {}), video_engine: "fabric_audio" };
-        await updateVars({ supabase, generationId, vars: working });
-
-        genRes = await runFabricAudio({
-          image: startImage,
-          audio: frame2.url,
-          resolution,
-        });
-
-        working.outputs = { ...(working.outputs || {}), fabric_prediction_id: genRes.prediction_id || null };
-        stepType = "fabric_generate";
-        await updateVars({ supabase, generationId, vars: working });
-      } else {
-        working.meta = { ...(working.meta || {}), video_engine: "kling" };
-        await updateVars({ supabase, generationId, vars: working });
-
-        genRes = await runKling({
+      genRes = await videoProvider.run(
+        fitProviderRequest(videoProvider, {
           prompt: finalMotionPrompt,
           startImage,
           endImage,
@@ -3478,12 +4935,20 @@ const usePromptOverride = !!promptOverride;
           mode,
           negativePrompt: neg,
           generateAudio,
-        });
-
-        working.outputs = { ...(working.outputs || {}), kling_prediction_id: genRes.prediction_id || null };
-        stepType = "kling_generate";
-        await updateVars({ supabase, generationId, vars: working });
-      }
+          referenceUrl: frame2?.url || "",
+          referenceDurationSec: frame2?.rawDurationSec || 0,
+          inputs: mergedInputs0 || {},
+          onTaskCreated: videoTaskSaver({
+            supabase,
+            generationId,
+            videoProvider,
+            getVars: () => working,
+            setVars: (v) => {
+              working = v;
+            },
+          }),
+        })
+      );
     } finally {
       try {
         chatter?.stop?.();
@@ -3498,28 +4963,23 @@ const usePromptOverride = !!promptOverride;
       generationId,
       passId,
       stepNo: stepNo++,
-      stepType,
+      stepType: `${videoProvider.stepType}_tweak`,
       payload: { input, output: out, timing, error: null },
     });
 
-    const remote = pickFirstUrl(out);
-    if (!remote) throw new Error("VIDEO_NO_URL");
+    const remote = videoProvider.outputUrl(genRes);
+    if (!remote) throw new Error("KLING_NO_URL_TWEAK");
 
     const remoteUrl = await storeRemoteToR2Public(remote, `mma/video/${generationId}`);
 
-    working.outputs = { ...(working.outputs || {}) };
-    working.outputs.kling_video_url = remoteUrl;
-    
-    if (pricing.flow === "fabric_audio") working.outputs.fabric_video_url = remoteUrl;
-    if (pricing.flow === "kling_motion_control") working.outputs.kling_motion_control_video_url = remoteUrl;
-
-    working.mg_output_url = remoteUrl;
+    working = withVideoOutputUrl(working, remoteUrl);
 
     working = pushUserMessageLine(working, pick(MMA_UI.quickLines.saved_video));
     await updateVars({ supabase, generationId, vars: working });
     emitLine(generationId, working);
 
     await finalizeGeneration({ supabase, generationId, url: remoteUrl, prompt: finalMotionPrompt, vars: working, mode: "video", matchasCharged: videoCost });
+    await captureOnSuccess({ passId, generationId, cost: videoCost, reason: "mma_video", lane: "video" });
 
     await updateStatus({ supabase, generationId, status: "done" });
     emitStatus(generationId, "done");
@@ -3530,8 +4990,15 @@ const usePromptOverride = !!promptOverride;
     } catch {}
     chatter = null;
 
-    console.error("[mma] video animate pipeline error", err);
+    if (isJobParked(err)) throw err; // rendering, finished by the webhook / recover()
 
+    console.error("[mma] video tweak pipeline error", err);
+
+    if ((await readGenerationDelivery(supabase, generationId)).done) {
+      console.warn("[mma] video tweak failed after delivery, keeping it done", generationId);
+      return;
+    }
+    if (handBackToQueue(err)) throw err;
     await updateStatus({ supabase, generationId, status: "error" });
     await supabase
       .from("mega_generations")
@@ -3546,12 +5013,10 @@ const usePromptOverride = !!promptOverride;
       .eq("mg_generation_id", generationId)
       .eq("mg_record_type", "generation");
 
-    if (!suggestOnly) {
-      try {
-        await refundOnFailure({ supabase, passId, generationId, cost: videoCost, err });
-      } catch (e) {
-        console.warn("[mma] refund failed (video animate)", e?.message || e);
-      }
+    try {
+      await releaseOnFailure({ supabase, passId, generationId, cost: videoCost, err, reason: "mma_video" });
+    } catch (e) {
+      console.warn("[mma] hold release failed (video tweak)", e?.message || e);
     }
 
     emitStatus(generationId, "error");
@@ -3560,300 +5025,671 @@ const usePromptOverride = !!promptOverride;
 }
 
 // ============================================================================
-// VIDEO TWEAK PIPELINE (Kling)
+// DURABLE JOBS (./mma-jobs.js)
+// run     = the pipeline (first attempt, or a retry: transient provider errors are handed
+//           back to the queue and the generation goes back to "queued" for the next attempt)
+// recover = the worker died mid-run: resume from the stored Replicate prediction id /
+//           Kling task id, or fail + release the hold if nothing was rendering
+// giveUp  = retries exhausted: fail the generation(s) + release the hold(s)
 // ============================================================================
-async function runVideoTweakPipeline({ supabase, generationId, passId, parent, vars }) {
-  const cfg = getMmaConfig();
-  if (!cfg.enabled) throw new Error("MMA_DISABLED");
+const MMA_ACTIVE_STATUSES = ["queued", "prompting", "generating"];
+const MMA_TERMINAL_STATUSES = new Set(["done", "error", "suggested"]);
+const MMA_ORPHAN_AFTER_MS = Number(process.env.MMA_ORPHAN_AFTER_MS || 15 * 60 * 1000);
+const MMA_ORPHAN_SWEEP_LIMIT = Number(process.env.MMA_ORPHAN_SWEEP_LIMIT || 200);
+
+const JOB_GENERATION_COLUMNS =
+  "mg_generation_id, mg_pass_id, mg_parent_id, mg_mma_mode, mg_mma_status, mg_status, mg_output_url, mg_prompt, mg_mma_vars";
+
+async function loadJobGeneration(supabase, generationId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select(JOB_GENERATION_COLUMNS)
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+function generationState(row) {
+  return String(row?.mg_mma_status || row?.mg_status || "queued");
+}
+
+function generationCharge(row) {
+  const vars = row?.mg_mma_vars && typeof row.mg_mma_vars === "object" ? row.mg_mma_vars : {};
+
+  if (row?.mg_mma_mode === "video") {
+    return { cost: videoCostFor(vars.inputs || {}, vars.assets || {}), reason: "mma_video", lane: "video" };
+  }
+
+  const lane = resolveStillLane(vars);
+  return { cost: stillCostForInputs(vars.inputs), reason: lane === "niche" ? "mma_still_niche" : "mma_still", lane };
+}
+
+// Query path saved at submit time wins (text2video vs image2video); older rows fall back on the engine
+function klingTaskFor(row, taskId) {
+  const out = row?.mg_mma_vars?.outputs || {};
+  const engine = safeStr(row?.mg_mma_vars?.meta?.video_engine, "");
+  const saved = safeStr(out.kling_query_path, "");
+  const savedFor = [out.kling_prediction_id, out.kling_motion_control_prediction_id].includes(taskId);
+
+  const isOmni = engine === "kling_motion_control" || safeStr(out.kling_motion_control_prediction_id, "") === taskId;
+  const queryPath =
+    saved && savedFor
+      ? saved
+      : isOmni
+        ? `/v1/videos/omni-video/${encodeURIComponent(taskId)}`
+        : `/v1/videos/image2video/${encodeURIComponent(taskId)}`;
+
+  return { provider: "kling", id: taskId, query_path: queryPath };
+}
+
+// Legacy rows (and crashes after the provider returned) only have ids in mg_mma_vars.outputs
+function providerTaskFromVars(row) {
+  const out = row?.mg_mma_vars?.outputs || {};
+
+  if (row?.mg_mma_mode === "video") {
+    const omni = safeStr(out.kling_motion_control_prediction_id, "");
+    if (omni) return klingTaskFor(row, omni);
+
+    const i2v = safeStr(out.kling_prediction_id, "");
+    if (i2v) return klingTaskFor(row, i2v);
+
+    // fabric_audio + configured Replicate video engines
+    const engine = getEngine(safeStr(row?.mg_mma_vars?.meta?.video_engine, ""));
+    const key = engine?.provider === "replicate" ? engine.outputKeys?.predictionId : "";
+    const pred = safeStr((key && out[key]) || out.fabric_prediction_id, "");
+    return pred ? { provider: "replicate", id: pred } : null;
+  }
+
+  const engine = getEngine(safeStr(row?.mg_mma_vars?.meta?.still_engine, ""));
+  const key = engine?.outputKeys?.predictionId || "";
+  const pred = safeStr((key && out[key]) || out.nanobanana_prediction_id || out.seedream_prediction_id, "");
+  return pred ? { provider: "replicate", id: pred } : null;
+}
+
+async function pollProviderTask(task) {
+  if (task.provider === "kling") {
+    const payload = await klingRequestJson(task.query_path, { method: "GET", timeoutMs: REPLICATE_CALL_TIMEOUT_MS });
+    const status = extractKlingTaskStatus(payload);
+
+    if (status === "succeed") return { state: "succeeded", url: extractKlingVideoUrl(payload) };
+    if (status === "failed") return { state: "failed", error: extractKlingTaskStatusMsg(payload) || "KLING_TASK_FAILED" };
+    return { state: "pending" };
+  }
+
+  const pred = await getReplicate().predictions.get(String(task.id));
+  const status = String(pred?.status || "");
+
+  if (status === "succeeded") return { state: "succeeded", url: pickFirstUrl(pred?.output) };
+  if (status === "failed" || status === "canceled") {
+    return { state: "failed", error: safeStr(pred?.error, "") || `REPLICATE_${status.toUpperCase()}` };
+  }
+  return { state: "pending" };
+}
+
+async function failGeneration({ supabase, row, err, courtesy = null }) {
+  const generationId = row.mg_generation_id;
+  const { cost, reason } = generationCharge(row);
+
+  if ((await readGenerationDelivery(supabase, generationId)).done) {
+    console.warn("[mma] job failed after delivery, keeping it done", generationId);
+    return;
+  }
+
+  await updateStatus({ supabase, generationId, status: "error" });
+  await supabase
+    .from("mega_generations")
+    .update({
+      mg_error: {
+        code: err?.code || "PIPELINE_ERROR",
+        message: err?.message || String(err || ""),
+        provider: err?.provider || null,
+      },
+      mg_updated_at: nowIso(),
+    })
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation");
+
+  try {
+    await releaseOnFailure({ supabase, passId: row.mg_pass_id, generationId, cost, err, reason, courtesy });
+  } catch (e) {
+    console.warn("[mma] hold release failed (job recovery)", e?.message || e);
+  }
+
+  emitStatus(generationId, "error");
+  sendDone(generationId, "error");
+}
+
+function withVideoOutputUrl(vars, remoteUrl) {
+  const keys = getEngine(safeStr(vars?.meta?.video_engine, "") || "kling")?.outputKeys?.urls || [];
+  const outputs = { ...(vars?.outputs || {}), kling_video_url: remoteUrl }; // every reader looks here
+
+  for (const key of keys) outputs[key] = remoteUrl;
+
+  return { ...(vars || {}), mg_output_url: remoteUrl, outputs };
+}
+
+async function completeRecoveredGeneration({ supabase, row, providerUrl, capture = true }) {
+  const generationId = row.mg_generation_id;
+  const mode = row.mg_mma_mode === "video" ? "video" : "still";
+  const vars = row.mg_mma_vars && typeof row.mg_mma_vars === "object" ? row.mg_mma_vars : {};
+
+  const remoteUrl = await storeRemoteToR2Public(providerUrl, `mma/${mode}/${generationId}`);
+
+  let working =
+    mode === "video"
+      ? withVideoOutputUrl(vars, remoteUrl)
+      : withStillOutputUrl(vars, safeStr(vars?.meta?.still_engine, "") || resolveStillEngine(vars), remoteUrl);
+
+  working = pushUserMessageLine(
+    working,
+    pick(mode === "video" ? MMA_UI.quickLines.saved_video : MMA_UI.quickLines.saved_image)
+  );
+  await updateVars({ supabase, generationId, vars: working });
+  emitLine(generationId, working);
+
+  const prompt =
+    safeStr(row.mg_prompt, "") ||
+    safeStr(mode === "video" ? working?.prompts?.motion_prompt : working?.prompts?.clean_prompt, "") ||
+    null;
+
+  const { cost, reason, lane } = generationCharge(row);
+  await finalizeGeneration({ supabase, generationId, url: remoteUrl, prompt, vars: working, mode, matchasCharged: capture ? cost : 0 });
+  if (capture) await captureOnSuccess({ passId: row.mg_pass_id, generationId, cost, reason, lane });
+
+  emitStatus(generationId, "done");
+  sendDone(generationId, "done");
+  return remoteUrl;
+}
+
+// -> { state: "done" | "error" | "pending" | "rerun" | "missing" | <terminal status>, url }
+async function recoverGeneration({ supabase, generationId, task, allowRerun = true }) {
+  const row = await loadJobGeneration(supabase, generationId);
+  if (!row) return { state: "missing" };
+
+  const internal = generationState(row);
+  if (MMA_TERMINAL_STATUSES.has(internal)) return { state: internal, url: row.mg_output_url || null };
+
+  const t = task?.id ? task : providerTaskFromVars(row);
+
+  if (!t) {
+    // never got past "queued" => nothing ran, safe to start over
+    if (allowRerun && internal === "queued") return { state: "rerun" };
+
+    const err = new Error("ORPHANED_AFTER_RESTART");
+    err.code = "ORPHANED_AFTER_RESTART";
+    await failGeneration({ supabase, row, err });
+    return { state: "error" };
+  }
+
+  const polled = await pollProviderTask(t);
+  if (polled.state === "pending") return { state: "pending" };
+
+  if (polled.state === "failed" || !polled.url) {
+    const err = new Error(polled.state === "failed" ? `PROVIDER_FAILED: ${polled.error}` : "PROVIDER_NO_URL");
+    err.code = polled.state === "failed" ? "PROVIDER_FAILED" : "PROVIDER_NO_URL";
+    err.provider = { [t.provider]: { id: t.id, error: polled.error || null } };
+    await failGeneration({ supabase, row, err });
+    return { state: "error" };
+  }
+
+  const url = await completeRecoveredGeneration({ supabase, row, providerUrl: polled.url });
+  return { state: "done", url };
+}
+
+async function loadJobParent(supabase, job, { required }) {
+  const parentId = safeStr(job.payload?.parent_generation_id, "");
+  if (!parentId) {
+    if (required) throw new Error("PARENT_GENERATION_NOT_FOUND");
+    return null;
+  }
+
+  const parent = await fetchParentGenerationRow(supabase, parentId);
+  if (!parent && required) throw new Error("PARENT_GENERATION_NOT_FOUND");
+  return parent;
+}
+
+async function loadBatchChildren(supabase, job) {
+  const ids = safeArray(job.payload?.children).map((c) => safeStr(c?.generation_id, "")).filter(Boolean);
+  if (!ids.length) return [];
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_generation_id, mg_mma_vars")
+    .in("mg_generation_id", ids)
+    .eq("mg_record_type", "generation");
+
+  if (error) throw error;
+
+  const byId = new Map((data || []).map((r) => [r.mg_generation_id, r]));
+  return safeArray(job.payload?.children)
+    .filter((c) => byId.has(c?.generation_id))
+    .map((c) => ({ generationId: c.generation_id, index: Number(c.index || 0), vars: byId.get(c.generation_id).mg_mma_vars || {} }));
+}
+
+const MMA_JOB_PIPELINES = {
+  still_create: async ({ supabase, job, vars }) =>
+    runStillCreatePipeline({
+      supabase,
+      generationId: job.generationId,
+      passId: job.passId,
+      vars,
+      preferences: await readMmaPreferences(supabase, job.passId),
+    }),
+
+  still_batch: async ({ supabase, job, vars }) =>
+    runStillBatchPipeline({
+      supabase,
+      generationId: job.generationId,
+      passId: job.passId,
+      vars,
+      preferences: await readMmaPreferences(supabase, job.passId),
+      children: await loadBatchChildren(supabase, job),
+    }),
+
+  still_tweak: async ({ supabase, job, vars }) =>
+    runStillTweakPipeline({
+      supabase,
+      generationId: job.generationId,
+      passId: job.passId,
+      parent: await loadJobParent(supabase, job, { required: true }),
+      vars,
+      preferences: await readMmaPreferences(supabase, job.passId),
+    }),
+
+  video_animate: async ({ supabase, job, vars }) =>
+    runVideoAnimatePipeline({
+      supabase,
+      generationId: job.generationId,
+      passId: job.passId,
+      parent: await loadJobParent(supabase, job, { required: false }),
+      vars,
+    }),
+
+  video_tweak: async ({ supabase, job, vars }) =>
+    runVideoTweakPipeline({
+      supabase,
+      generationId: job.generationId,
+      passId: job.passId,
+      parent: await loadJobParent(supabase, job, { required: true }),
+      vars,
+    }),
+};
+
+async function runMmaJob(job) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const row = await loadJobGeneration(supabase, job.generationId);
+  if (!row) return;
+
+  // Pipelines move to "prompting" first thing: anything else means a previous run got further
+  if (generationState(row) !== "queued") return recoverMmaJob(job);
+
+  const pipeline = MMA_JOB_PIPELINES[job.kind];
+  if (!pipeline) throw new Error(`UNKNOWN_JOB_KIND:${job.kind}`);
+
+  const vars = row.mg_mma_vars || {};
+  try {
+    await pipeline({ supabase, job, vars: structuredClone(vars) });
+  } catch (err) {
+    if (isTransientProviderError(err)) await requeueJobGeneration({ supabase, job, vars });
+    throw err;
+  }
+}
+
+// A pipeline handed a transient error back: the next attempt starts over from "queued" with
+// the vars this one started from, without the provider task of the failed attempt.
+// (the last attempt goes to giveUp, which fails the generation and releases the hold)
+async function requeueJobGeneration({ supabase, job, vars }) {
+  await supabase
+    .from("mega_generations")
+    .update({ mg_status: "queued", mg_mma_status: "queued", mg_mma_vars: vars, mg_updated_at: nowIso() })
+    .eq("mg_generation_id", job.generationId)
+    .eq("mg_record_type", "generation");
+
+  const providers = { ...(job.meta?.providers || {}) };
+  delete providers[job.generationId];
+  job.meta = { ...(job.meta || {}), providers };
+
+  emitStatus(job.generationId, "queued");
+}
+
+async function recoverMmaJob(job) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  if (job.kind === "still_batch") return recoverBatchJob(supabase, job);
+
+  const out = await recoverGeneration({
+    supabase,
+    generationId: job.generationId,
+    task: job.meta?.providers?.[job.generationId],
+  });
+
+  if (out.state === "rerun") return runMmaJob(job);
+  if (out.state === "pending") throw retryMmaJobLater();
+}
+
+async function recoverBatchJob(supabase, job) {
+  const parent = await loadJobGeneration(supabase, job.generationId);
+  if (!parent) return;
+
+  const parentState = generationState(parent);
+  if (MMA_TERMINAL_STATUSES.has(parentState)) return;
+
+  const providers = job.meta?.providers || {};
+  const children = safeArray(job.payload?.children);
+
+  if (parentState === "queued" && !children.some((c) => providers[c?.generation_id])) return runMmaJob(job);
+
+  let working = parent.mg_mma_vars && typeof parent.mg_mma_vars === "object" ? parent.mg_mma_vars : {};
+  let variants = safeArray(working?.outputs?.variants);
+  let pending = false;
+
+  for (const child of children) {
+    const out = await recoverGeneration({
+      supabase,
+      generationId: child.generation_id,
+      task: providers[child.generation_id],
+      allowRerun: false,
+    });
 
-  let working = vars;
-  const ctx = await getMmaCtxConfig(supabase);
+    if (out.state === "pending") {
+      pending = true;
+      continue;
+    }
 
-  // ✅ compute real cost 5 or 10 (use parent inputs as fallback)
-  const parentVars = parent?.mg_mma_vars && typeof parent.mg_mma_vars === "object" ? parent.mg_mma_vars : {};
-  const mergedInputs0 = { ...(parentVars?.inputs || {}), ...(working?.inputs || {}) };
-  const mergedAssets0 = { ...(parentVars?.assets || {}), ...(working?.assets || {}) };
-  const pricing = resolveVideoPricing(mergedInputs0, mergedAssets0);
-  let frame2 = resolveFrame2Reference(mergedInputs0, mergedAssets0);
-  const videoCost = videoCostFromInputs(mergedInputs0, mergedAssets0);
+    const status = out.state === "done" ? "done" : "error";
+    variants = variants.map((v) =>
+      v?.generation_id === child.generation_id ? { ...v, status, url: out.url || v.url || null } : v
+    );
+    sendVariant(job.generationId, variants.find((v) => v?.generation_id === child.generation_id) || {});
+  }
 
-  // ✅ If ref duration is missing, try to use real seconds from inputs.duration (NOT 5/10)
-  if ((frame2.kind === "ref_video" || frame2.kind === "ref_audio") && !frame2.rawDurationSec) {
-    const dur =
-      Number(mergedInputs0.frame2_duration_sec || mergedInputs0.frame2DurationSec || 0) ||
-      Number(mergedInputs0.duration || mergedInputs0.duration_seconds || mergedInputs0.durationSeconds || 0) ||
-      0;
+  working = { ...working, outputs: { ...(working.outputs || {}), variants } };
+  await updateVars({ supabase, generationId: job.generationId, vars: working });
 
-    if (dur > 0) mergedInputs0.frame2_duration_sec = dur;
-    frame2 = resolveFrame2Reference(mergedInputs0, mergedAssets0);
+  if (pending) throw retryMmaJobLater();
+
+  const doneCount = variants.filter((v) => v?.status === "done").length;
+
+  if (!doneCount) {
+    const err = new Error("ALL_VARIANTS_FAILED");
+    err.code = "ALL_VARIANTS_FAILED";
+    await failGeneration({ supabase, row: parent, err });
+    return;
   }
 
-  let chatter = null;
+  await updateStatus({ supabase, generationId: job.generationId, status: "done" });
+  emitStatus(job.generationId, "done");
+  sendDone(job.generationId, "done");
+}
 
-  try {
-    await chargeGeneration({ passId, generationId, cost: videoCost, reason: "mma_video", lane: "video" });
-    await updateStatus({ supabase, generationId, status: "prompting" });
-    emitStatus(generationId, "prompting");
+async function giveUpMmaJob(job, err) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return;
 
-    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.video_tweak_start));
-    await updateVars({ supabase, generationId, vars: working });
-    emitLine(generationId, working);
+  const ids = [job.generationId].concat(safeArray(job.payload?.children).map((c) => c?.generation_id).filter(Boolean));
+  const courtesy = batchSafetyCourtesy({ supabase, passId: job.passId });
 
-    let stepNo = 1;
+  for (const id of ids) {
+    const row = await loadJobGeneration(supabase, id);
+    if (!row || MMA_TERMINAL_STATUSES.has(generationState(row))) continue;
+    await failGeneration({ supabase, row, err, courtesy });
+  }
+}
 
-    const startImage =
-      asHttpUrl(working?.inputs?.start_image_url || working?.inputs?.startImageUrl) ||
-      asHttpUrl(parentVars?.inputs?.start_image_url || parentVars?.inputs?.startImageUrl) ||
-      asHttpUrl(parent?.mg_output_url) ||
-      "";
+for (const kind of Object.keys(MMA_JOB_PIPELINES)) {
+  registerMmaJobHandler(kind, { run: runMmaJob, recover: recoverMmaJob, giveUp: giveUpMmaJob });
+}
 
-    const endImage =
-      asHttpUrl(working?.inputs?.end_image_url || working?.inputs?.endImageUrl) ||
-      asHttpUrl(parentVars?.inputs?.end_image_url || parentVars?.inputs?.endImageUrl) ||
-      "";
+// The request failed between placing the hold(s) and queueing the job: no pipeline will ever
+// capture or release them, so fail the rows that were written and release every hold now.
+async function abandonHeldGenerations({ supabase, generationIds, reason }) {
+  for (const id of Array.from(new Set(generationIds))) {
+    await updateStatus({ supabase, generationId: id, status: "error" }).catch(() => {});
+    await megaReleaseHold({ holdId: holdIdFor(id), reason }).catch(() => {});
+  }
+}
 
-    if (!startImage) throw new Error("MISSING_START_IMAGE_FOR_VIDEO_TWEAK");
+// Hand a pipeline to the durable queue. If that fails nothing will ever run it: fail + release now.
+async function startGenerationJob({ supabase, generationId, passId, kind, payload = {}, holdGenerationIds }) {
+  try {
+    await enqueueMmaJob({ supabase, generationId, passId, kind, payload });
+  } catch (err) {
+    console.error("[mma] job enqueue failed", generationId, err?.message || err);
+    await abandonHeldGenerations({
+      supabase,
+      generationIds: [generationId].concat(holdGenerationIds || []),
+      reason: "mma_enqueue_failed",
+    });
+    throw err;
+  }
+}
 
-    const feedbackMotion =
-      safeStr(working?.feedback?.motion_feedback, "") ||
-      safeStr(working?.feedback?.feedback_motion, "") ||
-      safeStr(working?.inputs?.feedback_motion, "") ||
-      safeStr(working?.inputs?.feedback, "") ||
-      safeStr(working?.inputs?.comment, "");
+function jobKindForFlow(flow, mode) {
+  // handlers live in fingertips-controller.js
+  if (mode === "fingertips") {
+    return flow === "fingertips_recipe" || flow === "fingertips_bulk" ? flow : "fingertips";
+  }
+  if (MMA_JOB_PIPELINES[flow]) return flow;
+  return mode === "video" ? "video_animate" : "still_create";
+}
 
-    if (!feedbackMotion) throw new Error("MISSING_MOTION_FEEDBACK");
+// Startup sweep: generations stuck in an active status with no job (pre-queue rows,
+// lost enqueues) get a recovery job. Rows that already have a job are left to it.
+export async function sweepOrphanedGenerations() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) return { enqueued: 0 };
 
-    const prevMotionPrompt =
-      safeStr(parentVars?.prompts?.motion_prompt, "") || safeStr(parent?.mg_prompt, "");
+  const cutoff = new Date(Date.now() - MMA_ORPHAN_AFTER_MS).toISOString();
 
-    const oneShotInput = {
-      start_image_url: startImage,
-      end_image_url: asHttpUrl(endImage) || null,
-      feedback_motion: feedbackMotion,
-      previous_motion_prompt: prevMotionPrompt,
-      notes: "Keep what works. Apply feedback precisely. Plain English. No emojis. No questions.",
-    };
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select("mg_generation_id, mg_pass_id, mg_mma_mode, mg_mma_vars")
+    .eq("mg_record_type", "generation")
+    .in("mg_mma_status", MMA_ACTIVE_STATUSES)
+    .lt("mg_updated_at", cutoff)
+    .order("mg_updated_at", { ascending: true })
+    .limit(MMA_ORPHAN_SWEEP_LIMIT);
 
-    const labeledImages = []
-      .concat([{ role: "START_IMAGE", url: startImage }])
-      .concat(endImage ? [{ role: "END_IMAGE", url: endImage }] : [])
-      .slice(0, 6);
+  if (error) throw error;
 
-    const t0 = Date.now();
-    const one = await gptMotionOneShotTweak({ cfg, ctx, input: oneShotInput, labeledImages });
+  let enqueued = 0;
 
-    await writeStep({
+  for (const row of data || []) {
+    const meta = row?.mg_mma_vars?.meta || {};
+    const flow = safeStr(meta.flow, "");
+    if (flow === "still_variant") continue; // recovered through its batch parent
+    if (row?.mg_mma_vars?.recipe_step) continue; // run by its fingertips recipe job
+    if (row?.mg_mma_vars?.bulk_item) continue; // run by its fingertips bulk job
+
+    const variants = safeArray(row?.mg_mma_vars?.outputs?.variants);
+
+    const out = await enqueueMmaJob({
       supabase,
-      generationId,
-      passId,
-      stepNo: stepNo++,
-      stepType: "gpt_motion_tweak_one_shot",
+      generationId: row.mg_generation_id,
+      passId: row.mg_pass_id,
+      kind: jobKindForFlow(flow, row.mg_mma_mode),
       payload: {
-        ctx: ctx.motion_tweak_one_shot,
-        input: oneShotInput,
-        labeledImages,
-        request: one.request,
-        raw: one.raw,
-        output: { motion_prompt: one.motion_prompt, parsed_ok: one.parsed_ok },
-        timing: { started_at: new Date(t0).toISOString(), ended_at: nowIso(), duration_ms: Date.now() - t0 },
-        error: null,
+        parent_generation_id: safeStr(meta.parent_generation_id, "") || null,
+        children: variants.map((v) => ({ generation_id: v?.generation_id, index: v?.index })),
       },
+      recovering: true,
     });
 
-    let finalMotionPrompt = safeStr(one.motion_prompt, "");
+    if (!out.alreadyQueued) enqueued += 1;
+  }
 
-    if (!finalMotionPrompt) {
-      // safe fallback (so Fabric tweak won’t fail just because GPT output is empty)
-      finalMotionPrompt = safeStr(feedbackMotion, "") || safeStr(prevMotionPrompt, "");
-    }
+  return { enqueued };
+}
 
-    if (!finalMotionPrompt && pricing.flow !== "fabric_audio") {
-      throw new Error("EMPTY_MOTION_TWEAK_PROMPT_ONE_SHOT");
-    }
+export function startMmaJobs() {
+  startMmaJobWorker();
 
-    // Carry GPT-suggested negative_prompt and duration into working vars
-    if (one.negative_prompt) working.prompts = { ...(working.prompts || {}), gpt_negative_prompt: one.negative_prompt };
-    if (one.duration) working.prompts = { ...(working.prompts || {}), gpt_duration: one.duration };
+  sweepOrphanedGenerations()
+    .then((r) => r?.enqueued && console.log(`[mma] orphan sweep: ${r.enqueued} generations queued for recovery`))
+    .catch((e) => console.error("[mma] orphan sweep failed", e?.message || e));
+}
 
-    working.prompts = { ...(working.prompts || {}), motion_prompt: finalMotionPrompt };
-    working.inputs = { ...(working.inputs || {}), start_image_url: startImage };
-    if (endImage) working.inputs.end_image_url = endImage;
+// ============================================================================
+// PROVIDER WEBHOOKS + ADMIN TASK RECOVERY
+// - /webhooks/replicate (signed) and /webhooks/kling (token + re-query) in server.js
+// - succeeded => same completion as job recovery (R2 + finalize + capture + SSE done)
+// - failed/canceled are left to the poller / job recovery: release + the daily
+//   safety courtesy must run exactly once, completion is safe to run twice
+// Racing the poller is fine: R2 key is per generation, capture is keyed on
+// mma:<generationId>, and generations already terminal are skipped.
+// ============================================================================
+const completionInFlight = new Set(); // providers retry deliveries, admins double-click
 
-    await updateVars({ supabase, generationId, vars: working });
+async function completeOnce(generationId, fn) {
+  if (completionInFlight.has(generationId)) return { inFlight: true };
+  completionInFlight.add(generationId);
+  try {
+    return await fn();
+  } finally {
+    completionInFlight.delete(generationId);
+  }
+}
 
-    await updateStatus({ supabase, generationId, status: "generating" });
-    emitStatus(generationId, "generating");
+export async function handleReplicateWebhook(prediction) {
+  const predictionId = safeStr(prediction?.id, "");
+  const status = safeStr(prediction?.status, "");
 
-    chatter = startMinaChatter({
-      supabase,
-      generationId,
-      getVars: () => working,
-      setVars: (v) => {
-        working = v;
-      },
-      stage: "generating",
-      intervalMs: 2600,
-    });
+  if (!predictionId) return { handled: false, reason: "NO_PREDICTION_ID" };
+  if (status !== "succeeded") return { handled: false, predictionId, reason: `STATUS_${status || "unknown"}` };
 
-    const duration =
-      Number(
-        working?.inputs?.duration ??
-          working?.prompts?.gpt_duration ??
-          parentVars?.inputs?.duration ??
-          cfg?.kling?.duration ??
-          process.env.MMA_KLING_DURATION ??
-          5
-      ) || 5;
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
 
-    const mode =
-      safeStr(working?.inputs?.kling_mode || working?.inputs?.mode, "") ||
-      safeStr(parentVars?.inputs?.kling_mode || parentVars?.inputs?.mode, "") ||
-      cfg?.kling?.mode ||
-      process.env.MMA_KLING_MODE ||
-      "standard";
+  const { data, error } = await supabase.rpc("mega_find_mma_job_by_provider_task", {
+    p_provider: "replicate",
+    p_task_id: predictionId,
+  });
+  if (error) throw error;
 
-    const neg =
-      safeStr(working?.inputs?.negative_prompt || working?.inputs?.negativePrompt, "") ||
-      safeStr(working?.prompts?.gpt_negative_prompt, "") ||
-      safeStr(parentVars?.inputs?.negative_prompt || parentVars?.inputs?.negativePrompt, "") ||
-      cfg?.kling?.negativePrompt ||
-      process.env.NEGATIVE_PROMPT_KLING ||
-      process.env.MMA_NEGATIVE_PROMPT_KLING ||
-      "";
+  const match = Array.isArray(data) ? data[0] : data;
+  const generationId = safeStr(match?.generation_id, "");
+  if (!generationId) return { handled: false, predictionId, reason: "UNKNOWN_PREDICTION" };
 
-    const mergedInputsAudio = { ...(parentVars?.inputs || {}), ...(working?.inputs || {}) };
+  const out = await completeOnce(generationId, async () => {
+    const row = await loadJobGeneration(supabase, generationId);
+    if (!row) return { reason: "GENERATION_NOT_FOUND" };
 
-    const generateAudioRaw =
-      mergedInputsAudio?.generate_audio ??
-      mergedInputsAudio?.generateAudio ??
-      mergedInputsAudio?.audio_enabled ??
-      mergedInputsAudio?.audioEnabled ??
-      mergedInputsAudio?.with_audio ??
-      mergedInputsAudio?.withAudio;
+    const internal = generationState(row);
+    if (MMA_TERMINAL_STATUSES.has(internal)) return { reason: `ALREADY_${internal.toUpperCase()}` };
 
-    const muteRaw =
-      mergedInputsAudio?.mute ??
-      mergedInputsAudio?.muted;
+    const providerUrl = pickFirstUrl(prediction?.output);
+    if (!providerUrl) return { reason: "NO_OUTPUT_URL" };
 
-    const generateAudioParsed = parseOptionalBool(generateAudioRaw);
-    const muteParsed = parseOptionalBool(muteRaw);
+    return { url: await completeRecoveredGeneration({ supabase, row, providerUrl }) };
+  });
 
-    // ✅ default ON unless explicitly disabled
-    let generateAudio =
-      generateAudioParsed !== undefined ? generateAudioParsed :
-      muteParsed !== undefined ? !muteParsed :
-      true;
+  if (out.inFlight) return { handled: false, predictionId, generationId, reason: "IN_FLIGHT" };
+  return { handled: !!out.url, predictionId, generationId, ...out };
+}
 
-    // ✅ 2 frames => force mute
-    if (asHttpUrl(endImage)) generateAudio = false;
+async function findGenerationByKlingTask(supabase, taskId) {
+  // task ids go into a PostgREST filter string: keep them to the id alphabet
+  if (!/^[A-Za-z0-9_-]{1,128}$/.test(taskId)) return null;
 
-    let genRes;
-    let stepType = "kling_generate_tweak";
-    try {
-      if (pricing.flow === "kling_motion_control") {
-        if (!frame2?.url) throw new Error("MISSING_FRAME2_VIDEO_URL");
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select(JOB_GENERATION_COLUMNS)
+    .eq("mg_record_type", "generation")
+    .or(
+      `mg_mma_vars->outputs->>kling_prediction_id.eq.${taskId},` +
+        `mg_mma_vars->outputs->>kling_motion_control_prediction_id.eq.${taskId}`
+    )
+    .order("mg_created_at", { ascending: false })
+    .limit(1);
 
-        genRes = await runKlingMotionControl({
-          prompt: finalMotionPrompt,
-          image: startImage,
-          video: frame2.url,
-          mode: safeStr(mergedInputs0?.mode || mergedInputs0?.kmc_mode, "") || "std",
-          keepOriginalSound: mergedInputs0?.keep_original_sound ?? mergedInputs0?.keepOriginalSound ?? true,
-          characterOrientation:
-            safeStr(mergedInputs0?.character_orientation || mergedInputs0?.characterOrientation, "") || "video",
-          duration: frame2?.rawDurationSec || duration, // ✅ NEW
-        });
+  if (error) throw error;
+  return Array.isArray(data) && data.length ? data[0] : null;
+}
 
-        stepType = "kling_motion_control_generate_tweak";
-      } else if (pricing.flow === "fabric_audio") {
-        if (!frame2?.url) throw new Error("MISSING_FRAME2_AUDIO_URL");
+export async function handleKlingCallback(payload) {
+  const taskId = safeStr(payload?.task_id || payload?.data?.task_id, "");
+  if (!taskId) return { handled: false, reason: "NO_TASK_ID" };
 
-        genRes = await runFabricAudio({
-          image: startImage,
-          audio: frame2.url,
-          resolution: safeStr(mergedInputs0?.resolution || mergedInputs0?.fabric_resolution, "") || "720p",
-        });
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
 
-        stepType = "fabric_generate_tweak";
-      } else {
-        genRes = await runKling({
-          prompt: finalMotionPrompt,
-          startImage,
-          endImage,
-          duration,
-          mode,
-          negativePrompt: neg,
-          generateAudio,
-        });
+  const found = await findGenerationByKlingTask(supabase, taskId);
+  if (!found) return { handled: false, taskId, reason: "UNKNOWN_TASK" };
 
-        stepType = "kling_generate_tweak";
-      }
-    } finally {
-      try {
-        chatter?.stop?.();
-      } catch {}
-      chatter = null;
-    }
+  const generationId = found.mg_generation_id;
 
-    const { input, out, timing } = genRes;
+  const out = await completeOnce(generationId, async () => {
+    const row = await loadJobGeneration(supabase, generationId);
+    if (!row) return { reason: "GENERATION_NOT_FOUND" };
 
-    await writeStep({
-      supabase,
-      generationId,
-      passId,
-      stepNo: stepNo++,
-      stepType,
-      payload: { input, output: out, timing, error: null },
-    });
+    const internal = generationState(row);
+    if (MMA_TERMINAL_STATUSES.has(internal)) return { reason: `ALREADY_${internal.toUpperCase()}` };
 
-    const remote = pickFirstUrl(out);
-    if (!remote) throw new Error("KLING_NO_URL_TWEAK");
+    // callbacks are unsigned: the task status comes from Kling's API, not the body
+    const polled = await pollProviderTask(klingTaskFor(row, taskId));
+    if (polled.state !== "succeeded" || !polled.url) return { reason: `PROVIDER_${polled.state.toUpperCase()}` };
 
-    const remoteUrl = await storeRemoteToR2Public(remote, `mma/video/${generationId}`);
+    return { url: await completeRecoveredGeneration({ supabase, row, providerUrl: polled.url }) };
+  });
 
-    working.outputs = { ...(working.outputs || {}), kling_video_url: remoteUrl };
-    working.mg_output_url = remoteUrl;
+  if (out.inFlight) return { handled: false, taskId, generationId, reason: "IN_FLIGHT" };
+  return { handled: !!out.url, taskId, generationId, ...out };
+}
 
-    working = pushUserMessageLine(working, pick(MMA_UI.quickLines.saved_video));
-    await updateVars({ supabase, generationId, vars: working });
-    emitLine(generationId, working);
+// Admin: re-query a provider task and finish the generation, e.g. a Kling render that
+// completed after the pipeline timed out. Those generations already released their hold,
+// so they are delivered without charging unless charge=true.
+export async function recoverGenerationTask({ generationId, taskId = "", charge = false }) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
 
-    await finalizeGeneration({ supabase, generationId, url: remoteUrl, prompt: finalMotionPrompt, vars: working, mode: "video", matchasCharged: videoCost });
+  const row = await loadJobGeneration(supabase, generationId);
+  if (!row) return { ok: false, error: "NOT_FOUND" };
 
-    await updateStatus({ supabase, generationId, status: "done" });
-    emitStatus(generationId, "done");
-    sendDone(generationId, "done");
-  } catch (err) {
-    try {
-      chatter?.stop?.();
-    } catch {}
-    chatter = null;
+  const internal = generationState(row);
+  if (internal === "done" && row.mg_output_url) {
+    return { ok: true, recovered: false, alreadyDone: true, url: row.mg_output_url };
+  }
 
-    console.error("[mma] video tweak pipeline error", err);
+  const explicitId = safeStr(taskId, "");
+  const task = explicitId
+    ? row.mg_mma_mode === "video"
+      ? klingTaskFor(row, explicitId)
+      : { provider: "replicate", id: explicitId }
+    : providerTaskFromVars(row);
 
-    await updateStatus({ supabase, generationId, status: "error" });
-    await supabase
-      .from("mega_generations")
-      .update({
-        mg_error: {
-          code: "PIPELINE_ERROR",
-          message: err?.message || String(err || ""),
-          provider: err?.provider || null,
-        },
-        mg_updated_at: nowIso(),
-      })
-      .eq("mg_generation_id", generationId)
-      .eq("mg_record_type", "generation");
+  if (!task) return { ok: false, error: "NO_TASK_ID" };
 
-    try {
-      await refundOnFailure({ supabase, passId, generationId, cost: videoCost, err });
-    } catch (e) {
-      console.warn("[mma] refund failed (video tweak)", e?.message || e);
+  const polled = await pollProviderTask(task);
+  if (polled.state !== "succeeded" || !polled.url) {
+    return { ok: true, recovered: false, task, provider_status: polled.state, provider_error: polled.error || null };
+  }
+
+  const failed = internal === "error";
+  const capture = !failed || !!charge;
+
+  const out = await completeOnce(generationId, async () => {
+    const url = await completeRecoveredGeneration({ supabase, row, providerUrl: polled.url, capture });
+
+    if (failed) {
+      await supabase
+        .from("mega_generations")
+        .update({ mg_error: null, mg_updated_at: nowIso() })
+        .eq("mg_generation_id", generationId)
+        .eq("mg_record_type", "generation");
     }
 
-    emitStatus(generationId, "error");
-    sendDone(generationId, "error");
-  }
+    return { url };
+  });
+
+  if (out.inFlight) return { ok: false, error: "RECOVERY_IN_PROGRESS" };
+  return { ok: true, recovered: true, task, url: out.url, charged: capture, previousStatus: internal };
 }
 
 // ============================================================================
@@ -3877,77 +5713,114 @@ export async function handleMmaStillTweak({ parentGenerationId, body }) {
     });
 
   const requestedLane = resolveStillLaneFromInputs(body?.inputs || {});
-  const stillCost = stillCostForLane(requestedLane);
-  await ensureEnoughCredits(passId, stillCost, { lane: requestedLane });
+  const stillCost = stillCostForInputs(body?.inputs || {});
 
   const generationId = newUuid();
 
-  const { preferences } = await ensureCustomerRow(supabase, passId, {
-    shopifyCustomerId: body?.customer_id,
-    userId: body?.user_id,
-    email: body?.email,
-  });
+  await moderateRequest({ supabase, generationId, passId, body, flow: "still_tweak" });
 
-  const vars = makeInitialVars({
-    mode: "still",
-    assets: body?.assets || {},
-    history: body?.history || {},
-    inputs: body?.inputs || {},
-    settings: body?.settings || {},
-    feedback: body?.feedback || {},
-    prompts: body?.prompts || {},
+  // ✅ masked tweak: validate + upload the painted mask before anything is charged
+  const rawMask = tweakMaskInput(body?.inputs);
+  const maskUrl = rawMask ? await storeTweakMask({ passId, raw: rawMask }) : "";
+
+  // ✅ reserve matcha now (captured on success, released on error)
+  await holdGenerationCredits({
+    passId,
+    generationId,
+    cost: stillCost,
+    reason: requestedLane === "niche" ? "mma_still_niche" : "mma_still",
+    lane: requestedLane,
   });
 
-  const parentAspectRatio = safeStr(
-    parent?.mg_mma_vars?.inputs?.aspect_ratio || parent?.mg_mma_vars?.inputs?.aspectRatio,
-    ""
-  );
-  if (!safeStr(vars?.inputs?.aspect_ratio, "") && parentAspectRatio) {
-    vars.inputs = { ...(vars.inputs || {}), aspect_ratio: parentAspectRatio };
-  }
+  try {
+    await ensureCustomerRow(supabase, passId, {
+      shopifyCustomerId: body?.customer_id,
+      userId: body?.user_id,
+      email: body?.email,
+    });
+
+    const vars = makeInitialVars({
+      mode: "still",
+      assets: body?.assets || {},
+      history: body?.history || {},
+      inputs: body?.inputs || {},
+      settings: body?.settings || {},
+      feedback: body?.feedback || {},
+      prompts: body?.prompts || {},
+    });
+
+    const parentAspectRatio = safeStr(
+      parent?.mg_mma_vars?.inputs?.aspect_ratio || parent?.mg_mma_vars?.inputs?.aspectRatio,
+      ""
+    );
+    if (!safeStr(vars?.inputs?.aspect_ratio, "") && parentAspectRatio) {
+      vars.inputs = { ...(vars.inputs || {}), aspect_ratio: parentAspectRatio };
+    }
 
-  const appliedResolution = resolveAppliedStillResolution(body?.inputs || {});
-  vars.inputs = { ...(vars.inputs || {}), ...stillResolutionMeta(appliedResolution) };
-  vars.meta = { ...(vars.meta || {}), ...stillResolutionMeta(appliedResolution) };
+    const appliedResolution = resolveAppliedStillResolution(body?.inputs || {});
+    vars.inputs = { ...(vars.inputs || {}), ...stillResolutionMeta(appliedResolution) };
+    vars.meta = { ...(vars.meta || {}), ...stillResolutionMeta(appliedResolution) };
 
-  vars.mg_pass_id = passId;
+    vars.mg_pass_id = passId;
 
-  const sessionId =
-    safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
-    safeStr(parent?.mg_session_id, "") ||
-    newUuid();
+    const sessionId =
+      safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
+      safeStr(parent?.mg_session_id, "") ||
+      newUuid();
 
-  const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
-  const title = safeStr(body?.title || body?.inputs?.title, "") || safeStr(parent?.mg_title, "") || "Image session";
+    const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
+    const title = safeStr(body?.title || body?.inputs?.title, "") || safeStr(parent?.mg_title, "") || "Image session";
 
-  vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
-  vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
+    vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
+    vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
 
-  await ensureSessionForHistory({
-    passId,
-    sessionId,
-    platform,
-    title,
-    meta: { source: "mma", flow: "still_tweak" },
-  });
+    await ensureSessionForHistory({
+      passId,
+      sessionId,
+      platform,
+      title,
+      meta: { source: "mma", flow: "still_tweak" },
+    });
 
-  vars.meta = { ...(vars.meta || {}), flow: "still_tweak", parent_generation_id: parentGenerationId };
-  vars.inputs = { ...(vars.inputs || {}), parent_output_url: parent?.mg_output_url || null };
+    vars.meta = { ...(vars.meta || {}), flow: "still_tweak", parent_generation_id: parentGenerationId };
+    vars.inputs = { ...(vars.inputs || {}), parent_output_url: parent?.mg_output_url || null };
 
-  await writeGeneration({
-    supabase,
-    generationId,
-    parentId: parentGenerationId,
-    passId,
-    vars,
-    mode: "still",
-  });
+    // tweaks keep the parent's brand context (snapshot, not the live kit)
+    if (parent?.mg_mma_vars?.brand) {
+      vars.brand = parent.mg_mma_vars.brand;
+      vars.inputs = { ...(vars.inputs || {}), brand_kit_id: parent.mg_mma_vars.brand.kit_id || null };
+    }
 
-  runStillTweakPipeline({ supabase, generationId, passId, parent, vars, preferences }).catch((e) =>
-    console.error("[mma] still tweak pipeline error", e)
-  );
+    // R2 url only: a data: mask never lands in mg_mma_vars (makeInitialVars drops unknown inputs)
+    if (maskUrl) {
+      vars.inputs = { ...(vars.inputs || {}), mask_url: maskUrl };
+      vars.meta = { ...(vars.meta || {}), tweak_mode: "masked" };
+    }
+
+    await writeGeneration({
+      supabase,
+      generationId,
+      parentId: parentGenerationId,
+      passId,
+      vars,
+      mode: "still",
+      apiKeyId: body?.api_key_id || null,
+    });
+
+    await startGenerationJob({
+      supabase,
+      generationId,
+      passId,
+      kind: "still_tweak",
+      payload: { parent_generation_id: parentGenerationId },
+    });
 
-  return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
+    return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
+  } catch (err) {
+    console.error("[mma] still tweak request failed after the hold", generationId, err?.message || err);
+    await abandonHeldGenerations({ supabase, generationIds: [generationId], reason: "mma_request_failed" });
+    throw err;
+  }
 }
 
 export async function handleMmaVideoTweak({ parentGenerationId, body }) {
@@ -3971,71 +5844,86 @@ export async function handleMmaVideoTweak({ parentGenerationId, body }) {
   const mergedInputs0 = { ...(parentVars?.inputs || {}), ...(body?.inputs || {}) };
   const mergedAssets0 = { ...(parentVars?.assets || {}), ...(body?.assets || {}) };
 
-  const needed = videoCostFromInputs(mergedInputs0, mergedAssets0);
-  await ensureEnoughCredits(passId, needed, { lane: "video" });
+  const needed = videoCostFor(mergedInputs0, mergedAssets0);
 
   const generationId = newUuid();
 
-  await ensureCustomerRow(supabase, passId, {
-    shopifyCustomerId: body?.customer_id,
-    userId: body?.user_id,
-    email: body?.email,
-  });
+  await moderateRequest({ supabase, generationId, passId, body, flow: "video_tweak" });
 
-  const vars = makeInitialVars({
-    mode: "video",
-    assets: body?.assets || {},
-    history: body?.history || {},
-    inputs: body?.inputs || {},
-    settings: body?.settings || {},
-    feedback: body?.feedback || {},
-    prompts: body?.prompts || {},
-  });
+  // ✅ reserve matcha now (captured on success, released on error)
+  await holdGenerationCredits({ passId, generationId, cost: needed, reason: "mma_video", lane: "video" });
 
-  vars.mg_pass_id = passId;
+  try {
+    await ensureCustomerRow(supabase, passId, {
+      shopifyCustomerId: body?.customer_id,
+      userId: body?.user_id,
+      email: body?.email,
+    });
 
-  const sessionId =
-    safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
-    safeStr(parent?.mg_session_id, "") ||
-    newUuid();
+    const vars = makeInitialVars({
+      mode: "video",
+      assets: body?.assets || {},
+      history: body?.history || {},
+      inputs: body?.inputs || {},
+      settings: body?.settings || {},
+      feedback: body?.feedback || {},
+      prompts: body?.prompts || {},
+    });
 
-  const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
-  const title = safeStr(body?.title || body?.inputs?.title, "") || safeStr(parent?.mg_title, "") || "Video session";
+    vars.mg_pass_id = passId;
 
-  vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
-  vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
+    const sessionId =
+      safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
+      safeStr(parent?.mg_session_id, "") ||
+      newUuid();
 
-  await ensureSessionForHistory({
-    passId,
-    sessionId,
-    platform,
-    title,
-    meta: { source: "mma", flow: "video_tweak" },
-  });
+    const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
+    const title = safeStr(body?.title || body?.inputs?.title, "") || safeStr(parent?.mg_title, "") || "Video session";
 
-  vars.meta = { ...(vars.meta || {}), flow: "video_tweak", parent_generation_id: parentGenerationId };
-  vars.inputs = { ...(vars.inputs || {}), parent_generation_id: parentGenerationId };
+    vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
+    vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
 
-  const parentStart = asHttpUrl(parentVars?.inputs?.start_image_url || parentVars?.inputs?.startImageUrl);
-  const parentEnd = asHttpUrl(parentVars?.inputs?.end_image_url || parentVars?.inputs?.endImageUrl);
+    await ensureSessionForHistory({
+      passId,
+      sessionId,
+      platform,
+      title,
+      meta: { source: "mma", flow: "video_tweak" },
+    });
 
-  if (parentStart) vars.inputs.start_image_url = parentStart;
-  if (parentEnd) vars.inputs.end_image_url = parentEnd;
+    vars.meta = { ...(vars.meta || {}), flow: "video_tweak", parent_generation_id: parentGenerationId };
+    vars.inputs = { ...(vars.inputs || {}), parent_generation_id: parentGenerationId };
 
-  await writeGeneration({
-    supabase,
-    generationId,
-    parentId: parentGenerationId,
-    passId,
-    vars,
-    mode: "video",
-  });
+    const parentStart = asHttpUrl(parentVars?.inputs?.start_image_url || parentVars?.inputs?.startImageUrl);
+    const parentEnd = asHttpUrl(parentVars?.inputs?.end_image_url || parentVars?.inputs?.endImageUrl);
 
-  runVideoTweakPipeline({ supabase, generationId, passId, parent, vars }).catch((err) => {
-    console.error("[mma] video tweak pipeline error", err);
-  });
+    if (parentStart) vars.inputs.start_image_url = parentStart;
+    if (parentEnd) vars.inputs.end_image_url = parentEnd;
+
+    await writeGeneration({
+      supabase,
+      generationId,
+      parentId: parentGenerationId,
+      passId,
+      vars,
+      mode: "video",
+      apiKeyId: body?.api_key_id || null,
+    });
+
+    await startGenerationJob({
+      supabase,
+      generationId,
+      passId,
+      kind: "video_tweak",
+      payload: { parent_generation_id: parentGenerationId },
+    });
 
-  return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
+    return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
+  } catch (err) {
+    console.error("[mma] video tweak request failed after the hold", generationId, err?.message || err);
+    await abandonHeldGenerations({ supabase, generationIds: [generationId], reason: "mma_request_failed" });
+    throw err;
+  }
 }
 
 export async function handleMmaCreate({ mode, body }) {
@@ -4053,6 +5941,10 @@ export async function handleMmaCreate({ mode, body }) {
 
   const parentId = body?.parent_generation_id || body?.parentGenerationId || body?.generation_id || null;
 
+  // ✅ preset (still only): pinned inputs must be in place before lane / cost are read
+  const preset = mode === "still" ? await resolveStillPreset(passId, body?.inputs) : null;
+  if (preset) body = { ...body, inputs: withPresetInputs(body?.inputs, preset) };
+
   const inputs = (body?.inputs && typeof body.inputs === "object") ? body.inputs : {};
   const suggestOnly = inputs.suggest_only === true || inputs.suggestOnly === true;
   const typeForMe =
@@ -4061,102 +5953,219 @@ export async function handleMmaCreate({ mode, body }) {
     inputs.use_suggestion === true ||
     inputs.useSuggestion === true;
 
+  const brandKit = await resolveBrandKit(passId, inputs);
+
+  const generationId = newUuid();
+
+  // ✅ still batch: parent is a container, each variant is its own child generation
+  const variantCount = mode === "still" ? resolveVariantCount(inputs) : 1;
+  const variantIds = variantCount > 1 ? Array.from({ length: variantCount }, () => newUuid()) : [];
+
+  await moderateRequest({
+    supabase,
+    generationId,
+    passId,
+    body,
+    flow: mode === "video" ? "video_animate" : variantIds.length ? "still_batch" : "still_create",
+    brandKit,
+    preset,
+  });
+
+  // ✅ reserve matcha now (captured on success, released on error).
+  // suggest-only video never renders, so it is only checked, never held.
   if (mode === "video" && suggestOnly && typeForMe) {
     await preflightTypeForMe({ supabase, passId });
-  } else if (mode === "video") {
-    const neededVideo = videoCostFromInputs(body?.inputs || {}, body?.assets || {});
+  } else if (mode === "video" && suggestOnly) {
+    const neededVideo = videoCostFor(body?.inputs || {}, body?.assets || {});
     await ensureEnoughCredits(passId, neededVideo, { lane: "video" });
+  } else if (mode === "video") {
+    const neededVideo = videoCostFor(body?.inputs || {}, body?.assets || {});
+    await holdGenerationCredits({ passId, generationId, cost: neededVideo, reason: "mma_video", lane: "video" });
+  } else if (variantIds.length) {
+    const requestedLane = resolveStillLaneFromInputs(body?.inputs || {});
+    await holdBatchCredits({
+      passId,
+      generationIds: variantIds,
+      cost: stillCostForInputs(body?.inputs || {}),
+      reason: requestedLane === "niche" ? "mma_still_niche" : "mma_still",
+      lane: requestedLane,
+    });
   } else {
     const requestedLane = resolveStillLaneFromInputs(body?.inputs || {});
-    const stillCost = stillCostForLane(requestedLane);
-    await ensureEnoughCredits(passId, stillCost, { lane: requestedLane });
+    const stillCost = stillCostForInputs(body?.inputs || {});
+    await holdGenerationCredits({
+      passId,
+      generationId,
+      cost: stillCost,
+      reason: requestedLane === "niche" ? "mma_still_niche" : "mma_still",
+      lane: requestedLane,
+    });
   }
 
-  const generationId = newUuid();
+  // every hold this request placed (batch: one per variant, parent has none)
+  const heldIds = [generationId, ...variantIds];
 
-  const { preferences } = await ensureCustomerRow(supabase, passId, {
-    shopifyCustomerId: body?.customer_id,
-    userId: body?.user_id,
-    email: body?.email,
-  });
+  try {
+    await ensureCustomerRow(supabase, passId, {
+      shopifyCustomerId: body?.customer_id,
+      userId: body?.user_id,
+      email: body?.email,
+    });
 
-  const vars = makeInitialVars({
-    mode,
-    assets: body?.assets || {},
-    history: body?.history || {},
-    inputs: body?.inputs || {},
-    settings: body?.settings || {},
-    feedback: body?.feedback || {},
-    prompts: body?.prompts || {},
-  });
+    const vars = makeInitialVars({
+      mode,
+      assets: body?.assets || {},
+      history: body?.history || {},
+      inputs: body?.inputs || {},
+      settings: body?.settings || {},
+      feedback: body?.feedback || {},
+      prompts: body?.prompts || {},
+      brandKit,
+    });
 
-  if (mode === "still") {
-    const appliedResolution = resolveAppliedStillResolution(body?.inputs || {});
-    vars.inputs = { ...(vars.inputs || {}), ...stillResolutionMeta(appliedResolution) };
-    vars.meta = { ...(vars.meta || {}), ...stillResolutionMeta(appliedResolution) };
-  }
+    if (preset) {
+      // snapshot: later preset edits never change this generation
+      vars.preset = {
+        preset_id: preset.preset_id,
+        scope: preset.scope,
+        version: preset.version,
+        name: preset.name,
+        system_instructions: preset.system_instructions || "",
+        style_hero_urls: preset.style_hero_urls || [],
+      };
+      vars.inputs = { ...(vars.inputs || {}), preset_id: preset.preset_id, preset_version: preset.version };
+      vars.meta = { ...(vars.meta || {}), preset_id: preset.preset_id, preset_version: preset.version };
+
+      const heroUrls = safeArray(preset.style_hero_urls);
+      if (heroUrls.length) {
+        vars.assets = {
+          ...(vars.assets || {}),
+          style_hero_image_url: vars.assets?.style_hero_image_url || heroUrls[0],
+          style_hero_image_urls: heroUrls,
+        };
+      }
+    }
 
-  vars.mg_pass_id = passId;
+    if (mode === "still") {
+      const appliedResolution = resolveAppliedStillResolution(body?.inputs || {});
+      vars.inputs = { ...(vars.inputs || {}), ...stillResolutionMeta(appliedResolution) };
+      vars.meta = { ...(vars.meta || {}), ...stillResolutionMeta(appliedResolution) };
+    }
 
-  const parent = parentId ? await fetchParentGenerationRow(supabase, parentId).catch(() => null) : null;
+    vars.mg_pass_id = passId;
 
-  const sessionId =
-    safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
-    safeStr(parent?.mg_session_id, "") ||
-    newUuid();
+    const parent = parentId ? await fetchParentGenerationRow(supabase, parentId).catch(() => null) : null;
 
-  const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
+    const sessionId =
+      safeStr(body?.sessionId || body?.session_id || body?.inputs?.sessionId || body?.inputs?.session_id, "") ||
+      safeStr(parent?.mg_session_id, "") ||
+      newUuid();
 
-  const title =
-    safeStr(body?.title || body?.inputs?.title, "") ||
-    safeStr(parent?.mg_title, "") ||
-    (mode === "video" ? "Video session" : "Image session");
+    const platform = safeStr(body?.platform || body?.inputs?.platform, "") || safeStr(parent?.mg_platform, "") || "web";
 
-  vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
-  vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
+    const title =
+      safeStr(body?.title || body?.inputs?.title, "") ||
+      safeStr(parent?.mg_title, "") ||
+      (mode === "video" ? "Video session" : "Image session");
 
-  await ensureSessionForHistory({
-    passId,
-    sessionId,
-    platform,
-    title,
-    meta: { source: "mma", flow: mode === "video" ? "video_animate" : "still_create" },
-  });
+    vars.inputs = { ...(vars.inputs || {}), session_id: sessionId, platform, title };
+    vars.meta = { ...(vars.meta || {}), session_id: sessionId, platform, title };
 
-  await writeGeneration({ supabase, generationId, parentId, passId, vars, mode });
+    await ensureSessionForHistory({
+      passId,
+      sessionId,
+      platform,
+      title,
+      meta: { source: "mma", flow: mode === "video" ? "video_animate" : "still_create" },
+    });
 
-  if (mode === "still") {
-    vars.meta = { ...(vars.meta || {}), flow: "still_create" };
-    await updateVars({ supabase, generationId, vars });
+    const apiKeyId = body?.api_key_id || null;
+    await writeGeneration({ supabase, generationId, parentId, passId, vars, mode, apiKeyId });
 
-    runStillCreatePipeline({ supabase, generationId, passId, vars, preferences }).catch((err) =>
-      console.error("[mma] still create pipeline error", err)
-    );
-  } else if (mode === "video") {
-    vars.meta = { ...(vars.meta || {}), flow: "video_animate", parent_generation_id: parentId || null };
+    if (mode === "still" && variantIds.length) {
+      const children = variantIds.map((id, index) => ({
+        generationId: id,
+        index,
+        vars: {
+          ...vars,
+          meta: { ...(vars.meta || {}), flow: "still_variant", batch_generation_id: generationId, variant_index: index },
+        },
+      }));
+
+      for (const child of children) {
+        await writeGeneration({
+          supabase,
+          generationId: child.generationId,
+          parentId: generationId,
+          passId,
+          vars: child.vars,
+          mode,
+          apiKeyId,
+        });
+      }
 
-    if (parent?.mg_output_url) {
-      vars.inputs = { ...(vars.inputs || {}), parent_output_url: parent.mg_output_url };
-    }
+      vars.meta = { ...(vars.meta || {}), flow: "still_batch", variant_count: children.length };
+      vars.outputs = {
+        ...(vars.outputs || {}),
+        variants: children.map((c) => ({ index: c.index, generation_id: c.generationId, status: "queued", url: null, error: null })),
+      };
+      await updateVars({ supabase, generationId, vars });
+
+      await startGenerationJob({
+        supabase,
+        generationId,
+        passId,
+        kind: "still_batch",
+        payload: { children: children.map((c) => ({ generation_id: c.generationId, index: c.index })) },
+        holdGenerationIds: variantIds,
+      });
 
-    await updateVars({ supabase, generationId, vars });
+      return {
+        generation_id: generationId,
+        status: "queued",
+        sse_url: `/mma/stream/${generationId}`,
+        variants: children.map((c) => ({ index: c.index, generation_id: c.generationId })),
+      };
+    } else if (mode === "still") {
+      vars.meta = { ...(vars.meta || {}), flow: "still_create" };
+      await updateVars({ supabase, generationId, vars });
 
-    runVideoAnimatePipeline({ supabase, generationId, passId, parent, vars }).catch((err) =>
-      console.error("[mma] video animate pipeline error", err)
-    );
-  } else {
-    await updateStatus({ supabase, generationId, status: "error" });
-    await supabase
-      .from("mega_generations")
-      .update({
-        mg_error: { code: "BAD_MODE", message: `Unsupported mode: ${mode}` },
-        mg_updated_at: nowIso(),
-      })
-      .eq("mg_generation_id", generationId)
-      .eq("mg_record_type", "generation");
-  }
+      await startGenerationJob({ supabase, generationId, passId, kind: "still_create" });
+    } else if (mode === "video") {
+      vars.meta = { ...(vars.meta || {}), flow: "video_animate", parent_generation_id: parentId || null };
+
+      if (parent?.mg_output_url) {
+        vars.inputs = { ...(vars.inputs || {}), parent_output_url: parent.mg_output_url };
+      }
+
+      await updateVars({ supabase, generationId, vars });
+
+      await startGenerationJob({
+        supabase,
+        generationId,
+        passId,
+        kind: "video_animate",
+        payload: { parent_generation_id: parentId || null },
+      });
+    } else {
+      await updateStatus({ supabase, generationId, status: "error" });
+      await supabase
+        .from("mega_generations")
+        .update({
+          mg_error: { code: "BAD_MODE", message: `Unsupported mode: ${mode}` },
+          mg_updated_at: nowIso(),
+        })
+        .eq("mg_generation_id", generationId)
+        .eq("mg_record_type", "generation");
+      await megaReleaseHold({ holdId: holdIdFor(generationId), reason: "mma_failed" }).catch(() => {});
+    }
 
-  return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
+    return { generation_id: generationId, status: "queued", sse_url: `/mma/stream/${generationId}` };
+  } catch (err) {
+    console.error("[mma] create request failed after the hold", generationId, err?.message || err);
+    await abandonHeldGenerations({ supabase, generationIds: heldIds, reason: "mma_request_failed" });
+    throw err;
+  }
 }
 
 export async function handleMmaEvent(body) {
@@ -4409,6 +6418,8 @@ export async function fetchGeneration(generationId) {
           ? data.mg_output_url
           : null,
       kling_video_url: data.mg_mma_mode === "video" ? data.mg_output_url : null,
+      // ✅ still batch parent: [{ index, generation_id, status, url, error }]
+      variants: Array.isArray(vOut.variants) ? vOut.variants : null,
     },
 
     prompt: data.mg_prompt || null,
@@ -4416,6 +6427,190 @@ export async function fetchGeneration(generationId) {
   };
 }
 
+// ============================================================================
+// LINEAGE TREE (GET /mma/generations/:id/tree)
+// - up: mg_parent_id to the root (tweaks, animations, batch children, linked fingertips)
+// - down: every generation whose mg_parent_id points into the family
+// - fingertips edits made without parent_generation_id are matched on inputs.image === node output url
+// - only rows of the root's pass are returned
+// ============================================================================
+const TREE_MAX_NODES = 500;
+const TREE_MAX_DEPTH = 50;
+const TREE_COLUMNS =
+  "mg_generation_id, mg_parent_id, mg_pass_id, mg_mma_mode, mg_mma_status, mg_status, mg_prompt, mg_output_url, mg_cost_data, mg_mma_vars, mg_error, mg_created_at, mg_updated_at";
+
+function parentGenerationIdOf(row) {
+  const raw = safeStr(row?.mg_parent_id, "");
+  return raw.startsWith("generation:") ? raw.slice("generation:".length) : "";
+}
+
+function fingertipsSourceUrl(row) {
+  return row?.mg_mma_mode === "fingertips" ? asHttpUrl(row?.mg_mma_vars?.inputs?.image) : "";
+}
+
+function treeNodeView(row, parentId) {
+  const vars = row?.mg_mma_vars && typeof row.mg_mma_vars === "object" ? row.mg_mma_vars : {};
+  const meta = vars.meta && typeof vars.meta === "object" ? vars.meta : {};
+  const costData = row?.mg_cost_data && typeof row.mg_cost_data === "object" ? row.mg_cost_data : null;
+  const internal = row?.mg_mma_status || row?.mg_status || "queued";
+
+  return {
+    generation_id: row.mg_generation_id,
+    parent_id: parentId || null,
+    mode: row.mg_mma_mode || null, // still | video | fingertips
+    flow: row.mg_mma_mode === "fingertips" ? safeStr(vars.modelKey, "") || null : safeStr(meta.flow, "") || null,
+    status: toUserStatus(internal),
+    state: internal,
+    prompt: row.mg_prompt || null,
+    output_url: row.mg_output_url || null,
+    cost: {
+      matchas: costData?.matchas_charged ?? vars.charge?.cost ?? null,
+      data: costData,
+    },
+    error: row.mg_error || null,
+    created_at: row.mg_created_at || null,
+    updated_at: row.mg_updated_at || null,
+    children: [],
+  };
+}
+
+async function loadTreeRow(supabase, generationId) {
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select(TREE_COLUMNS)
+    .eq("mg_generation_id", generationId)
+    .eq("mg_record_type", "generation")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+// legacy fingertips row (no mg_parent_id) => the generation whose output it edited
+async function findFingertipsSource(supabase, row) {
+  const url = fingertipsSourceUrl(row);
+  if (!url) return null;
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select(TREE_COLUMNS)
+    .eq("mg_record_type", "generation")
+    .eq("mg_pass_id", row.mg_pass_id)
+    .eq("mg_output_url", url)
+    .order("mg_created_at", { ascending: true })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+export async function fetchGenerationTree({ generationId, passId = "" }) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  // the tree is the whole family of a pass: no pass, no ownership check, no tree
+  if (!passId) return { ok: false, error: "PASS_ID_REQUIRED" };
+
+  const requested = await loadTreeRow(supabase, generationId);
+  if (!requested) return { ok: false, error: "NOT_FOUND" };
+
+  if (String(passId) !== String(requested.mg_pass_id || "")) {
+    return { ok: false, error: "FORBIDDEN" };
+  }
+
+  const ownerPass = requested.mg_pass_id;
+
+  // 1) up to the root
+  let root = requested;
+  const seenUp = new Set([root.mg_generation_id]);
+  for (let depth = 0; depth < TREE_MAX_DEPTH; depth++) {
+    const parentId = parentGenerationIdOf(root);
+    const parent = parentId ? await loadTreeRow(supabase, parentId) : await findFingertipsSource(supabase, root);
+    if (!parent || parent.mg_pass_id !== ownerPass || seenUp.has(parent.mg_generation_id)) break;
+
+    seenUp.add(parent.mg_generation_id);
+    root = parent;
+  }
+
+  // 2) down, level by level
+  const nodes = new Map([[root.mg_generation_id, treeNodeView(root, null)]]);
+  const order = [root.mg_generation_id];
+  let level = [root];
+  let truncated = false;
+
+  for (let depth = 0; depth < TREE_MAX_DEPTH && level.length && !truncated; depth++) {
+    const ids = level.map((r) => r.mg_generation_id);
+    const urlToId = new Map(level.filter((r) => asHttpUrl(r.mg_output_url)).map((r) => [r.mg_output_url, r.mg_generation_id]));
+
+    const { data: linked, error } = await supabase
+      .from("mega_generations")
+      .select(TREE_COLUMNS)
+      .eq("mg_record_type", "generation")
+      .eq("mg_pass_id", ownerPass)
+      .in("mg_parent_id", ids.map((id) => `generation:${id}`))
+      .order("mg_created_at", { ascending: true })
+      .limit(TREE_MAX_NODES);
+    if (error) throw error;
+
+    let legacy = [];
+    if (urlToId.size) {
+      const { data, error: legacyErr } = await supabase
+        .from("mega_generations")
+        .select(TREE_COLUMNS)
+        .eq("mg_record_type", "generation")
+        .eq("mg_pass_id", ownerPass)
+        .eq("mg_mma_mode", "fingertips")
+        .is("mg_parent_id", null)
+        .in("mg_mma_vars->inputs->>image", [...urlToId.keys()])
+        .order("mg_created_at", { ascending: true })
+        .limit(TREE_MAX_NODES);
+      if (legacyErr) throw legacyErr;
+      legacy = data || [];
+    }
+
+    const next = [];
+    const candidates = [
+      ...(linked || []).map((row) => ({ row, parentId: parentGenerationIdOf(row) })),
+      ...legacy.map((row) => ({ row, parentId: urlToId.get(fingertipsSourceUrl(row)) })),
+    ];
+
+    for (const { row, parentId } of candidates) {
+      if (!parentId || nodes.has(row.mg_generation_id)) continue;
+      if (nodes.size >= TREE_MAX_NODES) {
+        truncated = true;
+        break;
+      }
+
+      nodes.set(row.mg_generation_id, treeNodeView(row, parentId));
+      order.push(row.mg_generation_id);
+      next.push(row);
+    }
+
+    level = next;
+  }
+
+  for (const id of order) {
+    const node = nodes.get(id);
+    if (node.parent_id && nodes.has(node.parent_id)) nodes.get(node.parent_id).children.push(node);
+  }
+
+  const rootNode = nodes.get(root.mg_generation_id);
+  const sortChildren = (node) => {
+    node.children.sort((a, b) => String(a.created_at || "").localeCompare(String(b.created_at || "")));
+    node.children.forEach(sortChildren);
+  };
+  sortChildren(rootNode);
+
+  return {
+    ok: true,
+    root_generation_id: root.mg_generation_id,
+    requested_generation_id: requested.mg_generation_id,
+    count: nodes.size,
+    truncated,
+    tree: rootNode,
+  };
+}
+
 export async function listSteps(generationId) {
   const supabase = getSupabaseAdmin();
   if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
@@ -4447,7 +6642,7 @@ export async function listErrors() {
 }
 
 export function registerSseClient(generationId, res, initial) {
-  addSseClient(generationId, res, initial);
+  return addSseClient(generationId, res, initial);
 }
 
 // ============================================================================
@@ -4562,32 +6757,18 @@ export function createMmaController() {
     const internal = String(data?.mg_mma_status || "queued");
     const statusText = internal;
 
-    // ✅ Register client first so sendStatus/sendDone hit THIS connection too
-    registerSseClient(req.params.generation_id, res, { scanLines, status: statusText });
-
-    // ✅ If it's already finished (done/error/suggested), immediately emit DONE then close
+    // ✅ If it's already finished (done/error/suggested), status + done go to THIS client, then close
     const TERMINAL = new Set(["done", "error", "suggested"]);
-    if (TERMINAL.has(internal)) {
-      try {
-        // sendStatus uses your existing SSE format
-        sendStatus(req.params.generation_id, statusText);
-        // sendDone is what your frontend should listen to to stop "Creating..."
-        sendDone(req.params.generation_id, statusText);
-      } catch {}
+    const terminal = TERMINAL.has(internal);
+    const lastEventId = String(req.get("last-event-id") || req.query?.lastEventId || "");
+
+    registerSseClient(req.params.generation_id, res, { scanLines, status: statusText, lastEventId, terminal });
+
+    if (terminal) {
       try {
         res.end();
       } catch {}
-      return;
     }
-
-    // Normal keepalive for running generations only
-    const keepAlive = setInterval(() => {
-      try {
-        res.write(`:keepalive\n\n`);
-      } catch {}
-    }, 25000);
-
-    res.on("close", () => clearInterval(keepAlive));
   });
 
   router.get("/admin/mma/errors", async (_req, res) => {
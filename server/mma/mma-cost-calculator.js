@@ -75,6 +75,14 @@ const FINGERTIPS_API_COSTS = {
   remove_bg:  0.0075,  // men1scus/birefnet ~$0.0075/run
   upscale:    0.03,    // crystal or magic upscaler ~$0.02-0.04/run
   vectorize:  0.01,    // recraft-vectorize ~$0.01/run
+
+  // local sharp tools: no provider call
+  crop:       0,
+  resize:     0,
+  rotate:     0,
+  convert:    0,
+  pad:        0,
+  adjust:     0,
 };
 
 // ============================================================================
@@ -142,7 +150,7 @@ export function estimateGptCallCost({ model = "gpt-5-mini" } = {}) {
  * Estimate USD cost for a fingertips operation.
  */
 export function estimateFingertipsCost({ modelKey = "eraser" }) {
-  return FINGERTIPS_API_COSTS[modelKey] || 0.015;
+  return FINGERTIPS_API_COSTS[modelKey] ?? 0.015;
 }
 
 // ============================================================================
@@ -0,0 +1,270 @@
+// ./server/mma/mma-experiments.js
+// A/B experiments on mma ctx (GPT system prompts).
+// - config: mega_admin app_config rows, mg_key = "mma_ctx_experiment", one row per version (latest enabled wins)
+//     mg_value = { version, enabled, experiment_id, arms: [{ arm, weight, ctx?: { <ctx key>: "..." }, ctx_key?: "<app_config key>" }] }
+//     an arm without ctx / ctx_key is the control (base mma_ctx)
+// - assignment: sha256(experiment_id + ":" + passId) => same pass, same arm, on every instance
+// - every generation rendered under an experiment gets mg_meta.ctx_experiment = { experiment_id, version, arm }
+// - buildCtxExperimentReport() compares arms from feedback / mma_event / mma_hold / tweak rows
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../../supabase.js";
+import { getActiveAppConfig } from "../app-config.js";
+
+// =========================
+// Config (edit here)
+// =========================
+const EXPERIMENT_KEY = "mma_ctx_experiment";
+const REPORT_MAX_GENERATIONS = Number(process.env.MMA_EXPERIMENT_REPORT_MAX || 20000);
+const PAGE = 1000;
+const ID_CHUNK = 200;
+
+// =========================
+// Helpers
+// =========================
+function safeString(v, fallback = "") {
+  if (v === null || v === undefined) return fallback;
+  const s = String(v).trim();
+  return s ? s : fallback;
+}
+
+function cleanArms(raw) {
+  const out = [];
+  for (const a of Array.isArray(raw) ? raw : []) {
+    const arm = safeString(a?.arm || a?.name, "");
+    const weight = Number(a?.weight ?? 1);
+    if (!arm || !(weight > 0) || out.some((x) => x.arm === arm)) continue;
+
+    out.push({
+      arm,
+      weight,
+      ctx: a?.ctx && typeof a.ctx === "object" && !Array.isArray(a.ctx) ? a.ctx : null,
+      ctx_key: safeString(a?.ctx_key, "") || null,
+    });
+  }
+  return out;
+}
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+// =========================
+// Assignment
+// =========================
+export async function getActiveCtxExperiment(supabase) {
+  const active = await getActiveAppConfig(supabase, EXPERIMENT_KEY);
+  if (!active) return null;
+
+  const experimentId = safeString(active.value?.experiment_id, "");
+  const arms = cleanArms(active.value?.arms);
+  if (!experimentId || arms.length < 2) return null;
+
+  return { experiment_id: experimentId, version: active.version, arms };
+}
+
+export function assignCtxArm(experiment, passId) {
+  const pid = safeString(passId, "");
+  if (!experiment || !pid) return null;
+
+  const total = experiment.arms.reduce((sum, a) => sum + a.weight, 0);
+  const digest = crypto.createHash("sha256").update(`${experiment.experiment_id}:${pid}`, "utf8").digest();
+  const point = (digest.readUInt32BE(0) / 0x100000000) * total;
+
+  let acc = 0;
+  for (const arm of experiment.arms) {
+    acc += arm.weight;
+    if (point < acc) return arm;
+  }
+  return experiment.arms[experiment.arms.length - 1];
+}
+
+/**
+ * base ctx + the pass's arm overrides.
+ * Returns { ctx, assignment } (assignment null when no experiment runs). Never throws: errors => base ctx.
+ */
+export async function applyCtxExperiment(supabase, baseCtx, passId) {
+  try {
+    const experiment = await getActiveCtxExperiment(supabase);
+    const arm = assignCtxArm(experiment, passId);
+    if (!arm) return { ctx: baseCtx, assignment: null };
+
+    let overrides = arm.ctx || {};
+    if (arm.ctx_key) {
+      const referenced = await getActiveAppConfig(supabase, arm.ctx_key);
+      const { version, enabled, ...ctxValues } = referenced?.value || {};
+      overrides = { ...ctxValues, ...overrides };
+    }
+
+    return {
+      ctx: { ...baseCtx, ...overrides },
+      assignment: { experiment_id: experiment.experiment_id, version: experiment.version, arm: arm.arm },
+    };
+  } catch (e) {
+    console.warn("[mma-experiments] ctx experiment skipped", e?.message || e);
+    return { ctx: baseCtx, assignment: null };
+  }
+}
+
+// mg_meta is shared with other writers (api_key_id, ...): merged in SQL, one statement for all ids
+// (mega_stamp_ctx_experiment, supabase/mega_mma_experiments.sql)
+export async function stampCtxExperiment(supabase, generationIds, assignment) {
+  if (!assignment) return;
+
+  const ids = [...new Set(generationIds.filter(Boolean))];
+  if (!ids.length) return;
+
+  try {
+    const { error } = await supabase.rpc("mega_stamp_ctx_experiment", {
+      p_generation_ids: ids,
+      p_assignment: assignment,
+    });
+    if (error) throw error;
+  } catch (e) {
+    console.warn("[mma-experiments] stamp failed", ids.join(","), e?.message || e);
+  }
+}
+
+// =========================
+// Report
+// =========================
+async function loadArmGenerations(supabase, experimentId, since) {
+  const rows = [];
+
+  for (let from = 0; from < REPORT_MAX_GENERATIONS; from += PAGE) {
+    let q = supabase
+      .from("mega_generations")
+      .select("mg_generation_id, mg_parent_id, mg_status, mg_mma_status, mg_meta, flow:mg_mma_vars->meta->>flow")
+      .eq("mg_record_type", "generation")
+      .eq("mg_meta->ctx_experiment->>experiment_id", experimentId);
+    if (since) q = q.gte("mg_created_at", since);
+
+    const { data, error } = await q.order("mg_created_at", { ascending: true }).range(from, from + PAGE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE) break;
+  }
+
+  return rows;
+}
+
+async function loadByGeneration(supabase, { recordType, ids, column = "mg_generation_id", select }) {
+  const out = [];
+  for (const part of chunk(ids, ID_CHUNK)) {
+    const { data, error } = await supabase
+      .from("mega_generations")
+      .select(select)
+      .eq("mg_record_type", recordType)
+      .in(column, part);
+    if (error) throw error;
+    out.push(...(data || []));
+  }
+  return out;
+}
+
+function rate(n, d) {
+  return d > 0 ? Math.round((n / d) * 10000) / 10000 : null;
+}
+
+/**
+ * Per-arm comparison for one experiment.
+ * Rates are per generation: liked = at least one like (feedback or mma_event), same for dislike / download.
+ * tweak_rate = tweaks / non-tweak generations, refund_rate = released holds / settled holds.
+ */
+export async function buildCtxExperimentReport({ experimentId, since = null }) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const expId = safeString(experimentId, "");
+  if (!expId) throw new Error("EXPERIMENT_ID_REQUIRED");
+
+  const generations = await loadArmGenerations(supabase, expId, since);
+  const armOf = new Map(generations.map((g) => [g.mg_generation_id, safeString(g.mg_meta?.ctx_experiment?.arm, "unknown")]));
+  const ids = Array.from(armOf.keys());
+
+  const [feedback, events, holds] = await Promise.all([
+    loadByGeneration(supabase, { recordType: "feedback", ids, select: "mg_generation_id, mg_meta" }),
+    loadByGeneration(supabase, { recordType: "mma_event", ids, select: "mg_generation_id, mg_meta" }),
+    loadByGeneration(supabase, {
+      recordType: "mma_hold",
+      ids: ids.map((id) => `mma_hold:${id}`),
+      column: "mg_id",
+      select: "mg_id, mg_status",
+    }),
+  ]);
+
+  const arms = new Map();
+  const armStats = (arm) => {
+    if (!arms.has(arm)) {
+      arms.set(arm, {
+        arm,
+        generations: 0,
+        errors: 0,
+        tweaks: 0,
+        liked: new Set(),
+        disliked: new Set(),
+        downloaded: new Set(),
+        holds_captured: 0,
+        holds_released: 0,
+      });
+    }
+    return arms.get(arm);
+  };
+
+  for (const g of generations) {
+    const stats = armStats(armOf.get(g.mg_generation_id));
+    if (/_tweak$/.test(String(g.flow || ""))) stats.tweaks += 1;
+    else stats.generations += 1;
+    if ((g.mg_mma_status || g.mg_status) === "error") stats.errors += 1;
+  }
+
+  for (const f of feedback) {
+    const stats = armStats(armOf.get(f.mg_generation_id));
+    if (f.mg_meta?.liked === false) stats.disliked.add(f.mg_generation_id);
+    else if (f.mg_meta?.liked === true) stats.liked.add(f.mg_generation_id);
+  }
+
+  for (const e of events) {
+    const stats = armStats(armOf.get(e.mg_generation_id));
+    const type = String(e.mg_meta?.event_type || "");
+    if (type === "like") stats.liked.add(e.mg_generation_id);
+    else if (type === "dislike") stats.disliked.add(e.mg_generation_id);
+    else if (type === "download") stats.downloaded.add(e.mg_generation_id);
+  }
+
+  for (const h of holds) {
+    const stats = armStats(armOf.get(String(h.mg_id).replace(/^mma_hold:/, "")));
+    if (h.mg_status === "captured") stats.holds_captured += 1;
+    else if (h.mg_status === "released") stats.holds_released += 1;
+  }
+
+  const total = (s) => s.generations + s.tweaks;
+  const report = Array.from(arms.values())
+    .sort((a, b) => a.arm.localeCompare(b.arm))
+    .map((s) => ({
+      arm: s.arm,
+      generations: s.generations,
+      tweaks: s.tweaks,
+      errors: s.errors,
+      likes: s.liked.size,
+      dislikes: s.disliked.size,
+      downloads: s.downloaded.size,
+      like_rate: rate(s.liked.size, total(s)),
+      dislike_rate: rate(s.disliked.size, total(s)),
+      download_rate: rate(s.downloaded.size, total(s)),
+      tweak_rate: rate(s.tweaks, s.generations),
+      error_rate: rate(s.errors, total(s)),
+      refund_rate: rate(s.holds_released, s.holds_captured + s.holds_released),
+    }));
+
+  return {
+    experiment_id: expId,
+    since: since || null,
+    generations_scanned: generations.length,
+    truncated: generations.length >= REPORT_MAX_GENERATIONS,
+    arms: report,
+  };
+}
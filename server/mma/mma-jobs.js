@@ -0,0 +1,306 @@
+// ./server/mma/mma-jobs.js
+// Durable MMA job queue (Postgres-backed, MEGA-only).
+// - Jobs live in mega_generations (mg_record_type = "mma_job", mg_id = "mma_job:<generation_id>")
+// - Workers lease jobs via rpc mega_claim_mma_jobs (skip locked) and heartbeat the lease
+// - A lease that expires means the worker died -> the next claim calls handler.recover(job)
+// - Handler errors retry with exponential backoff; after max attempts handler.giveUp(job, err)
+// See supabase/mega_mma_jobs.sql
+
+import crypto from "node:crypto";
+import os from "node:os";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+import { getSupabaseAdmin, sbEnabled } from "../../supabase.js";
+import { nowIso } from "./mma-utils.js";
+
+// =========================
+// Config (edit here)
+// =========================
+const JOB_LEASE_SEC = Number(process.env.MMA_JOB_LEASE_SEC || 90);
+const JOB_HEARTBEAT_MS = Number(process.env.MMA_JOB_HEARTBEAT_MS || 30 * 1000);
+const JOB_POLL_MS = Number(process.env.MMA_JOB_POLL_MS || 2000);
+const JOB_CONCURRENCY = Number(process.env.MMA_JOB_CONCURRENCY || 4);
+const JOB_MAX_ATTEMPTS = Number(process.env.MMA_JOB_MAX_ATTEMPTS || 5);
+const JOB_BACKOFF_BASE_MS = Number(process.env.MMA_JOB_BACKOFF_BASE_MS || 15 * 1000);
+const JOB_BACKOFF_MAX_MS = Number(process.env.MMA_JOB_BACKOFF_MAX_MS || 10 * 60 * 1000);
+
+// Recovery waiting on a provider (Replicate / Kling still rendering)
+const JOB_PROVIDER_POLL_MS = Number(process.env.MMA_JOB_PROVIDER_POLL_MS || 20 * 1000);
+const JOB_MAX_AGE_MS = Number(process.env.MMA_JOB_MAX_AGE_MS || 2 * 60 * 60 * 1000);
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+// =========================
+// State
+// =========================
+const handlers = new Map(); // kind -> { run, recover, giveUp }
+const jobScope = new AsyncLocalStorage(); // { job, generationId }
+
+let pollTimer = null;
+let polling = false;
+let active = 0;
+
+// =========================
+// Helpers
+// =========================
+export function jobIdFor(generationId) {
+  return `mma_job:${generationId}`;
+}
+
+function backoffMs(attempts) {
+  const n = Math.max(0, Number(attempts || 1) - 1);
+  const base = Math.min(JOB_BACKOFF_MAX_MS, JOB_BACKOFF_BASE_MS * 2 ** n);
+  return base + Math.floor(Math.random() * 1000);
+}
+
+function errorInfo(err) {
+  return {
+    code: err?.code || "JOB_ERROR",
+    message: err?.message || String(err || ""),
+    at: nowIso(),
+  };
+}
+
+// Throw from recover() while the provider is still rendering: re-queued without using an attempt.
+export function retryMmaJobLater(delayMs = JOB_PROVIDER_POLL_MS) {
+  const err = new Error("JOB_RETRY_LATER");
+  err.code = "JOB_RETRY_LATER";
+  err.delayMs = delayMs;
+  return err;
+}
+
+// =========================
+// Public API
+// =========================
+export function registerMmaJobHandler(kind, { run, recover, giveUp }) {
+  handlers.set(String(kind), { run, recover, giveUp });
+}
+
+export async function enqueueMmaJob({ supabase, generationId, passId, kind, payload = {}, recovering = false }) {
+  const db = supabase || getSupabaseAdmin();
+  if (!db) throw new Error("SUPABASE_NOT_CONFIGURED");
+
+  const ts = nowIso();
+  const { error } = await db.from("mega_generations").insert({
+    mg_id: jobIdFor(generationId),
+    mg_record_type: "mma_job",
+    mg_generation_id: generationId,
+    mg_parent_id: `generation:${generationId}`,
+    mg_pass_id: passId || null,
+    mg_status: "queued",
+    mg_attempts: 0,
+    mg_run_after: ts,
+    mg_meta: { kind: String(kind), recovering: !!recovering, providers: {} },
+    mg_payload: payload,
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  });
+
+  // 23505 = job already exists for this generation
+  if (error && error.code !== "23505") throw error;
+
+  kickMmaJobWorker();
+  return { jobId: jobIdFor(generationId), alreadyQueued: error?.code === "23505" };
+}
+
+// Called right after a provider task is created so a restart can resume it.
+// No-op outside a job (e.g. admin refresh).
+export async function recordProviderTask(task) {
+  const scope = jobScope.getStore();
+  if (!scope?.job || !task?.id) return;
+
+  const { job, generationId } = scope;
+  job.meta = {
+    ...(job.meta || {}),
+    providers: {
+      ...(job.meta?.providers || {}),
+      [generationId]: { ...task, recorded_at: nowIso() },
+    },
+  };
+
+  // batch variants record in parallel: keep writes ordered
+  const meta = job.meta;
+  job.metaWrite = (job.metaWrite || Promise.resolve()).then(async () => {
+    const supabase = getSupabaseAdmin();
+    if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+    const { error } = await supabase
+      .from("mega_generations")
+      .update({ mg_meta: meta, mg_updated_at: nowIso() })
+      .eq("mg_id", job.id)
+      .eq("mg_record_type", "mma_job");
+    if (error) throw error;
+  }).catch((e) => console.warn("[mma-jobs] provider task save failed", job.id, e?.message || e));
+
+  await job.metaWrite;
+}
+
+// true while a job handler runs (pipelines only hand errors back to the queue then)
+export function inMmaJob() {
+  return !!jobScope.getStore()?.job;
+}
+
+// Attribute provider tasks to a child generation (still batch variants).
+export function withMmaJobGeneration(generationId, fn) {
+  const scope = jobScope.getStore();
+  if (!scope) return fn();
+  return jobScope.run({ ...scope, generationId }, fn);
+}
+
+export function kickMmaJobWorker() {
+  if (!pollTimer) return;
+  setImmediate(() => pollOnce().catch((e) => console.error("[mma-jobs] poll failed", e?.message || e)));
+}
+
+export function startMmaJobWorker() {
+  if (pollTimer || !sbEnabled() || !(JOB_CONCURRENCY > 0)) return;
+
+  pollTimer = setInterval(
+    () => pollOnce().catch((e) => console.error("[mma-jobs] poll failed", e?.message || e)),
+    JOB_POLL_MS
+  );
+  pollTimer.unref?.();
+
+  console.log(`[mma-jobs] worker ${WORKER_ID} started (concurrency ${JOB_CONCURRENCY})`);
+  kickMmaJobWorker();
+}
+
+// Stops claiming new jobs (jobs already running finish on their own)
+export function stopMmaJobWorker() {
+  if (!pollTimer) return;
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+// =========================
+// Worker
+// =========================
+async function pollOnce() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const free = JOB_CONCURRENCY - active;
+    if (free <= 0) return;
+
+    const supabase = getSupabaseAdmin();
+    if (!supabase) return;
+
+    const { data, error } = await supabase.rpc("mega_claim_mma_jobs", {
+      p_worker: WORKER_ID,
+      p_limit: free,
+      p_lease_seconds: JOB_LEASE_SEC,
+    });
+    if (error) throw error;
+
+    for (const row of Array.isArray(data) ? data : []) {
+      active += 1;
+      runJob(row)
+        .catch((e) => console.error("[mma-jobs] job crashed", row?.job_id, e?.message || e))
+        .finally(() => {
+          active -= 1;
+        });
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+async function runJob(row) {
+  const supabase = getSupabaseAdmin();
+  const meta = row.meta && typeof row.meta === "object" ? row.meta : {};
+
+  const job = {
+    id: row.job_id,
+    generationId: row.generation_id,
+    passId: row.pass_id,
+    kind: row.kind,
+    payload: row.payload && typeof row.payload === "object" ? row.payload : {},
+    attempts: Number(row.attempts || 1),
+    meta,
+    createdAt: row.created_at,
+    // lease expired while running (worker died) or re-queued by a previous recover()
+    recovering: row.previous_status === "running" || meta.recovering === true,
+  };
+
+  const handler = handlers.get(String(job.kind));
+  if (!handler) {
+    await settleJob(supabase, job, { status: "dead", error: { code: "UNKNOWN_JOB_KIND", message: job.kind } });
+    return;
+  }
+
+  const heartbeat = setInterval(async () => {
+    const { data, error } = await supabase.rpc("mega_heartbeat_mma_job", {
+      p_job_id: job.id,
+      p_worker: WORKER_ID,
+      p_lease_seconds: JOB_LEASE_SEC,
+    });
+    if (error || data === false) console.warn("[mma-jobs] lease lost", job.id, error?.message || "");
+  }, JOB_HEARTBEAT_MS);
+  heartbeat.unref?.();
+
+  try {
+    await jobScope.run({ job, generationId: job.generationId }, () =>
+      job.recovering ? handler.recover(job) : handler.run(job)
+    );
+    await job.metaWrite;
+    await settleJob(supabase, job, { status: "done" });
+  } catch (err) {
+    await job.metaWrite?.catch?.(() => {});
+
+    const age = Date.now() - new Date(job.createdAt || Date.now()).getTime();
+
+    if (err?.code === "JOB_RETRY_LATER" && age < JOB_MAX_AGE_MS) {
+      await settleJob(supabase, job, {
+        status: "queued",
+        runAfterMs: err.delayMs || JOB_PROVIDER_POLL_MS,
+        attempts: job.attempts - 1,
+        recovering: true,
+      });
+      return;
+    }
+
+    const maxAttempts = Number(job.meta?.max_attempts || JOB_MAX_ATTEMPTS);
+    if (err?.code !== "JOB_RETRY_LATER" && job.attempts < maxAttempts) {
+      console.warn(`[mma-jobs] ${job.id} attempt ${job.attempts} failed, retrying`, err?.message || err);
+      await settleJob(supabase, job, { status: "queued", runAfterMs: backoffMs(job.attempts), error: errorInfo(err) });
+      return;
+    }
+
+    console.error(`[mma-jobs] ${job.id} gave up after ${job.attempts} attempts`, err?.message || err);
+    try {
+      await handler.giveUp?.(job, err);
+    } catch (e) {
+      console.error("[mma-jobs] giveUp failed", job.id, e?.message || e);
+    }
+    await settleJob(supabase, job, { status: "dead", error: errorInfo(err) });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+async function settleJob(supabase, job, { status, runAfterMs = 0, attempts, recovering, error = null }) {
+  const ts = nowIso();
+  const update = {
+    mg_status: status,
+    mg_lease_owner: null,
+    mg_lease_until: null,
+    mg_meta: {
+      ...(job.meta || {}),
+      recovering: recovering ?? job.meta?.recovering ?? false,
+      last_error: error || job.meta?.last_error || null,
+    },
+    mg_updated_at: ts,
+  };
+
+  if (status === "queued") update.mg_run_after = new Date(Date.now() + runAfterMs).toISOString();
+  if (attempts !== undefined) update.mg_attempts = Math.max(0, attempts);
+
+  const { error: dbError } = await supabase
+    .from("mega_generations")
+    .update(update)
+    .eq("mg_id", job.id)
+    .eq("mg_record_type", "mma_job")
+    .eq("mg_lease_owner", WORKER_ID);
+
+  if (dbError) console.error("[mma-jobs] settle failed", job.id, dbError.message);
+}
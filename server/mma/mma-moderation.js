@@ -0,0 +1,223 @@
+// ./server/mma/mma-moderation.js
+// Moderation pre-check for MMA requests: runs before any credit is held.
+// - checks the user's brief / feedback text and the reference image URLs of the request
+//   (brand kit + preset images included)
+// - provider: "openai" (omni-moderation, default when OPENAI_API_KEY is set), "stub" (tests / local), "off"
+// - returns a decision; the controller logs it as an mma_step (step_type "moderation") and refuses flagged requests
+//   with 422 MODERATION_BLOCKED (nothing held, nothing charged)
+//
+// Provider interface (setModerationProvider() to plug another one):
+// {
+//   name, model,
+//   checkText(text) -> { flagged, categories: [string] }
+//   checkImage(url) -> { flagged, categories: [string] }
+// }
+
+import OpenAI from "openai";
+
+import { withBrandKitAssets } from "./mma-utils.js";
+
+// =========================
+// Config (edit here)
+// =========================
+const PROVIDER = String(process.env.MMA_MODERATION_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "off"))
+  .trim()
+  .toLowerCase();
+const OPENAI_MODEL = process.env.MMA_MODERATION_MODEL || "omni-moderation-latest";
+// every image is checked (none may reach the pipeline unchecked), this many at a time
+const IMAGE_CONCURRENCY = Math.max(1, Number(process.env.MMA_MODERATION_IMAGE_CONCURRENCY || 8) || 8);
+const MAX_TEXT_CHARS = 8000;
+
+// provider down => let the request through (the provider-side safety filter still applies)
+const FAIL_OPEN = String(process.env.MMA_MODERATION_FAIL_OPEN || "1") !== "0";
+
+// stub: comma-separated terms that flag text, and a substring that flags an image URL
+const STUB_TERMS = String(process.env.MMA_MODERATION_STUB_TERMS || "")
+  .split(",")
+  .map((t) => t.trim().toLowerCase())
+  .filter(Boolean);
+const STUB_IMAGE_MARKER = String(process.env.MMA_MODERATION_STUB_IMAGE_MARKER || "moderation-flag").toLowerCase();
+
+const TEXT_INPUT_KEYS = [
+  "brief",
+  "user_brief",
+  "userBrief",
+  "prompt",
+  "user_prompt",
+  "motion_user_brief",
+  "motionUserBrief",
+  "feedback",
+  "feedback_still",
+  "feedback_motion",
+  "comment",
+  "negative_prompt",
+];
+
+// =========================
+// Helpers
+// =========================
+function asHttpUrl(v) {
+  const s = typeof v === "string" ? v.trim() : "";
+  return /^https?:\/\//i.test(s) ? s : "";
+}
+
+function uniq(list) {
+  return Array.from(new Set(list.filter(Boolean)));
+}
+
+function flaggedCategories(categories) {
+  return Object.entries(categories || {})
+    .filter(([, on]) => on === true)
+    .map(([name]) => name)
+    .sort();
+}
+
+// =========================
+// Providers
+// =========================
+export function createOpenAIModerationProvider({ apiKey = process.env.OPENAI_API_KEY, model = OPENAI_MODEL } = {}) {
+  const client = new OpenAI({ apiKey });
+
+  const run = async (input) => {
+    const res = await client.moderations.create({ model, input });
+    const result = res?.results?.[0] || {};
+    return { flagged: result.flagged === true, categories: flaggedCategories(result.categories) };
+  };
+
+  return {
+    name: "openai",
+    model,
+    checkText: (text) => run(text),
+    checkImage: (url) => run([{ type: "image_url", image_url: { url } }]),
+  };
+}
+
+export function createStubModerationProvider({ terms = STUB_TERMS, imageMarker = STUB_IMAGE_MARKER } = {}) {
+  return {
+    name: "stub",
+    model: "stub",
+    async checkText(text) {
+      const lower = String(text || "").toLowerCase();
+      const hit = terms.some((t) => lower.includes(t));
+      return { flagged: hit, categories: hit ? ["stub"] : [] };
+    },
+    async checkImage(url) {
+      const hit = !!imageMarker && String(url || "").toLowerCase().includes(imageMarker);
+      return { flagged: hit, categories: hit ? ["stub"] : [] };
+    },
+  };
+}
+
+let provider = null;
+let providerResolved = false;
+
+export function setModerationProvider(next) {
+  if (next && (typeof next.checkText !== "function" || typeof next.checkImage !== "function")) {
+    throw new Error("MODERATION_PROVIDER_INVALID");
+  }
+  provider = next || null;
+  providerResolved = true;
+}
+
+function getProvider() {
+  if (providerResolved) return provider;
+  providerResolved = true;
+
+  if (PROVIDER === "openai" && process.env.OPENAI_API_KEY) provider = createOpenAIModerationProvider();
+  else if (PROVIDER === "stub") provider = createStubModerationProvider();
+  else provider = null;
+
+  return provider;
+}
+
+// =========================
+// Request => what to check
+// =========================
+// brief / feedback text + every http(s) reference image the pipeline will use:
+// the request's own, plus the brand kit images merged in and the preset's style heroes
+export function moderationInputsFromBody(body, { brandKit = null, preset = null } = {}) {
+  const inputs = body?.inputs && typeof body.inputs === "object" ? body.inputs : {};
+  const feedback = body?.feedback && typeof body.feedback === "object" ? body.feedback : {};
+
+  const texts = [
+    ...TEXT_INPUT_KEYS.map((k) => inputs[k]),
+    ...Object.values(feedback),
+  ]
+    .filter((v) => typeof v === "string")
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+  const urls = [];
+  const collect = (v) => {
+    if (Array.isArray(v)) v.forEach(collect);
+    else if (asHttpUrl(v)) urls.push(asHttpUrl(v));
+  };
+  const assets = body?.assets && typeof body.assets === "object" ? body.assets : {};
+  Object.values(withBrandKitAssets(assets, brandKit)).forEach(collect);
+  collect(inputs.start_image_url || inputs.startImageUrl);
+  collect(inputs.end_image_url || inputs.endImageUrl);
+  collect(preset?.style_hero_urls);
+
+  return {
+    text: uniq(texts).join("\n").slice(0, MAX_TEXT_CHARS),
+    imageUrls: uniq(urls),
+  };
+}
+
+// =========================
+// Decision
+// =========================
+/**
+ * Runs the moderation checks.
+ * Returns { allowed, flagged, skipped, provider, model, categories, checks: [{ kind, index, flagged, categories }], error, duration_ms }.
+ * allowed is false only for a flagged input, or a provider error with MMA_MODERATION_FAIL_OPEN=0.
+ */
+export async function runModerationCheck({ text, imageUrls }) {
+  const t0 = Date.now();
+  const p = getProvider();
+
+  const base = { provider: p?.name || "off", model: p?.model || null, categories: [], checks: [], error: null };
+  if (!p || (!text && !imageUrls?.length)) {
+    return { ...base, allowed: true, flagged: false, skipped: true, duration_ms: Date.now() - t0 };
+  }
+
+  try {
+    const results = text ? [await p.checkText(text).then((r) => ({ kind: "text", index: 0, ...r }))] : [];
+    const urls = imageUrls || [];
+    for (let from = 0; from < urls.length; from += IMAGE_CONCURRENCY) {
+      const chunk = urls.slice(from, from + IMAGE_CONCURRENCY);
+      results.push(
+        ...(await Promise.all(chunk.map((url, i) => p.checkImage(url).then((r) => ({ kind: "image", index: from + i, url, ...r })))))
+      );
+    }
+
+    const checks = results.map((c) => ({
+      kind: c.kind,
+      index: c.index,
+      url: c.url || undefined,
+      flagged: c.flagged === true,
+      categories: Array.isArray(c.categories) ? c.categories : [],
+    }));
+
+    const flagged = checks.some((c) => c.flagged);
+    return {
+      ...base,
+      allowed: !flagged,
+      flagged,
+      skipped: false,
+      categories: uniq(checks.flatMap((c) => (c.flagged ? c.categories : []))).sort(),
+      checks,
+      duration_ms: Date.now() - t0,
+    };
+  } catch (e) {
+    console.warn("[mma-moderation] provider failed", e?.message || e);
+    return {
+      ...base,
+      allowed: FAIL_OPEN,
+      flagged: false,
+      skipped: false,
+      error: { code: "MODERATION_PROVIDER_ERROR", message: e?.message || String(e) },
+      duration_ms: Date.now() - t0,
+    };
+  }
+}
@@ -0,0 +1,390 @@
+// ./server/mma/mma-presets.js
+// Named presets for still create ("Amazon white-background hero", "Instagram 4:5 lifestyle", ...)
+// A preset pins aspect ratio, lane, resolution, negative prompt, style hero URLs and extra
+// system instructions for the GPT one-shot. Selected with inputs.preset_id (+ optional inputs.preset_version).
+//
+// - global presets: mega_admin app_config rows, one row per version (same scheme as mma ctx configs)
+//     mg_id = app_config:mma.preset.<slug>.v<N>, mg_key = mma.preset.<slug>, mg_value = { version, enabled, ...fields }
+//     preset_id = <slug>
+// - personal presets: mega_generations rows (mg_record_type = "mma_preset"), see supabase/mega_mma_presets.sql
+//     mg_id = mma_preset:<uuid>, mg_meta = { version, fields, history: [{ version, fields, updated_at }] }
+//     preset_id = <uuid>
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../../supabase.js";
+import { getActiveAppConfig, parseVersionFromId } from "../app-config.js";
+
+// =========================
+// Config (edit here)
+// =========================
+const MAX_PRESETS_PER_PASS = Number(process.env.MMA_PRESETS_MAX_PER_PASS || 50);
+const HISTORY_KEEP = 20;
+const GLOBAL_KEY_PREFIX = "mma.preset.";
+
+const LIMITS = {
+  name: 120,
+  description: 500,
+  negative_prompt: 1000,
+  system_instructions: 4000,
+  style_hero_urls: 4,
+};
+
+const SLUG_RE = /^[a-z0-9][a-z0-9_-]{1,63}$/;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// =========================
+// Helpers
+// =========================
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function safeString(v, fallback = "") {
+  if (v === null || v === undefined) return fallback;
+  const s = String(v).trim();
+  return s ? s : fallback;
+}
+
+function makeHttpError(statusCode, code, extra = {}) {
+  const err = new Error(code);
+  err.statusCode = statusCode;
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function requireSupabase() {
+  const supabase = getSupabaseAdmin();
+  if (!supabase) throw new Error("SUPABASE_NOT_CONFIGURED");
+  return supabase;
+}
+
+function isHttpsUrl(v) {
+  try {
+    return new URL(v).protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Full field set (missing => empty); name is required
+function cleanPresetFields(input) {
+  const src = input && typeof input === "object" ? input : {};
+
+  const name = safeString(src.name, "").slice(0, LIMITS.name);
+  if (!name) throw makeHttpError(400, "PRESET_NAME_REQUIRED");
+
+  const aspectRatio = safeString(src.aspect_ratio || src.aspectRatio, "");
+  if (aspectRatio && !/^\d{1,2}:\d{1,2}$/.test(aspectRatio)) {
+    throw makeHttpError(400, "INVALID_PRESET", { field: "aspect_ratio" });
+  }
+
+  const lane = safeString(src.still_lane || src.lane, "").toLowerCase();
+  if (lane && lane !== "main" && lane !== "niche") throw makeHttpError(400, "INVALID_PRESET", { field: "still_lane" });
+
+  const resolution = safeString(src.still_resolution || src.resolution, "").toUpperCase();
+  if (resolution && resolution !== "2K" && resolution !== "4K") throw makeHttpError(400, "INVALID_PRESET", { field: "still_resolution" });
+
+  const heroRaw = src.style_hero_urls ?? [];
+  if (!Array.isArray(heroRaw) || heroRaw.some((u) => !isHttpsUrl(safeString(u, "")))) {
+    throw makeHttpError(400, "INVALID_PRESET", { field: "style_hero_urls" });
+  }
+  const styleHeroUrls = Array.from(new Set(heroRaw.map((u) => safeString(u, ""))));
+  if (styleHeroUrls.length > LIMITS.style_hero_urls) {
+    throw makeHttpError(400, "PRESET_TOO_MANY", { field: "style_hero_urls", max: LIMITS.style_hero_urls });
+  }
+
+  return {
+    name,
+    description: safeString(src.description, "").slice(0, LIMITS.description),
+    aspect_ratio: aspectRatio,
+    still_lane: lane,
+    still_resolution: resolution,
+    negative_prompt: safeString(src.negative_prompt, "").slice(0, LIMITS.negative_prompt),
+    style_hero_urls: styleHeroUrls,
+    system_instructions: safeString(src.system_instructions, "").slice(0, LIMITS.system_instructions),
+  };
+}
+
+function fieldsOf(value) {
+  const v = value && typeof value === "object" ? value : {};
+  return {
+    name: v.name || null,
+    description: v.description || "",
+    aspect_ratio: v.aspect_ratio || "",
+    still_lane: v.still_lane || "",
+    still_resolution: v.still_resolution || "",
+    negative_prompt: v.negative_prompt || "",
+    style_hero_urls: Array.isArray(v.style_hero_urls) ? v.style_hero_urls : [],
+    system_instructions: v.system_instructions || "",
+  };
+}
+
+function globalView(row) {
+  const value = row?.mg_value && typeof row.mg_value === "object" ? row.mg_value : {};
+  const key = String(row?.mg_key || "");
+  return {
+    preset_id: key.slice(GLOBAL_KEY_PREFIX.length),
+    scope: "global",
+    version: parseVersionFromId(row?.mg_id) ?? Number(value.version || 0),
+    enabled: value.enabled === true,
+    ...fieldsOf(value),
+    updated_at: row?.mg_created_at || null,
+  };
+}
+
+function personalView(row, { version = null, fields = null } = {}) {
+  const meta = row?.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  return {
+    preset_id: String(row?.mg_id || "").replace(/^mma_preset:/, ""),
+    scope: "personal",
+    version: version ?? Number(meta.version || 1),
+    ...fieldsOf(fields || meta.fields),
+    created_at: row?.mg_created_at || null,
+    updated_at: row?.mg_updated_at || null,
+  };
+}
+
+// =========================
+// Global presets (admin)
+// =========================
+async function loadGlobalRows(supabase, slug = "") {
+  let q = supabase
+    .from("mega_admin")
+    .select("mg_id, mg_key, mg_value, mg_created_at")
+    .eq("mg_record_type", "app_config");
+  q = slug ? q.eq("mg_key", `${GLOBAL_KEY_PREFIX}${slug}`) : q.like("mg_key", `${GLOBAL_KEY_PREFIX}%`);
+
+  const { data, error } = await q.order("mg_created_at", { ascending: false }).limit(500);
+  if (error) throw error;
+  return data || [];
+}
+
+// latest enabled version per slug (includeDisabled: admin view of every slug's latest version)
+export async function listGlobalPresets({ includeDisabled = false } = {}) {
+  const supabase = requireSupabase();
+
+  const latest = new Map();
+  for (const row of await loadGlobalRows(supabase)) {
+    const view = globalView(row);
+    if (!includeDisabled && !view.enabled) continue;
+
+    const prev = latest.get(view.preset_id);
+    if (!prev || view.version > prev.version) latest.set(view.preset_id, view);
+  }
+
+  return Array.from(latest.values()).sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+// Each publish is a new immutable version row; older versions stay resolvable by preset_version
+export async function publishGlobalPreset({ slug, input }) {
+  const supabase = requireSupabase();
+
+  const cleanSlug = safeString(slug, "").toLowerCase();
+  if (!SLUG_RE.test(cleanSlug)) throw makeHttpError(400, "INVALID_PRESET_ID");
+
+  const fields = cleanPresetFields(input);
+  const rows = await loadGlobalRows(supabase, cleanSlug);
+  const version = rows.reduce((max, r) => Math.max(max, globalView(r).version || 0), 0) + 1;
+
+  const ts = nowIso();
+  const row = {
+    mg_id: `app_config:${GLOBAL_KEY_PREFIX}${cleanSlug}.v${version}`,
+    mg_record_type: "app_config",
+    mg_key: `${GLOBAL_KEY_PREFIX}${cleanSlug}`,
+    mg_value: { version, enabled: true, ...fields },
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  };
+
+  const { error } = await supabase.from("mega_admin").insert(row);
+  if (error) throw error;
+
+  return globalView(row);
+}
+
+// Disables every version (generations keep their preset snapshot)
+export async function disableGlobalPreset({ slug }) {
+  const supabase = requireSupabase();
+
+  const rows = await loadGlobalRows(supabase, safeString(slug, "").toLowerCase());
+  if (!rows.length) return null;
+
+  for (const row of rows) {
+    if (row.mg_value?.enabled !== true) continue;
+    const { error } = await supabase
+      .from("mega_admin")
+      .update({ mg_value: { ...row.mg_value, enabled: false }, mg_updated_at: nowIso() })
+      .eq("mg_id", row.mg_id);
+    if (error) throw error;
+  }
+
+  return { preset_id: safeString(slug, "").toLowerCase(), disabled: true, versions: rows.length };
+}
+
+async function getGlobalPreset(supabase, slug, version) {
+  if (!SLUG_RE.test(slug)) return null;
+
+  if (version) {
+    const { data, error } = await supabase
+      .from("mega_admin")
+      .select("mg_id, mg_key, mg_value, mg_created_at")
+      .eq("mg_id", `app_config:${GLOBAL_KEY_PREFIX}${slug}.v${version}`)
+      .eq("mg_record_type", "app_config")
+      .maybeSingle();
+    if (error) throw error;
+    return data?.mg_value?.enabled === true ? globalView(data) : null;
+  }
+
+  const active = await getActiveAppConfig(supabase, `${GLOBAL_KEY_PREFIX}${slug}`);
+  if (!active) return null;
+  return globalView({ mg_id: active.id, mg_key: active.key, mg_value: active.value });
+}
+
+// =========================
+// Personal presets
+// =========================
+const PERSONAL_COLUMNS = "mg_id, mg_pass_id, mg_title, mg_status, mg_meta, mg_created_at, mg_updated_at";
+
+async function loadPersonalRow(supabase, { passId, presetId }) {
+  if (!UUID_RE.test(safeString(presetId, ""))) return null;
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select(PERSONAL_COLUMNS)
+    .eq("mg_id", `mma_preset:${presetId}`)
+    .eq("mg_record_type", "mma_preset")
+    .eq("mg_pass_id", safeString(passId, ""))
+    .eq("mg_status", "active")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+export async function listPresets({ passId }) {
+  const supabase = requireSupabase();
+
+  const { data, error } = await supabase
+    .from("mega_generations")
+    .select(PERSONAL_COLUMNS)
+    .eq("mg_record_type", "mma_preset")
+    .eq("mg_pass_id", safeString(passId, ""))
+    .eq("mg_status", "active")
+    .order("mg_created_at", { ascending: false })
+    .limit(MAX_PRESETS_PER_PASS);
+
+  if (error) throw error;
+
+  return {
+    global: await listGlobalPresets(),
+    personal: (data || []).map((row) => personalView(row)),
+  };
+}
+
+export async function createPreset({ passId, input }) {
+  const supabase = requireSupabase();
+
+  const pid = safeString(passId, "");
+  if (!pid) throw makeHttpError(400, "PASS_ID_REQUIRED");
+
+  const fields = cleanPresetFields(input);
+
+  const { count, error: countErr } = await supabase
+    .from("mega_generations")
+    .select("mg_id", { count: "exact", head: true })
+    .eq("mg_record_type", "mma_preset")
+    .eq("mg_pass_id", pid)
+    .eq("mg_status", "active");
+  if (countErr) throw countErr;
+  if ((count || 0) >= MAX_PRESETS_PER_PASS) throw makeHttpError(409, "PRESET_LIMIT_REACHED", { max: MAX_PRESETS_PER_PASS });
+
+  const ts = nowIso();
+  const row = {
+    mg_id: `mma_preset:${crypto.randomUUID()}`,
+    mg_record_type: "mma_preset",
+    mg_pass_id: pid,
+    mg_status: "active",
+    mg_title: fields.name,
+    mg_meta: { version: 1, fields, history: [] },
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  };
+
+  const { error } = await supabase.from("mega_generations").insert(row);
+  if (error) throw error;
+
+  return personalView(row);
+}
+
+// Full replace => version + 1; the previous version moves to mg_meta.history
+export async function updatePreset({ passId, presetId, input }) {
+  const supabase = requireSupabase();
+
+  const row = await loadPersonalRow(supabase, { passId, presetId });
+  if (!row) throw makeHttpError(404, "PRESET_NOT_FOUND");
+
+  const meta = row.mg_meta && typeof row.mg_meta === "object" ? row.mg_meta : {};
+  const fields = cleanPresetFields(input);
+  const version = Number(meta.version || 1) + 1;
+  const history = [{ version: Number(meta.version || 1), fields: meta.fields || {}, updated_at: row.mg_updated_at }]
+    .concat(Array.isArray(meta.history) ? meta.history : [])
+    .slice(0, HISTORY_KEEP);
+
+  const next = {
+    mg_title: fields.name,
+    mg_meta: { ...meta, version, fields, history },
+    mg_updated_at: nowIso(),
+  };
+
+  const { error } = await supabase
+    .from("mega_generations")
+    .update(next)
+    .eq("mg_id", row.mg_id)
+    .eq("mg_record_type", "mma_preset");
+  if (error) throw error;
+
+  return personalView({ ...row, ...next });
+}
+
+export async function deletePreset({ passId, presetId }) {
+  const supabase = requireSupabase();
+
+  const row = await loadPersonalRow(supabase, { passId, presetId });
+  if (!row) throw makeHttpError(404, "PRESET_NOT_FOUND");
+
+  const { error } = await supabase
+    .from("mega_generations")
+    .update({ mg_status: "deleted", mg_meta: { ...(row.mg_meta || {}), deleted_at: nowIso() }, mg_updated_at: nowIso() })
+    .eq("mg_id", row.mg_id)
+    .eq("mg_record_type", "mma_preset");
+  if (error) throw error;
+
+  return { preset_id: presetId, deleted: true };
+}
+
+// =========================
+// Resolve (create flow)
+// =========================
+/**
+ * preset_id = uuid => personal preset of passId, anything else => global slug.
+ * version pins an older version; omitted => latest. null when not found / not visible.
+ */
+export async function resolvePreset({ passId, presetId, version = null }) {
+  const supabase = requireSupabase();
+
+  const id = safeString(presetId, "");
+  const pinned = Number(version) > 0 ? Math.floor(Number(version)) : null;
+  if (!id) return null;
+
+  if (!UUID_RE.test(id)) return getGlobalPreset(supabase, id.toLowerCase(), pinned);
+
+  const row = await loadPersonalRow(supabase, { passId, presetId: id });
+  if (!row) return null;
+
+  const meta = row.mg_meta || {};
+  if (!pinned || pinned === Number(meta.version || 1)) return personalView(row);
+
+  const old = (Array.isArray(meta.history) ? meta.history : []).find((h) => Number(h?.version) === pinned);
+  return old ? personalView(row, { version: pinned, fields: old.fields }) : null;
+}
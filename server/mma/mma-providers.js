@@ -0,0 +1,175 @@
+// ./server/mma/mma-providers.js
+// Provider registry for MMA still/video engines.
+// - Built-in adapters (seedream, nanobanana, nanobanana2, kling, kling_motion_control,
+//   fabric_audio) are registered by mma-controller.js around its run* helpers
+// - Extra Replicate models come from config (MMA_PROVIDERS_JSON, see mma-config.js):
+//   adding Flux / Veo is a config entry, not a new pipeline branch
+//
+// Adapter shape:
+// {
+//   id, kind: "still" | "video", provider: "replicate" | "gemini" | "kling" | ...,
+//   lanes: ["main", "niche"]        (still: which lanes may pick it)
+//   flows: ["kling", ...]           (video: which flows it serves, see resolveVideoPricing)
+//   priority: number                (higher wins when several are enabled for a lane/flow)
+//   capabilities: { maxReferenceImages, resolutions, aspectRatios, audio, referenceVideo,
+//                   referenceAudio, durations: { min, max } }   (null/undefined = unrestricted)
+//   enabled() -> bool
+//   cost(ctx) -> matcha             (still: { lane, inputs }, video: { inputs, assets })
+//   run(request) -> genRes          ({ input, out, prediction_id, timing, provider, ... })
+//   outputUrl(genRes) -> string
+//   outputKeys: { predictionId, urls: [] }   (mg_mma_vars.outputs keys)
+//   stepType, noUrlCode
+// }
+
+// =========================
+// State
+// =========================
+const providers = new Map(); // id -> adapter
+
+// =========================
+// Helpers
+// =========================
+function asList(v) {
+  return Array.isArray(v) ? v.map((x) => String(x)) : [];
+}
+
+function normalizeAdapter(def) {
+  const id = String(def?.id || "").trim();
+  if (!id) throw new Error("MMA_PROVIDER_ID_MISSING");
+  if (def.kind !== "still" && def.kind !== "video") throw new Error(`MMA_PROVIDER_KIND_INVALID: ${id}`);
+  if (typeof def.run !== "function") throw new Error(`MMA_PROVIDER_RUN_MISSING: ${id}`);
+  if (typeof def.cost !== "function") throw new Error(`MMA_PROVIDER_COST_MISSING: ${id}`);
+
+  return {
+    provider: "replicate",
+    priority: 0,
+    capabilities: {},
+    enabled: () => true,
+    outputUrl: (genRes) => genRes?.out,
+    outputKeys: { predictionId: `${id}_prediction_id`, urls: [`${id}_${def.kind === "video" ? "video" : "image"}_url`] },
+    stepType: `${id}_generate`,
+    noUrlCode: `${id.toUpperCase()}_NO_URL`,
+    ...def,
+    id,
+    lanes: asList(def.lanes),
+    flows: asList(def.flows),
+  };
+}
+
+function isEnabled(p) {
+  try {
+    return !!p.enabled();
+  } catch {
+    return false;
+  }
+}
+
+// =========================
+// Public API
+// =========================
+export function registerMmaProvider(def) {
+  const adapter = normalizeAdapter(def);
+  providers.set(adapter.id, adapter);
+  return adapter;
+}
+
+export function getMmaProvider(id) {
+  return providers.get(String(id || "")) || null;
+}
+
+export function listMmaProviders({ kind } = {}) {
+  return Array.from(providers.values()).filter((p) => !kind || p.kind === kind);
+}
+
+/**
+ * Pick the engine for a still lane or a video flow.
+ * - pinned: configured engine id (MMA_STILL_ENGINE_MAIN, MMA_VIDEO_ENGINE_KLING, ...) wins when enabled
+ * - otherwise: highest priority enabled adapter serving that lane/flow
+ */
+export function pickMmaProvider({ kind, lane = "", flow = "", pinned = "" }) {
+  const slot = kind === "video" ? flow : lane;
+  const serves = (p) => (kind === "video" ? p.flows : p.lanes).includes(slot);
+
+  const pin = getMmaProvider(pinned);
+  if (pin && pin.kind === kind && isEnabled(pin)) return pin;
+
+  const candidates = listMmaProviders({ kind })
+    .filter((p) => serves(p) && isEnabled(p))
+    .sort((a, b) => Number(b.priority || 0) - Number(a.priority || 0));
+
+  return candidates[0] || null;
+}
+
+/**
+ * Clamp a request to what the engine declares it supports.
+ * Unrestricted capabilities pass the value through untouched.
+ */
+export function fitProviderRequest(provider, request) {
+  const caps = provider?.capabilities || {};
+  const next = { ...request };
+
+  if (Array.isArray(next.imageInputs) && Number.isFinite(caps.maxReferenceImages)) {
+    next.imageInputs = next.imageInputs.slice(0, Math.max(0, caps.maxReferenceImages));
+  }
+
+  const ratios = asList(caps.aspectRatios);
+  if (next.aspectRatio && ratios.length && !ratios.includes(String(next.aspectRatio))) {
+    const wantsMatch = String(next.aspectRatio).toLowerCase().includes("match");
+    next.aspectRatio = wantsMatch && ratios.includes("match_input_image") ? "match_input_image" : ratios[0];
+  }
+
+  const resolutions = asList(caps.resolutions);
+  if (next.resolution && resolutions.length && !resolutions.includes(String(next.resolution))) {
+    next.resolution = resolutions[resolutions.length - 1];
+  }
+
+  if (caps.durations && Number.isFinite(Number(next.duration))) {
+    const min = Number(caps.durations.min ?? next.duration);
+    const max = Number(caps.durations.max ?? next.duration);
+    next.duration = Math.max(min, Math.min(max, Number(next.duration)));
+  }
+
+  if (caps.audio === false) next.generateAudio = false;
+
+  return next;
+}
+
+/**
+ * Config-driven input mapping (MMA_PROVIDERS_JSON "input"):
+ * "{{name}}" values are replaced by request[name] (type kept), "{{name.0}}" picks an array item,
+ * empty results are dropped, anything else is sent as-is.
+ */
+export function mapProviderInput(template, request) {
+  const out = {};
+
+  for (const [key, raw] of Object.entries(template && typeof template === "object" ? template : {})) {
+    const m = typeof raw === "string" ? raw.match(/^\{\{\s*([a-z0-9_]+)(?:\.(\d+))?\s*\}\}$/i) : null;
+    if (!m) {
+      out[key] = raw;
+      continue;
+    }
+
+    let value = request?.[m[1]];
+    if (m[2] !== undefined) value = Array.isArray(value) ? value[Number(m[2])] : undefined;
+
+    if (value === undefined || value === null || value === "") continue;
+    if (Array.isArray(value) && !value.length) continue;
+    out[key] = value;
+  }
+
+  return out;
+}
+
+// Public, JSON-safe view (GET /mma/providers)
+export function describeMmaProviders() {
+  return listMmaProviders().map((p) => ({
+    id: p.id,
+    kind: p.kind,
+    provider: p.provider,
+    lanes: p.lanes,
+    flows: p.flows,
+    priority: p.priority,
+    enabled: isEnabled(p),
+    capabilities: p.capabilities || {},
+  }));
+}
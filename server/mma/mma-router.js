@@ -7,18 +7,21 @@
 import express from "express";
 import {
   fetchGeneration,
+  fetchGenerationTree,
   handleMmaCreate,
   handleMmaEvent,
   handleMmaStillTweak,
   handleMmaVideoTweak,
   listErrors,
+  listMmaEngines,
   listSteps,
   refreshFromReplicate,
   registerSseClient,
 } from "./mma-controller.js";
+import { createBrandKit, deleteBrandKit, getBrandKit, listBrandKits, updateBrandKit } from "./mma-brand-kits.js";
+import { createPreset, deletePreset, listPresets, updatePreset } from "./mma-presets.js";
 import { getSupabaseAdmin } from "../../supabase.js";
 import { megaEnsureCustomer, resolvePassId as megaResolvePassId } from "../../mega-db.js";
-import { sendDone, sendStatus } from "./mma-sse.js";
 
 const router = express.Router();
 
@@ -28,7 +31,23 @@ const router = express.Router();
 function withPassId(req, rawBody) {
   const body = rawBody && typeof rawBody === "object" ? rawBody : {};
   const passId = megaResolvePassId(req, body);
-  return { passId, body: { ...body, passId } };
+  // api_key_id is server-set only (apiKeyAuth), never taken from the client body
+  return { passId, body: { ...body, passId, api_key_id: req.apiKey?.keyId || null } };
+}
+
+// GET routes: pass from header/query only (no body, no random anon fallback).
+// MMA rows store anon passes without the "pass:anon:" prefix (server.js normalizeIncomingPassId)
+function readPassId(req) {
+  return String(req.get("X-Mina-Pass-Id") || req.query.passId || "")
+    .trim()
+    .replace(/^pass:anon:/, "");
+}
+
+// credits / moderation refusals keep their own code (+ details), anything else => route fallback
+const PASSTHROUGH_ERRORS = new Set(["INSUFFICIENT_CREDITS", "MODERATION_BLOCKED", "MODERATION_UNAVAILABLE"]);
+
+function clientErrorCode(err, fallback) {
+  return PASSTHROUGH_ERRORS.has(err?.message) ? err.message : fallback;
 }
 
 // ======================================================
@@ -44,7 +63,7 @@ router.post("/still/create", async (req, res) => {
   } catch (err) {
     console.error("[mma] still/create error", err);
     res.status(err?.statusCode || 500).json({
-      error: err?.message === "INSUFFICIENT_CREDITS" ? "INSUFFICIENT_CREDITS" : "MMA_CREATE_FAILED",
+      error: clientErrorCode(err, "MMA_CREATE_FAILED"),
       message: err?.message,
       details: err?.details || undefined,
     });
@@ -64,7 +83,7 @@ router.post("/still/:generation_id/tweak", async (req, res) => {
   } catch (err) {
     console.error("[mma] still tweak error", err);
     res.status(err?.statusCode || 500).json({
-      error: err?.message === "INSUFFICIENT_CREDITS" ? "INSUFFICIENT_CREDITS" : "MMA_TWEAK_FAILED",
+      error: clientErrorCode(err, "MMA_TWEAK_FAILED"),
       message: err?.message,
       details: err?.details || undefined,
     });
@@ -81,7 +100,7 @@ router.post("/video/animate", async (req, res) => {
   } catch (err) {
     console.error("[mma] video/animate error", err);
     res.status(err?.statusCode || 500).json({
-      error: err?.message === "INSUFFICIENT_CREDITS" ? "INSUFFICIENT_CREDITS" : "MMA_ANIMATE_FAILED",
+      error: clientErrorCode(err, "MMA_ANIMATE_FAILED"),
       message: err?.message,
       details: err?.details || undefined,
     });
@@ -101,7 +120,7 @@ router.post("/video/:generation_id/tweak", async (req, res) => {
   } catch (err) {
     console.error("[mma] video tweak error", err);
     res.status(err?.statusCode || 500).json({
-      error: err?.message === "INSUFFICIENT_CREDITS" ? "INSUFFICIENT_CREDITS" : "MMA_VIDEO_TWEAK_FAILED",
+      error: clientErrorCode(err, "MMA_VIDEO_TWEAK_FAILED"),
       message: err?.message,
       details: err?.details || undefined,
     });
@@ -142,6 +161,15 @@ router.post("/generations/:generation_id/refresh", async (req, res) => {
   }
 });
 
+// Registered still/video engines + capabilities (for UI pickers)
+router.get("/providers", (_req, res) => {
+  try {
+    res.json({ providers: listMmaEngines() });
+  } catch (err) {
+    res.status(500).json({ error: "MMA_PROVIDERS_FAILED", message: err?.message });
+  }
+});
+
 router.get("/generations/:generation_id", async (req, res) => {
   try {
     const payload = await fetchGeneration(req.params.generation_id);
@@ -153,6 +181,143 @@ router.get("/generations/:generation_id", async (req, res) => {
   }
 });
 
+const TREE_ERROR_STATUS = { PASS_ID_REQUIRED: 400, FORBIDDEN: 403 };
+
+// Lineage: root still, tweaks, animations, batch variants, fingertips edits (nested via children)
+router.get("/generations/:generation_id/tree", async (req, res) => {
+  try {
+    const passId = readPassId(req);
+    const out = await fetchGenerationTree({ generationId: req.params.generation_id, passId });
+
+    if (!out.ok) return res.status(TREE_ERROR_STATUS[out.error] || 404).json(out);
+    res.json(out);
+  } catch (err) {
+    console.error("[mma] generation tree error", err);
+    res.status(500).json({ ok: false, error: "MMA_TREE_FAILED", message: err?.message });
+  }
+});
+
+// ======================================================
+// Brand kits (per pass): { name, logo_urls[], product_image_urls[], style_image_urls[],
+// palette[], tone_of_voice, banned_elements[] } — used via inputs.brand_kit_id
+// ======================================================
+// brand kits + presets: validation errors carry statusCode (+ field / max)
+function sendSavedItemError(res, err, label, fallbackCode) {
+  if (!err?.statusCode) console.error(`[mma] ${label} error`, err);
+  res.status(err?.statusCode || 500).json({
+    ok: false,
+    error: err?.statusCode ? err.message : fallbackCode,
+    field: err?.field || undefined,
+    max: err?.max || undefined,
+  });
+}
+
+router.get("/brand-kits", async (req, res) => {
+  try {
+    const passId = readPassId(req);
+    if (!passId) return res.status(400).json({ ok: false, error: "PASS_ID_REQUIRED" });
+    res.json({ ok: true, kits: await listBrandKits({ passId }) });
+  } catch (err) {
+    sendSavedItemError(res, err, "brand kits list", "BRAND_KITS_FAILED");
+  }
+});
+
+router.get("/brand-kits/:kit_id", async (req, res) => {
+  try {
+    const passId = readPassId(req);
+    if (!passId) return res.status(400).json({ ok: false, error: "PASS_ID_REQUIRED" });
+
+    const kit = await getBrandKit({ passId, kitId: req.params.kit_id });
+    if (!kit) return res.status(404).json({ ok: false, error: "BRAND_KIT_NOT_FOUND" });
+    res.json({ ok: true, kit });
+  } catch (err) {
+    sendSavedItemError(res, err, "brand kits get", "BRAND_KITS_FAILED");
+  }
+});
+
+router.post("/brand-kits", async (req, res) => {
+  const { passId, body } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+    res.json({ ok: true, kit: await createBrandKit({ passId, input: body }) });
+  } catch (err) {
+    sendSavedItemError(res, err, "brand kits create", "BRAND_KITS_FAILED");
+  }
+});
+
+// partial update: only the fields sent are replaced
+router.post("/brand-kits/:kit_id", async (req, res) => {
+  const { passId, body } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+    res.json({ ok: true, kit: await updateBrandKit({ passId, kitId: req.params.kit_id, input: body }) });
+  } catch (err) {
+    sendSavedItemError(res, err, "brand kits update", "BRAND_KITS_FAILED");
+  }
+});
+
+router.post("/brand-kits/:kit_id/delete", async (req, res) => {
+  const { passId } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+    res.json({ ok: true, ...(await deleteBrandKit({ passId, kitId: req.params.kit_id })) });
+  } catch (err) {
+    sendSavedItemError(res, err, "brand kits delete", "BRAND_KITS_FAILED");
+  }
+});
+
+// ======================================================
+// Presets: global (admin, /admin/mma/presets) + personal (per pass, versioned)
+// { name, description, aspect_ratio, still_lane, still_resolution, negative_prompt,
+//   style_hero_urls[], system_instructions } — used via inputs.preset_id
+// ======================================================
+router.get("/presets", async (req, res) => {
+  try {
+    const passId = readPassId(req);
+    if (!passId) return res.status(400).json({ ok: false, error: "PASS_ID_REQUIRED" });
+    res.json({ ok: true, ...(await listPresets({ passId })) });
+  } catch (err) {
+    sendSavedItemError(res, err, "presets list", "PRESETS_FAILED");
+  }
+});
+
+router.post("/presets", async (req, res) => {
+  const { passId, body } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+    res.json({ ok: true, preset: await createPreset({ passId, input: body }) });
+  } catch (err) {
+    sendSavedItemError(res, err, "presets create", "PRESETS_FAILED");
+  }
+});
+
+// full replace => new version (previous one stays selectable via preset_version)
+router.post("/presets/:preset_id", async (req, res) => {
+  const { passId, body } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+    res.json({ ok: true, preset: await updatePreset({ passId, presetId: req.params.preset_id, input: body }) });
+  } catch (err) {
+    sendSavedItemError(res, err, "presets update", "PRESETS_FAILED");
+  }
+});
+
+router.post("/presets/:preset_id/delete", async (req, res) => {
+  const { passId } = withPassId(req, req.body);
+
+  try {
+    res.set("X-Mina-Pass-Id", passId);
+    res.json({ ok: true, ...(await deletePreset({ passId, presetId: req.params.preset_id })) });
+  } catch (err) {
+    sendSavedItemError(res, err, "presets delete", "PRESETS_FAILED");
+  }
+});
+
 router.get("/stream/:generation_id", async (req, res) => {
   try {
     const supabase = getSupabaseAdmin();
@@ -181,31 +346,23 @@ router.get("/stream/:generation_id", async (req, res) => {
     }
 
     const scanLines = data?.mg_mma_vars?.userMessages?.scan_lines || [];
+    const variants = data?.mg_mma_vars?.outputs?.variants || [];
     const internal = String(data?.mg_mma_status || "queued");
 
-    // Register first so sendStatus/sendDone hit THIS connection too
-    registerSseClient(req.params.generation_id, res, { scanLines, status: internal });
-
-    // ✅ If already terminal, immediately emit DONE and close (prevents infinite "queued")
+    // ✅ Terminal => status + done to THIS connection, then close (prevents infinite "queued")
     const TERMINAL = new Set(["done", "error", "suggested"]);
-    if (TERMINAL.has(internal)) {
-      try {
-        sendStatus(req.params.generation_id, internal);
-        sendDone(req.params.generation_id, internal);
-      } catch {}
+    const terminal = TERMINAL.has(internal);
+
+    // Last-Event-ID (EventSource reconnect) or ?lastEventId= (manual reconnect)
+    const lastEventId = String(req.get("last-event-id") || req.query?.lastEventId || "");
+
+    registerSseClient(req.params.generation_id, res, { scanLines, status: internal, variants, lastEventId, terminal });
+
+    if (terminal) {
       try {
         res.end();
       } catch {}
-      return;
     }
-
-    const keepAlive = setInterval(() => {
-      try {
-        res.write(`:keepalive\n\n`);
-      } catch {}
-    }, 25000);
-
-    res.on("close", () => clearInterval(keepAlive));
   } catch (err) {
     console.error("[mma] stream error", err);
     try {
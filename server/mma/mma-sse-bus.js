@@ -0,0 +1,114 @@
+// ./server/mma/mma-sse-bus.js
+// Pub/sub backends for the MMA SSE hub (cross-instance fan-out).
+// - memory (default): single process; the hub already delivered locally, publish is a no-op
+// - postgres: LISTEN/NOTIFY on MMA_SSE_PG_CHANNEL
+//   needs a session-mode connection (direct or session pooler, NOT the transaction pooler):
+//   MMA_SSE_PG_URL || SUPABASE_DB_URL || DATABASE_URL
+//
+// Bus interface: { kind, publish(message) -> Promise, close() -> Promise }
+
+// =========================
+// Config (edit here)
+// =========================
+const PG_CHANNEL = String(process.env.MMA_SSE_PG_CHANNEL || "mma_sse").replace(/[^a-z0-9_]/gi, "_");
+const PG_RECONNECT_MS = Number(process.env.MMA_SSE_PG_RECONNECT_MS || 5000);
+const PG_MAX_PAYLOAD = 7900; // NOTIFY payload limit is 8000 bytes
+
+function pgConnectionString() {
+  return String(
+    process.env.MMA_SSE_PG_URL || process.env.SUPABASE_DB_URL || process.env.DATABASE_URL || ""
+  ).trim();
+}
+
+// =========================
+// memory
+// =========================
+function createMemoryBus() {
+  return {
+    kind: "memory",
+    publish: async () => {},
+    close: async () => {},
+  };
+}
+
+// =========================
+// postgres (LISTEN/NOTIFY)
+// =========================
+async function createPostgresBus({ onMessage }) {
+  const connectionString = pgConnectionString();
+  if (!connectionString) throw new Error("MMA_SSE_PG_URL_MISSING");
+
+  // optional dependency: only loaded when this backend is selected
+  const { default: pg } = await import("pg");
+
+  let client = null;
+  let closed = false;
+  let reconnectTimer = null;
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect().catch((e) => {
+        console.error("[mma-sse] postgres bus reconnect failed", e?.message || e);
+        scheduleReconnect();
+      });
+    }, PG_RECONNECT_MS);
+    reconnectTimer.unref?.();
+  };
+
+  const connect = async () => {
+    const next = new pg.Client({ connectionString });
+
+    next.on("notification", (n) => {
+      if (n?.channel !== PG_CHANNEL || !n.payload) return;
+      try {
+        onMessage(JSON.parse(n.payload));
+      } catch {}
+    });
+
+    next.on("error", (e) => {
+      console.error("[mma-sse] postgres bus error", e?.message || e);
+      if (client === next) client = null;
+      next.end().catch(() => {});
+      scheduleReconnect();
+    });
+
+    await next.connect();
+    await next.query(`LISTEN ${PG_CHANNEL}`);
+    client = next;
+  };
+
+  await connect();
+
+  return {
+    kind: "postgres",
+
+    publish: async (message) => {
+      const payload = JSON.stringify(message);
+      if (Buffer.byteLength(payload) > PG_MAX_PAYLOAD) {
+        console.warn("[mma-sse] event too large for NOTIFY, delivered locally only", message?.e);
+        return;
+      }
+      if (!client) return; // reconnecting: local delivery still happened
+      await client.query("select pg_notify($1, $2)", [PG_CHANNEL, payload]);
+    },
+
+    close: async () => {
+      closed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      const c = client;
+      client = null;
+      if (c) await c.end().catch(() => {});
+    },
+  };
+}
+
+// =========================
+// Public API
+// =========================
+export async function createSseBus({ kind, onMessage }) {
+  const k = String(kind || "memory").toLowerCase();
+  if (k === "postgres" || k === "pg") return createPostgresBus({ onMessage });
+  return createMemoryBus();
+}
@@ -1,6 +1,13 @@
 // ./server/mma/mma-sse.js
-// Part 4: Tiny in-memory SSE hub for MMA streams
+// Part 4: Tiny SSE hub for MMA streams
 // Part 4.1: Manages per-generation subscribers and forwards pipeline events.
+// Part 4.2: Events fan out across instances through a pub/sub bus (./mma-sse-bus.js),
+//           carry SSE ids, and are buffered so a reconnect with Last-Event-ID replays
+//           exactly what was missed.
+
+import crypto from "node:crypto";
+
+import { createSseBus } from "./mma-sse-bus.js";
 
 // -----------------------------------------------------------------------------
 // Event names
@@ -8,15 +15,31 @@
 const EVENT_SCAN_LINE = "scan_line";
 const EVENT_STATUS = "status";
 const EVENT_DONE = "done";
+const EVENT_VARIANT = "variant";
 
 // -----------------------------------------------------------------------------
-// In-memory hub state
+// Config (edit here)
+// -----------------------------------------------------------------------------
+const SSE_BUS = process.env.MMA_SSE_BUS || "memory"; // memory | postgres
+const SSE_HEARTBEAT_MS = Number(process.env.MMA_SSE_HEARTBEAT_MS || 15000);
+const SSE_RETRY_MS = Number(process.env.MMA_SSE_RETRY_MS || 3000);
+const SSE_BUFFER_EVENTS = Number(process.env.MMA_SSE_BUFFER_EVENTS || 200); // per generation
+const SSE_BUFFER_STREAMS = Number(process.env.MMA_SSE_BUFFER_STREAMS || 300); // generations kept without clients
+
+const INSTANCE_ID = crypto.randomUUID();
+
+// -----------------------------------------------------------------------------
+// Hub state
 // -----------------------------------------------------------------------------
 /**
- * streams: Map<generationId, { clients:Set<res>, nextLineIndex:number }>
+ * streams: Map<generationId, { clients:Set<res>, nextLineIndex:number, events:Array<{id,event,data}> }>
+ * Map order doubles as LRU order (touchStream re-inserts).
  */
 const streams = new Map();
 
+let bus = null;
+let eventSeq = 0;
+
 function safeWrite(res, chunk) {
   try {
     res.write(chunk);
@@ -26,20 +49,42 @@ function safeWrite(res, chunk) {
   }
 }
 
-function writeEvent(res, event, data) {
-  // SSE frame: event + data + blank line
+function writeEvent(res, event, data, id = null) {
+  // SSE frame: [id] + event + data + blank line
+  if (id && !safeWrite(res, `id: ${id}\n`)) return false;
   if (!safeWrite(res, `event: ${event}\n`)) return false;
   if (!safeWrite(res, `data: ${JSON.stringify(data)}\n\n`)) return false;
   return true;
 }
 
+function nextEventId() {
+  // unique across instances, ordered within the publishing instance
+  eventSeq += 1;
+  return `${Date.now().toString(36)}-${eventSeq.toString(36)}-${INSTANCE_ID.slice(0, 8)}`;
+}
+
 function ensureStream(generationId) {
   if (!streams.has(generationId)) {
-    streams.set(generationId, { clients: new Set(), nextLineIndex: 0 });
+    streams.set(generationId, { clients: new Set(), nextLineIndex: 0, events: [] });
+    evictIdleStreams();
   }
   return streams.get(generationId);
 }
 
+function touchStream(generationId, stream) {
+  streams.delete(generationId);
+  streams.set(generationId, stream);
+}
+
+function evictIdleStreams() {
+  if (streams.size <= SSE_BUFFER_STREAMS) return;
+
+  for (const [id, s] of streams) {
+    if (streams.size <= SSE_BUFFER_STREAMS) break;
+    if (!s.clients.size) streams.delete(id);
+  }
+}
+
 function normalizeScanLine(stream, line) {
   // Accept string or object; always return { index, text }
   if (typeof line === "string") {
@@ -61,45 +106,121 @@ function normalizeScanLine(stream, line) {
   return { ...obj, index, text };
 }
 
+// Buffer + write to local clients (events from this instance or from the bus)
+function deliver(generationId, { id, event, data }) {
+  const stream = ensureStream(generationId);
+  touchStream(generationId, stream);
+
+  if (id) {
+    stream.events.push({ id, event, data });
+    if (stream.events.length > SSE_BUFFER_EVENTS) stream.events.splice(0, stream.events.length - SSE_BUFFER_EVENTS);
+  }
+
+  if (event === EVENT_SCAN_LINE && Number.isFinite(data?.index)) {
+    stream.nextLineIndex = Math.max(stream.nextLineIndex, Number(data.index) + 1);
+  }
+
+  // If a client write fails, drop it.
+  for (const res of Array.from(stream.clients)) {
+    const ok = writeEvent(res, event, data, id);
+    if (!ok) stream.clients.delete(res);
+  }
+}
+
+function onBusMessage(message) {
+  if (!message || message.o === INSTANCE_ID || !message.g || !message.e) return;
+  deliver(String(message.g), { id: message.i || null, event: String(message.e), data: message.d ?? {} });
+}
+
 // -----------------------------------------------------------------------------
 // Public API
 // -----------------------------------------------------------------------------
-export function addSseClient(generationId, res, { scanLines = [], status = "queued" } = {}) {
+export async function startSseBus() {
+  if (bus) return bus;
+
+  try {
+    bus = await createSseBus({ kind: SSE_BUS, onMessage: onBusMessage });
+  } catch (e) {
+    console.error(`[mma-sse] ${SSE_BUS} bus unavailable, falling back to memory`, e?.message || e);
+    bus = await createSseBus({ kind: "memory", onMessage: onBusMessage });
+  }
+
+  console.log(`[mma-sse] bus: ${bus.kind}`);
+  return bus;
+}
+
+/**
+ * Subscribe `res` to a generation stream.
+ * - lastEventId found in the buffer => replay only the events after it
+ * - otherwise => bootstrap from the stored row (scanLines / variants / status)
+ * - terminal => write status + done to THIS client only (caller ends the response)
+ */
+export function addSseClient(
+  generationId,
+  res,
+  { scanLines = [], status = "queued", variants = [], lastEventId = "", terminal = false } = {}
+) {
   const stream = ensureStream(generationId);
-  stream.clients.add(res);
+  touchStream(generationId, stream);
 
-  // Replay stored scan lines on connect (and set nextLineIndex correctly)
-  const lines = Array.isArray(scanLines) ? scanLines : [];
-  for (const line of lines) {
-    const payload =
-      typeof line === "string"
-        ? normalizeScanLine(stream, line)
-        : normalizeScanLine(stream, line); // normalizes + advances counter
-    writeEvent(res, EVENT_SCAN_LINE, payload);
+  safeWrite(res, `retry: ${SSE_RETRY_MS}\n\n`);
+
+  const lastId = String(lastEventId || "").trim();
+  const resumeAt = lastId ? stream.events.findIndex((e) => e.id === lastId) : -1;
+
+  if (resumeAt >= 0) {
+    const missed = stream.events.slice(resumeAt + 1);
+    for (const e of missed) writeEvent(res, e.event, e.data, e.id);
+    if (terminal && !missed.some((e) => e.event === EVENT_DONE)) writeEvent(res, EVENT_DONE, { status: String(status || "") });
+    if (terminal) return { replayed: missed.length };
+  } else {
+    // Replay stored scan lines on connect (and set nextLineIndex correctly)
+    const lines = Array.isArray(scanLines) ? scanLines : [];
+    for (const line of lines) {
+      writeEvent(res, EVENT_SCAN_LINE, normalizeScanLine(stream, line)); // normalizes + advances counter
+    }
+
+    // Replay finished batch variants (still create with count > 1)
+    for (const v of Array.isArray(variants) ? variants : []) {
+      if (v && typeof v === "object" && v.status && v.status !== "queued") writeEvent(res, EVENT_VARIANT, v);
+    }
+
+    // Send initial status (pass-through)
+    writeEvent(res, EVENT_STATUS, { status: String(status || "") });
+
+    if (terminal) {
+      writeEvent(res, EVENT_DONE, { status: String(status || "") });
+      return { replayed: 0 };
+    }
   }
 
-  // Send initial status (pass-through)
-  writeEvent(res, EVENT_STATUS, { status: String(status || "") });
+  stream.clients.add(res);
+
+  // Heartbeat comments keep proxies from closing idle streams
+  const heartbeat = setInterval(() => {
+    if (!safeWrite(res, `: heartbeat ${Date.now()}\n\n`)) clearInterval(heartbeat);
+  }, SSE_HEARTBEAT_MS);
+  heartbeat.unref?.();
 
   res.on("close", () => {
+    clearInterval(heartbeat);
     const s = streams.get(generationId);
     if (!s) return;
     s.clients.delete(res);
-    if (s.clients.size === 0) streams.delete(generationId);
   });
+
+  return { replayed: resumeAt >= 0 ? stream.events.length - resumeAt - 1 : 0 };
 }
 
 export function sendSseEvent(generationId, event, data) {
-  const stream = streams.get(generationId);
-  if (!stream) return;
+  const id = nextEventId();
+  deliver(generationId, { id, event, data });
 
-  // If a client write fails, drop it.
-  for (const res of Array.from(stream.clients)) {
-    const ok = writeEvent(res, event, data);
-    if (!ok) stream.clients.delete(res);
+  if (bus) {
+    bus
+      .publish({ o: INSTANCE_ID, g: generationId, e: event, d: data, i: id })
+      .catch((e) => console.warn("[mma-sse] publish failed", e?.message || e));
   }
-
-  if (stream.clients.size === 0) streams.delete(generationId);
 }
 
 export function sendScanLine(generationId, line) {
@@ -115,3 +236,7 @@ export function sendStatus(generationId, status) {
 export function sendDone(generationId, status = "done") {
   sendSseEvent(generationId, EVENT_DONE, { status: String(status || "") });
 }
+
+export function sendVariant(generationId, variant) {
+  sendSseEvent(generationId, EVENT_VARIANT, variant && typeof variant === "object" ? variant : {});
+}
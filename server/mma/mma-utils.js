@@ -61,6 +61,41 @@ export function computePassId({ shopifyCustomerId, userId, email }) {
   return `pass:anon:${crypto.randomUUID()}`;
 }
 
+// -----------------------------------------------------------------------------
+// Brand kit (resolved by the controller from inputs.brand_kit_id)
+// - fills product / logo / style refs the request left empty (request wins)
+// - kit style refs are appended to the request's inspirations
+// (also used by the moderation pre-check, so it sees the same images the pipeline will)
+// -----------------------------------------------------------------------------
+export function withBrandKitAssets(assets, kit) {
+  if (!kit) return assets;
+
+  const out = { ...assets };
+  const hasProduct = !!(assets.productImageUrl || assets.product_image_url || assets.product_url);
+  const hasLogo = !!(assets.logoImageUrl || assets.logo_image_url || assets.logo_url);
+
+  if (!hasProduct && kit.product_image_urls?.[0]) out.product_image_url = kit.product_image_urls[0];
+  if (!hasLogo && kit.logo_urls?.[0]) out.logo_image_url = kit.logo_urls[0];
+
+  // every inspiration key is concatenated below, so appending to one is enough
+  const kitStyle = asArray(kit.style_image_urls);
+  if (kitStyle.length) out.inspiration_image_urls = asArray(assets.inspiration_image_urls).concat(kitStyle);
+
+  return out;
+}
+
+// snapshot kept on the generation (GPT context + history survive kit edits/deletes)
+function brandSnapshot(kit) {
+  if (!kit) return null;
+  return {
+    kit_id: kit.kit_id,
+    name: kit.name || null,
+    palette: asArray(kit.palette),
+    tone_of_voice: safeString(kit.tone_of_voice, ""),
+    banned_elements: asArray(kit.banned_elements),
+  };
+}
+
 // -----------------------------------------------------------------------------
 // Vars canonicalizer (single source of truth for pipelines)
 // -----------------------------------------------------------------------------
@@ -72,7 +107,10 @@ export function makeInitialVars({
   prompts = {},
   feedback = {},
   settings = {},
+  brandKit = null,
 } = {}) {
+  assets = withBrandKitAssets(assets, brandKit);
+
   // --------
   // Assets: URLs
   // --------
@@ -253,6 +291,9 @@ export function makeInitialVars({
       frame2_duration_sec: frame2DurationSec,
     },
 
+    // ✅ brand kit snapshot (palette, tone, banned elements) for GPT context
+    brand: brandSnapshot(brandKit),
+
     scans: {
       product_crt: null,
       logo_crt: null,
@@ -271,6 +312,8 @@ export function makeInitialVars({
       // ✅ canonical fields your controller reads
       brief,
 
+      brand_kit_id: brandKit?.kit_id || safeString(inputs.brand_kit_id || inputs.brandKitId, "") || null,
+
       // ✅ keep lane selection (this is what resolveStillLane() reads)
       still_lane: safeString(
         inputs.still_lane ||
@@ -306,6 +349,18 @@ export function makeInitialVars({
       start_image_url: asStrOrNull(inputs.start_image_url || inputs.startImageUrl) || startUrl,
       end_image_url: asStrOrNull(inputs.end_image_url || inputs.endImageUrl) || endUrl,
 
+      // ✅ still batch: N variants of the same brief ("same" prompt or "diverse" prompts)
+      variant_count:
+        inputs.variant_count ??
+        inputs.variantCount ??
+        inputs.count ??
+        inputs.variants ??
+        null,
+      variant_prompt_mode: safeString(
+        inputs.variant_prompt_mode || inputs.variantPromptMode || inputs.variant_mode || inputs.variantMode,
+        ""
+      ),
+
       // suggestion controls (video “Type for me”)
       type_for_me: !!typeForMe,
       suggest_only: !!suggestOnly,
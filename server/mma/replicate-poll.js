@@ -2,6 +2,7 @@
 // Replicate polling helper with hard timeout + last-chance fetch.
 // - Avoids replicate.run() hanging forever.
 // - Stores predictionId so you can recover later.
+// - detach: return right after the create (a webhook / job recovery finishes the prediction).
 
 "use strict";
 
@@ -37,6 +38,10 @@ export async function replicatePredictWithTimeout({
   pollMs = 2500,
   callTimeoutMs = 15000,
   cancelOnTimeout = false,
+  onCreated = null,
+  webhook = "",
+  webhookEventsFilter = null,
+  detach = false,
 }) {
   if (!replicate) throw new Error("REPLICATE_CLIENT_MISSING");
   if (!version) throw new Error("REPLICATE_VERSION_MISSING");
@@ -54,6 +59,14 @@ export async function replicatePredictWithTimeout({
     ? { version, input }
     : { model: version, input };
 
+  // completion webhook (POST /webhooks/replicate); polling below becomes the fallback
+  if (webhook) {
+    createPayload.webhook = webhook;
+    if (Array.isArray(webhookEventsFilter) && webhookEventsFilter.length) {
+      createPayload.webhook_events_filter = webhookEventsFilter;
+    }
+  }
+
   let created;
   created = await withTimeout(
     replicate.predictions.create(createPayload),
@@ -64,6 +77,27 @@ export async function replicatePredictWithTimeout({
   const predictionId = created?.id || "";
   let last = created;
 
+  // persist the id before polling so a restart can resume this prediction
+  if (predictionId && typeof onCreated === "function") {
+    try {
+      await onCreated(predictionId);
+    } catch {
+      // never fail the render because the id could not be saved
+    }
+  }
+
+  // detached: the caller parks and someone else (webhook / recovery) reads the result
+  const createdStatus = String(created?.status || "");
+  if (detach && predictionId && !["succeeded", "failed", "canceled"].includes(createdStatus)) {
+    return {
+      predictionId,
+      prediction: created,
+      timedOut: false,
+      elapsedMs: Date.now() - t0,
+      detached: true,
+    };
+  }
+
   // 2) poll
   while (true) {
     const status = String(last?.status || "");
@@ -0,0 +1,218 @@
+// ./server/pass-identity.js
+// Signed pass identity: the server no longer trusts a bare X-Mina-Pass-Id on spending/history routes.
+// - anonymous passes carry a server-issued HMAC token (X-Mina-Pass-Token, POST /auth/pass-token)
+// - pass:user:<id> is only accepted with the matching Supabase JWT
+// - other passes (shopify/email) are accepted with a token or when linked to the JWT user in mega_customers
+// - an API key (server/api-keys.js) proves its own pass
+//
+// PASS_IDENTITY_MODE:
+//   off     => no checks
+//   log     => violations are logged, requests go through (migration)
+//   enforce => violations are rejected with 401 PASS_UNVERIFIED
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../supabase.js";
+
+// =========================
+// Config (edit here)
+// =========================
+const PASS_TOKEN_SECRET = process.env.PASS_TOKEN_SECRET || "";
+const TOKEN_VERSION = "v1";
+
+export const PASS_IDENTITY_MODE = (() => {
+  const raw = String(process.env.PASS_IDENTITY_MODE || "").trim().toLowerCase();
+  if (raw === "off" || raw === "log" || raw === "enforce") return raw;
+  return PASS_TOKEN_SECRET ? "log" : "off";
+})();
+
+// =========================
+// Helpers
+// =========================
+function safeString(v, fallback = "") {
+  if (v === null || v === undefined) return fallback;
+  const s = String(v).trim();
+  return s ? s : fallback;
+}
+
+// Anonymous passes are stored both as "pass:anon:<uuid>" and legacy "<uuid>": sign one form
+function canonicalPassId(raw) {
+  const s = safeString(raw, "");
+  if (!s) return "";
+  return s.startsWith("pass:") ? s : `pass:anon:${s}`;
+}
+
+function isUserPass(passId) {
+  return canonicalPassId(passId).startsWith("pass:user:");
+}
+
+export function isAnonPassId(passId) {
+  return canonicalPassId(passId).startsWith("pass:anon:");
+}
+
+function sign(passId) {
+  return crypto.createHmac("sha256", PASS_TOKEN_SECRET).update(`pass:${canonicalPassId(passId)}`, "utf8").digest("base64url");
+}
+
+function readPassToken(req) {
+  return safeString(
+    req?.get?.("X-Mina-Pass-Token") || req?.query?.passToken || req?.body?.passToken || req?.body?.pass_token,
+    ""
+  );
+}
+
+// Every pass a request names (path /pass/:id, then the body / query keys resolvePassId reads
+// (mega-db.js), then the header). Routes read them in different orders, so each one must be
+// provable. [] = none claimed.
+function claimedPasses(req) {
+  const body = req?.body && typeof req.body === "object" ? req.body : {};
+  const query = req?.query && typeof req.query === "object" ? req.query : {};
+  const pathPass = String(req?.path || "").match(/^\/pass\/([^/]+)/);
+
+  const raw = [
+    pathPass ? decodeURIComponent(pathPass[1]) : "",
+    body.customerId,
+    body.passId,
+    body.pass_id,
+    query.customerId,
+    query.passId,
+    query.pass_id,
+    req?.get?.("X-Mina-Pass-Id"),
+  ];
+
+  const out = [];
+  for (const v of raw) {
+    const passId = safeString(typeof v === "string" ? v : "", "");
+    const pid = canonicalPassId(passId);
+    if (pid && !out.some((c) => c.pid === pid)) out.push({ passId, pid });
+  }
+  return out;
+}
+
+export function claimedPassIds(req) {
+  return claimedPasses(req).map((c) => c.pid);
+}
+
+// The pass the guard proved for this request (as the caller sent it), "" when nothing was proved
+// (mode off / log, or no pass claimed). Routes that read a pass's own data use this, not the raw inputs.
+export function verifiedPassIdOf(req) {
+  return safeString(req?.verifiedPassId, "");
+}
+
+// =========================
+// Tokens
+// =========================
+export function passTokensEnabled() {
+  return !!PASS_TOKEN_SECRET;
+}
+
+export function issuePassToken(passId) {
+  if (!PASS_TOKEN_SECRET) throw new Error("PASS_TOKEN_SECRET_MISSING");
+  const pid = canonicalPassId(passId);
+  if (!pid) throw new Error("PASS_ID_REQUIRED");
+  if (isUserPass(pid)) throw new Error("USER_PASS_NEEDS_JWT");
+  return `${TOKEN_VERSION}.${sign(pid)}`;
+}
+
+export function verifyPassToken(passId, token) {
+  if (!PASS_TOKEN_SECRET) return false;
+
+  const [version, sig] = safeString(token, "").split(".");
+  if (version !== TOKEN_VERSION || !sig) return false;
+
+  const expected = Buffer.from(sign(passId));
+  const got = Buffer.from(sig);
+  return expected.length === got.length && crypto.timingSafeEqual(expected, got);
+}
+
+async function isLinkedToUser(passId, authUser) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !authUser?.userId) return false;
+
+  const canonical = canonicalPassId(passId);
+  const forms = isAnonPassId(canonical) ? [canonical, canonical.slice("pass:anon:".length)] : [canonical];
+
+  const { data, error } = await supabase
+    .from("mega_customers")
+    .select("mg_pass_id, mg_user_id, mg_email")
+    .in("mg_pass_id", forms)
+    .limit(2);
+
+  if (error) throw error;
+  return (data || []).some(
+    (r) => r.mg_user_id === authUser.userId || (authUser.email && String(r.mg_email || "").toLowerCase() === authUser.email)
+  );
+}
+
+/**
+ * Decide whether a request may act as passId.
+ * Returns { ok, via } or { ok: false, reason }.
+ */
+export async function checkPassIdentity({ passId, token = "", authUser = null, apiKey = null }) {
+  const pid = canonicalPassId(passId);
+  if (!pid) return { ok: true, via: "none" };
+
+  if (apiKey?.passId && canonicalPassId(apiKey.passId) === pid) return { ok: true, via: "api_key" };
+
+  if (isUserPass(pid)) {
+    if (authUser?.userId && pid === `pass:user:${authUser.userId}`) return { ok: true, via: "jwt" };
+    return { ok: false, reason: authUser?.userId ? "USER_PASS_JWT_MISMATCH" : "USER_PASS_NEEDS_JWT" };
+  }
+
+  if (token && verifyPassToken(pid, token)) return { ok: true, via: "token" };
+  if (authUser?.email && pid === `pass:email:${authUser.email}`) return { ok: true, via: "jwt" };
+  if (authUser?.userId && (await isLinkedToUser(pid, authUser))) return { ok: true, via: "jwt_linked" };
+
+  return { ok: false, reason: token ? "PASS_TOKEN_INVALID" : "PASS_UNSIGNED" };
+}
+
+/**
+ * Express guard for spending/history mounts.
+ * getAuthUser(req) -> { userId, email } | null (server.js owns the Supabase JWT check)
+ */
+export function passIdentityGuard({ getAuthUser, label = "" }) {
+  return async (req, res, next) => {
+    if (PASS_IDENTITY_MODE === "off" || req.method === "OPTIONS") return next();
+
+    const claimed = claimedPasses(req);
+    if (!claimed.length) return next();
+    const passIds = claimed.map((c) => c.pid);
+
+    try {
+      const authUser = await getAuthUser(req);
+      const token = readPassToken(req);
+
+      let out = { ok: true };
+      let passId = "";
+      for (passId of passIds) {
+        out = await checkPassIdentity({ passId, token, authUser, apiKey: req.apiKey });
+        if (!out.ok) break;
+      }
+      if (out.ok) {
+        req.verifiedPassId = claimed[0].passId;
+        return next();
+      }
+
+      if (PASS_IDENTITY_MODE === "log") {
+        console.warn("[pass-identity] violation (log mode)", {
+          route: label || req.baseUrl,
+          method: req.method,
+          path: req.path,
+          passId,
+          reason: out.reason,
+          userId: authUser?.userId || null,
+          ip: req.ip,
+        });
+        return next();
+      }
+
+      const requestId = `pass_${Date.now()}_${crypto.randomUUID()}`;
+      return res.status(401).json({ ok: false, requestId, error: "PASS_UNVERIFIED", reason: out.reason });
+    } catch (e) {
+      console.error("[pass-identity] check failed", e?.message || e);
+      if (PASS_IDENTITY_MODE === "log") return next();
+
+      const requestId = `pass_${Date.now()}_${crypto.randomUUID()}`;
+      return res.status(500).json({ ok: false, requestId, error: "PASS_CHECK_FAILED" });
+    }
+  };
+}
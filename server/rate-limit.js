@@ -0,0 +1,277 @@
+// ./server/rate-limit.js
+// Token-bucket rate limiting + in-flight caps for MMA, fingertips and the download proxy.
+// - per-route policies (Config below): buckets keyed by pass and/or IP, optional in-flight cap per pass
+// - MMA in-flight = active credit holds of the pass (shared across instances via Postgres)
+// - fingertips in-flight = its generations still queued / rendering (background jobs, shared via Postgres)
+// - source "requests" = requests currently running (store slots, released on response end)
+// - passes with mega_customers.mg_admin_allowlist = true skip the per-pass limits (pass buckets, in-flight),
+//   only once the pass is proved (pass identity guard / API key); per-IP buckets always apply
+// - over the limit => 429 { error: "RATE_LIMITED" } + Retry-After
+//
+// Store interface (memory by default, setRateLimitStore() for a shared one, e.g. Redis):
+// {
+//   kind,
+//   take(key, { capacity, refillPerSec, cost }) -> { allowed, remaining, retryAfterSec }
+//   acquire(key, { limit, ttlMs }) -> { allowed, current }
+//   release(key) -> void
+// }
+
+import crypto from "node:crypto";
+import { getSupabaseAdmin } from "../supabase.js";
+import { verifiedPassIdOf } from "./pass-identity.js";
+
+// =========================
+// Config (edit here)
+// =========================
+function envNum(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const RATE_LIMIT_ENABLED = String(process.env.RATE_LIMIT_ENABLED || "1") !== "0";
+const ALLOWLIST_TTL_MS = envNum("RATE_LIMIT_ALLOWLIST_TTL_MS", 60000);
+const INFLIGHT_RETRY_SEC = envNum("RATE_LIMIT_INFLIGHT_RETRY_SEC", 10);
+const SLOT_TTL_MS = envNum("RATE_LIMIT_SLOT_TTL_MS", 10 * 60 * 1000);
+
+// perMinute = bucket capacity, refilled evenly over a minute
+export const RATE_LIMIT_POLICIES = {
+  mma_create: {
+    buckets: [
+      { by: "pass", perMinute: envNum("RATE_MMA_CREATES_PER_MIN", 10) },
+      { by: "ip", perMinute: envNum("RATE_MMA_CREATES_PER_MIN_IP", 30) },
+    ],
+    inFlight: { limit: envNum("RATE_MMA_INFLIGHT_PER_PASS", 4), source: "holds" },
+  },
+  fingertips_generate: {
+    buckets: [
+      { by: "pass", perMinute: envNum("RATE_FINGERTIPS_PER_MIN", 20) },
+      { by: "ip", perMinute: envNum("RATE_FINGERTIPS_PER_MIN_IP", 60) },
+    ],
+    inFlight: { limit: envNum("RATE_FINGERTIPS_INFLIGHT_PER_PASS", 2), source: "generations", mode: "fingertips" },
+  },
+  public_download: {
+    buckets: [{ by: "ip", perMinute: envNum("RATE_DOWNLOADS_PER_MIN_IP", 60) }],
+  },
+};
+
+// =========================
+// memory store
+// =========================
+export function createMemoryRateStore({ maxKeys = 50000 } = {}) {
+  const buckets = new Map(); // key -> { tokens, at }
+  const slots = new Map(); // key -> [expiresAt, ...]
+
+  const sweep = () => {
+    if (buckets.size + slots.size < maxKeys) return;
+    const now = Date.now();
+    for (const [k, b] of buckets) if (now - b.at > 10 * 60 * 1000) buckets.delete(k);
+    for (const [k, list] of slots) {
+      const live = list.filter((t) => t > now);
+      if (live.length) slots.set(k, live);
+      else slots.delete(k);
+    }
+  };
+
+  return {
+    kind: "memory",
+
+    async take(key, { capacity, refillPerSec, cost = 1 }) {
+      sweep();
+      const now = Date.now();
+      const prev = buckets.get(key) || { tokens: capacity, at: now };
+      const tokens = Math.min(capacity, prev.tokens + ((now - prev.at) / 1000) * refillPerSec);
+
+      if (tokens >= cost) {
+        buckets.set(key, { tokens: tokens - cost, at: now });
+        return { allowed: true, remaining: Math.floor(tokens - cost), retryAfterSec: 0 };
+      }
+
+      buckets.set(key, { tokens, at: now });
+      const wait = refillPerSec > 0 ? (cost - tokens) / refillPerSec : 60;
+      return { allowed: false, remaining: 0, retryAfterSec: Math.max(1, Math.ceil(wait)) };
+    },
+
+    // slots expire on their own so a lost release never locks a pass out
+    async acquire(key, { limit, ttlMs = SLOT_TTL_MS }) {
+      sweep();
+      const now = Date.now();
+      const live = (slots.get(key) || []).filter((t) => t > now);
+
+      if (live.length >= limit) {
+        slots.set(key, live);
+        return { allowed: false, current: live.length };
+      }
+
+      live.push(now + ttlMs);
+      slots.set(key, live);
+      return { allowed: true, current: live.length };
+    },
+
+    async release(key) {
+      const live = (slots.get(key) || []).sort((a, b) => a - b);
+      live.shift();
+      if (live.length) slots.set(key, live);
+      else slots.delete(key);
+    },
+  };
+}
+
+let store = createMemoryRateStore();
+
+export function setRateLimitStore(next) {
+  if (!next || typeof next.take !== "function" || typeof next.acquire !== "function" || typeof next.release !== "function") {
+    throw new Error("RATE_LIMIT_STORE_INVALID");
+  }
+  store = next;
+}
+
+// =========================
+// Helpers
+// =========================
+const allowlistCache = new Map(); // passId -> { value, at }
+
+async function isAllowlistedPass(passId) {
+  if (!passId) return false;
+
+  const cached = allowlistCache.get(passId);
+  if (cached && Date.now() - cached.at < ALLOWLIST_TTL_MS) return cached.value;
+
+  let value = false;
+  try {
+    const supabase = getSupabaseAdmin();
+    if (supabase) {
+      const { data } = await supabase
+        .from("mega_customers")
+        .select("mg_admin_allowlist")
+        .eq("mg_pass_id", passId)
+        .maybeSingle();
+      value = data?.mg_admin_allowlist === true;
+    }
+  } catch (e) {
+    console.warn("[rate-limit] allowlist check failed", e?.message || e);
+  }
+
+  if (allowlistCache.size > 10000) allowlistCache.clear();
+  allowlistCache.set(passId, { value, at: Date.now() });
+  return value;
+}
+
+// Generations of this pass still rendering = its active credit holds
+async function countHeldGenerations(passId) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !passId) return 0;
+
+  const { count, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id", { count: "exact", head: true })
+    .eq("mg_record_type", "mma_hold")
+    .eq("mg_pass_id", passId)
+    .eq("mg_status", "held");
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Generations of this pass (one mode) still queued / rendering as background jobs.
+// Fingertips recipe steps / bulk items count through their container (one slot per recipe / bulk run).
+async function countActiveGenerations(passId, mode) {
+  const supabase = getSupabaseAdmin();
+  if (!supabase || !passId) return 0;
+
+  const { count, error } = await supabase
+    .from("mega_generations")
+    .select("mg_id", { count: "exact", head: true })
+    .eq("mg_record_type", "generation")
+    .eq("mg_pass_id", passId)
+    .eq("mg_mma_mode", mode)
+    .in("mg_mma_status", ["queued", "prompting", "generating"])
+    .is("mg_mma_vars->recipe_step", null)
+    .is("mg_mma_vars->bulk_item", null);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+function defaultPassIdOf(req) {
+  return String(req.body?.passId || req.body?.pass_id || req.get("X-Mina-Pass-Id") || "").trim();
+}
+
+// The allowlist is only looked up for a pass someone proved: a raw header / body pass could be anyone's
+function provedPassIdOf(req) {
+  return verifiedPassIdOf(req) || String(req.apiKey?.passId || "").trim();
+}
+
+function tooMany(res, { policy, reason, retryAfterSec }) {
+  const requestId = `rate_${Date.now()}_${crypto.randomUUID()}`;
+  res.set("Retry-After", String(retryAfterSec));
+  return res.status(429).json({ ok: false, requestId, error: "RATE_LIMITED", policy, reason, retryAfter: retryAfterSec });
+}
+
+/**
+ * Express middleware for one policy.
+ * Mount it after the pass id middleware so req.body.passId is the normalized pass.
+ */
+export function rateLimit(policyName, { passIdOf = defaultPassIdOf } = {}) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) throw new Error(`RATE_LIMIT_POLICY_UNKNOWN: ${policyName}`);
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next();
+
+    const passId = passIdOf(req);
+    const ip = String(req.ip || "");
+    const perPass = (policy.buckets || []).some((b) => b.by === "pass") || !!policy.inFlight;
+
+    try {
+      // allowlisted passes skip the per-pass limits only, never an IP bucket
+      const allowlisted = perPass && (await isAllowlistedPass(provedPassIdOf(req)));
+
+      for (const bucket of policy.buckets || []) {
+        if (allowlisted && bucket.by !== "ip") continue;
+        const id = bucket.by === "ip" ? ip : passId;
+        if (!id || !(bucket.perMinute > 0)) continue;
+
+        const out = await store.take(`${policyName}:${bucket.by}:${id}`, {
+          capacity: bucket.perMinute,
+          refillPerSec: bucket.perMinute / 60,
+        });
+        if (!out.allowed) {
+          return tooMany(res, { policy: policyName, reason: `${bucket.by}_rate`, retryAfterSec: out.retryAfterSec });
+        }
+      }
+
+      const inFlight = policy.inFlight;
+      if (allowlisted || !inFlight || !passId || !(inFlight.limit > 0)) return next();
+
+      if (inFlight.source === "holds" || inFlight.source === "generations") {
+        const current =
+          inFlight.source === "holds" ? await countHeldGenerations(passId) : await countActiveGenerations(passId, inFlight.mode);
+        if (current >= inFlight.limit) {
+          return tooMany(res, { policy: policyName, reason: "in_flight", retryAfterSec: INFLIGHT_RETRY_SEC });
+        }
+        return next();
+      }
+
+      const slotKey = `${policyName}:inflight:${passId}`;
+      const slot = await store.acquire(slotKey, { limit: inFlight.limit });
+      if (!slot.allowed) {
+        return tooMany(res, { policy: policyName, reason: "in_flight", retryAfterSec: INFLIGHT_RETRY_SEC });
+      }
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        Promise.resolve(store.release(slotKey)).catch(() => {});
+      };
+      res.on("finish", release);
+      res.on("close", release);
+
+      return next();
+    } catch (e) {
+      // a broken limiter must not take the API down
+      console.error("[rate-limit] check failed", policyName, e?.message || e);
+      return next();
+    }
+  };
+}
@@ -0,0 +1,124 @@
+// ./server/zip-writer.js
+// Minimal ZIP writer (STORE only, no compression): generated images / videos are already compressed.
+// - files are added one at a time from complete buffers (CRC is known before the local header)
+// - bytes go to an async sink(chunk) as they are produced (e.g. an R2 multipart upload), nothing is kept
+//   in memory but the central directory
+// - classic ZIP, no ZIP64: 4 GB / 65535 files max, ZIP_TOO_LARGE past that
+
+// =========================
+// CRC-32 (IEEE)
+// =========================
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// =========================
+// Helpers
+// =========================
+const MAX_BYTES = 0xffffffff;
+const MAX_FILES = 0xffff;
+const FLAG_UTF8_NAMES = 0x0800;
+
+function dosDateTime(date) {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(1980, d.getFullYear());
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    day: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+function zipTooLarge() {
+  const err = new Error("ZIP_TOO_LARGE");
+  err.code = "ZIP_TOO_LARGE";
+  return err;
+}
+
+// =========================
+// Writer
+// =========================
+export function createZipWriter(sink) {
+  const entries = [];
+  let offset = 0;
+
+  const emit = async (buf) => {
+    await sink(buf);
+    offset += buf.length;
+  };
+
+  return {
+    async addFile(name, data, { date = new Date() } = {}) {
+      const nameBuf = Buffer.from(String(name || "file"), "utf8");
+      const body = Buffer.isBuffer(data) ? data : Buffer.from(data || []);
+
+      if (entries.length >= MAX_FILES || offset + 30 + nameBuf.length + body.length > MAX_BYTES) throw zipTooLarge();
+
+      const crc = crc32(body);
+      const { time, day } = dosDateTime(date);
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0); // local file header
+      header.writeUInt16LE(20, 4); // version needed
+      header.writeUInt16LE(FLAG_UTF8_NAMES, 6);
+      header.writeUInt16LE(0, 8); // method: store
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(day, 12);
+      header.writeUInt32LE(crc, 14);
+      header.writeUInt32LE(body.length, 18); // compressed size
+      header.writeUInt32LE(body.length, 22); // uncompressed size
+      header.writeUInt16LE(nameBuf.length, 26);
+      header.writeUInt16LE(0, 28); // extra length
+
+      entries.push({ nameBuf, crc, size: body.length, offset, time, day });
+
+      await emit(Buffer.concat([header, nameBuf]));
+      await emit(body);
+    },
+
+    async finish() {
+      const start = offset;
+
+      for (const e of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0); // central directory header
+        header.writeUInt16LE(20, 4); // version made by
+        header.writeUInt16LE(20, 6); // version needed
+        header.writeUInt16LE(FLAG_UTF8_NAMES, 8);
+        header.writeUInt16LE(0, 10); // method: store
+        header.writeUInt16LE(e.time, 12);
+        header.writeUInt16LE(e.day, 14);
+        header.writeUInt32LE(e.crc, 16);
+        header.writeUInt32LE(e.size, 20);
+        header.writeUInt32LE(e.size, 24);
+        header.writeUInt16LE(e.nameBuf.length, 28);
+        // extra, comment, disk, internal + external attrs stay 0
+        header.writeUInt32LE(e.offset, 42);
+
+        if (offset + 46 + e.nameBuf.length + 22 > MAX_BYTES) throw zipTooLarge();
+        await emit(Buffer.concat([header, e.nameBuf]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0); // end of central directory
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await emit(end);
+
+      return { bytes: offset, files: entries.length };
+    },
+  };
+}
@@ -0,0 +1,74 @@
+-- =========================================================
+-- MEGA-only API keys (3 tables only)
+-- Date: 2026-10-19
+--
+-- Per-account API keys for scripts / DAM integrations.
+-- One row per key in the ledger table:
+--   mg_record_type = 'api_key', mg_id = 'api_key:<key_id>', mg_pass_id = owner
+--   mg_status      = 'active' | 'revoked'
+--   mg_title       = label
+--   mg_meta        = { key_hash, key_prefix, scopes[], created_by,
+--                      revoked_at, revoked_by,
+--                      usage: { total, scopes: { "<scope>": n }, last_used_at } }
+-- Only the sha256 of the secret is stored; the full key is shown once at creation.
+-- =========================================================
+
+-- Owner listing
+create index if not exists mega_generations_api_keys_pass
+  on public.mega_generations (mg_pass_id, mg_created_at desc)
+  where mg_record_type = 'api_key';
+
+-- ---------------------------------------------------------
+-- Count one authenticated request against a key.
+-- Atomic jsonb increment so parallel requests don't lose counts.
+-- ---------------------------------------------------------
+create or replace function public.mega_touch_api_key(
+  p_key_id text,
+  p_scope text default null
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  v_count integer;
+  v_meta jsonb;
+  v_usage jsonb;
+  v_scopes jsonb;
+begin
+  select coalesce(g.mg_meta, '{}'::jsonb)
+    into v_meta
+    from public.mega_generations g
+   where g.mg_id = 'api_key:' || p_key_id
+     and g.mg_record_type = 'api_key'
+     and g.mg_status = 'active'
+   for update;
+
+  if not found then
+    return false;
+  end if;
+
+  v_usage := case when jsonb_typeof(v_meta->'usage') = 'object' then v_meta->'usage' else '{}'::jsonb end;
+  v_scopes := case when jsonb_typeof(v_usage->'scopes') = 'object' then v_usage->'scopes' else '{}'::jsonb end;
+
+  if coalesce(p_scope, '') <> '' then
+    v_scopes := v_scopes || jsonb_build_object(p_scope, coalesce((v_scopes->>p_scope)::bigint, 0) + 1);
+  end if;
+
+  v_usage := v_usage || jsonb_build_object(
+    'total', coalesce((v_usage->>'total')::bigint, 0) + 1,
+    'scopes', v_scopes,
+    'last_used_at', now()
+  );
+
+  update public.mega_generations
+     set mg_meta = v_meta || jsonb_build_object('usage', v_usage),
+         mg_updated_at = now()
+   where mg_id = 'api_key:' || p_key_id
+     and mg_record_type = 'api_key';
+
+  get diagnostics v_count = row_count;
+  return v_count > 0;
+end;
+$$;
+
+revoke all on function public.mega_touch_api_key(text, text) from public, anon, authenticated;
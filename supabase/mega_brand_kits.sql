@@ -0,0 +1,19 @@
+-- =========================================================
+-- MEGA-only brand kits (3 tables only)
+-- Date: 2026-10-19
+--
+-- Saved brand assets per pass, expanded by MMA create via inputs.brand_kit_id.
+-- One row per kit in the ledger table:
+--   mg_record_type = 'brand_kit', mg_id = 'brand_kit:<uuid>', mg_pass_id = owner
+--   mg_status      = 'active' | 'deleted'
+--   mg_title       = kit name
+--   mg_meta        = { logo_urls[], product_image_urls[], style_image_urls[],
+--                      palette[] ("#rrggbb"), tone_of_voice, banned_elements[],
+--                      deleted_at }
+-- Generations keep a snapshot in mg_mma_vars.brand, so deleting a kit never changes history.
+-- =========================================================
+
+-- Owner listing
+create index if not exists mega_generations_brand_kits_pass
+  on public.mega_generations (mg_pass_id, mg_created_at desc)
+  where mg_record_type = 'brand_kit';
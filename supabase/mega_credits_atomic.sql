@@ -0,0 +1,453 @@
+-- =========================================================
+-- MEGA-only atomic credit ledger (3 tables only)
+-- Date: 2026-10-19
+--
+-- Moves the read -> compute -> write of mg_credits into Postgres so that
+-- parallel MMA charges, fingertips refills and Shopify grants can no longer
+-- lose updates. Called from mega-db.js via supabase.rpc(...).
+--
+-- Also holds credit reservations (mg_record_type = 'mma_hold'):
+--   hold (request time) -> capture (success) | release (error / timeout)
+-- available = mg_credits - sum(active holds)
+-- =========================================================
+
+-- 1) Idempotency: one ledger row per (mg_ref_type, mg_ref_id)
+--
+-- Legacy rows may share a ref (e.g. old admin adjustments used the admin
+-- user id as ref). Keep the oldest row as-is and suffix the others with their
+-- own mg_id so the unique index can be built. Balances are not touched.
+with dups as (
+  select
+    mg_id,
+    row_number() over (
+      partition by mg_ref_type, mg_ref_id
+      order by mg_created_at asc, mg_id asc
+    ) as rn
+  from public.mega_generations
+  where mg_record_type = 'credit_transaction'
+    and mg_ref_type is not null
+    and mg_ref_id is not null
+)
+update public.mega_generations g
+   set mg_ref_id = g.mg_ref_id || '#' || g.mg_id
+  from dups
+ where dups.mg_id = g.mg_id
+   and dups.rn > 1;
+
+create unique index if not exists mega_generations_credit_ref_uniq
+  on public.mega_generations (mg_ref_type, mg_ref_id)
+  where mg_record_type = 'credit_transaction'
+    and mg_ref_type is not null
+    and mg_ref_id is not null;
+
+create index if not exists mega_generations_active_holds
+  on public.mega_generations (mg_pass_id)
+  where mg_record_type = 'mma_hold'
+    and mg_status = 'held';
+
+-- Sum of active (held, not yet expired) reservations for a pass
+create or replace function public.mega_held_credits(
+  p_pass_id text
+)
+returns integer
+language sql
+stable
+as $$
+  select coalesce(sum(-g.mg_delta), 0)::integer
+  from public.mega_generations g
+  where g.mg_record_type = 'mma_hold'
+    and g.mg_status = 'held'
+    and g.mg_pass_id = p_pass_id
+    and coalesce((g.mg_meta->>'expires_at')::timestamptz, 'infinity'::timestamptz) > now();
+$$;
+
+-- 2) Adjust balance + write ledger row in ONE transaction
+--
+-- - Locks the customer row (for update) so concurrent calls serialize.
+-- - Duplicate ref => no balance change, already_applied = true.
+-- - p_require_balance => debit is rejected (insufficient = true) instead of
+--   being clamped at 0, and no ledger row is written. Active holds count as
+--   spent here, so a direct debit can never eat credits reserved by a hold.
+-- - Rolling expiry on positive grants: max(current, event_at + expire_days).
+create or replace function public.mega_adjust_credits(
+  p_pass_id text,
+  p_delta integer,
+  p_reason text default null,
+  p_source text default null,
+  p_ref_type text default null,
+  p_ref_id text default null,
+  p_event_at timestamptz default now(),
+  p_tx_id text default null,
+  p_expire_days integer default 30,
+  p_require_balance boolean default false
+)
+returns table (
+  credits_before integer,
+  credits_after integer,
+  expires_at timestamptz,
+  already_applied boolean,
+  insufficient boolean
+)
+language plpgsql
+as $$
+declare
+  v_before integer;
+  v_after integer;
+  v_expiry timestamptz;
+  v_next_expiry timestamptz;
+  v_has_ref boolean := coalesce(p_ref_type, '') <> '' and coalesce(p_ref_id, '') <> '';
+  v_tx_id text := coalesce(p_tx_id, 'credit_transaction:' || gen_random_uuid()::text);
+  v_ts timestamptz := now();
+  v_inserted integer;
+begin
+  select coalesce(c.mg_credits, 0), c.mg_expires_at
+    into v_before, v_expiry
+  from public.mega_customers c
+  where c.mg_pass_id = p_pass_id
+  for update;
+
+  if not found then
+    raise exception 'CUSTOMER_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  -- Duplicate ref: report current balance, change nothing
+  if v_has_ref and exists (
+    select 1 from public.mega_generations g
+    where g.mg_record_type = 'credit_transaction'
+      and g.mg_ref_type = p_ref_type
+      and g.mg_ref_id = p_ref_id
+  ) then
+    return query select v_before, v_before, v_expiry, true, false;
+    return;
+  end if;
+
+  if p_require_balance and p_delta < 0
+     and v_before - public.mega_held_credits(p_pass_id) + p_delta < 0 then
+    return query select v_before, v_before, v_expiry, false, true;
+    return;
+  end if;
+
+  v_after := greatest(0, v_before + p_delta);
+
+  v_next_expiry := v_expiry;
+  if p_delta > 0 then
+    v_next_expiry := greatest(
+      coalesce(v_expiry, '-infinity'::timestamptz),
+      coalesce(p_event_at, v_ts) + make_interval(days => coalesce(p_expire_days, 30))
+    );
+  end if;
+
+  insert into public.mega_generations (
+    mg_id, mg_record_type, mg_pass_id, mg_delta, mg_reason, mg_source,
+    mg_ref_type, mg_ref_id, mg_status, mg_meta, mg_payload,
+    mg_event_at, mg_created_at, mg_updated_at
+  )
+  values (
+    v_tx_id, 'credit_transaction', p_pass_id, p_delta, p_reason, p_source,
+    case when v_has_ref then p_ref_type else null end,
+    case when v_has_ref then p_ref_id else null end,
+    'succeeded',
+    jsonb_build_object(
+      'credits_before', v_before,
+      'credits_after', v_after,
+      'expires_at', v_next_expiry
+    ),
+    null,
+    coalesce(p_event_at, v_ts), v_ts, v_ts
+  )
+  on conflict (mg_ref_type, mg_ref_id)
+    where mg_record_type = 'credit_transaction'
+      and mg_ref_type is not null
+      and mg_ref_id is not null
+  do nothing;
+
+  get diagnostics v_inserted = row_count;
+
+  -- Lost the race on the same ref (another tx committed it first)
+  if v_inserted = 0 then
+    return query select v_before, v_before, v_expiry, true, false;
+    return;
+  end if;
+
+  update public.mega_customers
+     set mg_credits = v_after,
+         mg_expires_at = v_next_expiry,
+         mg_last_active = v_ts,
+         mg_updated_at = v_ts
+   where mg_pass_id = p_pass_id;
+
+  return query select v_before, v_after, v_next_expiry, false, false;
+end;
+$$;
+
+-- 3) Expire credits atomically (used by megaGetCredits)
+--
+-- Re-checks expiry under the row lock so a grant that lands at the same
+-- moment (and extends mg_expires_at) is never zeroed out.
+create or replace function public.mega_expire_credits(
+  p_pass_id text
+)
+returns table (
+  credits integer,
+  expires_at timestamptz,
+  expired boolean
+)
+language plpgsql
+as $$
+declare
+  v_credits integer;
+  v_expiry timestamptz;
+  v_ts timestamptz := now();
+begin
+  select coalesce(c.mg_credits, 0), c.mg_expires_at
+    into v_credits, v_expiry
+  from public.mega_customers c
+  where c.mg_pass_id = p_pass_id
+  for update;
+
+  if not found then
+    return query select 0, null::timestamptz, false;
+    return;
+  end if;
+
+  if v_credits <= 0 or v_expiry is null or v_expiry > v_ts then
+    return query select v_credits, v_expiry, false;
+    return;
+  end if;
+
+  insert into public.mega_generations (
+    mg_id, mg_record_type, mg_pass_id, mg_delta, mg_reason, mg_source,
+    mg_ref_type, mg_ref_id, mg_status, mg_meta, mg_payload,
+    mg_event_at, mg_created_at, mg_updated_at
+  )
+  values (
+    'credit_transaction:' || gen_random_uuid()::text, 'credit_transaction', p_pass_id,
+    -v_credits, 'expired', 'system',
+    'expiration', 'exp:' || p_pass_id || ':' || v_expiry::text,
+    'succeeded',
+    jsonb_build_object('credits_before', v_credits, 'credits_after', 0, 'expires_at', v_expiry),
+    null,
+    v_ts, v_ts, v_ts
+  )
+  on conflict (mg_ref_type, mg_ref_id)
+    where mg_record_type = 'credit_transaction'
+      and mg_ref_type is not null
+      and mg_ref_id is not null
+  do nothing;
+
+  update public.mega_customers
+     set mg_credits = 0,
+         mg_updated_at = v_ts
+   where mg_pass_id = p_pass_id;
+
+  return query select 0, v_expiry, true;
+end;
+$$;
+
+-- 4) Reservations
+--
+-- Place a hold: row lock + available check, one hold row per p_hold_id.
+create or replace function public.mega_place_credit_hold(
+  p_pass_id text,
+  p_hold_id text,
+  p_amount integer,
+  p_generation_id text default null,
+  p_reason text default null,
+  p_ttl_seconds integer default 3600
+)
+returns table (
+  credits integer,
+  held integer,
+  available integer,
+  already_held boolean,
+  insufficient boolean
+)
+language plpgsql
+as $$
+declare
+  v_credits integer;
+  v_held integer;
+  v_ts timestamptz := now();
+begin
+  select coalesce(c.mg_credits, 0)
+    into v_credits
+  from public.mega_customers c
+  where c.mg_pass_id = p_pass_id
+  for update;
+
+  if not found then
+    raise exception 'CUSTOMER_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  -- Expired holds of this pass are released lazily here
+  update public.mega_generations
+     set mg_status = 'released',
+         mg_meta = coalesce(mg_meta, '{}'::jsonb)
+           || jsonb_build_object('released_at', v_ts, 'release_reason', 'expired'),
+         mg_updated_at = v_ts
+   where mg_record_type = 'mma_hold'
+     and mg_status = 'held'
+     and mg_pass_id = p_pass_id
+     and (mg_meta->>'expires_at')::timestamptz <= v_ts;
+
+  v_held := public.mega_held_credits(p_pass_id);
+
+  if exists (select 1 from public.mega_generations g where g.mg_id = p_hold_id) then
+    return query select v_credits, v_held, greatest(0, v_credits - v_held), true, false;
+    return;
+  end if;
+
+  if v_credits - v_held < p_amount then
+    return query select v_credits, v_held, greatest(0, v_credits - v_held), false, true;
+    return;
+  end if;
+
+  insert into public.mega_generations (
+    mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_delta, mg_reason, mg_source,
+    mg_status, mg_meta, mg_payload, mg_event_at, mg_created_at, mg_updated_at
+  )
+  values (
+    p_hold_id, 'mma_hold', p_pass_id, p_generation_id, -p_amount, p_reason, 'mma',
+    'held',
+    jsonb_build_object(
+      'amount', p_amount,
+      'expires_at', v_ts + make_interval(secs => coalesce(p_ttl_seconds, 3600))
+    ),
+    null,
+    v_ts, v_ts, v_ts
+  );
+
+  return query select v_credits, v_held + p_amount, greatest(0, v_credits - v_held - p_amount), false, false;
+end;
+$$;
+
+-- Capture: turn the hold into a real ledger debit (same tx).
+-- p_amount may differ from the held amount (final cost known at the end).
+-- If the hold is gone (released / never placed) the debit still happens but
+-- must be covered by the available balance.
+create or replace function public.mega_capture_credit_hold(
+  p_hold_id text,
+  p_pass_id text,
+  p_amount integer,
+  p_reason text default null,
+  p_source text default null,
+  p_ref_type text default null,
+  p_ref_id text default null,
+  p_tx_id text default null,
+  p_expire_days integer default 30
+)
+returns table (
+  credits_before integer,
+  credits_after integer,
+  expires_at timestamptz,
+  already_applied boolean,
+  insufficient boolean,
+  hold_status text
+)
+language plpgsql
+as $$
+declare
+  v_status text;
+  v_expires_at timestamptz;
+  v_ts timestamptz := now();
+  r record;
+begin
+  -- Customer lock first (same order as every other credit function)
+  perform 1 from public.mega_customers c where c.mg_pass_id = p_pass_id for update;
+
+  select g.mg_status, (g.mg_meta->>'expires_at')::timestamptz into v_status, v_expires_at
+  from public.mega_generations g
+  where g.mg_id = p_hold_id
+    and g.mg_record_type = 'mma_hold'
+  for update;
+
+  -- An expired hold no longer reserves anything (mega_held_credits skips it):
+  -- release it like mega_place_credit_hold does, so the debit below needs the balance
+  if v_status = 'held' and v_expires_at <= v_ts then
+    update public.mega_generations
+       set mg_status = 'released',
+           mg_meta = coalesce(mg_meta, '{}'::jsonb)
+             || jsonb_build_object('released_at', v_ts, 'release_reason', 'expired'),
+           mg_updated_at = v_ts
+     where mg_id = p_hold_id;
+    v_status := 'released';
+  end if;
+
+  -- Release the hold BEFORE debiting so it doesn't count against itself
+  if v_status = 'held' then
+    update public.mega_generations
+       set mg_status = 'capturing', mg_updated_at = v_ts
+     where mg_id = p_hold_id;
+  end if;
+
+  select * into r
+  from public.mega_adjust_credits(
+    p_pass_id, -abs(p_amount), p_reason, p_source, p_ref_type, p_ref_id,
+    v_ts, p_tx_id, p_expire_days, v_status is distinct from 'held'
+  );
+
+  if v_status is not null then
+    update public.mega_generations
+       set mg_status = case
+             when r.insufficient then v_status
+             else 'captured'
+           end,
+           mg_meta = coalesce(mg_meta, '{}'::jsonb)
+             || case
+                  when r.insufficient then '{}'::jsonb
+                  else jsonb_build_object(
+                    'captured_at', v_ts,
+                    'captured_amount', abs(p_amount),
+                    'ref_type', p_ref_type,
+                    'ref_id', p_ref_id
+                  )
+                end,
+           mg_updated_at = v_ts
+     where mg_id = p_hold_id;
+  end if;
+
+  return query select r.credits_before, r.credits_after, r.expires_at, r.already_applied, r.insufficient,
+    case when r.insufficient then v_status else 'captured' end;
+end;
+$$;
+
+-- Release: drop the reservation, no ledger row at all.
+create or replace function public.mega_release_credit_hold(
+  p_hold_id text,
+  p_reason text default null
+)
+returns table (
+  released boolean,
+  hold_status text
+)
+language plpgsql
+as $$
+declare
+  v_ts timestamptz := now();
+  v_count integer;
+  v_status text;
+begin
+  update public.mega_generations
+     set mg_status = 'released',
+         mg_meta = coalesce(mg_meta, '{}'::jsonb)
+           || jsonb_build_object('released_at', v_ts, 'release_reason', p_reason),
+         mg_updated_at = v_ts
+   where mg_id = p_hold_id
+     and mg_record_type = 'mma_hold'
+     and mg_status = 'held';
+
+  get diagnostics v_count = row_count;
+
+  select g.mg_status into v_status from public.mega_generations g where g.mg_id = p_hold_id;
+
+  return query select v_count > 0, v_status;
+end;
+$$;
+
+-- Only the service role (server) may move credits.
+revoke all on function public.mega_adjust_credits(text, integer, text, text, text, text, timestamptz, text, integer, boolean) from public, anon, authenticated;
+revoke all on function public.mega_expire_credits(text) from public, anon, authenticated;
+revoke all on function public.mega_held_credits(text) from public, anon, authenticated;
+revoke all on function public.mega_place_credit_hold(text, text, integer, text, text, integer) from public, anon, authenticated;
+revoke all on function public.mega_capture_credit_hold(text, text, integer, text, text, text, text, text, integer) from public, anon, authenticated;
+revoke all on function public.mega_release_credit_hold(text, text) from public, anon, authenticated;
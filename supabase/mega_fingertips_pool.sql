@@ -0,0 +1,274 @@
+-- =========================================================
+-- MEGA-only fingertips pool ledger (3 tables only)
+-- Date: 2026-10-19
+--
+-- The fractional matcha pool of fingertips used to be a number inside
+-- mg_mma_preferences (fingertips_pool), read -> computed -> written back from
+-- Node: two parallel edits lost a draw, and any preference write could reset it.
+--
+-- Now:
+--   mega_customers.mg_fingertips_pool_units   balance, fixed point (1 matcha = 1000 units)
+--   mega_generations mg_record_type = 'fingertips_pool_tx'   one row per pool move
+--     mg_delta = units (+ refill / refund / migrated, - draw)
+--     mg_ref_type = fingertips_pool_refill | fingertips_pool_draw | fingertips_pool_refund | fingertips_pool_migration
+--     mg_ref_id   = fingertips:<generation_id> (one of each per generation)
+-- Draws and refunds lock the customer row first, same order as mega_adjust_credits.
+-- Re-running this file is safe (it also sweeps pools written by an older build).
+-- =========================================================
+
+alter table if exists public.mega_customers
+  add column if not exists mg_fingertips_pool_units integer not null default 0;
+
+create unique index if not exists mega_generations_pool_tx_ref_uniq
+  on public.mega_generations (mg_ref_type, mg_ref_id)
+  where mg_record_type = 'fingertips_pool_tx';
+
+create index if not exists mega_generations_pool_tx_pass_created
+  on public.mega_generations (mg_pass_id, mg_created_at)
+  where mg_record_type = 'fingertips_pool_tx';
+
+-- 1) Move mg_mma_preferences.fingertips_pool into the column (+ an opening ledger row)
+with src as (
+  select
+    c.mg_pass_id,
+    coalesce(c.mg_fingertips_pool_units, 0) as units_before,
+    greatest(0, round(coalesce((c.mg_mma_preferences->>'fingertips_pool')::numeric, 0) * 1000))::integer as units
+  from public.mega_customers c
+  where c.mg_mma_preferences ? 'fingertips_pool'
+  for update
+),
+moved as (
+  update public.mega_customers c
+     set mg_fingertips_pool_units = src.units_before + src.units,
+         mg_mma_preferences = c.mg_mma_preferences - 'fingertips_pool',
+         mg_updated_at = now()
+    from src
+   where c.mg_pass_id = src.mg_pass_id
+  returning src.mg_pass_id, src.units_before, src.units
+)
+insert into public.mega_generations (
+  mg_id, mg_record_type, mg_pass_id, mg_delta, mg_reason, mg_source,
+  mg_ref_type, mg_ref_id, mg_status, mg_meta, mg_payload,
+  mg_event_at, mg_created_at, mg_updated_at
+)
+select
+  'fingertips_pool_tx:' || gen_random_uuid()::text, 'fingertips_pool_tx', m.mg_pass_id,
+  m.units, 'fingertips_pool_migrated', 'fingertips',
+  'fingertips_pool_migration', 'migration:' || m.mg_pass_id || ':' || now()::text,
+  'succeeded',
+  jsonb_build_object('pool_before_units', m.units_before, 'pool_after_units', m.units_before + m.units),
+  null,
+  now(), now(), now()
+from moved m
+where m.units > 0;
+
+-- 2) Draw: refill 1 matcha when the pool is short, then take the cost
+--
+-- - duplicate draw ref (or a charge made before this ledger) => already_applied, nothing moves
+-- - the refill debits 1 matcha through mega_adjust_credits (ref fingertips_charge, as
+--   before), so held credits count as spent; not enough => insufficient, nothing moves
+create or replace function public.mega_fingertips_pool_draw(
+  p_pass_id text,
+  p_ref_id text,
+  p_cost_units integer,
+  p_generation_id text default null,
+  p_model_key text default null,
+  p_expire_days integer default 30
+)
+returns table (
+  pool_before integer,
+  pool_after integer,
+  matchas_deducted integer,
+  already_applied boolean,
+  insufficient boolean,
+  credits_available integer
+)
+language plpgsql
+as $$
+declare
+  v_start integer;
+  v_pool integer;
+  v_matchas integer := 0;
+  v_ts timestamptz := now();
+  r record;
+begin
+  select coalesce(c.mg_fingertips_pool_units, 0)
+    into v_start
+  from public.mega_customers c
+  where c.mg_pass_id = p_pass_id
+  for update;
+
+  if not found then
+    raise exception 'CUSTOMER_NOT_FOUND' using errcode = 'P0002';
+  end if;
+
+  v_pool := v_start;
+
+  if exists (
+    select 1 from public.mega_generations g
+    where g.mg_ref_id = p_ref_id
+      and ((g.mg_record_type = 'fingertips_pool_tx' and g.mg_ref_type = 'fingertips_pool_draw')
+        or (g.mg_record_type = 'credit_transaction' and g.mg_ref_type = 'fingertips_charge'))
+  ) then
+    return query select v_start, v_start, 0, true, false, null::integer;
+    return;
+  end if;
+
+  if v_pool < p_cost_units then
+    select * into r
+    from public.mega_adjust_credits(
+      p_pass_id, -1, 'fingertips_pool_refill', 'fingertips', 'fingertips_charge', p_ref_id,
+      v_ts, null, p_expire_days, true
+    );
+
+    if r.insufficient then
+      return query select v_start, v_start, 0, false, true,
+        greatest(0, r.credits_before - public.mega_held_credits(p_pass_id));
+      return;
+    end if;
+
+    insert into public.mega_generations (
+      mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_delta, mg_reason, mg_source,
+      mg_ref_type, mg_ref_id, mg_status, mg_meta, mg_payload,
+      mg_event_at, mg_created_at, mg_updated_at
+    )
+    values (
+      'fingertips_pool_tx:' || gen_random_uuid()::text, 'fingertips_pool_tx', p_pass_id, p_generation_id,
+      1000, 'fingertips_pool_refill', 'fingertips',
+      'fingertips_pool_refill', p_ref_id, 'succeeded',
+      jsonb_build_object(
+        'pool_before_units', v_pool,
+        'pool_after_units', v_pool + 1000,
+        'matchas', 1,
+        'credits_before', r.credits_before,
+        'credits_after', r.credits_after
+      ),
+      null,
+      v_ts, v_ts, v_ts
+    );
+
+    v_pool := v_pool + 1000;
+    v_matchas := 1;
+  end if;
+
+  insert into public.mega_generations (
+    mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_delta, mg_reason, mg_source,
+    mg_ref_type, mg_ref_id, mg_status, mg_meta, mg_payload,
+    mg_event_at, mg_created_at, mg_updated_at
+  )
+  values (
+    'fingertips_pool_tx:' || gen_random_uuid()::text, 'fingertips_pool_tx', p_pass_id, p_generation_id,
+    -p_cost_units, 'fingertips_pool_draw', 'fingertips',
+    'fingertips_pool_draw', p_ref_id, 'succeeded',
+    jsonb_build_object(
+      'pool_before_units', v_pool,
+      'pool_after_units', v_pool - p_cost_units,
+      'model_key', p_model_key
+    ),
+    null,
+    v_ts, v_ts, v_ts
+  );
+
+  update public.mega_customers
+     set mg_fingertips_pool_units = v_pool - p_cost_units,
+         mg_updated_at = v_ts
+   where mg_pass_id = p_pass_id;
+
+  return query select v_start, v_pool - p_cost_units, v_matchas, false, false, null::integer;
+end;
+$$;
+
+-- 3) Refund: give the drawn units back to the pool (once per ref)
+--
+-- A charge made before this ledger has no draw row: p_legacy_units is refunded
+-- instead, unless the old code already wrote its fingertips_refund marker.
+create or replace function public.mega_fingertips_pool_refund(
+  p_pass_id text,
+  p_ref_id text,
+  p_legacy_units integer default 0,
+  p_generation_id text default null,
+  p_model_key text default null
+)
+returns table (
+  refunded_units integer,
+  pool_after integer,
+  already_applied boolean
+)
+language plpgsql
+as $$
+declare
+  v_pool integer;
+  v_units integer;
+  v_ts timestamptz := now();
+begin
+  select coalesce(c.mg_fingertips_pool_units, 0)
+    into v_pool
+  from public.mega_customers c
+  where c.mg_pass_id = p_pass_id
+  for update;
+
+  if not found then
+    return query select 0, 0, false;
+    return;
+  end if;
+
+  if exists (
+    select 1 from public.mega_generations g
+    where g.mg_ref_id = p_ref_id
+      and ((g.mg_record_type = 'fingertips_pool_tx' and g.mg_ref_type = 'fingertips_pool_refund')
+        or (g.mg_record_type = 'credit_transaction' and g.mg_ref_type = 'fingertips_refund'))
+  ) then
+    return query select 0, v_pool, true;
+    return;
+  end if;
+
+  select -g.mg_delta into v_units
+  from public.mega_generations g
+  where g.mg_record_type = 'fingertips_pool_tx'
+    and g.mg_ref_type = 'fingertips_pool_draw'
+    and g.mg_ref_id = p_ref_id;
+
+  if v_units is null and exists (
+    select 1 from public.mega_generations g
+    where g.mg_record_type = 'credit_transaction'
+      and g.mg_ref_type = 'fingertips_charge'
+      and g.mg_ref_id = p_ref_id
+  ) then
+    v_units := greatest(0, coalesce(p_legacy_units, 0));
+  end if;
+
+  -- never charged: nothing to give back
+  if coalesce(v_units, 0) <= 0 then
+    return query select 0, v_pool, false;
+    return;
+  end if;
+
+  insert into public.mega_generations (
+    mg_id, mg_record_type, mg_pass_id, mg_generation_id, mg_delta, mg_reason, mg_source,
+    mg_ref_type, mg_ref_id, mg_status, mg_meta, mg_payload,
+    mg_event_at, mg_created_at, mg_updated_at
+  )
+  values (
+    'fingertips_pool_tx:' || gen_random_uuid()::text, 'fingertips_pool_tx', p_pass_id, p_generation_id,
+    v_units, 'fingertips_pool_refund', 'fingertips',
+    'fingertips_pool_refund', p_ref_id, 'succeeded',
+    jsonb_build_object(
+      'pool_before_units', v_pool,
+      'pool_after_units', v_pool + v_units,
+      'model_key', p_model_key
+    ),
+    null,
+    v_ts, v_ts, v_ts
+  );
+
+  update public.mega_customers
+     set mg_fingertips_pool_units = v_pool + v_units,
+         mg_updated_at = v_ts
+   where mg_pass_id = p_pass_id;
+
+  return query select v_units, v_pool + v_units, false;
+end;
+$$;
+
+revoke all on function public.mega_fingertips_pool_draw(text, text, integer, text, text, integer) from public, anon, authenticated;
+revoke all on function public.mega_fingertips_pool_refund(text, text, integer, text, text) from public, anon, authenticated;
@@ -0,0 +1,17 @@
+-- =========================================================
+-- MEGA-only history trash (3 tables only)
+-- Date: 2026-10-19
+--
+-- DELETE /history/:id is a soft delete: it sets mg_deleted_at.
+-- POST /history/:id/restore clears it, and the purge job removes rows
+-- (plus their R2 outputs) once they have been in the trash for 30 days.
+-- credit_transaction rows are never soft- or hard-deleted by history.
+-- =========================================================
+
+alter table if exists public.mega_generations
+  add column if not exists mg_deleted_at timestamptz;
+
+-- Trash listing + purge scan
+create index if not exists mega_generations_deleted_at
+  on public.mega_generations (mg_deleted_at)
+  where mg_deleted_at is not null;
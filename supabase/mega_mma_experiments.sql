@@ -0,0 +1,43 @@
+-- =========================================================
+-- MEGA-only mma_ctx A/B experiments (3 tables only)
+-- Date: 2026-10-19
+--
+-- Experiment config lives in mega_admin as versioned app_config rows (no DDL needed):
+--   mg_id = 'app_config:mma_ctx_experiment.v<N>', mg_key = 'mma_ctx_experiment'
+--   mg_value = { version, enabled, experiment_id,
+--                arms: [{ arm, weight, ctx?: { <ctx key>: text }, ctx_key?: '<app_config key>' }] }
+--
+-- Generations rendered under an experiment carry:
+--   mg_meta.ctx_experiment = { experiment_id, version, arm }
+-- =========================================================
+
+-- Per-experiment report (GET /admin/mma/experiments/report)
+create index if not exists mega_generations_ctx_experiment
+  on public.mega_generations ((mg_meta->'ctx_experiment'->>'experiment_id'), mg_created_at)
+  where mg_record_type = 'generation' and mg_meta ? 'ctx_experiment';
+
+-- Stamp the arm on a request's generations (parent + batch children) in one statement.
+-- mg_meta is shared with other writers (api_key_id, job state, ...): merged in place,
+-- never read-modify-written from the API.
+create or replace function public.mega_stamp_ctx_experiment(
+  p_generation_ids text[],
+  p_assignment jsonb
+)
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  update public.mega_generations
+     set mg_meta = case when jsonb_typeof(mg_meta) = 'object' then mg_meta else '{}'::jsonb end
+                   || jsonb_build_object('ctx_experiment', p_assignment)
+   where mg_record_type = 'generation'
+     and mg_generation_id = any(p_generation_ids);
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+revoke all on function public.mega_stamp_ctx_experiment(text[], jsonb) from public, anon, authenticated;
@@ -0,0 +1,104 @@
+-- =========================================================
+-- MEGA-only durable MMA job queue (3 tables only)
+-- Date: 2026-10-19
+--
+-- MMA pipelines run as jobs (mg_record_type = 'mma_job',
+-- mg_id = 'mma_job:<generation_id>') instead of detached promises.
+-- Workers lease jobs with "for update skip locked", keep the lease alive
+-- with heartbeats, and an expired lease means the worker died: the next
+-- claim resumes (stored Replicate prediction / Kling task id) or refunds.
+--
+-- Job statuses: queued -> running -> done | dead
+-- =========================================================
+
+alter table if exists public.mega_generations
+  add column if not exists mg_lease_owner text,
+  add column if not exists mg_lease_until timestamptz,
+  add column if not exists mg_attempts integer not null default 0,
+  add column if not exists mg_run_after timestamptz;
+
+-- Claim scan: runnable queued jobs + running jobs whose lease expired
+create index if not exists mega_generations_mma_jobs_runnable
+  on public.mega_generations (mg_status, mg_run_after, mg_lease_until)
+  where mg_record_type = 'mma_job';
+
+-- ---------------------------------------------------------
+-- Claim up to p_limit jobs for p_worker.
+-- Increments mg_attempts; the caller decides run vs recover.
+-- ---------------------------------------------------------
+create or replace function public.mega_claim_mma_jobs(
+  p_worker text,
+  p_limit integer default 1,
+  p_lease_seconds integer default 90
+)
+returns table (
+  job_id text,
+  generation_id text,
+  pass_id text,
+  kind text,
+  payload jsonb,
+  attempts integer,
+  previous_status text,
+  meta jsonb,
+  created_at timestamptz
+)
+language plpgsql
+as $$
+declare
+  v_ts timestamptz := now();
+begin
+  return query
+  with picked as (
+    select g.mg_id, g.mg_status as prev_status
+    from public.mega_generations g
+    where g.mg_record_type = 'mma_job'
+      and (
+        (g.mg_status = 'queued' and coalesce(g.mg_run_after, v_ts) <= v_ts)
+        or (g.mg_status = 'running' and g.mg_lease_until < v_ts)
+      )
+    order by coalesce(g.mg_run_after, g.mg_created_at) asc
+    limit greatest(1, p_limit)
+    for update skip locked
+  )
+  update public.mega_generations g
+     set mg_status = 'running',
+         mg_lease_owner = p_worker,
+         mg_lease_until = v_ts + make_interval(secs => greatest(10, p_lease_seconds)),
+         mg_attempts = g.mg_attempts + 1,
+         mg_updated_at = v_ts
+    from picked
+   where g.mg_id = picked.mg_id
+  returning g.mg_id, g.mg_generation_id, g.mg_pass_id, g.mg_meta->>'kind', g.mg_payload,
+            g.mg_attempts, picked.prev_status, g.mg_meta, g.mg_created_at;
+end;
+$$;
+
+-- ---------------------------------------------------------
+-- Extend the lease. false => lease lost (another worker owns it now).
+-- ---------------------------------------------------------
+create or replace function public.mega_heartbeat_mma_job(
+  p_job_id text,
+  p_worker text,
+  p_lease_seconds integer default 90
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  update public.mega_generations
+     set mg_lease_until = now() + make_interval(secs => greatest(10, p_lease_seconds)),
+         mg_updated_at = now()
+   where mg_id = p_job_id
+     and mg_record_type = 'mma_job'
+     and mg_status = 'running'
+     and mg_lease_owner = p_worker;
+
+  get diagnostics v_count = row_count;
+  return v_count > 0;
+end;
+$$;
+
+revoke all on function public.mega_claim_mma_jobs(text, integer, integer) from public, anon, authenticated;
+revoke all on function public.mega_heartbeat_mma_job(text, text, integer) from public, anon, authenticated;
@@ -0,0 +1,16 @@
+-- =========================================================
+-- MEGA-only Kling task lookup (3 tables only)
+-- Date: 2026-10-19
+--
+-- Video pipelines save the Kling task id in mg_mma_vars.outputs as soon as
+-- Kling returns it (kling_prediction_id / kling_motion_control_prediction_id).
+-- POST /webhooks/kling matches callbacks on those keys.
+-- =========================================================
+
+create index if not exists mega_generations_kling_task_id
+  on public.mega_generations ((mg_mma_vars->'outputs'->>'kling_prediction_id'))
+  where mg_record_type = 'generation';
+
+create index if not exists mega_generations_kling_motion_task_id
+  on public.mega_generations ((mg_mma_vars->'outputs'->>'kling_motion_control_prediction_id'))
+  where mg_record_type = 'generation';
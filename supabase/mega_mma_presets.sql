@@ -0,0 +1,27 @@
+-- =========================================================
+-- MEGA-only MMA presets (3 tables only)
+-- Date: 2026-10-19
+--
+-- Named still-create presets selected with inputs.preset_id.
+--
+-- Global presets live in mega_admin as versioned app_config rows (no DDL needed):
+--   mg_id = 'app_config:mma.preset.<slug>.v<N>', mg_key = 'mma.preset.<slug>'
+--   mg_value = { version, enabled, name, description, aspect_ratio, still_lane,
+--                still_resolution, negative_prompt, style_hero_urls[], system_instructions }
+--
+-- Personal presets: one row per preset in the ledger table:
+--   mg_record_type = 'mma_preset', mg_id = 'mma_preset:<uuid>', mg_pass_id = owner
+--   mg_status      = 'active' | 'deleted'
+--   mg_title       = preset name
+--   mg_meta        = { version, fields: {...}, history: [{ version, fields, updated_at }] }
+-- =========================================================
+
+-- Owner listing
+create index if not exists mega_generations_mma_presets_pass
+  on public.mega_generations (mg_pass_id, mg_created_at desc)
+  where mg_record_type = 'mma_preset';
+
+-- Global preset lookup (latest version per key)
+create index if not exists mega_admin_app_config_key
+  on public.mega_admin (mg_key, mg_created_at desc)
+  where mg_record_type = 'app_config';
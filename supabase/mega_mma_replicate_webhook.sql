@@ -0,0 +1,39 @@
+-- =========================================================
+-- MEGA-only Replicate webhook lookup (3 tables only)
+-- Date: 2026-10-19
+--
+-- POST /webhooks/replicate only carries the prediction id.
+-- Jobs record their provider tasks in mg_meta.providers
+-- ({ "<generation_id>": { "provider": "replicate", "id": "<prediction_id>" } }),
+-- so the generation is found by scanning active mma_job rows.
+-- Requires supabase/mega_mma_jobs.sql
+-- =========================================================
+
+create or replace function public.mega_find_mma_job_by_provider_task(
+  p_provider text,
+  p_task_id text
+)
+returns table (
+  job_id text,
+  generation_id text,
+  pass_id text,
+  kind text,
+  job_status text
+)
+language sql
+stable
+as $$
+  select g.mg_id, p.key, g.mg_pass_id, g.mg_meta->>'kind', g.mg_status
+    from public.mega_generations g
+   cross join lateral jsonb_each(
+     case when jsonb_typeof(g.mg_meta->'providers') = 'object' then g.mg_meta->'providers' else '{}'::jsonb end
+   ) p
+   where g.mg_record_type = 'mma_job'
+     and g.mg_status in ('queued', 'running')
+     and p.value->>'provider' = p_provider
+     and p.value->>'id' = p_task_id
+   order by g.mg_created_at desc
+   limit 1;
+$$;
+
+revoke all on function public.mega_find_mma_job_by_provider_task(text, text) from public, anon, authenticated;
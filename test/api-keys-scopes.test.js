@@ -0,0 +1,77 @@
+// apiKeyAuth on /history: reads need history:read, delete / restore need history:write
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+import { startFakeWorld, waitFor } from "./helpers/fake-world.js";
+
+const KEY_ID = "0123456789abcdef";
+const SECRET = "s".repeat(40);
+const RAW = `mina_sk_${KEY_ID}_${SECRET}`;
+
+let world;
+let apiKeyAuth;
+
+before(async () => {
+  world = await startFakeWorld();
+  Object.assign(process.env, world.env());
+  world.rpcs.mega_touch_api_key = () => true;
+  ({ apiKeyAuth } = await import("../server/api-keys.js"));
+});
+
+after(async () => {
+  // the usage counter is fire-and-forget: let the last one land before closing
+  await waitFor(() => world.calls.filter((c) => c.path === "mega_touch_api_key").length >= 3, { label: "usage counters" });
+  await world?.close();
+});
+
+function seedKey(scopes) {
+  world.tables.mega_generations = [];
+  world.insert("mega_generations", {
+    mg_id: `api_key:${KEY_ID}`,
+    mg_record_type: "api_key",
+    mg_pass_id: "pass:test:key",
+    mg_status: "active",
+    mg_meta: { key_hash: crypto.createHash("sha256").update(SECRET, "utf8").digest("hex"), scopes },
+  });
+}
+
+// Same scope picker as the /history mount in server.js
+const historyAuth = () => apiKeyAuth((req) => (req.method === "GET" || req.method === "HEAD" ? "history:read" : "history:write"));
+
+function call(mw, method, path) {
+  return new Promise((resolve) => {
+    const req = { method, path, headers: { "x-mina-api-key": RAW }, query: {}, body: {}, get: (h) => (h === "X-Mina-Api-Key" ? RAW : undefined) };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    mw(req, res, () => resolve({ status: 200, next: true }));
+  });
+}
+
+test("a history:read key can list but not delete or restore", async () => {
+  seedKey(["history:read"]);
+  const mw = historyAuth();
+
+  assert.equal((await call(mw, "GET", "/pass/pass:test:key")).next, true);
+  assert.equal((await call(mw, "GET", "/trash")).next, true);
+
+  for (const [method, path] of [["DELETE", "/gen-1"], ["POST", "/gen-1/restore"]]) {
+    const r = await call(mw, method, path);
+    assert.equal(r.status, 403, `${method} ${path}`);
+    assert.deepEqual([r.body.error, r.body.scope], ["API_KEY_SCOPE_MISSING", "history:write"]);
+  }
+});
+
+test("a history:write key can delete", async () => {
+  seedKey(["history:read", "history:write"]);
+  assert.equal((await call(historyAuth(), "DELETE", "/gen-1")).next, true);
+});
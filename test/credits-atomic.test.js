@@ -0,0 +1,176 @@
+// Concurrency harness for supabase/mega_credits_atomic.sql: many calls at once on one pass,
+// each on its own connection, then the balance and the ledger must still add up.
+
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { SKIP_PG, creditsOf, inParallel, openMegaTestDb, seedCustomer } from "./helpers/mega-pg.js";
+
+const PARALLEL = 20;
+
+describe("mega credits (atomic)", { skip: SKIP_PG }, () => {
+  let pool;
+
+  before(async () => {
+    pool = await openMegaTestDb({ migrations: ["mega_credits_atomic.sql"], max: PARALLEL });
+  });
+
+  after(async () => {
+    await pool?.end();
+  });
+
+  const adjust = (passId, delta, { refType = null, refId = null, requireBalance = false } = {}) =>
+    pool
+      .query(
+        `select * from public.mega_adjust_credits($1, $2, 'test', 'test', $3, $4, now(), null, 30, $5)`,
+        [passId, delta, refType, refId, requireBalance]
+      )
+      .then((r) => r.rows[0]);
+
+  const placeHold = (passId, holdId, amount) =>
+    pool
+      .query(`select * from public.mega_place_credit_hold($1, $2, $3, null, 'test', 3600)`, [passId, holdId, amount])
+      .then((r) => r.rows[0]);
+
+  const captureHold = (holdId, passId, amount, refId) =>
+    pool
+      .query(
+        `select * from public.mega_capture_credit_hold($1, $2, $3, 'test', 'mma', 'mma_charge', $4, null, 30)`,
+        [holdId, passId, amount, refId]
+      )
+      .then((r) => r.rows[0]);
+
+  const releaseHold = (holdId) =>
+    pool.query(`select * from public.mega_release_credit_hold($1, 'test')`, [holdId]).then((r) => r.rows[0]);
+
+  const ledger = (passId) =>
+    pool
+      .query(
+        `select coalesce(sum(mg_delta), 0)::int as total, count(*)::int as rows
+           from public.mega_generations
+          where mg_record_type = 'credit_transaction' and mg_pass_id = $1`,
+        [passId]
+      )
+      .then((r) => r.rows[0]);
+
+  test("parallel grants are all applied", async () => {
+    await seedCustomer(pool, "pass:grants");
+
+    await inParallel(PARALLEL, (i) => adjust("pass:grants", 5, { refType: "test_grant", refId: `grant:${i}` }));
+
+    assert.equal(await creditsOf(pool, "pass:grants"), PARALLEL * 5);
+    assert.deepEqual(await ledger("pass:grants"), { total: PARALLEL * 5, rows: PARALLEL });
+  });
+
+  test("the same ref only applies once", async () => {
+    await seedCustomer(pool, "pass:dup");
+
+    const results = await inParallel(PARALLEL, () => adjust("pass:dup", 10, { refType: "shopify_order", refId: "order:1" }));
+
+    assert.equal(results.filter((r) => !r.already_applied).length, 1);
+    assert.equal(await creditsOf(pool, "pass:dup"), 10);
+    assert.deepEqual(await ledger("pass:dup"), { total: 10, rows: 1 });
+  });
+
+  test("parallel debits never overdraw with require_balance", async () => {
+    await seedCustomer(pool, "pass:debits", { credits: 7 });
+
+    const results = await inParallel(PARALLEL, (i) =>
+      adjust("pass:debits", -1, { refType: "mma_charge", refId: `debit:${i}`, requireBalance: true })
+    );
+
+    assert.equal(results.filter((r) => !r.insufficient).length, 7);
+    assert.equal(await creditsOf(pool, "pass:debits"), 0);
+    assert.deepEqual(await ledger("pass:debits"), { total: -7, rows: 7 });
+  });
+
+  test("parallel holds never reserve more than the balance", async () => {
+    await seedCustomer(pool, "pass:holds", { credits: 5 });
+
+    const results = await inParallel(PARALLEL, (i) => placeHold("pass:holds", `mma_hold:h${i}`, 1));
+
+    assert.equal(results.filter((r) => !r.insufficient).length, 5);
+    const { rows } = await pool.query(`select public.mega_held_credits('pass:holds') as held`);
+    assert.equal(rows[0].held, 5);
+    assert.equal(await creditsOf(pool, "pass:holds"), 5);
+  });
+
+  test("held credits can't be spent by a direct debit", async () => {
+    await seedCustomer(pool, "pass:reserved", { credits: 3 });
+    await placeHold("pass:reserved", "mma_hold:reserved", 2);
+
+    const results = await inParallel(4, (i) =>
+      adjust("pass:reserved", -1, { refType: "fingertips_charge", refId: `ft:${i}`, requireBalance: true })
+    );
+
+    assert.equal(results.filter((r) => !r.insufficient).length, 1);
+    assert.equal(await creditsOf(pool, "pass:reserved"), 2);
+  });
+
+  test("parallel captures of one hold debit once", async () => {
+    await seedCustomer(pool, "pass:capture", { credits: 4 });
+    await placeHold("pass:capture", "mma_hold:cap", 2);
+
+    await inParallel(PARALLEL, () => captureHold("mma_hold:cap", "pass:capture", 2, "mma:cap"));
+
+    assert.equal(await creditsOf(pool, "pass:capture"), 2);
+    assert.deepEqual(await ledger("pass:capture"), { total: -2, rows: 1 });
+    const { rows } = await pool.query(`select mg_status from public.mega_generations where mg_id = 'mma_hold:cap'`);
+    assert.equal(rows[0].mg_status, "captured");
+  });
+
+  test("capture racing release debits exactly once", async () => {
+    for (let i = 0; i < 10; i++) {
+      const passId = `pass:race${i}`;
+      const holdId = `mma_hold:race${i}`;
+      await seedCustomer(pool, passId, { credits: 1 });
+      await placeHold(passId, holdId, 1);
+
+      await Promise.all([captureHold(holdId, passId, 1, `mma:race${i}`), releaseHold(holdId)]);
+
+      const { rows } = await pool.query(`select mg_status from public.mega_generations where mg_id = $1`, [holdId]);
+      const status = rows[0].mg_status;
+      const credits = await creditsOf(pool, passId);
+
+      // released first => the capture still debits, against the (now free) balance
+      assert.equal(status, "captured");
+      assert.equal(credits, 0);
+      assert.deepEqual(await ledger(passId), { total: -1, rows: 1 });
+    }
+  });
+
+  test("an expired hold is not captured past the balance", async () => {
+    await seedCustomer(pool, "pass:expired", { credits: 1 });
+    await placeHold("pass:expired", "mma_hold:old", 1);
+    await pool.query(
+      `update public.mega_generations
+          set mg_meta = mg_meta || jsonb_build_object('expires_at', now() - interval '1 minute')
+        where mg_id = 'mma_hold:old'`
+    );
+
+    // the expired hold no longer reserves the credit: a direct debit spends it first
+    const spent = await adjust("pass:expired", -1, { refType: "fingertips_charge", refId: "ft:expired", requireBalance: true });
+    assert.equal(spent.insufficient, false);
+
+    const capture = await captureHold("mma_hold:old", "pass:expired", 1, "mma:old");
+    assert.equal(capture.insufficient, true);
+    assert.equal(await creditsOf(pool, "pass:expired"), 0);
+    assert.deepEqual(await ledger("pass:expired"), { total: -1, rows: 1 });
+
+    const { rows } = await pool.query(`select mg_status from public.mega_generations where mg_id = 'mma_hold:old'`);
+    assert.equal(rows[0].mg_status, "released");
+  });
+
+  test("a released hold frees its credits for the next hold", async () => {
+    await seedCustomer(pool, "pass:release", { credits: 2 });
+    await placeHold("pass:release", "mma_hold:r1", 2);
+
+    const blocked = await placeHold("pass:release", "mma_hold:r2", 2);
+    assert.equal(blocked.insufficient, true);
+
+    await inParallel(5, () => releaseHold("mma_hold:r1"));
+    const next = await placeHold("pass:release", "mma_hold:r3", 2);
+    assert.equal(next.insufficient, false);
+    assert.equal(await creditsOf(pool, "pass:release"), 2);
+  });
+});
@@ -0,0 +1,77 @@
+// Download proxy: IPv6 forms that embed an IPv4 address are checked as that address,
+// only our own R2 hosts are allowed, and nothing renderable is served from our origin
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { downloadContentType, handlePublicDownload, isPrivateIp } from "../server/download-proxy.js";
+
+test("private IPv4 behind NAT64, compatible, mapped, 6to4 and Teredo forms is refused", () => {
+  for (const ip of [
+    "64:ff9b::7f00:1",
+    "64:ff9b::127.0.0.1",
+    "64:ff9b::a9fe:a9fe", // 169.254.169.254
+    "::127.0.0.1",
+    "::7f00:1",
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "2002:7f00:1::",
+    "2002:a00:1::1",
+    "2001:0:4136:e378:8000:63bf:80ff:fffe", // Teredo client 127.0.0.1
+  ]) {
+    assert.equal(isPrivateIp(ip), true, ip);
+  }
+});
+
+test("plain private / reserved IPv6 is refused", () => {
+  for (const ip of ["::", "::1", "fc00::1", "fd12:3456::1", "fe80::1%eth0", "ff02::1", "64:ff9b:1::a00:1"]) {
+    assert.equal(isPrivateIp(ip), true, ip);
+  }
+});
+
+test("public addresses pass, including public IPv4 behind the same prefixes", () => {
+  for (const ip of ["8.8.8.8", "2606:4700::1111", "2a00:1450:4001:80b::200e", "64:ff9b::808:808", "::ffff:8.8.8.8", "2002:808:808::1"]) {
+    assert.equal(isPrivateIp(ip), false, ip);
+  }
+});
+
+// Only the host check runs: an allowed URL would go on to the network, a refused one never does
+function hostCheck(url) {
+  return new Promise((resolve) => {
+    const req = { query: { url }, get: () => undefined };
+    const res = {
+      headersSent: false,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handlePublicDownload(req, res);
+  });
+}
+
+test("another Cloudflare account's R2 bucket is not an allowed host", async () => {
+  Object.assign(process.env, { R2_ACCOUNT_ID: "ouraccount", R2_BUCKET: "mina", R2_PUBLIC_BASE_URL: "https://assets.example.test" });
+  delete process.env.R2_ENDPOINT;
+
+  for (const url of [
+    "https://attacker.r2.cloudflarestorage.com/bucket/page.html?X-Amz-Signature=x",
+    "https://bucket.attacker.r2.cloudflarestorage.com/page.html",
+    "https://ouraccount.r2.cloudflarestorage.com.attacker.test/page.html",
+  ]) {
+    const r = await hostCheck(url);
+    assert.equal(r.status, 403, url);
+    assert.equal(r.body.error, "HOST_NOT_ALLOWED", url);
+  }
+});
+
+test("only image / video types pass through, anything else is a plain download", () => {
+  assert.equal(downloadContentType("image/png"), "image/png");
+  assert.equal(downloadContentType("video/mp4; codecs=avc1"), "video/mp4");
+  for (const t of ["text/html", "text/html; charset=utf-8", "image/svg+xml", "application/javascript", "application/zip", "", undefined]) {
+    assert.equal(downloadContentType(t), "application/octet-stream", String(t));
+  }
+});
@@ -0,0 +1,82 @@
+// Fingertips bulk run: a failed item is refunded to the pool, the other outputs are zipped to R2
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld, generationRow, seedCustomer, waitForJob } from "./helpers/mma-world.js";
+import { readZip } from "./helpers/zip-reader.js";
+
+let world;
+let handleFingertipsBulk;
+
+before(async () => {
+  ({ world } = await bootMmaWorld());
+
+  // pool rpcs: one draw / refund per ref, the shapes megaDrawFingertipsPool / megaRefundFingertipsPool read
+  const drawn = new Map();
+  world.rpcs.mega_fingertips_pool_draw = (a) => {
+    const already = drawn.has(a.p_ref_id);
+    if (!already) drawn.set(a.p_ref_id, a.p_cost_units);
+    return [{ pool_before: 0, pool_after: 0, matchas_deducted: already ? 0 : 1, already_applied: already, insufficient: false }];
+  };
+  world.rpcs.mega_fingertips_pool_refund = (a) => {
+    const units = drawn.get(a.p_ref_id) || 0;
+    drawn.delete(a.p_ref_id);
+    return [{ refunded_units: units, pool_after: units, already_applied: false }];
+  };
+
+  ({ handleFingertipsBulk } = await import("../server/fingertips/fingertips-controller.js"));
+});
+
+after(async () => {
+  await world?.close();
+});
+
+test("one failed item is refunded while the other outputs are zipped", async () => {
+  const pass = "pass:test:bulk";
+  seedCustomer(world, pass, { credits: 5 });
+
+  const sources = ["cup", "broken", "vase"].map((name) => world.serve(`/img/${name}.png`, Buffer.from(name), "image/png"));
+  const outputs = new Map(
+    ["cup", "vase"].map((name) => [sources.find((s) => s.endsWith(`/${name}.png`)), world.serve(`/out/${name}.png`, Buffer.from(`cutout ${name}`))])
+  );
+  world.replicate = (body) => {
+    const out = outputs.get(body.input?.image);
+    return out ? { status: "succeeded", output: out } : { status: "failed", error: "model crashed" };
+  };
+
+  const started = await handleFingertipsBulk({ passId: pass, modelKey: "remove_bg", images: sources, inputs: {} });
+  const job = await waitForJob(world, started.generation_id, ["done", "dead"], { timeoutMs: 15000 });
+  assert.equal(job.mg_status, "done");
+
+  // the broken item: error + its draw given back
+  const broken = started.items[1];
+  const brokenRow = generationRow(world, broken.generation_id);
+  assert.equal(brokenRow.mg_mma_status, "error");
+  assert.equal(brokenRow.mg_error.code, "REPLICATE_FAILED");
+  assert.equal(brokenRow.mg_mma_vars.refund.refunded, true);
+  const refunds = world.calls.filter((c) => c.kind === "rpc" && c.path === "mega_fingertips_pool_refund").map((c) => c.body.p_ref_id);
+  assert.deepEqual(refunds, [`fingertips:${broken.generation_id}`]);
+
+  // the container: done, the ZIP holds the two outputs in item order
+  const bulk = generationRow(world, started.generation_id);
+  assert.equal(bulk.mg_mma_status, "done");
+  assert.deepEqual(bulk.mg_mma_vars.bulk.summary, { total: 3, done: 2, failed: 1 });
+  assert.deepEqual(
+    bulk.mg_mma_vars.bulk.items.map((it) => it.status),
+    ["done", "error", "done"]
+  );
+  assert.ok(bulk.mg_output_url.startsWith(`${world.url}/assets/fingertips/bulk/`), bulk.mg_output_url);
+
+  const file = world.files.get(new URL(bulk.mg_output_url).pathname);
+  assert.equal(file.contentType, "application/zip");
+  const entries = readZip(file.body);
+  assert.deepEqual(
+    entries.map((e) => [e.name, e.data.toString()]),
+    [
+      ["001-cup.png", "cutout cup"],
+      ["003-vase.png", "cutout vase"],
+    ]
+  );
+  assert.equal(bulk.mg_mma_vars.bulk.zip.files, 2);
+});
@@ -0,0 +1,49 @@
+// handleFingertipsGenerate: a failed generation insert gives the pool draw back
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { startFakeWorld } from "./helpers/fake-world.js";
+
+let world;
+let handleFingertipsGenerate;
+
+before(async () => {
+  world = await startFakeWorld();
+  Object.assign(process.env, world.env());
+
+  // pool rpcs: one draw / refund per ref, the shapes megaDrawFingertipsPool / megaRefundFingertipsPool read
+  const drawn = new Map();
+  world.rpcs.mega_fingertips_pool_draw = (a) => {
+    const already = drawn.has(a.p_ref_id);
+    if (!already) drawn.set(a.p_ref_id, a.p_cost_units);
+    return [{ pool_before: 0, pool_after: 0, matchas_deducted: already ? 0 : 1, already_applied: already, insufficient: false }];
+  };
+  world.rpcs.mega_fingertips_pool_refund = (a) => {
+    const units = drawn.get(a.p_ref_id) || 0;
+    drawn.delete(a.p_ref_id);
+    return [{ refunded_units: units, pool_after: units, already_applied: false }];
+  };
+
+  ({ handleFingertipsGenerate } = await import("../server/fingertips/fingertips-controller.js"));
+});
+
+after(async () => {
+  await world?.close();
+});
+
+test("a failed generation insert refunds the draw and throws", async () => {
+  world.failRest = ({ method, body }) => (method === "POST" && body?.mg_record_type === "generation" ? { status: 503 } : null);
+
+  await assert.rejects(
+    handleFingertipsGenerate({
+      passId: "pass:test:ft",
+      modelKey: "eraser",
+      inputs: { image: `${world.url}/img/a.png`, mask_image: `${world.url}/img/mask.png` },
+    })
+  );
+
+  const rpcs = world.calls.filter((c) => c.kind === "rpc").map((c) => c.path);
+  assert.deepEqual(rpcs, ["mega_fingertips_pool_draw", "mega_fingertips_pool_refund"]);
+  assert.equal(world.table("mega_generations").some((g) => g.mg_record_type === "mma_job"), false);
+});
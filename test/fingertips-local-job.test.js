@@ -0,0 +1,68 @@
+// Local fingertips job: a LOCAL_TOOL_* error fails the generation on the first attempt,
+// anything else (the asset read failing) goes back to the queue and the next attempt delivers
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+
+import { bootMmaWorld, generationRow, jobRow, queueGeneration, waitForJob } from "./helpers/mma-world.js";
+
+let world;
+
+before(async () => {
+  ({ world } = await bootMmaWorld());
+  await import("../server/fingertips/fingertips-controller.js");
+});
+
+after(async () => {
+  await world?.close();
+});
+
+function queueCrop(generationId, image) {
+  queueGeneration(world, {
+    generationId,
+    passId: "pass:test:local",
+    kind: "fingertips",
+    mode: "fingertips",
+    cost: 0,
+    vars: { modelKey: "crop", inputs: { image, width: 10, height: 10 } },
+  });
+}
+
+test("a missing source is final: one attempt, generation in error", async () => {
+  queueCrop("local-gone", `${world.url}/assets/missing.png`);
+
+  await waitForJob(world, "local-gone");
+  assert.equal(jobRow(world, "local-gone").mg_attempts, 1);
+
+  const row = generationRow(world, "local-gone");
+  assert.equal(row.mg_mma_status, "error");
+  assert.equal(row.mg_error.code, "LOCAL_TOOL_SOURCE_NOT_FOUND");
+});
+
+test("a failed asset read is transient: the job retries and the crop is stored", async () => {
+  const png = await sharp({ create: { width: 40, height: 30, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 1 } } }).png().toBuffer();
+  const source = world.serve("/assets/local/busy.png", png);
+
+  // first read of the source: 503 from the bucket
+  const worldFetch = globalThis.fetch;
+  let reads = 0;
+  globalThis.fetch = (input, init) => {
+    if (String(input?.url || input) === source && ++reads === 1) return Promise.resolve(new Response("busy", { status: 503 }));
+    return worldFetch(input, init);
+  };
+
+  try {
+    queueCrop("local-busy", source);
+    const job = await waitForJob(world, "local-busy");
+    assert.equal(job.mg_attempts, 2);
+  } finally {
+    globalThis.fetch = worldFetch;
+  }
+
+  assert.equal(reads, 2);
+  const row = generationRow(world, "local-busy");
+  assert.equal(row.mg_mma_status, "done");
+  assert.ok(row.mg_output_url.startsWith(`${world.url}/assets/fingertips/crop/local-busy`), row.mg_output_url);
+  assert.deepEqual(row.mg_meta.local, { format: "png", width: 10, height: 10 });
+});
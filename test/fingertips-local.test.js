@@ -0,0 +1,225 @@
+// Local fingertips tools (sharp): each tool on generated images, the input bounds, and which
+// errors are final (LOCAL_TOOL_*) vs transient. fetch is stubbed: sources come from `assets`.
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+
+const ASSETS = "https://assets.test";
+const MAX_DIMENSION = 400;
+const MAX_BYTES = 200000;
+
+const assets = new Map(); // url => { status, body, contentType } | Error (network failure)
+const fetched = [];
+const realFetch = globalThis.fetch;
+
+let runLocalFingertipsTool;
+let LOCAL_TOOL_KEYS;
+
+const RED = { r: 255, g: 0, b: 0, alpha: 1 };
+const BLUE = { r: 0, g: 0, b: 255, alpha: 1 };
+
+function asset(name, body, { status = 200, contentType = "image/png" } = {}) {
+  const url = `${ASSETS}/${name}`;
+  assets.set(url, body instanceof Error ? body : { status, body, contentType });
+  return url;
+}
+
+function solid(width, height, background) {
+  return sharp({ create: { width, height, channels: 4, background } });
+}
+
+// 200x100 png: left half red, right half blue
+async function halves() {
+  const blue = await solid(100, 100, BLUE).png().toBuffer();
+  return solid(200, 100, RED).composite([{ input: blue, left: 100, top: 0 }]).png().toBuffer();
+}
+
+async function pixel(buf, x, y) {
+  const { data, info } = await sharp(buf).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const i = (y * info.width + x) * 4;
+  return [data[i], data[i + 1], data[i + 2], data[i + 3]];
+}
+
+function assertInvalid(promise, pattern) {
+  return assert.rejects(promise, (err) => {
+    assert.equal(err.code, "LOCAL_TOOL_INVALID_INPUT");
+    assert.equal(err.statusCode, 400);
+    if (pattern) assert.match(err.message, pattern);
+    return true;
+  });
+}
+
+let PNG;
+let JPEG;
+let WIDE;
+
+before(async () => {
+  // read when the modules load
+  Object.assign(process.env, {
+    R2_PUBLIC_BASE_URL: ASSETS,
+    FINGERTIPS_LOCAL_MAX_DIMENSION: String(MAX_DIMENSION),
+    FINGERTIPS_LOCAL_MAX_BYTES: String(MAX_BYTES),
+  });
+
+  globalThis.fetch = async (input) => {
+    const href = String(input?.url || input);
+    fetched.push(href);
+    const hit = assets.get(href);
+    if (!hit) throw new Error(`unexpected fetch ${href}`);
+    if (hit instanceof Error) throw hit;
+    return new Response(hit.body, { status: hit.status, headers: { "content-type": hit.contentType } });
+  };
+
+  ({ runLocalFingertipsTool, LOCAL_TOOL_KEYS } = await import("../server/fingertips/fingertips-local.js"));
+
+  PNG = asset("halves.png", await halves());
+  JPEG = asset("grey.jpg", await solid(120, 80, { r: 128, g: 128, b: 128, alpha: 1 }).jpeg().toBuffer(), { contentType: "image/jpeg" });
+  WIDE = asset("wide.png", await solid(400, 300, RED).png().toBuffer());
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("every local tool is covered here", () => {
+  assert.deepEqual(LOCAL_TOOL_KEYS, ["crop", "resize", "rotate", "convert", "pad", "adjust"]);
+});
+
+test("crop cuts the box out and keeps the source format", async () => {
+  const out = await runLocalFingertipsTool("crop", { image: PNG, left: 100, top: 10, width: 50, height: 40 });
+  assert.deepEqual([out.format, out.contentType, out.ext, out.width, out.height], ["png", "image/png", ".png", 50, 40]);
+  assert.deepEqual(await pixel(out.buffer, 0, 0), [0, 0, 255, 255]);
+
+  const jpeg = await runLocalFingertipsTool("crop", { image: JPEG, width: 10, height: 10 });
+  assert.deepEqual([jpeg.format, jpeg.contentType, jpeg.ext], ["jpeg", "image/jpeg", ".jpg"]);
+});
+
+test("crop bounds: box inside the image, integers >= 0 / >= 1, width and height required", async () => {
+  await assertInvalid(runLocalFingertipsTool("crop", { image: PNG, left: 160, width: 50, height: 10 }), /outside the 200x100 image/);
+  await assertInvalid(runLocalFingertipsTool("crop", { image: PNG, height: 10 }), /width is required/);
+  await assertInvalid(runLocalFingertipsTool("crop", { image: PNG, left: -1, width: 10, height: 10 }), /left must be an integer >= 0/);
+  await assertInvalid(runLocalFingertipsTool("crop", { image: PNG, width: 10.5, height: 10 }), /width must be an integer >= 1/);
+  await assertInvalid(runLocalFingertipsTool("crop", { image: PNG, width: "ten", height: 10 }), /width must be an integer/);
+});
+
+test("resize keeps the ratio by default, cover fills the box", async () => {
+  const inside = await runLocalFingertipsTool("resize", { image: PNG, width: 100 });
+  assert.deepEqual([inside.width, inside.height], [100, 50]);
+
+  const cover = await runLocalFingertipsTool("resize", { image: PNG, width: 40, height: 40, fit: "cover" });
+  assert.deepEqual([cover.width, cover.height], [40, 40]);
+
+  const kept = await runLocalFingertipsTool("resize", { image: PNG, width: 400, without_enlargement: "true" });
+  assert.deepEqual([kept.width, kept.height], [200, 100]);
+});
+
+test("resize bounds: 1..MAX_DIMENSION, width or height, known fit", async () => {
+  await assertInvalid(runLocalFingertipsTool("resize", { image: PNG, width: MAX_DIMENSION + 1 }), new RegExp(`width must be an integer >= 1 and <= ${MAX_DIMENSION}`));
+  await assertInvalid(runLocalFingertipsTool("resize", { image: PNG, height: 0 }), /height must be an integer >= 1/);
+  await assertInvalid(runLocalFingertipsTool("resize", { image: PNG }), /width or height is required/);
+  await assertInvalid(runLocalFingertipsTool("resize", { image: PNG, width: 10, fit: "stretch" }), /fit must be/);
+  await assertInvalid(runLocalFingertipsTool("resize", { image: PNG, width: 10, fit: "contain", color: "red" }), /color must be a hex colour/);
+});
+
+test("rotate turns and mirrors", async () => {
+  const turned = await runLocalFingertipsTool("rotate", { image: PNG, angle: 90 });
+  assert.deepEqual([turned.width, turned.height], [100, 200]);
+  assert.deepEqual(await pixel(turned.buffer, 50, 0), [255, 0, 0, 255]); // left half ends up on top
+
+  const flopped = await runLocalFingertipsTool("rotate", { image: PNG, flop: true });
+  assert.deepEqual([flopped.width, flopped.height], [200, 100]);
+  assert.deepEqual(await pixel(flopped.buffer, 0, 0), [0, 0, 255, 255]);
+});
+
+test("rotate bounds: angle within ±360, something to do, output within MAX_DIMENSION", async () => {
+  await assertInvalid(runLocalFingertipsTool("rotate", { image: PNG }), /angle, flip or flop is required/);
+  await assertInvalid(runLocalFingertipsTool("rotate", { image: PNG, angle: 361 }), /angle must be a number >= -360 and <= 360/);
+  // 400x300 at 45° needs ~495px
+  await assertInvalid(runLocalFingertipsTool("rotate", { image: WIDE, angle: 45 }), new RegExp(`output would exceed ${MAX_DIMENSION}px`));
+});
+
+test("convert re-encodes and flattens transparency for jpeg", async () => {
+  const transparent = asset("transparent.png", await solid(20, 20, { r: 0, g: 0, b: 0, alpha: 0 }).png().toBuffer());
+  const out = await runLocalFingertipsTool("convert", { image: transparent, format: "jpg", quality: 80 });
+  assert.deepEqual([out.format, out.contentType, out.ext], ["jpeg", "image/jpeg", ".jpg"]);
+  assert.equal((await sharp(out.buffer).metadata()).format, "jpeg");
+  assert.deepEqual((await pixel(out.buffer, 10, 10)).slice(0, 3).map((v) => v > 245), [true, true, true]); // white
+
+  const webp = await runLocalFingertipsTool("convert", { image: JPEG, format: "WEBP" });
+  assert.deepEqual([webp.format, webp.ext, (await sharp(webp.buffer).metadata()).format], ["webp", ".webp", "webp"]);
+});
+
+test("convert bounds: known format, quality 1..100", async () => {
+  await assertInvalid(runLocalFingertipsTool("convert", { image: PNG, format: "gif" }), /format must be png, jpeg, webp or avif/);
+  await assertInvalid(runLocalFingertipsTool("convert", { image: PNG }), /format must be/);
+  await assertInvalid(runLocalFingertipsTool("convert", { image: PNG, format: "webp", quality: 0 }), /quality must be an integer >= 1 and <= 100/);
+  await assertInvalid(runLocalFingertipsTool("convert", { image: PNG, format: "webp", quality: 101 }), /quality must be/);
+});
+
+test("pad centres the image on the target aspect ratio", async () => {
+  const square = await runLocalFingertipsTool("pad", { image: PNG, aspect_ratio: "1:1", color: "#00ff00" });
+  assert.deepEqual([square.width, square.height], [200, 200]);
+  assert.deepEqual(await pixel(square.buffer, 0, 0), [0, 255, 0, 255]);
+  assert.deepEqual(await pixel(square.buffer, 10, 100), [255, 0, 0, 255]);
+
+  const decimal = await runLocalFingertipsTool("pad", { image: PNG, aspect_ratio: "2.5" });
+  assert.deepEqual([decimal.width, decimal.height], [250, 100]);
+
+  const slash = await runLocalFingertipsTool("pad", { image: PNG, aspect_ratio: "4/5", color: "transparent" });
+  assert.deepEqual([slash.width, slash.height], [200, 250]);
+  assert.equal((await pixel(slash.buffer, 0, 0))[3], 0);
+});
+
+test("pad bounds: aspect ratio 0.1..10 and the padded size within MAX_DIMENSION", async () => {
+  await assertInvalid(runLocalFingertipsTool("pad", { image: PNG, aspect_ratio: "11:1" }), /aspect_ratio must look like 4:5/);
+  await assertInvalid(runLocalFingertipsTool("pad", { image: PNG, aspect_ratio: "1:11" }), /aspect_ratio/);
+  await assertInvalid(runLocalFingertipsTool("pad", { image: PNG, aspect_ratio: "square" }), /aspect_ratio/);
+  await assertInvalid(runLocalFingertipsTool("pad", { image: PNG }), /aspect_ratio/);
+  // 200x100 at 1:3 would be 200x600
+  await assertInvalid(runLocalFingertipsTool("pad", { image: PNG, aspect_ratio: "1:3" }), new RegExp(`padded image would exceed ${MAX_DIMENSION}px`));
+});
+
+test("adjust changes saturation and contrast", async () => {
+  const grey = await runLocalFingertipsTool("adjust", { image: PNG, saturation: 0 });
+  const [r, g, b] = await pixel(grey.buffer, 10, 10);
+  assert.ok(r === g && g === b, `greyscale pixel ${[r, g, b]}`);
+
+  const flat = await runLocalFingertipsTool("adjust", { image: PNG, contrast: 0 });
+  assert.deepEqual((await pixel(flat.buffer, 150, 50)).slice(0, 3), [128, 128, 128]);
+});
+
+test("adjust bounds: 0..3 and something to change", async () => {
+  await assertInvalid(runLocalFingertipsTool("adjust", { image: PNG }), /brightness, contrast or saturation is required/);
+  await assertInvalid(runLocalFingertipsTool("adjust", { image: PNG, brightness: 3.5 }), /brightness must be a number >= 0 and <= 3/);
+  await assertInvalid(runLocalFingertipsTool("adjust", { image: PNG, contrast: -1 }), /contrast must be/);
+});
+
+test("bad input and bad sources are final: LOCAL_TOOL_* codes", async () => {
+  const final = (promise, code) =>
+    assert.rejects(promise, (err) => {
+      assert.equal(err.code, code);
+      return true;
+    });
+
+  await final(runLocalFingertipsTool("sketch", { image: PNG }), "LOCAL_TOOL_UNKNOWN");
+
+  const fetches = fetched.length;
+  await final(runLocalFingertipsTool("crop", { image: "https://elsewhere.test/a.png", width: 1, height: 1 }), "LOCAL_TOOL_SOURCE_NOT_ALLOWED");
+  assert.equal(fetched.length, fetches, "a foreign source is never fetched");
+
+  await final(runLocalFingertipsTool("crop", { image: asset("gone.png", "", { status: 404 }), width: 1, height: 1 }), "LOCAL_TOOL_SOURCE_NOT_FOUND");
+  await final(runLocalFingertipsTool("crop", { image: asset("notes.png", "not an image"), width: 1, height: 1 }), "LOCAL_TOOL_UNREADABLE_IMAGE");
+  await final(runLocalFingertipsTool("crop", { image: asset("huge.png", Buffer.alloc(MAX_BYTES + 1)), width: 1, height: 1 }), "LOCAL_TOOL_SOURCE_TOO_LARGE");
+});
+
+test("storage trouble is transient: no LOCAL_TOOL_* code, so the job retries", async () => {
+  const transient = (promise) =>
+    assert.rejects(promise, (err) => {
+      assert.ok(!String(err.code || "").startsWith("LOCAL_TOOL_"), `code ${err.code}`);
+      return true;
+    });
+
+  await transient(runLocalFingertipsTool("crop", { image: asset("busy.png", "", { status: 503 }), width: 1, height: 1 }));
+  await transient(runLocalFingertipsTool("crop", { image: asset("reset.png", new TypeError("fetch failed")), width: 1, height: 1 }));
+});
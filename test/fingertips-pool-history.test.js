@@ -0,0 +1,74 @@
+// GET /fingertips/pool/history behind the pass identity guard (enforce): only the proved
+// pass's ledger is read, ?pass_id= can't name another one
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+
+import { startFakeWorld } from "./helpers/fake-world.js";
+
+const VICTIM = "pass:user:victim";
+const MINE = "pass:anon:11111111-1111-4111-8111-111111111111";
+
+let world;
+let server;
+let base;
+let identity;
+
+before(async () => {
+  world = await startFakeWorld();
+  Object.assign(process.env, world.env(), { PASS_TOKEN_SECRET: "test-pass-secret", PASS_IDENTITY_MODE: "enforce" });
+
+  identity = await import("../server/pass-identity.js");
+  const { default: fingertipsRouter } = await import("../server/fingertips/fingertips-router.js");
+
+  // same mounts as server.js
+  const app = express();
+  app.use("/fingertips", identity.passIdentityGuard({ getAuthUser: async () => null, label: "fingertips" }));
+  app.use("/fingertips", fingertipsRouter);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  world.insert("mega_customers", { mg_pass_id: VICTIM, mg_fingertips_pool_units: 500000 });
+  world.insert("mega_generations", {
+    mg_id: "fingertips_pool_tx:victim-refill",
+    mg_record_type: "fingertips_pool_tx",
+    mg_pass_id: VICTIM,
+    mg_delta: 1000000,
+    mg_reason: "fingertips_pool_refill",
+    mg_created_at: new Date().toISOString(),
+  });
+});
+
+after(async () => {
+  await new Promise((resolve) => server?.close(resolve));
+  await world?.close();
+});
+
+const ledgerReadsOf = (passId) =>
+  world.calls.filter((c) => c.kind === "rest:GET" && c.path === "mega_generations" && JSON.stringify(c.params).includes(passId));
+
+test("?pass_id= of another pass is refused before the ledger is read", async () => {
+  const r = await fetch(`${base}/fingertips/pool/history?pass_id=${encodeURIComponent(VICTIM)}`, {
+    headers: { "X-Mina-Pass-Id": MINE, "X-Mina-Pass-Token": identity.issuePassToken(MINE) },
+  });
+
+  assert.equal(r.status, 401);
+  assert.equal((await r.json()).error, "PASS_UNVERIFIED");
+  assert.equal(ledgerReadsOf(VICTIM).length, 0);
+});
+
+test("the proved pass gets its own history", async () => {
+  const r = await fetch(`${base}/fingertips/pool/history`, {
+    headers: { "X-Mina-Pass-Id": MINE, "X-Mina-Pass-Token": identity.issuePassToken(MINE) },
+  });
+
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("x-mina-pass-id"), MINE);
+  const body = await r.json();
+  assert.equal(body.ok, true);
+  assert.equal(ledgerReadsOf(MINE).length > 0, true);
+});
@@ -0,0 +1,60 @@
+-- =========================================================
+-- Test-only: the MEGA tables as they exist in Supabase (columns the
+-- supabase/*.sql functions touch). Tests recreate them from scratch.
+-- =========================================================
+
+drop table if exists public.mega_generations;
+drop table if exists public.mega_customers;
+
+create table public.mega_customers (
+  mg_pass_id text primary key,
+  mg_user_id uuid,
+  mg_email text,
+  mg_credits integer not null default 0,
+  mg_expires_at timestamptz,
+  mg_last_active timestamptz,
+  mg_meta jsonb,
+  mg_deleted_at timestamptz,
+  mg_created_at timestamptz not null default now(),
+  mg_updated_at timestamptz not null default now(),
+  mg_mma_preferences jsonb not null default '{}'::jsonb,
+  mg_mma_preferences_updated_at timestamptz
+);
+
+create table public.mega_generations (
+  mg_id text primary key,
+  mg_record_type text not null,
+  mg_pass_id text,
+  mg_session_id text,
+  mg_generation_id text,
+  mg_parent_id text,
+  mg_step_no integer,
+  mg_step_type text,
+  mg_prompt text,
+  mg_output_url text,
+  mg_provider text,
+  mg_model text,
+  mg_status text,
+  mg_error jsonb,
+  mg_delta integer,
+  mg_reason text,
+  mg_source text,
+  mg_ref_type text,
+  mg_ref_id text,
+  mg_meta jsonb,
+  mg_payload jsonb,
+  mg_deleted_at timestamptz,
+  mg_event_at timestamptz,
+  mg_created_at timestamptz not null default now(),
+  mg_updated_at timestamptz not null default now(),
+  mg_mma_mode text,
+  mg_mma_status text,
+  mg_mma_vars jsonb not null default '{}'::jsonb
+);
+
+-- Supabase roles the migrations revoke from
+do $$
+begin
+  if not exists (select 1 from pg_roles where rolname = 'anon') then create role anon nologin; end if;
+  if not exists (select 1 from pg_roles where rolname = 'authenticated') then create role authenticated nologin; end if;
+end$$;
@@ -0,0 +1,448 @@
+// ./test/helpers/fake-world.js
+// One local HTTP server standing in for everything the MMA / fingertips pipelines talk to:
+// - Supabase REST (/rest/v1): in-memory tables, the PostgREST filters the code uses, rpc handlers
+// - OpenAI (/openai/v1): responses + chat completions, the reply comes from world.openai(body)
+//   ({ httpStatus, message } => an API error)
+// - Replicate (api.replicate.com, rerouted through globalThis.fetch): predictions from world.replicate(body)
+//   ({ httpStatus, detail } => an API error)
+// - R2 (S3 path style PUT /<bucket>/<key>, multipart uploads) and the public assets domain (/assets/<key>)
+// Call world.env() before importing server code (clients are built from env on first use).
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const BUCKET = "test-bucket";
+
+// =========================
+// PostgREST subset
+// =========================
+function columnValue(row, column) {
+  // mg_meta->a->>b
+  const parts = column.split(/(->>?)/);
+  let value = row[parts[0]];
+  let asText = false;
+  for (let i = 1; i < parts.length; i += 2) {
+    value = value && typeof value === "object" ? value[parts[i + 1]] : undefined;
+    asText = parts[i] === "->>";
+  }
+  if (value === undefined) return null;
+  if (asText && value !== null && typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+function parseList(raw) {
+  return raw
+    .replace(/^\(|\)$/g, "")
+    .split(",")
+    .map((v) => v.replace(/^"|"$/g, ""));
+}
+
+function matchOne(row, column, expr) {
+  const negate = expr.startsWith("not.");
+  const body = negate ? expr.slice(4) : expr;
+  const dot = body.indexOf(".");
+  const op = body.slice(0, dot);
+  const raw = body.slice(dot + 1);
+  const value = columnValue(row, column);
+
+  let ok;
+  switch (op) {
+    case "eq":
+      ok = value !== null && value !== undefined && String(value) === raw;
+      break;
+    case "neq":
+      ok = value === null || value === undefined || String(value) !== raw;
+      break;
+    case "is":
+      ok = raw === "null" ? value === null || value === undefined : String(value) === raw;
+      break;
+    case "in":
+      ok = value !== null && value !== undefined && parseList(raw).includes(String(value));
+      break;
+    case "gt":
+    case "gte":
+    case "lt":
+    case "lte": {
+      const a = Number.isFinite(Number(value)) && Number.isFinite(Number(raw)) ? Number(value) : String(value ?? "");
+      const b = typeof a === "number" ? Number(raw) : raw;
+      ok = value !== null && value !== undefined && (op === "gt" ? a > b : op === "gte" ? a >= b : op === "lt" ? a < b : a <= b);
+      break;
+    }
+    case "like":
+    case "ilike": {
+      const re = new RegExp(`^${raw.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/[*%]/g, ".*")}$`, op === "ilike" ? "i" : "");
+      ok = value !== null && value !== undefined && re.test(String(value));
+      break;
+    }
+    default:
+      throw new Error(`fake-world: unsupported filter ${column}=${expr}`);
+  }
+  return negate ? !ok : ok;
+}
+
+function splitTopLevel(s) {
+  const parts = [];
+  let depth = 0;
+  let cur = "";
+  for (const ch of s) {
+    if (ch === "(") depth += 1;
+    if (ch === ")") depth -= 1;
+    if (ch === "," && depth === 0) {
+      parts.push(cur);
+      cur = "";
+    } else cur += ch;
+  }
+  if (cur) parts.push(cur);
+  return parts;
+}
+
+function matchOr(row, expr) {
+  return splitTopLevel(expr.replace(/^\(|\)$/g, "")).some((part) => {
+    const and = part.match(/^and\((.*)\)$/);
+    if (and) return splitTopLevel(and[1]).every((p) => matchCondition(row, p));
+    return matchCondition(row, part);
+  });
+}
+
+function matchCondition(row, cond) {
+  const dot = cond.indexOf(".");
+  return matchOne(row, cond.slice(0, dot), cond.slice(dot + 1));
+}
+
+const RESERVED = new Set(["select", "order", "limit", "offset", "on_conflict", "columns"]);
+
+function filterRows(rows, params) {
+  return rows.filter((row) => {
+    for (const [key, expr] of params) {
+      if (RESERVED.has(key)) continue;
+      if (key === "or") {
+        if (!matchOr(row, expr)) return false;
+      } else if (!matchOne(row, key, expr)) return false;
+    }
+    return true;
+  });
+}
+
+function orderRows(rows, order) {
+  if (!order) return rows;
+  const keys = order.split(",").map((part) => {
+    const [column, dir = "asc"] = part.split(".");
+    return { column, desc: dir === "desc" };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { column, desc } of keys) {
+      const x = columnValue(a, column);
+      const y = columnValue(b, column);
+      if (x === y) continue;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      return (x < y ? -1 : 1) * (desc ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function project(row, select) {
+  if (!select || select === "*") return { ...row };
+  const out = {};
+  for (const col of select.split(",").map((c) => c.trim()).filter(Boolean)) {
+    const [name, alias] = col.includes(":") ? col.split(":").reverse() : [col, col];
+    out[alias] = columnValue(row, name) ?? null;
+  }
+  return out;
+}
+
+// =========================
+// World
+// =========================
+export async function startFakeWorld() {
+  const world = {
+    url: "",
+    bucket: BUCKET,
+    tables: {},
+    rpcs: {},
+    files: new Map(), // "/assets/<key>" | any path => { body, contentType }
+    calls: [], // { kind, path, body }
+    openai: () => ({}),
+    replicate: () => ({ status: "succeeded", output: null }),
+    predictions: new Map(),
+    failRest: null, // ({ method, table, body, params }) => { status, code, message } to fail that REST call
+
+    table(name) {
+      if (!this.tables[name]) this.tables[name] = [];
+      return this.tables[name];
+    },
+    row(table, id) {
+      return this.table(table).find((r) => r.mg_id === id) || null;
+    },
+    insert(table, rows) {
+      for (const r of [].concat(rows)) this.table(table).push({ ...r });
+    },
+    serve(path, body, contentType = "image/png") {
+      this.files.set(path, { body, contentType });
+      return `${this.url}${path}`;
+    },
+    env() {
+      return {
+        SUPABASE_URL: this.url,
+        SUPABASE_SERVICE_ROLE_KEY: "test-service-role",
+        OPENAI_API_KEY: "test-openai",
+        OPENAI_BASE_URL: `${this.url}/openai/v1`,
+        REPLICATE_API_TOKEN: "test-replicate",
+        R2_ENDPOINT: this.url,
+        R2_ACCESS_KEY_ID: "test",
+        R2_SECRET_ACCESS_KEY: "test",
+        R2_BUCKET: BUCKET,
+        R2_PUBLIC_BASE_URL: `${this.url}/assets`,
+      };
+    },
+  };
+
+  const readBody = (req) =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", (c) => chunks.push(c));
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+      req.on("error", reject);
+    });
+
+  const multipart = new Map(); // uploadId => { key, contentType, parts: Map<partNumber, Buffer> }
+
+  const json = (res, status, body, headers = {}) => {
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(body === undefined ? "" : JSON.stringify(body));
+  };
+
+  async function handleRest(req, res, url, raw) {
+    const name = url.pathname.replace(/^\/rest\/v1\//, "");
+    const body = raw.length ? JSON.parse(raw.toString("utf8")) : null;
+
+    if (name.startsWith("rpc/")) {
+      const fn = name.slice(4);
+      world.calls.push({ kind: "rpc", path: fn, body });
+      const handler = world.rpcs[fn];
+      if (!handler) return json(res, 404, { code: "PGRST202", message: `fake-world: no rpc ${fn}` });
+      try {
+        return json(res, 200, await handler(body || {}, world));
+      } catch (e) {
+        return json(res, 400, { code: e.code || "P0001", message: e.message });
+      }
+    }
+
+    const rows = world.table(name);
+    const params = [...url.searchParams.entries()];
+    const get = (k) => url.searchParams.get(k);
+    const prefer = String(req.headers.prefer || "");
+    const single = String(req.headers.accept || "").includes("vnd.pgrst.object");
+    const wantRows = prefer.includes("return=representation");
+
+    const reply = (list) => {
+      const selected = list.map((r) => project(r, get("select")));
+      if (single) {
+        if (selected.length !== 1) return json(res, 406, { code: "PGRST116", message: `${selected.length} rows` });
+        return json(res, 200, selected[0]);
+      }
+      const headers = {};
+      if (prefer.includes("count=exact")) headers["content-range"] = `0-${Math.max(0, selected.length - 1)}/${selected.length}`;
+      return json(res, 200, selected, headers);
+    };
+
+    world.calls.push({ kind: `rest:${req.method}`, path: name, body, params });
+
+    const failure = world.failRest?.({ method: req.method, table: name, body, params });
+    if (failure) return json(res, failure.status || 500, { code: failure.code || "XX000", message: failure.message || "fake-world: injected failure" });
+
+    if (req.method === "GET" || req.method === "HEAD") {
+      let list = orderRows(filterRows(rows, params), get("order"));
+      const offset = Number(get("offset") || 0);
+      if (get("limit")) list = list.slice(offset, offset + Number(get("limit")));
+      return reply(list);
+    }
+
+    if (req.method === "POST") {
+      const incoming = [].concat(body || []);
+      const upsert = prefer.includes("resolution=merge-duplicates");
+      const conflictCols = (get("on_conflict") || "mg_id").split(",");
+      const written = [];
+
+      for (const r of incoming) {
+        const existing = rows.find((x) => conflictCols.every((c) => x[c] !== undefined && x[c] === r[c]));
+        if (existing) {
+          if (!upsert) return json(res, 409, { code: "23505", message: "duplicate key value violates unique constraint" });
+          Object.assign(existing, r);
+          written.push(existing);
+        } else {
+          const row = { ...r };
+          rows.push(row);
+          written.push(row);
+        }
+      }
+      return wantRows ? reply(written) : json(res, 201, undefined);
+    }
+
+    if (req.method === "PATCH") {
+      const matched = filterRows(rows, params);
+      for (const r of matched) Object.assign(r, body || {});
+      return wantRows ? reply(matched) : json(res, 204, undefined);
+    }
+
+    if (req.method === "DELETE") {
+      const matched = new Set(filterRows(rows, params));
+      world.tables[name] = rows.filter((r) => !matched.has(r));
+      return wantRows ? reply([...matched]) : json(res, 204, undefined);
+    }
+
+    return json(res, 405, { message: req.method });
+  }
+
+  async function handleOpenAI(req, res, url, raw) {
+    const body = raw.length ? JSON.parse(raw.toString("utf8")) : {};
+    world.calls.push({ kind: "openai", path: url.pathname, body });
+    const reply = await world.openai(body, url.pathname);
+    if (reply?.httpStatus) {
+      return json(res, reply.httpStatus, { error: { message: reply.message || "fake error", type: "invalid_request_error", code: reply.code || null } });
+    }
+    const text = typeof reply === "string" ? reply : JSON.stringify(reply);
+
+    if (url.pathname.endsWith("/responses")) {
+      return json(res, 200, {
+        id: `resp_${crypto.randomUUID()}`,
+        object: "response",
+        status: "completed",
+        output_text: text,
+        output: [{ type: "message", role: "assistant", content: [{ type: "output_text", text }] }],
+      });
+    }
+    return json(res, 200, {
+      id: `chatcmpl_${crypto.randomUUID()}`,
+      object: "chat.completion",
+      choices: [{ index: 0, message: { role: "assistant", content: text }, finish_reason: "stop" }],
+    });
+  }
+
+  async function handleReplicate(req, res, url, raw) {
+    const body = raw.length ? JSON.parse(raw.toString("utf8")) : {};
+    const path = url.pathname.replace(/^\/replicate\/v1/, "");
+    world.calls.push({ kind: "replicate", path, body });
+
+    if (req.method === "POST" && path.endsWith("/predictions")) {
+      const id = `pred_${crypto.randomUUID().slice(0, 8)}`;
+      const out = await world.replicate(body, path);
+      if (out?.httpStatus) return json(res, out.httpStatus, { detail: out.detail || "fake error" });
+      const prediction = { id, status: "succeeded", input: body.input, ...out };
+      world.predictions.set(id, prediction);
+      return json(res, 201, prediction);
+    }
+
+    const get = path.match(/^\/predictions\/([^/]+)$/);
+    if (get) {
+      const p = world.predictions.get(get[1]);
+      return p ? json(res, 200, p) : json(res, 404, { detail: "not found" });
+    }
+    if (path.match(/^\/predictions\/[^/]+\/cancel$/)) return json(res, 200, {});
+    return json(res, 404, { detail: `fake-world: ${path}` });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, world.url);
+      const raw = await readBody(req);
+
+      if (url.pathname.startsWith("/rest/v1/")) return await handleRest(req, res, url, raw);
+      if (url.pathname.startsWith("/openai/")) return await handleOpenAI(req, res, url, raw);
+      if (url.pathname.startsWith("/replicate/")) return await handleReplicate(req, res, url, raw);
+
+      // R2 (S3 path style)
+      if (url.pathname.startsWith(`/${BUCKET}/`)) {
+        const key = decodeURIComponent(url.pathname.slice(BUCKET.length + 2));
+        world.calls.push({ kind: `r2:${req.method}`, path: key });
+        const uploadId = url.searchParams.get("uploadId");
+
+        // multipart: create (?uploads) / part (?partNumber) / complete / abort (?uploadId)
+        if (req.method === "POST" && url.searchParams.has("uploads")) {
+          const id = `upload_${crypto.randomUUID().slice(0, 8)}`;
+          multipart.set(id, { key, contentType: req.headers["content-type"] || "", parts: new Map() });
+          res.writeHead(200, { "content-type": "application/xml" });
+          return res.end(
+            `<InitiateMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${key}</Key><UploadId>${id}</UploadId></InitiateMultipartUploadResult>`
+          );
+        }
+        if (uploadId) {
+          const upload = multipart.get(uploadId);
+          if (!upload) return json(res, 404, { message: `fake-world: no upload ${uploadId}` });
+
+          if (req.method === "PUT") {
+            upload.parts.set(Number(url.searchParams.get("partNumber")), raw);
+            res.writeHead(200, { etag: `"${crypto.createHash("md5").update(raw).digest("hex")}"` });
+            return res.end();
+          }
+          if (req.method === "POST") {
+            const body = Buffer.concat([...upload.parts.entries()].sort(([a], [b]) => a - b).map(([, part]) => part));
+            world.files.set(`/assets/${key}`, { body, contentType: upload.contentType });
+            multipart.delete(uploadId);
+            res.writeHead(200, { "content-type": "application/xml" });
+            return res.end(`<CompleteMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${key}</Key><ETag>"x"</ETag></CompleteMultipartUploadResult>`);
+          }
+          if (req.method === "DELETE") {
+            multipart.delete(uploadId);
+            res.writeHead(204);
+            return res.end();
+          }
+        }
+
+        if (req.method === "PUT") {
+          world.files.set(`/assets/${key}`, { body: raw, contentType: req.headers["content-type"] || "" });
+          res.writeHead(200, { etag: `"${crypto.createHash("md5").update(raw).digest("hex")}"` });
+          return res.end();
+        }
+        if (req.method === "DELETE") {
+          world.files.delete(`/assets/${key}`);
+          res.writeHead(204);
+          return res.end();
+        }
+      }
+
+      const file = world.files.get(decodeURIComponent(url.pathname));
+      if (file) {
+        res.writeHead(200, { "content-type": file.contentType, "content-length": file.body.length });
+        return res.end(file.body);
+      }
+
+      json(res, 404, { message: `fake-world: ${req.method} ${url.pathname}` });
+    } catch (e) {
+      json(res, 500, { message: e?.message || String(e) });
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  world.url = `http://127.0.0.1:${server.address().port}`;
+
+  // the Replicate client calls api.replicate.com through the global fetch
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (input, init) => {
+    const href = typeof input === "string" ? input : input instanceof URL ? input.href : input.url;
+    if (href.startsWith("https://api.replicate.com/")) {
+      return realFetch(href.replace("https://api.replicate.com/", `${world.url}/replicate/`), init);
+    }
+    return realFetch(input, init);
+  };
+
+  world.close = async () => {
+    globalThis.fetch = realFetch;
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(resolve));
+  };
+
+  return world;
+}
+
+// Polls until fn() is truthy (or throws after timeoutMs)
+export async function waitFor(fn, { timeoutMs = 10000, stepMs = 20, label = "condition" } = {}) {
+  const t0 = Date.now();
+  while (Date.now() - t0 < timeoutMs) {
+    const value = await fn();
+    if (value) return value;
+    await new Promise((r) => setTimeout(r, stepMs));
+  }
+  throw new Error(`waitFor timed out: ${label}`);
+}
@@ -0,0 +1,43 @@
+// ./test/helpers/mega-pg.js
+// Local Postgres for the SQL tests (MEGA_TEST_DATABASE_URL, a throwaway database:
+// the MEGA tables are dropped and recreated on every run).
+// Without it the suites are skipped.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import pg from "pg";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+export const TEST_DATABASE_URL = process.env.MEGA_TEST_DATABASE_URL || "";
+export const SKIP_PG = TEST_DATABASE_URL ? false : "MEGA_TEST_DATABASE_URL not set";
+
+// Fresh tables + the given supabase/*.sql files, in order
+export async function openMegaTestDb({ migrations = [], max = 20 } = {}) {
+  const pool = new pg.Pool({ connectionString: TEST_DATABASE_URL, max });
+
+  const files = ["test/fixtures/mega_tables.sql", ...migrations.map((m) => `supabase/${m}`)];
+  for (const file of files) {
+    await pool.query(await fs.readFile(path.join(ROOT, file), "utf8"));
+  }
+
+  return pool;
+}
+
+export async function seedCustomer(pool, passId, { credits = 0, expiresAt = null } = {}) {
+  await pool.query(
+    `insert into public.mega_customers (mg_pass_id, mg_credits, mg_expires_at) values ($1, $2, $3)`,
+    [passId, credits, expiresAt]
+  );
+}
+
+export async function creditsOf(pool, passId) {
+  const { rows } = await pool.query(`select mg_credits from public.mega_customers where mg_pass_id = $1`, [passId]);
+  return rows[0]?.mg_credits ?? null;
+}
+
+// n calls at once, each on its own pooled connection
+export function inParallel(n, fn) {
+  return Promise.all(Array.from({ length: n }, (_, i) => fn(i)));
+}
@@ -0,0 +1,275 @@
+// ./test/helpers/mma-world.js
+// In-memory versions of the MEGA rpcs the pipelines call (credits, holds, job queue) on top of
+// fake-world.js, plus the boot sequence: env -> import the server modules -> start the job worker.
+// The real SQL is covered against Postgres by credits-atomic.test.js.
+
+import crypto from "node:crypto";
+
+import { startFakeWorld, waitFor } from "./fake-world.js";
+
+const nowIso = () => new Date().toISOString();
+const GEN = "mega_generations";
+const CUSTOMERS = "mega_customers";
+
+function customer(world, passId) {
+  const row = world.table(CUSTOMERS).find((c) => c.mg_pass_id === passId);
+  if (!row) throw Object.assign(new Error("CUSTOMER_NOT_FOUND"), { code: "P0002" });
+  return row;
+}
+
+function heldCredits(world, passId) {
+  return world
+    .table(GEN)
+    .filter((g) => g.mg_record_type === "mma_hold" && g.mg_status === "held" && g.mg_pass_id === passId)
+    .reduce((sum, g) => sum - Number(g.mg_delta || 0), 0);
+}
+
+function adjustCredits(world, a) {
+  const c = customer(world, a.p_pass_id);
+  const before = Number(c.mg_credits || 0);
+  const hasRef = !!(a.p_ref_type && a.p_ref_id);
+
+  if (
+    hasRef &&
+    world.table(GEN).some((g) => g.mg_record_type === "credit_transaction" && g.mg_ref_type === a.p_ref_type && g.mg_ref_id === a.p_ref_id)
+  ) {
+    return { credits_before: before, credits_after: before, already_applied: true, insufficient: false };
+  }
+
+  if (a.p_require_balance && a.p_delta < 0 && before - heldCredits(world, a.p_pass_id) + a.p_delta < 0) {
+    return { credits_before: before, credits_after: before, already_applied: false, insufficient: true };
+  }
+
+  const after = Math.max(0, before + a.p_delta);
+  world.insert(GEN, {
+    mg_id: a.p_tx_id || `credit_transaction:${crypto.randomUUID()}`,
+    mg_record_type: "credit_transaction",
+    mg_pass_id: a.p_pass_id,
+    mg_delta: a.p_delta,
+    mg_reason: a.p_reason,
+    mg_source: a.p_source,
+    mg_ref_type: hasRef ? a.p_ref_type : null,
+    mg_ref_id: hasRef ? a.p_ref_id : null,
+    mg_status: "succeeded",
+    mg_created_at: nowIso(),
+  });
+  c.mg_credits = after;
+  return { credits_before: before, credits_after: after, already_applied: false, insufficient: false };
+}
+
+export function installMegaRpcs(world, { workerIds = new Set() } = {}) {
+  Object.assign(world.rpcs, {
+    mega_adjust_credits: (a) => [adjustCredits(world, a)],
+
+    mega_expire_credits: (a) => {
+      const c = customer(world, a.p_pass_id);
+      return [{ credits: c.mg_credits, expires_at: c.mg_expires_at || null, expired: false }];
+    },
+
+    mega_place_credit_hold: (a) => {
+      const c = customer(world, a.p_pass_id);
+      const credits = Number(c.mg_credits || 0);
+      const held = heldCredits(world, a.p_pass_id);
+
+      if (world.row(GEN, a.p_hold_id)) {
+        return [{ credits, held, available: Math.max(0, credits - held), already_held: true, insufficient: false }];
+      }
+      if (credits - held < a.p_amount) {
+        return [{ credits, held, available: Math.max(0, credits - held), already_held: false, insufficient: true }];
+      }
+
+      world.insert(GEN, {
+        mg_id: a.p_hold_id,
+        mg_record_type: "mma_hold",
+        mg_pass_id: a.p_pass_id,
+        mg_generation_id: a.p_generation_id,
+        mg_delta: -a.p_amount,
+        mg_reason: a.p_reason,
+        mg_status: "held",
+        mg_meta: { amount: a.p_amount, expires_at: new Date(Date.now() + (a.p_ttl_seconds || 3600) * 1000).toISOString() },
+        mg_created_at: nowIso(),
+      });
+      return [{ credits, held: held + a.p_amount, available: credits - held - a.p_amount, already_held: false, insufficient: false }];
+    },
+
+    mega_capture_credit_hold: (a) => {
+      const hold = world.row(GEN, a.p_hold_id);
+      if (hold?.mg_status === "held" && Date.parse(hold.mg_meta?.expires_at) <= Date.now()) hold.mg_status = "released";
+      const status = hold?.mg_status ?? null;
+      if (status === "held") hold.mg_status = "capturing";
+
+      const r = adjustCredits(world, {
+        ...a,
+        p_delta: -Math.abs(a.p_amount),
+        p_require_balance: status !== "held",
+      });
+
+      if (hold) hold.mg_status = r.insufficient ? status : "captured";
+      return [{ ...r, expires_at: null, hold_status: r.insufficient ? status : "captured" }];
+    },
+
+    mega_release_credit_hold: (a) => {
+      const hold = world.row(GEN, a.p_hold_id);
+      const released = hold?.mg_record_type === "mma_hold" && hold.mg_status === "held";
+      if (released) {
+        hold.mg_status = "released";
+        hold.mg_meta = { ...(hold.mg_meta || {}), released_at: nowIso(), release_reason: a.p_reason };
+      }
+      return [{ released, hold_status: hold?.mg_status ?? null }];
+    },
+
+    mega_claim_mma_jobs: (a) => {
+      workerIds.add(a.p_worker);
+      const now = Date.now();
+      const picked = world
+        .table(GEN)
+        .filter(
+          (g) =>
+            g.mg_record_type === "mma_job" &&
+            g.mg_status === "queued" &&
+            Date.parse(g.mg_run_after || g.mg_created_at || nowIso()) <= now
+        )
+        .slice(0, Math.max(1, a.p_limit));
+
+      return picked.map((g) => {
+        const previous = g.mg_status;
+        g.mg_status = "running";
+        g.mg_lease_owner = a.p_worker;
+        g.mg_lease_until = new Date(now + a.p_lease_seconds * 1000).toISOString();
+        g.mg_attempts = Number(g.mg_attempts || 0) + 1;
+        return {
+          job_id: g.mg_id,
+          generation_id: g.mg_generation_id,
+          pass_id: g.mg_pass_id,
+          kind: g.mg_meta?.kind,
+          payload: g.mg_payload,
+          attempts: g.mg_attempts,
+          previous_status: previous,
+          meta: g.mg_meta,
+          created_at: g.mg_created_at,
+        };
+      });
+    },
+
+    mega_heartbeat_mma_job: () => true,
+
+    mega_find_mma_job_by_provider_task: (a) => {
+      const job = world
+        .table(GEN)
+        .filter((g) => g.mg_record_type === "mma_job" && ["queued", "running"].includes(g.mg_status))
+        .find((g) =>
+          Object.values(g.mg_meta?.providers || {}).some((t) => t?.provider === a.p_provider && t?.id === a.p_task_id)
+        );
+      if (!job) return [];
+      const [generationId] = Object.entries(job.mg_meta.providers).find(([, t]) => t?.id === a.p_task_id);
+      return [{ job_id: job.mg_id, generation_id: generationId, pass_id: job.mg_pass_id, kind: job.mg_meta?.kind, job_status: job.mg_status }];
+    },
+
+    mega_stamp_ctx_experiment: (a) => {
+      const rows = world
+        .table(GEN)
+        .filter((g) => g.mg_record_type === "generation" && a.p_generation_ids.includes(g.mg_generation_id));
+      for (const g of rows) g.mg_meta = { ...(g.mg_meta || {}), ctx_experiment: a.p_assignment };
+      return rows.length;
+    },
+  });
+
+  return world;
+}
+
+export function seedCustomer(world, passId, { credits = 0, preferences = {} } = {}) {
+  world.insert(CUSTOMERS, {
+    mg_pass_id: passId,
+    mg_credits: credits,
+    mg_mma_preferences: preferences,
+    mg_created_at: nowIso(),
+    mg_updated_at: nowIso(),
+  });
+}
+
+export function creditsOf(world, passId) {
+  return world.table(CUSTOMERS).find((c) => c.mg_pass_id === passId)?.mg_credits ?? null;
+}
+
+export function generationRow(world, generationId) {
+  return world.row(GEN, `generation:${generationId}`);
+}
+
+export function holdRow(world, generationId) {
+  return world.row(GEN, `mma_hold:${generationId}`);
+}
+
+// Writes the generation + hold + queued job the way the request handlers do
+export function queueGeneration(world, { generationId, passId, kind, mode = "still", vars = {}, parentId = null, cost = 1, payload = {} }) {
+  const ts = nowIso();
+  world.insert(GEN, {
+    mg_id: `generation:${generationId}`,
+    mg_record_type: "generation",
+    mg_generation_id: generationId,
+    mg_parent_id: parentId ? `generation:${parentId}` : null,
+    mg_pass_id: passId,
+    mg_status: "queued",
+    mg_mma_status: "queued",
+    mg_mma_mode: mode,
+    mg_mma_vars: vars,
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  });
+
+  if (cost > 0) world.rpcs.mega_place_credit_hold({ p_pass_id: passId, p_hold_id: `mma_hold:${generationId}`, p_amount: cost, p_generation_id: generationId });
+
+  world.insert(GEN, {
+    mg_id: `mma_job:${generationId}`,
+    mg_record_type: "mma_job",
+    mg_generation_id: generationId,
+    mg_parent_id: `generation:${generationId}`,
+    mg_pass_id: passId,
+    mg_status: "queued",
+    mg_attempts: 0,
+    mg_run_after: ts,
+    mg_meta: { kind, recovering: false, providers: {} },
+    mg_payload: payload,
+    mg_created_at: ts,
+    mg_updated_at: ts,
+  });
+}
+
+export function jobRow(world, generationId) {
+  return world.row(GEN, `mma_job:${generationId}`);
+}
+
+// Job settled (done / dead) or re-queued for a retry
+export function waitForJob(world, generationId, statuses = ["done", "dead"], opts = {}) {
+  return waitFor(() => statuses.includes(jobRow(world, generationId)?.mg_status) && jobRow(world, generationId), {
+    label: `job ${generationId} ${statuses.join("|")}`,
+    ...opts,
+  });
+}
+
+// Env first (clients are built lazily from it), then the server modules
+export async function bootMmaWorld(env = {}) {
+  const world = installMegaRpcs(await startFakeWorld());
+
+  Object.assign(process.env, world.env(), {
+    MMA_JOB_POLL_MS: "25",
+    MMA_JOB_BACKOFF_BASE_MS: "10",
+    MMA_JOB_BACKOFF_MAX_MS: "50",
+    MMA_JOB_PROVIDER_POLL_MS: "25",
+    MMA_MODERATION_PROVIDER: "off",
+    ...env,
+  });
+
+  const controller = await import("../../server/mma/mma-controller.js");
+  const jobs = await import("../../server/mma/mma-jobs.js");
+  jobs.startMmaJobWorker();
+
+  const closeWorld = world.close;
+  world.close = async () => {
+    jobs.stopMmaJobWorker();
+    await closeWorld();
+  };
+
+  return { world, controller, jobs };
+}
+
+export { waitFor };
@@ -0,0 +1,46 @@
+// ./test/helpers/zip-reader.js
+// Reads a STORE-only ZIP back the way an unzip tool does (end of central directory -> central
+// headers -> local headers) and asserts both header copies agree along the way.
+
+import assert from "node:assert/strict";
+
+// => [{ name, method, crc, size, localOffset, data }] in central directory order
+export function readZip(buf) {
+  const eocd = buf.length - 22;
+  assert.equal(buf.readUInt32LE(eocd), 0x06054b50, "end of central directory signature");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  const cdSize = buf.readUInt32LE(eocd + 12);
+  const cdOffset = buf.readUInt32LE(eocd + 16);
+  assert.equal(buf.readUInt16LE(eocd + 8), count);
+  assert.equal(cdOffset + cdSize, eocd, "central directory ends where the EOCD starts");
+
+  const entries = [];
+  let p = cdOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(p), 0x02014b50, `central header ${i} signature`);
+    const method = buf.readUInt16LE(p + 10);
+    const crc = buf.readUInt32LE(p + 16);
+    const compressed = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.subarray(p + 46, p + 46 + nameLen).toString("utf8");
+
+    assert.equal(buf.readUInt32LE(localOffset), 0x04034b50, `local header of ${name}`);
+    assert.equal(buf.readUInt32LE(localOffset + 14), crc, `local CRC of ${name}`);
+    assert.equal(buf.readUInt32LE(localOffset + 18), compressed);
+    assert.equal(buf.readUInt32LE(localOffset + 22), size);
+    const localNameLen = buf.readUInt16LE(localOffset + 26);
+    const localExtraLen = buf.readUInt16LE(localOffset + 28);
+    assert.equal(buf.subarray(localOffset + 30, localOffset + 30 + localNameLen).toString("utf8"), name);
+
+    const start = localOffset + 30 + localNameLen + localExtraLen;
+    entries.push({ name, method, crc, size, localOffset, data: buf.subarray(start, start + compressed) });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  assert.equal(p, eocd);
+  return entries;
+}
@@ -0,0 +1,63 @@
+// The webhook delivers a generation while the pipeline is still failing it:
+// the generation stays done, the capture stands and nothing is refunded.
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld, creditsOf, generationRow, holdRow, queueGeneration, seedCustomer, waitForJob } from "./helpers/mma-world.js";
+
+const PASS = "pass:test:race";
+
+let world;
+
+before(async () => {
+  ({ world } = await bootMmaWorld());
+});
+
+after(async () => {
+  await world?.close();
+});
+
+test("a late pipeline failure never flips a delivered generation to error", async () => {
+  seedCustomer(world, PASS, { credits: 5 });
+  world.openai = () => ({ clean_prompt: "a red square" });
+
+  // what completeRecoveredGeneration does on the webhook side, then the provider call fails here
+  world.replicate = () => {
+    const row = generationRow(world, "race-1");
+    if (row.mg_mma_status !== "done") {
+      Object.assign(row, { mg_status: "done", mg_mma_status: "done", mg_output_url: `${world.url}/assets/mma/still/race-1.png` });
+      world.rpcs.mega_capture_credit_hold({
+        p_hold_id: "mma_hold:race-1",
+        p_pass_id: PASS,
+        p_amount: 1,
+        p_reason: "mma_still",
+        p_source: "mma",
+        p_ref_type: "mma_charge",
+        p_ref_id: "mma:race-1",
+      });
+    }
+    return { httpStatus: 422, detail: "Invalid input" };
+  };
+
+  queueGeneration(world, {
+    generationId: "race-1",
+    passId: PASS,
+    kind: "still_create",
+    vars: { inputs: { prompt: "a red square" } },
+  });
+
+  await waitForJob(world, "race-1");
+
+  const row = generationRow(world, "race-1");
+  assert.equal(row.mg_mma_status, "done");
+  assert.equal(row.mg_error ?? null, null);
+  assert.equal(row.mg_output_url, `${world.url}/assets/mma/still/race-1.png`);
+
+  assert.equal(holdRow(world, "race-1").mg_status, "captured");
+  assert.equal(creditsOf(world, PASS), 4);
+  assert.equal(
+    world.table("mega_generations").some((g) => g.mg_ref_type === "mma_refund"),
+    false
+  );
+});
@@ -0,0 +1,43 @@
+// stampCtxExperiment: one merge for every generation of the request, other mg_meta keys kept
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld, generationRow } from "./helpers/mma-world.js";
+
+let world;
+let supabase;
+let stampCtxExperiment;
+
+before(async () => {
+  ({ world } = await bootMmaWorld());
+  ({ stampCtxExperiment } = await import("../server/mma/mma-experiments.js"));
+  supabase = (await import("../supabase.js")).getSupabaseAdmin();
+});
+
+after(async () => {
+  await world?.close();
+});
+
+test("the arm is stamped on every id in one rpc, without a read of mg_meta", async () => {
+  for (const id of ["exp-parent", "exp-v0", "exp-v1"]) {
+    world.insert("mega_generations", {
+      mg_id: `generation:${id}`,
+      mg_record_type: "generation",
+      mg_generation_id: id,
+      mg_meta: { api_key_id: "key-1" },
+    });
+  }
+
+  const assignment = { experiment_id: "ctx-1", version: 2, arm: "B" };
+  const before = world.calls.length;
+  await stampCtxExperiment(supabase, ["exp-parent", "exp-v0", "exp-v1", "exp-v0"], assignment);
+
+  const calls = world.calls.slice(before).filter((c) => c.path !== "mega_claim_mma_jobs"); // the idle job worker
+  assert.deepEqual(calls.map((c) => `${c.kind}:${c.path}`), ["rpc:mega_stamp_ctx_experiment"]);
+  assert.deepEqual(calls[0].body.p_generation_ids, ["exp-parent", "exp-v0", "exp-v1"]);
+
+  for (const id of ["exp-parent", "exp-v0", "exp-v1"]) {
+    assert.deepEqual(generationRow(world, id).mg_meta, { api_key_id: "key-1", ctx_experiment: assignment });
+  }
+});
@@ -0,0 +1,51 @@
+// fetchGenerationTree: the lineage of a generation is only shown to its own pass
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld } from "./helpers/mma-world.js";
+
+const PASS = "pass:test:tree";
+
+let world;
+let controller;
+
+before(async () => {
+  ({ world, controller } = await bootMmaWorld());
+  for (const [id, parent] of [["tree-root", null], ["tree-tweak", "tree-root"]]) {
+    world.insert("mega_generations", {
+      mg_id: `generation:${id}`,
+      mg_record_type: "generation",
+      mg_generation_id: id,
+      mg_parent_id: parent ? `generation:${parent}` : null,
+      mg_pass_id: PASS,
+      mg_status: "done",
+      mg_mma_status: "done",
+      mg_mma_mode: "still",
+      mg_created_at: new Date().toISOString(),
+    });
+  }
+});
+
+after(async () => {
+  await world?.close();
+});
+
+test("no pass id: PASS_ID_REQUIRED, nothing is read", async () => {
+  const before = world.calls.length;
+  assert.deepEqual(await controller.fetchGenerationTree({ generationId: "tree-tweak", passId: "" }), {
+    ok: false,
+    error: "PASS_ID_REQUIRED",
+  });
+  assert.equal(world.calls.length, before);
+});
+
+test("another pass is forbidden, the owner gets the whole family", async () => {
+  const other = await controller.fetchGenerationTree({ generationId: "tree-tweak", passId: "pass:test:other" });
+  assert.deepEqual(other, { ok: false, error: "FORBIDDEN" });
+
+  const own = await controller.fetchGenerationTree({ generationId: "tree-tweak", passId: PASS });
+  assert.equal(own.ok, true);
+  assert.equal(own.root_generation_id, "tree-root");
+  assert.equal(own.count, 2);
+});
@@ -0,0 +1,83 @@
+// Transient provider errors go back to the job queue: retried with backoff, and only the
+// last attempt fails the generation and releases the hold (giveUp).
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld, creditsOf, generationRow, holdRow, jobRow, queueGeneration, seedCustomer, waitForJob } from "./helpers/mma-world.js";
+
+const MAX_ATTEMPTS = 3;
+
+let world;
+
+before(async () => {
+  ({ world } = await bootMmaWorld({ MMA_JOB_MAX_ATTEMPTS: String(MAX_ATTEMPTS) }));
+  world.openai = () => ({ clean_prompt: "a green cup" });
+});
+
+after(async () => {
+  await world?.close();
+});
+
+test("a 503 from the provider is retried by the queue and the next attempt delivers", async () => {
+  const pass = "pass:test:retry-ok";
+  seedCustomer(world, pass, { credits: 5 });
+
+  const outUrl = world.serve("/img/green.png", Buffer.from("png"), "image/png");
+  let calls = 0;
+  world.replicate = () => (++calls === 1 ? { httpStatus: 503, detail: "Service Unavailable" } : { status: "succeeded", output: outUrl });
+
+  queueGeneration(world, { generationId: "retry-ok", passId: pass, kind: "still_create", vars: { inputs: { prompt: "a green cup" } } });
+
+  const job = await waitForJob(world, "retry-ok");
+  assert.equal(job.mg_status, "done");
+  assert.equal(job.mg_attempts, 2);
+  assert.equal(calls, 2);
+
+  const row = generationRow(world, "retry-ok");
+  assert.equal(row.mg_mma_status, "done");
+  assert.ok(row.mg_output_url.startsWith(`${world.url}/assets/`), row.mg_output_url);
+  assert.equal(holdRow(world, "retry-ok").mg_status, "captured");
+  assert.equal(creditsOf(world, pass), 4);
+});
+
+test("a provider that keeps failing transiently ends in giveUp: error + hold released", async () => {
+  const pass = "pass:test:retry-dead";
+  seedCustomer(world, pass, { credits: 5 });
+
+  let calls = 0;
+  world.replicate = () => {
+    calls += 1;
+    return { httpStatus: 503, detail: "Service Unavailable" };
+  };
+
+  queueGeneration(world, { generationId: "retry-dead", passId: pass, kind: "still_create", vars: { inputs: { prompt: "a green cup" } } });
+
+  const job = await waitForJob(world, "retry-dead", ["dead"], { timeoutMs: 15000 });
+  assert.equal(job.mg_attempts, MAX_ATTEMPTS);
+  assert.equal(calls, MAX_ATTEMPTS);
+
+  const row = generationRow(world, "retry-dead");
+  assert.equal(row.mg_mma_status, "error");
+  assert.equal(holdRow(world, "retry-dead").mg_status, "released");
+  assert.equal(creditsOf(world, pass), 5);
+});
+
+test("a final provider error is not retried", async () => {
+  const pass = "pass:test:retry-final";
+  seedCustomer(world, pass, { credits: 5 });
+
+  let calls = 0;
+  world.replicate = () => {
+    calls += 1;
+    return { httpStatus: 422, detail: "Invalid input" };
+  };
+
+  queueGeneration(world, { generationId: "retry-final", passId: pass, kind: "still_create", vars: { inputs: { prompt: "a green cup" } } });
+
+  await waitForJob(world, "retry-final");
+  assert.equal(jobRow(world, "retry-final").mg_attempts, 1);
+  assert.equal(calls, 1);
+  assert.equal(generationRow(world, "retry-final").mg_mma_status, "error");
+  assert.equal(holdRow(world, "retry-final").mg_status, "released");
+});
@@ -0,0 +1,110 @@
+// Moderation pre-check with the stub provider: brand kit and preset images are checked too, before any hold
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld, creditsOf, seedCustomer } from "./helpers/mma-world.js";
+
+const PASS = "pass:test:moderation";
+
+let world;
+let controller;
+let moderation;
+
+before(async () => {
+  ({ world, controller } = await bootMmaWorld());
+  moderation = await import("../server/mma/mma-moderation.js");
+  moderation.setModerationProvider(moderation.createStubModerationProvider({ terms: ["forbidden"] }));
+});
+
+after(async () => {
+  moderation?.setModerationProvider(null);
+  await world?.close();
+});
+
+test("kit images merged into the assets and preset style heroes are part of the check", () => {
+  const { imageUrls } = moderation.moderationInputsFromBody(
+    { assets: { product_image_url: "https://cdn.test/own-product.png" } },
+    {
+      brandKit: {
+        product_image_urls: ["https://cdn.test/kit-product.png"], // the request's own product wins
+        logo_urls: ["https://cdn.test/kit-logo.png"],
+        style_image_urls: ["https://cdn.test/kit-style.png"],
+      },
+      preset: { style_hero_urls: ["https://cdn.test/preset-hero.png"] },
+    }
+  );
+
+  assert.deepEqual(imageUrls.sort(), [
+    "https://cdn.test/kit-logo.png",
+    "https://cdn.test/kit-style.png",
+    "https://cdn.test/own-product.png",
+    "https://cdn.test/preset-hero.png",
+  ]);
+});
+
+test("a flagged brand kit image blocks the request before anything is held", async () => {
+  seedCustomer(world, PASS, { credits: 5 });
+  world.insert("mega_generations", {
+    mg_id: "brand_kit:kit-1",
+    mg_record_type: "brand_kit",
+    mg_pass_id: PASS,
+    mg_status: "active",
+    mg_title: "Kit",
+    mg_meta: { style_image_urls: ["https://cdn.test/moderation-flag-style.png"] },
+  });
+
+  await assert.rejects(
+    controller.handleMmaCreate({ mode: "still", body: { passId: PASS, inputs: { prompt: "a cup", brand_kit_id: "kit-1" } } }),
+    (err) => err.statusCode === 422 && err.message === "MODERATION_BLOCKED"
+  );
+
+  const rows = world.table("mega_generations");
+  assert.equal(rows.some((g) => g.mg_record_type === "mma_hold" || g.mg_record_type === "generation"), false);
+
+  const step = rows.find((g) => g.mg_step_type === "moderation");
+  assert.deepEqual(step.mg_payload.decision.checks.filter((c) => c.flagged).map((c) => c.url), ["https://cdn.test/moderation-flag-style.png"]);
+  assert.equal(creditsOf(world, PASS), 5);
+});
+
+test("flagged brief text blocks the request", async () => {
+  await assert.rejects(
+    controller.handleMmaCreate({ mode: "still", body: { passId: PASS, inputs: { prompt: "something forbidden" } } }),
+    (err) => err.statusCode === 422
+  );
+});
+
+test("every image is checked: a flagged kit image past the eighth still blocks the request", async () => {
+  const pass = "pass:test:moderation-many";
+  seedCustomer(world, pass, { credits: 5 });
+
+  const style = Array.from({ length: 10 }, (_, i) => `https://cdn.test/kit-style-${i}.png`);
+  style[9] = "https://cdn.test/kit-style-moderation-flag.png";
+  world.insert("mega_generations", {
+    mg_id: "brand_kit:kit-many",
+    mg_record_type: "brand_kit",
+    mg_pass_id: pass,
+    mg_status: "active",
+    mg_title: "Big kit",
+    mg_meta: {
+      logo_urls: ["https://cdn.test/kit-logo-0.png"],
+      product_image_urls: ["https://cdn.test/kit-product-0.png"],
+      style_image_urls: style,
+    },
+  });
+
+  const own = Array.from({ length: 4 }, (_, i) => `https://cdn.test/own-inspiration-${i}.png`);
+  await assert.rejects(
+    controller.handleMmaCreate({
+      mode: "still",
+      body: { passId: pass, assets: { inspiration_image_urls: own }, inputs: { prompt: "a cup", brand_kit_id: "kit-many" } },
+    }),
+    (err) => err.statusCode === 422 && err.message === "MODERATION_BLOCKED"
+  );
+
+  const step = world.table("mega_generations").find((g) => g.mg_step_type === "moderation" && g.mg_pass_id === pass);
+  const images = step.mg_payload.decision.checks.filter((c) => c.kind === "image");
+  assert.equal(images.length, 16);
+  assert.deepEqual(images.filter((c) => c.flagged).map((c) => c.url), ["https://cdn.test/kit-style-moderation-flag.png"]);
+  assert.equal(creditsOf(world, pass), 5);
+});
@@ -0,0 +1,130 @@
+// With MMA_REPLICATE_WEBHOOK_URL set, a job does not wait for the render: it parks once the
+// prediction id is saved, and the webhook (or recover() polling as the fallback) finishes it.
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld, creditsOf, generationRow, holdRow, jobRow, queueGeneration, seedCustomer, waitFor, waitForJob } from "./helpers/mma-world.js";
+
+const WEBHOOK = "https://api.example.test/webhooks/replicate";
+
+let world;
+let controller;
+
+before(async () => {
+  ({ world, controller } = await bootMmaWorld({
+    MMA_REPLICATE_WEBHOOK_URL: WEBHOOK,
+    MMA_REPLICATE_WEBHOOK_FALLBACK_POLL_MS: "60000", // parked jobs stay parked until a test wakes them
+  }));
+  world.openai = () => ({ clean_prompt: "a blue vase" });
+  world.replicate = () => ({ status: "starting", output: null });
+});
+
+after(async () => {
+  await world?.close();
+});
+
+// queue a still create and wait until its job is parked on the recorded prediction
+async function parkedRender(generationId, pass) {
+  seedCustomer(world, pass, { credits: 5 });
+  queueGeneration(world, { generationId, passId: pass, kind: "still_create", vars: { inputs: { prompt: "a blue vase" } } });
+
+  const job = await waitFor(() => {
+    const j = jobRow(world, generationId);
+    return j?.mg_status === "queued" && j.mg_meta?.providers?.[generationId] && j;
+  }, { label: `job ${generationId} parked` });
+
+  return job.mg_meta.providers[generationId].id;
+}
+
+const wake = (generationId) => {
+  jobRow(world, generationId).mg_run_after = new Date().toISOString();
+};
+
+test("the job parks after the create and the webhook delivers", async () => {
+  const pass = "pass:test:webhook";
+  const predictionId = await parkedRender("hook-1", pass);
+
+  const job = jobRow(world, "hook-1");
+  assert.equal(job.mg_lease_owner, null);
+  assert.equal(job.mg_meta.recovering, true);
+  assert.equal(generationRow(world, "hook-1").mg_mma_status, "generating");
+  assert.equal(holdRow(world, "hook-1").mg_status, "held");
+
+  const replicateCalls = world.calls.filter((c) => c.kind === "replicate");
+  assert.deepEqual(replicateCalls.map((c) => c.path.endsWith("/predictions")), [true]); // no polling
+  assert.equal(replicateCalls[0].body.webhook, WEBHOOK);
+
+  const outUrl = world.serve("/img/vase.png", Buffer.from("png"), "image/png");
+  const out = await controller.handleReplicateWebhook({ id: predictionId, status: "succeeded", output: [outUrl] });
+  assert.equal(out.handled, true);
+
+  const row = generationRow(world, "hook-1");
+  assert.equal(row.mg_mma_status, "done");
+  assert.ok(row.mg_output_url.startsWith(`${world.url}/assets/`), row.mg_output_url);
+  assert.equal(holdRow(world, "hook-1").mg_status, "captured");
+  assert.equal(creditsOf(world, pass), 4);
+
+  // the parked job wakes up, sees the delivery and settles
+  wake("hook-1");
+  assert.equal((await waitForJob(world, "hook-1")).mg_status, "done");
+});
+
+test("without a webhook delivery, recover() polling finishes the render", async () => {
+  const pass = "pass:test:webhook-fallback";
+  const predictionId = await parkedRender("hook-2", pass);
+
+  const outUrl = world.serve("/img/vase-2.png", Buffer.from("png"), "image/png");
+  Object.assign(world.predictions.get(predictionId), { status: "succeeded", output: outUrl });
+  wake("hook-2");
+
+  assert.equal((await waitForJob(world, "hook-2")).mg_status, "done");
+  assert.equal(generationRow(world, "hook-2").mg_mma_status, "done");
+  assert.equal(holdRow(world, "hook-2").mg_status, "captured");
+  assert.equal(creditsOf(world, pass), 4);
+});
+
+test("a batch parks once every variant is rendering, and settles when they are delivered", async () => {
+  const pass = "pass:test:webhook-batch";
+  seedCustomer(world, pass, { credits: 5 });
+
+  // parent container + one generation and one hold per variant, like handleMmaCreate
+  const children = [0, 1].map((index) => ({ generation_id: `hook-batch-v${index}`, index }));
+  const vars = { inputs: { prompt: "a blue vase", variant_count: children.length } };
+  for (const c of children) {
+    world.insert("mega_generations", {
+      mg_id: `generation:${c.generation_id}`,
+      mg_record_type: "generation",
+      mg_generation_id: c.generation_id,
+      mg_parent_id: "generation:hook-batch",
+      mg_pass_id: pass,
+      mg_status: "queued",
+      mg_mma_status: "queued",
+      mg_mma_mode: "still",
+      mg_mma_vars: { ...vars, meta: { flow: "still_variant", batch_generation_id: "hook-batch", variant_index: c.index } },
+    });
+    world.rpcs.mega_place_credit_hold({ p_pass_id: pass, p_hold_id: `mma_hold:${c.generation_id}`, p_amount: 1, p_generation_id: c.generation_id });
+  }
+  queueGeneration(world, { generationId: "hook-batch", passId: pass, kind: "still_batch", cost: 0, vars, payload: { children } });
+
+  const job = await waitFor(() => {
+    const j = jobRow(world, "hook-batch");
+    return j?.mg_status === "queued" && children.every((c) => j.mg_meta?.providers?.[c.generation_id]) && j;
+  }, { label: "batch parked" });
+  assert.equal(generationRow(world, "hook-batch").mg_mma_status, "generating");
+
+  for (const c of children) {
+    const outUrl = world.serve(`/img/${c.generation_id}.png`, Buffer.from("png"), "image/png");
+    const out = await controller.handleReplicateWebhook({ id: job.mg_meta.providers[c.generation_id].id, status: "succeeded", output: outUrl });
+    assert.equal(out.handled, true, c.generation_id);
+  }
+
+  wake("hook-batch");
+  assert.equal((await waitForJob(world, "hook-batch")).mg_status, "done");
+
+  const parent = generationRow(world, "hook-batch");
+  assert.equal(parent.mg_mma_status, "done");
+  assert.deepEqual(parent.mg_mma_vars.outputs.variants.map((v) => v.status), ["done", "done"]);
+  for (const c of children) assert.equal(holdRow(world, c.generation_id).mg_status, "captured");
+  assert.equal(creditsOf(world, pass), 3);
+});
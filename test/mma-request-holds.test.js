@@ -0,0 +1,55 @@
+// POST /mma/... fails after the hold but before the job is queued: every hold it placed is released
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld, creditsOf, seedCustomer } from "./helpers/mma-world.js";
+
+let world;
+let controller;
+
+before(async () => {
+  ({ world, controller } = await bootMmaWorld());
+});
+
+after(async () => {
+  await world?.close();
+});
+
+beforeEach(() => {
+  world.failRest = null;
+});
+
+const holdsOf = (passId) => world.table("mega_generations").filter((g) => g.mg_record_type === "mma_hold" && g.mg_pass_id === passId);
+
+test("a failed generation insert releases the still hold", async () => {
+  const pass = "pass:test:hold-single";
+  seedCustomer(world, pass, { credits: 3 });
+  world.failRest = ({ method, body }) => (method === "POST" && body?.mg_record_type === "generation" ? { status: 503 } : null);
+
+  await assert.rejects(controller.handleMmaCreate({ mode: "still", body: { passId: pass, inputs: { prompt: "a cup" } } }));
+
+  const holds = holdsOf(pass);
+  assert.equal(holds.length, 1);
+  assert.equal(holds[0].mg_status, "released");
+  assert.equal(creditsOf(world, pass), 3);
+});
+
+test("a failed variant insert releases every variant hold of the batch", async () => {
+  const pass = "pass:test:hold-batch";
+  seedCustomer(world, pass, { credits: 5 });
+
+  let generationInserts = 0;
+  world.failRest = ({ method, body }) =>
+    method === "POST" && body?.mg_record_type === "generation" && ++generationInserts === 3 ? { status: 503 } : null;
+
+  await assert.rejects(
+    controller.handleMmaCreate({ mode: "still", body: { passId: pass, inputs: { prompt: "a cup", variant_count: 3 } } })
+  );
+
+  const holds = holdsOf(pass);
+  assert.equal(holds.length, 3);
+  assert.deepEqual(holds.map((h) => h.mg_status), ["released", "released", "released"]);
+  assert.equal(creditsOf(world, pass), 5);
+  assert.equal(world.table("mega_generations").some((g) => g.mg_record_type === "mma_job"), false);
+});
@@ -0,0 +1,84 @@
+// Still batch safety blocks: the daily courtesy is decided once per batch, and a failed
+// shared step (the prompt every variant uses) releases every child hold.
+
+import { after, before, beforeEach, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { bootMmaWorld, creditsOf, generationRow, holdRow, queueGeneration, seedCustomer, waitForJob } from "./helpers/mma-world.js";
+
+const VARIANTS = 3;
+const today = () => new Date().toISOString().slice(0, 10);
+
+let world;
+
+before(async () => {
+  ({ world } = await bootMmaWorld());
+});
+
+after(async () => {
+  await world?.close();
+});
+
+beforeEach(() => {
+  world.openai = () => ({ clean_prompt: "a cup on a table" });
+  world.replicate = () => ({ status: "succeeded", output: null });
+});
+
+// Parent container (no hold) + one generation and one hold per variant, like handleMmaCreate
+function queueBatch(batchId, passId) {
+  const children = Array.from({ length: VARIANTS }, (_, index) => ({ generation_id: `${batchId}-v${index}`, index }));
+  const vars = { inputs: { prompt: "a cup on a table", variant_count: VARIANTS } };
+
+  for (const c of children) {
+    world.insert("mega_generations", {
+      mg_id: `generation:${c.generation_id}`,
+      mg_record_type: "generation",
+      mg_generation_id: c.generation_id,
+      mg_parent_id: `generation:${batchId}`,
+      mg_pass_id: passId,
+      mg_status: "queued",
+      mg_mma_status: "queued",
+      mg_mma_mode: "still",
+      mg_mma_vars: { ...vars, meta: { flow: "still_variant", batch_generation_id: batchId, variant_index: c.index } },
+    });
+    world.rpcs.mega_place_credit_hold({ p_pass_id: passId, p_hold_id: `mma_hold:${c.generation_id}`, p_amount: 1, p_generation_id: c.generation_id });
+  }
+
+  queueGeneration(world, { generationId: batchId, passId, kind: "still_batch", cost: 0, vars, payload: { children } });
+  return children;
+}
+
+test("a safety block in the shared prompt step releases every variant hold", async () => {
+  const pass = "pass:test:batch-prompt";
+  // courtesy already used today: a single still would be captured here
+  seedCustomer(world, pass, { credits: 5, preferences: { courtesy_safety_refund_day: today() } });
+  world.openai = () => ({ httpStatus: 400, message: "Your request was rejected by our safety system" });
+
+  const children = queueBatch("batch-prompt", pass);
+  await waitForJob(world, "batch-prompt");
+
+  assert.equal(generationRow(world, "batch-prompt").mg_mma_status, "error");
+  for (const c of children) {
+    assert.equal(generationRow(world, c.generation_id).mg_mma_status, "error");
+    assert.equal(holdRow(world, c.generation_id).mg_status, "released", c.generation_id);
+  }
+  assert.equal(creditsOf(world, pass), 5);
+});
+
+test("safety blocks on every variant use one courtesy for the whole batch", async () => {
+  const pass = "pass:test:batch-render";
+  seedCustomer(world, pass, { credits: 5 });
+  world.replicate = () => ({ httpStatus: 422, detail: "NSFW content detected" });
+
+  const children = queueBatch("batch-render", pass);
+  await waitForJob(world, "batch-render");
+
+  for (const c of children) {
+    assert.equal(generationRow(world, c.generation_id).mg_mma_status, "error");
+    assert.equal(holdRow(world, c.generation_id).mg_status, "released", c.generation_id);
+  }
+  assert.equal(creditsOf(world, pass), 5);
+
+  const prefs = world.table("mega_customers").find((c) => c.mg_pass_id === pass).mg_mma_preferences;
+  assert.equal(prefs.courtesy_safety_refund_day, today());
+});
@@ -0,0 +1,81 @@
+// Masked still tweak (inputs.mask_url): GPT prompt -> inpaint -> composite on the parent -> R2 -> done + capture
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+
+import { bootMmaWorld, creditsOf, generationRow, holdRow, queueGeneration, seedCustomer, waitForJob } from "./helpers/mma-world.js";
+
+const PASS = "pass:test:masked";
+
+let world;
+
+const solid = (color) => sharp({ create: { width: 8, height: 8, channels: 3, background: color } }).png().toBuffer();
+
+before(async () => {
+  ({ world } = await bootMmaWorld());
+});
+
+after(async () => {
+  await world?.close();
+});
+
+test("a masked tweak paints the edit inside the mask only and captures the hold", async () => {
+  const parentUrl = world.serve("/img/parent.png", await solid({ r: 255, g: 0, b: 0 }));
+  const editUrl = world.serve("/img/edit.png", await solid({ r: 0, g: 0, b: 255 }));
+
+  // left half white = regenerate, right half black = keep
+  const mask = await sharp({ create: { width: 8, height: 8, channels: 3, background: { r: 0, g: 0, b: 0 } } })
+    .composite([{ input: await solid({ r: 255, g: 255, b: 255 }).then((b) => sharp(b).resize(4, 8).toBuffer()), left: 0, top: 0 }])
+    .png()
+    .toBuffer();
+  const maskUrl = world.serve("/img/mask.png", mask);
+
+  world.openai = () => ({ clean_prompt: "a blue square" });
+  world.replicate = () => ({ status: "succeeded", output: editUrl });
+
+  seedCustomer(world, PASS, { credits: 5 });
+  world.insert("mega_generations", {
+    mg_id: "generation:parent-1",
+    mg_record_type: "generation",
+    mg_generation_id: "parent-1",
+    mg_pass_id: PASS,
+    mg_status: "done",
+    mg_mma_status: "done",
+    mg_mma_mode: "still",
+    mg_output_url: parentUrl,
+    mg_prompt: "a red square",
+    mg_mma_vars: {},
+  });
+
+  queueGeneration(world, {
+    generationId: "tweak-1",
+    passId: PASS,
+    kind: "still_tweak",
+    parentId: "parent-1",
+    payload: { parent_generation_id: "parent-1" },
+    vars: { inputs: { mask_url: maskUrl }, feedback: { still_feedback: "make the left side blue" } },
+  });
+
+  const job = await waitForJob(world, "tweak-1");
+  assert.equal(job.mg_status, "done");
+
+  const row = generationRow(world, "tweak-1");
+  assert.equal(row.mg_mma_status, "done", JSON.stringify(row.mg_error));
+  assert.equal(row.mg_output_url, `${world.url}/assets/mma/still/tweak-1.png`);
+  assert.equal(row.mg_mma_vars.meta.tweak_mode, "masked");
+  assert.ok(row.mg_mma_vars.meta.still_lane);
+
+  const inpaint = world.calls.find((c) => c.kind === "replicate");
+  assert.deepEqual([inpaint.body.input.image, inpaint.body.input.mask], [parentUrl, maskUrl]);
+
+  const { data, info } = await sharp(world.files.get("/assets/mma/still/tweak-1.png").body)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const px = (x, y) => Array.from(data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3));
+  assert.deepEqual(px(1, 4), [0, 0, 255]); // inside the mask: the edit
+  assert.deepEqual(px(6, 4), [255, 0, 0]); // outside: the parent, untouched
+
+  assert.equal(holdRow(world, "tweak-1").mg_status, "captured");
+  assert.equal(creditsOf(world, PASS), 4);
+});
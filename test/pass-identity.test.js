@@ -0,0 +1,67 @@
+// passIdentityGuard in enforce mode: every pass source the routes resolve is checked,
+// and the proved pass is what the pool routes read
+
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+
+let identity;
+
+before(async () => {
+  Object.assign(process.env, { PASS_TOKEN_SECRET: "test-pass-secret", PASS_IDENTITY_MODE: "enforce" });
+  identity = await import("../server/pass-identity.js");
+});
+
+function fakeReq({ path = "/pool", query = {}, body = {}, headers = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method: "GET", path, baseUrl: "/fingertips", query, body, ip: "127.0.0.1", get: (name) => lower[name.toLowerCase()] };
+}
+
+async function runGuard(req) {
+  const guard = identity.passIdentityGuard({ getAuthUser: async () => null, label: "test" });
+  const out = { next: false, status: null, body: null };
+  const res = {
+    status(code) {
+      out.status = code;
+      return this;
+    },
+    json(body) {
+      out.body = body;
+      return this;
+    },
+  };
+  await guard(req, res, () => {
+    out.next = true;
+  });
+  return out;
+}
+
+test("?pass_id= naming someone else's pass is rejected", async () => {
+  const req = fakeReq({ query: { pass_id: "pass:user:victim" } });
+  assert.deepEqual(identity.claimedPassIds(req), ["pass:user:victim"]);
+
+  const out = await runGuard(req);
+  assert.equal(out.next, false);
+  assert.equal(out.status, 401);
+  assert.equal(out.body.error, "PASS_UNVERIFIED");
+  assert.equal(identity.verifiedPassIdOf(req), "");
+});
+
+test("an unsigned ?pass_id= cannot ride along a signed header pass", async () => {
+  const mine = "pass:anon:11111111-1111-4111-8111-111111111111";
+  const req = fakeReq({
+    query: { pass_id: "pass:anon:22222222-2222-4222-8222-222222222222" },
+    headers: { "X-Mina-Pass-Id": mine, "X-Mina-Pass-Token": identity.issuePassToken(mine) },
+  });
+
+  const out = await runGuard(req);
+  assert.equal(out.status, 401);
+});
+
+test("a signed ?pass_id= goes through and is the verified pass", async () => {
+  const mine = "pass:anon:11111111-1111-4111-8111-111111111111";
+  const req = fakeReq({ query: { pass_id: mine, passToken: identity.issuePassToken(mine) } });
+
+  const out = await runGuard(req);
+  assert.equal(out.next, true);
+  assert.equal(identity.verifiedPassIdOf(req), mine);
+});
@@ -0,0 +1,82 @@
+// rateLimit: the admin allowlist only applies to a proved pass, and never to the per-IP buckets
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { startFakeWorld } from "./helpers/fake-world.js";
+
+const VIP = "pass:test:vip";
+
+let world;
+let rateLimit;
+
+before(async () => {
+  world = await startFakeWorld();
+  Object.assign(process.env, world.env(), {
+    RATE_DOWNLOADS_PER_MIN_IP: "2",
+    RATE_MMA_CREATES_PER_MIN: "1",
+    RATE_MMA_CREATES_PER_MIN_IP: "3",
+    RATE_MMA_INFLIGHT_PER_PASS: "0",
+  });
+  world.insert("mega_customers", { mg_pass_id: VIP, mg_admin_allowlist: true });
+  ({ rateLimit } = await import("../server/rate-limit.js"));
+});
+
+after(async () => {
+  await world?.close();
+});
+
+function call(mw, { ip, headers = {}, verifiedPassId } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const req = { ip, body: {}, query: {}, verifiedPassId, get: (name) => lower[name.toLowerCase()] };
+
+  return new Promise((resolve) => {
+    const res = {
+      set() {},
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    mw(req, res, () => resolve({ status: 200 }));
+  });
+}
+
+const allowlistLookups = () => world.calls.filter((c) => c.path === "mega_customers").length;
+
+test("an allowlisted pass header does not skip the download IP limit, and is never looked up", async () => {
+  const mw = rateLimit("public_download");
+  const opts = { ip: "10.0.0.1", headers: { "X-Mina-Pass-Id": VIP } };
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) statuses.push((await call(mw, opts)).status);
+
+  assert.deepEqual(statuses, [200, 200, 429]);
+  assert.equal(allowlistLookups(), 0);
+});
+
+test("an unproved allowlisted pass is limited like any other pass", async () => {
+  const mw = rateLimit("mma_create");
+  const opts = { ip: "10.0.0.2", headers: { "X-Mina-Pass-Id": VIP } };
+
+  assert.equal((await call(mw, opts)).status, 200);
+  const second = await call(mw, opts);
+  assert.equal(second.status, 429);
+  assert.equal(second.body.reason, "pass_rate");
+  assert.equal(allowlistLookups(), 0);
+});
+
+test("a proved allowlisted pass skips the pass bucket but not the IP bucket", async () => {
+  const mw = rateLimit("mma_create");
+  const opts = { ip: "10.0.0.3", headers: { "X-Mina-Pass-Id": VIP }, verifiedPassId: VIP };
+
+  const out = [];
+  for (let i = 0; i < 4; i++) out.push(await call(mw, opts));
+
+  assert.deepEqual(out.map((r) => r.status), [200, 200, 200, 429]);
+  assert.equal(out[3].body.reason, "ip_rate");
+  assert.equal(allowlistLookups(), 1); // cached after the first
+});
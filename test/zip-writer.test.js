@@ -0,0 +1,54 @@
+// createZipWriter: the archive is read back through its central directory (names, CRC, offsets)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+
+import { createZipWriter } from "../server/zip-writer.js";
+import { readZip } from "./helpers/zip-reader.js";
+
+async function buildZip(files) {
+  const chunks = [];
+  const zip = createZipWriter(async (chunk) => {
+    chunks.push(Buffer.from(chunk));
+  });
+  for (const [name, data] of files) await zip.addFile(name, data);
+  const summary = await zip.finish();
+  return { buf: Buffer.concat(chunks), summary };
+}
+
+test("a stored archive reads back: names, CRC-32, sizes and header offsets", async () => {
+  const files = [
+    ["001-cup.png", Buffer.from("first file")],
+    ["002-théière.png", crypto.randomBytes(70000)],
+    ["003-empty.txt", Buffer.alloc(0)],
+  ];
+  const { buf, summary } = await buildZip(files);
+
+  assert.deepEqual(summary, { bytes: buf.length, files: 3 });
+
+  const entries = readZip(buf);
+  assert.deepEqual(
+    entries.map((e) => e.name),
+    files.map(([name]) => name)
+  );
+
+  let expectedOffset = 0;
+  entries.forEach((e, i) => {
+    const data = Buffer.from(files[i][1]);
+    assert.equal(e.method, 0, "STORE");
+    assert.equal(e.localOffset, expectedOffset, `${e.name} local header offset`);
+    assert.equal(e.size, data.length);
+    assert.equal(e.crc, zlib.crc32(data), `${e.name} CRC-32`);
+    assert.ok(e.data.equals(data), `${e.name} bytes`);
+    expectedOffset += 30 + Buffer.byteLength(e.name) + data.length;
+  });
+});
+
+test("an archive with no files is just the end of central directory", async () => {
+  const { buf, summary } = await buildZip([]);
+  assert.equal(buf.length, 22);
+  assert.deepEqual(summary, { bytes: 22, files: 0 });
+  assert.deepEqual(readZip(buf), []);
+});